@@ -5,6 +5,7 @@
  */
 
 const express = require('express');
+const http = require('http');
 const path = require('path');
 const cookieParser = require('cookie-parser');
 const logger = require('morgan');
@@ -14,15 +15,27 @@ const helmet = require('helmet');
 const compression = require('compression');
 
 const { memoryProtection } = require('./lib/utils/memoryProtection');
+const Entry = require('./lib/entry');
+const { graphCache } = require('./lib/services/graphCache');
+const { importQueue } = require('./lib/services/importQueue');
+const { realtime } = require('./lib/services/realtime');
+const { knowledgeExpansion } = require('./lib/exponential/knowledgeExpansion');
+const { momentumEngine } = require('./lib/exponential/momentumEngine');
+const { collaborativeScaling } = require('./lib/exponential/collaborativeScaling');
+const { enhancedIntegration } = require('./lib/utils/enhancedIntegration');
+const apiToken = require('./lib/middleware/apitoken');
+const options = require('./options');
 const { neuralIntegrationsConfig } = require('./lib/config/neuralIntegrations');
 
 // Import routes
 const indexRouter = require('./routes/index');
 const apiRouter = require('./routes/api');
+const apiV3Router = require('./routes/api/v3');
 const integrationsRouter = require('./routes/integrations');
 const neuralFileApiRouter = require('./routes/api/neuralFileApi');
 const cosmicRouter = require('./routes/cosmic');
 const advancedIntegrationsRouter = require('./routes/advancedIntegrations');
+const imports = require('./routes/imports');
 
 const app = express();
 
@@ -44,6 +57,43 @@ memoryProtection.registerComponent('express-app', {
     }
 });
 
+// The graphs computed by Entry.getNodes, invalidated when their statements change
+app.locals.responseCache = graphCache;
+
+memoryProtection.registerComponent('graph-cache', {
+    onMemoryPressure: (level) => graphCache.onMemoryPressure(level),
+    clearCache: () => graphCache.clear(),
+    getMemoryUsage: () => graphCache.getMemoryUsage()
+});
+
+// The imports a restart interrupted go on where they stopped, see lib/services/importQueue.js
+importQueue.setImporter(imports.run);
+importQueue.resume().catch(err => {
+    console.error('Failed to resume the import jobs:', err);
+});
+
+memoryProtection.registerComponent('import-queue', {
+    clearCache: () => importQueue.clearCache()
+});
+
+// The expansion jobs, momentum, collaborations, syncs and webhooks of before the restart, see lib/db/stateStore.js
+[knowledgeExpansion, momentumEngine, collaborativeScaling, enhancedIntegration].forEach(service => {
+    service.restore().catch(err => {
+        console.error(`Failed to restore the state of ${service.constructor.name}:`, err);
+    });
+});
+
+// Delete for good the contexts and statements that stayed in the trash past the retention period
+setInterval(() => {
+    Entry.purgeTrash((err, purged) => {
+        if (err) {
+            console.error('Failed to purge the trash:', err);
+        } else if (purged.contexts || purged.statements) {
+            console.log(`Purged ${purged.contexts} contexts and ${purged.statements} statements from the trash`);
+        }
+    });
+}, options.settings.trash_purge_interval).unref();
+
 // View engine setup
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'ejs');
@@ -71,8 +121,8 @@ app.use(express.urlencoded({ extended: false, limit: '2mb' }));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Session configuration
-app.use(session({
+// Session configuration, shared with the sockets of lib/services/realtime.js
+const sessionMiddleware = session({
     secret: process.env.SESSION_SECRET || 'infranodus-neural-mind',
     resave: false,
     saveUninitialized: false,
@@ -80,7 +130,9 @@ app.use(session({
         secure: process.env.NODE_ENV === 'production',
         maxAge: 86400000 // 1 day
     }
-}));
+});
+
+app.use(sessionMiddleware);
 
 // Initialize Passport authentication
 app.use(passport.initialize());
@@ -95,8 +147,13 @@ app.use((req, res, next) => {
     next();
 });
 
+// Every /api route takes a personal API token instead of the session, with its scope and contexts checked.
+// The contexts in the URL are checked by the routes, see apiToken.withContext
+app.use('/api', apiToken);
+
 // Route setup
 app.use('/', indexRouter);
+app.use('/api/v3', apiV3Router);
 app.use('/api', apiRouter);
 app.use('/integrations', integrationsRouter);
 app.use('/api/neural-files', neuralFileApiRouter);
@@ -121,4 +178,16 @@ app.use((err, req, res, next) => {
     res.render('error');
 });
 
+// Start the server when the app is run rather than required (by the tests)
+if (require.main === module) {
+    const server = http.createServer(app);
+
+    // The open views of a context get its changes over socket.io
+    realtime.attach(server, sessionMiddleware);
+
+    server.listen(process.env.PORT || 3000, () => {
+        console.log(`InfraNodus is listening on port ${server.address().port}`);
+    });
+}
+
 module.exports = app;
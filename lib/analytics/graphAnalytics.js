@@ -0,0 +1,733 @@
+/**
+ * Graph Analytics Engine
+ *
+ * Server-side port of the network metrics that the graph view computes in the
+ * browser (GraphRank.ejs, GraphModularity.ejs, PolysingularityLogic.ejs), so
+ * that the graphs returned by Entry.getNodes can be analyzed without a client,
+ * and the structural gaps between its communities with the concepts that would bridge them.
+ */
+
+class GraphAnalytics {
+    constructor(options = {}) {
+        this.options = {
+            topInfluenceNodes: options.topInfluenceNodes || 4, // Same as graphFactory.getTopBCNodes(4)
+            maxLouvainPasses: options.maxLouvainPasses || 10,
+            maxGaps: options.maxGaps || 3,
+            minGapCommunity: options.minGapCommunity || 3, // Smaller communities are not topics yet
+            gapCandidates: options.gapCandidates || 4, // The most central concepts of a community that may bridge it
+            maxBridges: options.maxBridges || 3,
+            ...options
+        };
+    }
+
+    /**
+     * Analyze a graph in the format returned by Entry.getNodes
+     *
+     * @param {Object} graph - Graph with nodes ({id, label}) and edges ({source, target, weight})
+     * @returns {Object} - Nodes annotated with degree, bc and community, the edges and a stats block
+     */
+    analyze(graph) {
+        const network = this.buildNetwork(graph);
+        const degrees = this.degrees(graph, network);
+        const bc = this.betweennessCentrality(network);
+        const louvain = this.louvain(network);
+        const components = this.connectedComponents(network);
+
+        const nodes = network.ids.map((id, i) => ({
+            ...network.nodes[i],
+            degree: degrees[i],
+            weightedDegree: network.strength[i],
+            bc: bc[i],
+            community: louvain.communities[i]
+        }));
+
+        const stats = this.computeStats(network, nodes, louvain, components);
+
+        return {
+            nodes,
+            edges: graph.edges || [],
+            stats
+        };
+    }
+
+    /**
+     * Build an undirected weighted adjacency structure the same way the
+     * client does: edges in both directions are merged and weights summed.
+     *
+     * @param {Object} graph - Graph with nodes and edges
+     * @returns {Object} - Network with ids, index, adjacency and edge counts
+     */
+    buildNetwork(graph) {
+        const ids = [];
+        const nodes = [];
+        const index = new Map();
+
+        const addNode = (node) => {
+            if (index.has(node.id)) return index.get(node.id);
+            index.set(node.id, ids.length);
+            ids.push(node.id);
+            nodes.push(node);
+            return ids.length - 1;
+        };
+
+        (graph.nodes || []).forEach(node => addNode(node));
+
+        const adjacency = ids.map(() => new Map());
+        let edgesUndirected = 0;
+        let edgesDirected = 0;
+        let totalWeight = 0;
+
+        (graph.edges || []).forEach(edge => {
+            const source = addNode({ id: edge.source, label: edge.source });
+            const target = addNode({ id: edge.target, label: edge.target });
+
+            while (adjacency.length < ids.length) adjacency.push(new Map());
+
+            // Self-loops only keep single concept statements visible, they carry no structure
+            if (source === target) return;
+
+            const weight = parseInt(edge.weight) || 1;
+
+            edgesDirected += 1;
+            totalWeight += weight;
+
+            if (!adjacency[source].has(target)) {
+                edgesUndirected += 1;
+                adjacency[source].set(target, 0);
+                adjacency[target].set(source, 0);
+            }
+
+            adjacency[source].set(target, adjacency[source].get(target) + weight);
+            adjacency[target].set(source, adjacency[target].get(source) + weight);
+        });
+
+        const strength = adjacency.map(neighbors => {
+            let sum = 0;
+            neighbors.forEach(w => { sum += w; });
+            return sum;
+        });
+
+        return {
+            ids,
+            nodes,
+            index,
+            adjacency,
+            strength,
+            totalWeight,
+            edgesUndirected,
+            edgesDirected
+        };
+    }
+
+    /**
+     * Node degree as Sigma counts it: every edge touching the node, in either direction
+     *
+     * @param {Object} graph - Original graph
+     * @param {Object} network - Network built with buildNetwork
+     * @returns {Array<number>} - Degree per node index
+     */
+    degrees(graph, network) {
+        const degrees = network.ids.map(() => 0);
+
+        (graph.edges || []).forEach(edge => {
+            const source = network.index.get(edge.source);
+            const target = network.index.get(edge.target);
+            degrees[source] += 1;
+            degrees[target] += 1;
+        });
+
+        return degrees;
+    }
+
+    /**
+     * Normalized betweenness centrality (Brandes) on the undirected graph.
+     * Like the client, a stronger connection is a shorter path: distance = 1 / weight.
+     *
+     * @param {Object} network - Network built with buildNetwork
+     * @returns {Array<number>} - Betweenness centrality per node index
+     */
+    betweennessCentrality(network) {
+        const n = network.ids.length;
+        const bc = new Array(n).fill(0);
+
+        for (let s = 0; s < n; s++) {
+            const stack = [];
+            const predecessors = Array.from({ length: n }, () => []);
+            const sigma = new Array(n).fill(0);
+            const dist = new Array(n).fill(Infinity);
+            const seen = new Array(n).fill(Infinity);
+
+            sigma[s] = 1;
+            seen[s] = 0;
+
+            const heap = new MinHeap();
+            heap.push(0, s, s);
+
+            while (heap.size() > 0) {
+                const { priority: d, pred, node: v } = heap.pop();
+
+                if (dist[v] !== Infinity) continue;
+
+                sigma[v] += sigma[pred] * (pred === v ? 0 : 1);
+                stack.push(v);
+                dist[v] = d;
+
+                network.adjacency[v].forEach((weight, w) => {
+                    const vwDist = d + 1 / weight;
+
+                    if (dist[w] === Infinity && vwDist < seen[w]) {
+                        seen[w] = vwDist;
+                        heap.push(vwDist, v, w);
+                        sigma[w] = 0;
+                        predecessors[w] = [v];
+                    } else if (vwDist === seen[w]) {
+                        sigma[w] += sigma[v];
+                        predecessors[w].push(v);
+                    }
+                });
+            }
+
+            const delta = new Array(n).fill(0);
+
+            while (stack.length > 0) {
+                const w = stack.pop();
+                predecessors[w].forEach(v => {
+                    delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+                });
+                if (w !== s) {
+                    bc[w] += delta[w];
+                }
+            }
+        }
+
+        // Same rescaling as networkx / jsnetworkx with normalized: true
+        if (n > 2) {
+            const scale = 1 / ((n - 1) * (n - 2));
+            for (let i = 0; i < n; i++) {
+                bc[i] *= scale;
+            }
+        }
+
+        return bc;
+    }
+
+    /**
+     * Louvain community detection. Nodes are visited in a fixed order, so the
+     * result is deterministic for the same graph. Communities are numbered by
+     * size, 0 being the largest.
+     *
+     * @param {Object} network - Network built with buildNetwork
+     * @returns {Object} - communities (per node index) and modularity
+     */
+    louvain(network) {
+        const n = network.ids.length;
+
+        if (n === 0 || network.totalWeight === 0) {
+            return {
+                communities: network.ids.map((id, i) => i),
+                modularity: 0
+            };
+        }
+
+        // Adjacency of the current level, A[i][i] holds the internal weight of aggregated nodes
+        let level = network.adjacency.map(neighbors => new Map(neighbors));
+        let membership = network.ids.map((id, i) => i);
+
+        for (let pass = 0; pass < this.options.maxLouvainPasses; pass++) {
+            const { assignment, moved } = this._louvainLocalMoves(level);
+
+            if (!moved) break;
+
+            membership = membership.map(c => assignment[c]);
+            level = this._aggregate(level, assignment);
+        }
+
+        const communities = this._renumberBySize(membership);
+
+        return {
+            communities,
+            modularity: this.modularity(network, communities)
+        };
+    }
+
+    /**
+     * Weighted modularity of a partition
+     *
+     * @param {Object} network - Network built with buildNetwork
+     * @param {Array<number>} communities - Community per node index
+     * @returns {number} - Modularity score
+     */
+    modularity(network, communities) {
+        const m2 = network.strength.reduce((sum, k) => sum + k, 0);
+
+        if (m2 === 0) return 0;
+
+        const internal = new Map();
+        const total = new Map();
+
+        network.adjacency.forEach((neighbors, i) => {
+            const c = communities[i];
+            total.set(c, (total.get(c) || 0) + network.strength[i]);
+            neighbors.forEach((weight, j) => {
+                if (communities[j] === c) {
+                    internal.set(c, (internal.get(c) || 0) + weight);
+                }
+            });
+        });
+
+        let q = 0;
+        total.forEach((tot, c) => {
+            q += (internal.get(c) || 0) / m2 - Math.pow(tot / m2, 2);
+        });
+
+        return q;
+    }
+
+    /**
+     * Connected components of the undirected graph, largest first
+     *
+     * @param {Object} network - Network built with buildNetwork
+     * @returns {Array<Array<number>>} - Node indices per component
+     */
+    connectedComponents(network) {
+        const visited = new Array(network.ids.length).fill(false);
+        const components = [];
+
+        for (let i = 0; i < network.ids.length; i++) {
+            if (visited[i]) continue;
+
+            const component = [];
+            const queue = [i];
+            visited[i] = true;
+
+            while (queue.length > 0) {
+                const v = queue.shift();
+                component.push(v);
+                network.adjacency[v].forEach((weight, w) => {
+                    if (!visited[w]) {
+                        visited[w] = true;
+                        queue.push(w);
+                    }
+                });
+            }
+
+            components.push(component);
+        }
+
+        return components.sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Structural gaps: the pairs of large communities that are linked less than
+     * their connectivity would make them in a random graph (the null model of modularity),
+     * with the pairs of their central concepts that are not linked yet and would bridge them.
+     *
+     * A gap's score is how much weaker the link is than expected (1 when the communities
+     * are not linked at all) times the share of the nodes that are in the two communities.
+     *
+     * @param {Object} graph - Graph with nodes ({id, label}) and edges ({source, target, weight})
+     * @param {Object} settings - maxGaps, minGapCommunity, gapCandidates and maxBridges override the options
+     * @returns {Object} - modularity and gaps ({communities, topics, sizes, links, expected, gap, score, bridges}), the largest first
+     */
+    structuralGaps(graph, settings = {}) {
+        const { maxGaps, minGapCommunity, gapCandidates, maxBridges } = { ...this.options, ...settings };
+
+        const network = this.buildNetwork(graph);
+        const louvain = this.louvain(network);
+        const communities = louvain.communities;
+        const m2 = network.strength.reduce((sum, k) => sum + k, 0);
+
+        // The members of every community with the weight of their links within it
+        const groups = new Map();
+
+        network.ids.forEach((id, i) => {
+            const c = communities[i];
+            let inner = 0;
+
+            network.adjacency[i].forEach((weight, j) => {
+                if (communities[j] === c) inner += weight;
+            });
+
+            if (!groups.has(c)) groups.set(c, { id: c, members: [], strength: 0 });
+
+            const group = groups.get(c);
+
+            group.members.push({ index: i, inner });
+            group.strength += network.strength[i];
+        });
+
+        const topics = Array.from(groups.values())
+            .filter(group => group.members.length >= minGapCommunity && group.strength > 0)
+            .sort((a, b) => a.id - b.id);
+
+        if (topics.length < 2) return { modularity: round(louvain.modularity, 2), gaps: [] };
+
+        // The weight of the links between every two communities, every link once
+        const between = new Map();
+
+        network.adjacency.forEach((neighbors, i) => {
+            neighbors.forEach((weight, j) => {
+                if (communities[i] < communities[j]) {
+                    const key = communities[i] + ' ' + communities[j];
+                    between.set(key, (between.get(key) || 0) + weight);
+                }
+            });
+        });
+
+        topics.forEach(group => {
+            group.central = group.members
+                .slice()
+                .sort((a, b) => b.inner - a.inner || a.index - b.index)
+                .slice(0, gapCandidates);
+        });
+
+        const node = index => ({
+            id: network.ids[index],
+            label: network.nodes[index].label || network.nodes[index].name || network.ids[index]
+        });
+
+        const gaps = [];
+
+        for (let a = 0; a < topics.length; a++) {
+            for (let b = a + 1; b < topics.length; b++) {
+                const first = topics[a];
+                const second = topics[b];
+
+                const links = between.get(first.id + ' ' + second.id) || 0;
+                const expected = (first.strength * second.strength) / m2;
+                const gap = Math.max(0, 1 - links / expected);
+
+                if (gap === 0) continue;
+
+                gaps.push({
+                    communities: [first.id, second.id],
+                    topics: [first.central.map(member => node(member.index)), second.central.map(member => node(member.index))],
+                    sizes: [first.members.length, second.members.length],
+                    links,
+                    expected: round(expected, 2),
+                    gap: round(gap, 2),
+                    score: round((gap * (first.members.length + second.members.length)) / network.ids.length, 3),
+                    bridges: this._bridges(network, first, second, maxBridges).map(bridge => ({
+                        source: node(bridge.source),
+                        target: node(bridge.target),
+                        score: round(bridge.score, 3)
+                    }))
+                });
+            }
+        }
+
+        return {
+            modularity: round(louvain.modularity, 2),
+            gaps: gaps.sort((x, y) => y.score - x.score).slice(0, maxGaps)
+        };
+    }
+
+    /**
+     * Shannon entropy in bits of a list of symbols
+     *
+     * @param {Array} values - Symbols
+     * @returns {number} - Entropy
+     */
+    entropy(values) {
+        if (values.length === 0) return 0;
+
+        const counts = new Map();
+        values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+
+        let sum = 0;
+        counts.forEach(count => {
+            const p = count / values.length;
+            sum -= p * Math.log2(p);
+        });
+
+        return sum;
+    }
+
+    /**
+     * The polysingularity (discourse diversity) score shown in the analytics pane
+     *
+     * @param {Object} metrics - modularity, nodesInTopTopic, bcEntropy, topBC, nodesInTopComponent
+     * @returns {string} - 'Dispersed', 'Diversified', 'Focused' or 'Biased'
+     */
+    polysingularity(metrics) {
+        const { modularity, nodesInTopTopic, bcEntropy, topBC, nodesInTopComponent } = metrics;
+
+        const spreadInfluence = (bcEntropy >= 1.5) ||
+            (bcEntropy === 0 && topBC === 0) ||
+            (bcEntropy === 0 && nodesInTopComponent < 40);
+
+        if (modularity > 0.65 && nodesInTopTopic < 50 && spreadInfluence) {
+            return 'Dispersed';
+        }
+        if (modularity > 0.4 && nodesInTopTopic < 50 && spreadInfluence) {
+            return 'Diversified';
+        }
+        if ((modularity < 0.4 && modularity > 0.2 && bcEntropy >= 0.5) ||
+            (modularity > 0.4 && nodesInTopTopic >= 50 && bcEntropy >= 0.5) ||
+            (modularity > 0.4 && nodesInTopTopic < 50 && bcEntropy > 0.5)) {
+            return 'Focused';
+        }
+        return 'Biased';
+    }
+
+    /**
+     * Graph-level statistics, rounded the way the analytics pane displays them
+     *
+     * @param {Object} network - Network built with buildNetwork
+     * @param {Array<Object>} nodes - Annotated nodes
+     * @param {Object} louvain - Result of louvain()
+     * @param {Array<Array<number>>} components - Result of connectedComponents()
+     * @returns {Object} - Stats block
+     */
+    computeStats(network, nodes, louvain, components) {
+        const totalNodes = nodes.length;
+
+        const communitySizes = new Map();
+        nodes.forEach(node => {
+            communitySizes.set(node.community, (communitySizes.get(node.community) || 0) + 1);
+        });
+
+        const topInfluence = nodes
+            .slice()
+            .sort((a, b) => b.bc - a.bc)
+            .slice(0, this.options.topInfluenceNodes);
+
+        const bcDistribution = topInfluence
+            .filter(node => node.bc > 0)
+            .map(node => node.community);
+
+        const bcEntropy = round(this.entropy(bcDistribution), 2);
+
+        const largestCommunity = communitySizes.size > 0 ? Math.max(...communitySizes.values()) : 0;
+        const nodesInTopTopic = totalNodes > 0 ? Math.round((largestCommunity / totalNodes) * 100) : 0;
+        const nodesInTopComponent = totalNodes > 0 && components.length > 0
+            ? Math.round((components[0].length / totalNodes) * 100)
+            : 0;
+
+        const density = totalNodes > 1
+            ? round(network.edgesUndirected / (totalNodes * (totalNodes - 1)), 3)
+            : 0;
+        const averageDegree = totalNodes > 0 ? round(network.edgesUndirected / totalNodes, 2) : 0;
+        const modularity = round(louvain.modularity, 2);
+
+        return {
+            nodes: totalNodes,
+            edges: network.edgesUndirected,
+            edgesDirected: network.edgesDirected,
+            density,
+            averageDegree,
+            modularity,
+            communities: communitySizes.size,
+            components: components.length,
+            nodesInTopTopic,
+            nodesInTopComponent,
+            bcEntropy,
+            influenceDispersal: Math.round((bcEntropy / 2) * 100),
+            polysingularity: this.polysingularity({
+                modularity,
+                nodesInTopTopic,
+                bcEntropy,
+                topBC: topInfluence.length > 0 ? topInfluence[0].bc : 0,
+                nodesInTopComponent
+            }),
+            topInfluence: topInfluence.map(node => ({ id: node.id, label: node.label, bc: node.bc }))
+        };
+    }
+
+    /**
+     * First Louvain phase: move nodes between communities while modularity grows
+     *
+     * @private
+     */
+    _louvainLocalMoves(adjacency) {
+        const n = adjacency.length;
+        const strength = adjacency.map(neighbors => {
+            let sum = 0;
+            neighbors.forEach(w => { sum += w; });
+            return sum;
+        });
+        const m2 = strength.reduce((sum, k) => sum + k, 0);
+
+        const community = adjacency.map((neighbors, i) => i);
+        const total = strength.slice();
+
+        let moved = false;
+        let improved = true;
+
+        while (improved) {
+            improved = false;
+
+            for (let i = 0; i < n; i++) {
+                const current = community[i];
+                const links = new Map();
+
+                adjacency[i].forEach((weight, j) => {
+                    if (j === i) return;
+                    links.set(community[j], (links.get(community[j]) || 0) + weight);
+                });
+
+                total[current] -= strength[i];
+
+                let best = current;
+                let bestGain = (links.get(current) || 0) - (total[current] * strength[i]) / m2;
+
+                links.forEach((weight, c) => {
+                    const gain = weight - (total[c] * strength[i]) / m2;
+                    if (gain > bestGain + 1e-12) {
+                        best = c;
+                        bestGain = gain;
+                    }
+                });
+
+                total[best] += strength[i];
+
+                if (best !== current) {
+                    community[i] = best;
+                    improved = true;
+                    moved = true;
+                }
+            }
+        }
+
+        // Renumber communities consecutively
+        const renumber = new Map();
+        const assignment = community.map(c => {
+            if (!renumber.has(c)) renumber.set(c, renumber.size);
+            return renumber.get(c);
+        });
+
+        return { assignment, moved };
+    }
+
+    /**
+     * Second Louvain phase: collapse every community into one node
+     *
+     * @private
+     */
+    _aggregate(adjacency, assignment) {
+        const size = Math.max(...assignment) + 1;
+        const aggregated = Array.from({ length: size }, () => new Map());
+
+        adjacency.forEach((neighbors, i) => {
+            const ci = assignment[i];
+            neighbors.forEach((weight, j) => {
+                const cj = assignment[j];
+                aggregated[ci].set(cj, (aggregated[ci].get(cj) || 0) + weight);
+            });
+        });
+
+        return aggregated;
+    }
+
+    /**
+     * The pairs of central concepts of two communities that are not linked yet,
+     * the more central both of them are in their community, the better they bridge it
+     *
+     * @private
+     */
+    _bridges(network, first, second, maxBridges) {
+        const bridges = [];
+        const firstTop = first.central[0].inner || 1;
+        const secondTop = second.central[0].inner || 1;
+
+        first.central.forEach(source => {
+            second.central.forEach(target => {
+                if (network.adjacency[source.index].has(target.index)) return;
+
+                bridges.push({
+                    source: source.index,
+                    target: target.index,
+                    score: (source.inner / firstTop) * (target.inner / secondTop)
+                });
+            });
+        });
+
+        return bridges.sort((x, y) => y.score - x.score).slice(0, maxBridges);
+    }
+
+    /**
+     * @private
+     */
+    _renumberBySize(membership) {
+        const sizes = new Map();
+        membership.forEach(c => sizes.set(c, (sizes.get(c) || 0) + 1));
+
+        const order = Array.from(sizes.keys()).sort((a, b) => sizes.get(b) - sizes.get(a) || a - b);
+        const rank = new Map(order.map((c, i) => [c, i]));
+
+        return membership.map(c => rank.get(c));
+    }
+}
+
+/**
+ * Minimal binary heap used by the Dijkstra step of betweenness centrality
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+        this.counter = 0;
+    }
+
+    size() {
+        return this.items.length;
+    }
+
+    push(priority, pred, node) {
+        // The counter keeps the order stable for equal priorities
+        this.items.push({ priority, order: this.counter++, pred, node });
+        this._up(this.items.length - 1);
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            this._down(0);
+        }
+        return top;
+    }
+
+    _less(a, b) {
+        const x = this.items[a];
+        const y = this.items[b];
+        return x.priority < y.priority || (x.priority === y.priority && x.order < y.order);
+    }
+
+    _up(i) {
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!this._less(i, parent)) break;
+            [this.items[i], this.items[parent]] = [this.items[parent], this.items[i]];
+            i = parent;
+        }
+    }
+
+    _down(i) {
+        const n = this.items.length;
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < n && this._less(left, smallest)) smallest = left;
+            if (right < n && this._less(right, smallest)) smallest = right;
+            if (smallest === i) break;
+            [this.items[i], this.items[smallest]] = [this.items[smallest], this.items[i]];
+            i = smallest;
+        }
+    }
+}
+
+// Half away from zero, so a negative score rounds like the positive one, the analytics modules all round with it
+function round(value, digits) {
+    return parseFloat(value.toFixed(digits));
+}
+
+// Create singleton instance
+const graphAnalytics = new GraphAnalytics();
+
+module.exports = {
+    graphAnalytics,
+    GraphAnalytics,
+    round
+};
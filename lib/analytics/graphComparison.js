@@ -0,0 +1,262 @@
+/**
+ * Graph Comparison
+ *
+ * Compares the graphs of two or more contexts, e.g. interview transcripts:
+ * the concepts they share and the ones only one of them has, how the
+ * influence (betweenness centrality) of the shared concepts differs, how
+ * much their topics overlap and how similar they are on the whole.
+ * Concepts are the same nodes in every context, so they are matched by ID.
+ */
+
+const { graphAnalytics, round } = require('./graphAnalytics');
+
+class GraphComparison {
+    constructor(analytics = graphAnalytics, options = {}) {
+        this.analytics = analytics;
+        this.options = {
+            maxConcepts: options.maxConcepts || 20, // The most concepts every list has
+            maxTopics: options.maxTopics || 5, // The largest topics of every context are compared
+            topicConcepts: options.topicConcepts || 4, // Same as the insight clusters of the analytics pane
+            ...options
+        };
+    }
+
+    /**
+     * Compare the graphs of the contexts
+     *
+     * @param {Array<Object>} contexts - {name, graph} with the graph in the format of Entry.getNodes, and its
+     *                                   analysis from GraphAnalytics.analyze if it's already there
+     * @returns {Object} - contexts (their stats), shared concepts with their influence rank in every context,
+     *                     the concepts unique to each context, influence (the shared concepts that rank the most
+     *                     differently) and pairs ({contexts, concepts, edges, topics, similarity}) for every two contexts
+     */
+    compare(contexts) {
+        const { maxConcepts } = this.options;
+
+        const profiles = contexts.map(context => this._profile(context.name, context.analysis || this.analytics.analyze(context.graph)));
+
+        // Every concept with its rank in the contexts that have it
+        const concepts = new Map();
+
+        profiles.forEach((profile, c) => {
+            profile.ranked.forEach(node => {
+                if (!concepts.has(node.id)) concepts.set(node.id, { id: node.id, label: node.label, ranks: profiles.map(() => null) });
+                concepts.get(node.id).ranks[c] = node.rank;
+            });
+        });
+
+        const all = Array.from(concepts.values());
+        const shared = all
+            .filter(concept => concept.ranks.every(rank => rank !== null))
+            .sort((a, b) => sum(a.ranks) - sum(b.ranks) || compareLabels(a, b));
+
+        const unique = {};
+
+        profiles.forEach((profile, c) => {
+            unique[profile.name] = all
+                .filter(concept => concept.ranks.every((rank, other) => (rank !== null) === (other === c)))
+                .map(concept => ({ id: concept.id, label: concept.label, rank: concept.ranks[c] }))
+                .sort((a, b) => a.rank - b.rank)
+                .slice(0, maxConcepts);
+        });
+
+        const influence = shared
+            .map(concept => ({ ...concept, change: Math.max(...concept.ranks) - Math.min(...concept.ranks) }))
+            .filter(concept => concept.change > 0)
+            .sort((a, b) => b.change - a.change || sum(a.ranks) - sum(b.ranks) || compareLabels(a, b))
+            .slice(0, maxConcepts);
+
+        const pairs = [];
+
+        for (let a = 0; a < profiles.length; a++) {
+            for (let b = a + 1; b < profiles.length; b++) {
+                pairs.push(this._pair(profiles[a], profiles[b]));
+            }
+        }
+
+        return {
+            contexts: profiles.map(profile => ({ name: profile.name, ...profile.stats })),
+            shared: shared.slice(0, maxConcepts),
+            sharedCount: shared.length,
+            unique,
+            influence,
+            pairs
+        };
+    }
+
+    /**
+     * Split a graph of several contexts (Entry.getNodes with ?addcontext) into the graph of each one,
+     * following the context_matrix of its edges
+     *
+     * @param {Object} graph - Graph with edges ({source, target, context_matrix})
+     * @param {Array<string>} names - Context names
+     * @returns {Array<Object>} - {name, graph} for every context
+     */
+    split(graph, names) {
+        const labels = new Map(graph.nodes.map(node => [node.id, node.label]));
+
+        return names.map(name => {
+            const edges = [];
+            const ids = new Set();
+
+            graph.edges.forEach(edge => {
+                const statements = edge.context_matrix && edge.context_matrix[name];
+
+                if (!statements) return;
+
+                const weight = Object.keys(statements).reduce((total, statement) => total + (parseInt(statements[statement]) || 0), 0);
+
+                edges.push({ ...edge, context_matrix: { [name]: statements }, weight });
+                ids.add(edge.source);
+                ids.add(edge.target);
+            });
+
+            const nodes = Array.from(ids)
+                .filter(id => labels.has(id))
+                .map(id => ({ id, label: labels.get(id) }));
+
+            return { name, graph: { nodes, edges } };
+        });
+    }
+
+    /**
+     * The concepts of a context ranked by influence and its topics
+     *
+     * @private
+     */
+    _profile(name, analysis) {
+        const { maxTopics, topicConcepts } = this.options;
+
+        const ranked = analysis.nodes
+            .slice()
+            .sort((a, b) => b.bc - a.bc || b.weightedDegree - a.weightedDegree || compareLabels(a, b))
+            .map((node, i) => ({ id: node.id, label: node.label, community: node.community, rank: i + 1 }));
+
+        // Communities are numbered by size, the largest first, see GraphAnalytics.louvain
+        const topics = new Map();
+
+        ranked.forEach(node => {
+            if (!topics.has(node.community)) topics.set(node.community, []);
+            topics.get(node.community).push(node);
+        });
+
+        const edges = new Map();
+        let total = 0;
+
+        (analysis.edges || []).forEach(edge => {
+            const key = edge.source < edge.target ? edge.source + ' ' + edge.target : edge.target + ' ' + edge.source;
+            const weight = parseInt(edge.weight) || 1;
+
+            edges.set(key, (edges.get(key) || 0) + weight);
+            total += weight;
+        });
+
+        return {
+            name,
+            ranked,
+            ids: new Set(ranked.map(node => node.id)),
+            topics: Array.from(topics.keys())
+                .sort((a, b) => a - b)
+                .slice(0, maxTopics)
+                .map(community => ({
+                    community,
+                    ids: new Set(topics.get(community).map(node => node.id)),
+                    concepts: topics
+                        .get(community)
+                        .slice(0, topicConcepts)
+                        .map(node => ({ id: node.id, label: node.label }))
+                })),
+            edges,
+            total,
+            stats: {
+                nodes: analysis.stats.nodes,
+                edges: analysis.stats.edges,
+                modularity: analysis.stats.modularity,
+                communities: analysis.stats.communities,
+                topInfluence: ranked.slice(0, topicConcepts).map(node => ({ id: node.id, label: node.label }))
+            }
+        };
+    }
+
+    /**
+     * How similar two contexts are: the Jaccard index of their concepts, the weighted Jaccard index
+     * of their edges (every weight as a share of the context's total, so a longer text doesn't outweigh
+     * a shorter one) and, for every topic of the first one, the topic of the second one it overlaps the most.
+     * The similarity is the mean of the concept and edge indices.
+     *
+     * @private
+     */
+    _pair(first, second) {
+        const concepts = jaccard(first.ids, second.ids);
+
+        let min = 0;
+        let max = 0;
+
+        new Set([...first.edges.keys(), ...second.edges.keys()]).forEach(key => {
+            const a = first.total ? (first.edges.get(key) || 0) / first.total : 0;
+            const b = second.total ? (second.edges.get(key) || 0) / second.total : 0;
+
+            min += Math.min(a, b);
+            max += Math.max(a, b);
+        });
+
+        const edges = max ? min / max : 0;
+
+        const topics = first.topics.map(topic => {
+            let match = null;
+            let best = 0;
+
+            second.topics.forEach(other => {
+                const overlap = jaccard(topic.ids, other.ids);
+
+                if (overlap > best) {
+                    best = overlap;
+                    match = other;
+                }
+            });
+
+            return {
+                community: topic.community,
+                concepts: topic.concepts,
+                match: match ? { community: match.community, concepts: match.concepts } : null,
+                jaccard: round(best, 3)
+            };
+        });
+
+        return {
+            contexts: [first.name, second.name],
+            concepts: round(concepts, 3),
+            edges: round(edges, 3),
+            topics,
+            similarity: round((concepts + edges) / 2, 3)
+        };
+    }
+}
+
+function jaccard(first, second) {
+    let intersection = 0;
+
+    first.forEach(id => {
+        if (second.has(id)) intersection++;
+    });
+
+    const union = first.size + second.size - intersection;
+
+    return union ? intersection / union : 0;
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
+
+function compareLabels(a, b) {
+    return String(a.label) < String(b.label) ? -1 : String(a.label) > String(b.label) ? 1 : 0;
+}
+
+// Create singleton instance
+const graphComparison = new GraphComparison();
+
+module.exports = {
+    graphComparison,
+    GraphComparison
+};
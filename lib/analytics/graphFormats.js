@@ -0,0 +1,216 @@
+/**
+ * Graph Export Formats
+ *
+ * Serializes the graph returned by Entry.getNodes into GraphML (yEd, Gephi),
+ * Cytoscape.js JSON (Cytoscape desktop and web) and Graphviz DOT. Nodes carry
+ * the metrics computed by the Graph Analytics engine, edges their weight and
+ * the context_matrix of the statements they come from.
+ */
+
+const { graphAnalytics } = require('./graphAnalytics');
+
+// Node and graph attributes every format exports, with their GraphML types
+const NODE_ATTRIBUTES = [
+    { name: 'label', type: 'string' },
+    { name: 'degree', type: 'int' },
+    { name: 'weightedDegree', type: 'double' },
+    { name: 'bc', type: 'double' },
+    { name: 'community', type: 'int' }
+];
+
+const EDGE_ATTRIBUTES = [
+    { name: 'weight', type: 'double' },
+    { name: 'contexts', type: 'string' },
+    { name: 'context_matrix', type: 'string' }
+];
+
+const GRAPH_ATTRIBUTES = [
+    { name: 'modularity', type: 'double' },
+    { name: 'communities', type: 'int' },
+    { name: 'components', type: 'int' },
+    { name: 'density', type: 'double' },
+    { name: 'polysingularity', type: 'string' }
+];
+
+class GraphFormats {
+    constructor(analytics = graphAnalytics) {
+        this.analytics = analytics;
+    }
+
+    /**
+     * GraphML document with keys for the node, edge and graph attributes
+     *
+     * @param {Object} graph - Graph in the format returned by Entry.getNodes
+     * @returns {string} - GraphML XML
+     */
+    graphml(graph) {
+        const { nodes, edges, stats } = this.analytics.analyze(graph);
+
+        const keys = [
+            ...GRAPH_ATTRIBUTES.map(attr => this._graphmlKey('graph', attr)),
+            ...NODE_ATTRIBUTES.map(attr => this._graphmlKey('node', attr)),
+            ...EDGE_ATTRIBUTES.map(attr => this._graphmlKey('edge', attr))
+        ];
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" ' +
+                'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+                'xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+            ...keys.map(key => '    ' + key),
+            '    <graph id="G" edgedefault="directed">',
+            ...GRAPH_ATTRIBUTES.map(attr => '        ' + this._graphmlData('g', attr.name, stats[attr.name]))
+        ];
+
+        nodes.forEach(node => {
+            lines.push(`        <node id="${escapeXml(node.id)}">`);
+            NODE_ATTRIBUTES.forEach(attr => {
+                lines.push('            ' + this._graphmlData('n', attr.name, node[attr.name]));
+            });
+            lines.push('        </node>');
+        });
+
+        edges.forEach(edge => {
+            const data = this._edgeData(edge);
+
+            lines.push(
+                `        <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`
+            );
+            EDGE_ATTRIBUTES.forEach(attr => {
+                lines.push('            ' + this._graphmlData('e', attr.name, data[attr.name]));
+            });
+            lines.push('        </edge>');
+        });
+
+        lines.push('    </graph>', '</graphml>');
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Cytoscape.js elements JSON, which Cytoscape desktop imports as well
+     *
+     * @param {Object} graph - Graph in the format returned by Entry.getNodes
+     * @returns {Object} - {data, elements: {nodes, edges}}
+     */
+    cytoscape(graph) {
+        const { nodes, edges, stats } = this.analytics.analyze(graph);
+
+        return {
+            format_version: '1.0',
+            generated_by: 'InfraNodus',
+            target_cytoscapejs_version: '~3.0',
+            data: { ...pick(stats, GRAPH_ATTRIBUTES), name: 'InfraNodus' },
+            elements: {
+                nodes: nodes.map(node => ({
+                    data: { id: node.id, ...pick(node, NODE_ATTRIBUTES) }
+                })),
+                edges: edges.map(edge => ({
+                    data: {
+                        id: edge.id,
+                        source: edge.source,
+                        target: edge.target,
+                        weight: edge.weight,
+                        contexts: Object.keys(edge.context_matrix || {}),
+                        context_matrix: edge.context_matrix || {}
+                    }
+                }))
+            }
+        };
+    }
+
+    /**
+     * Graphviz DOT digraph with the attributes as quoted strings
+     *
+     * @param {Object} graph - Graph in the format returned by Entry.getNodes
+     * @returns {string} - DOT source
+     */
+    dot(graph) {
+        const { nodes, edges, stats } = this.analytics.analyze(graph);
+
+        const lines = ['digraph InfraNodus {'];
+
+        GRAPH_ATTRIBUTES.forEach(attr => {
+            if (stats[attr.name] !== undefined) {
+                lines.push(`    ${attr.name}=${quoteDot(stats[attr.name])};`);
+            }
+        });
+
+        nodes.forEach(node => {
+            lines.push(`    ${quoteDot(node.id)} [${this._dotAttributes(pick(node, NODE_ATTRIBUTES))}];`);
+        });
+
+        edges.forEach(edge => {
+            lines.push(
+                `    ${quoteDot(edge.source)} -> ${quoteDot(edge.target)} [${this._dotAttributes({
+                    id: edge.id,
+                    ...this._edgeData(edge)
+                })}];`
+            );
+        });
+
+        lines.push('}');
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Flat edge attributes for the formats that can't nest objects
+     */
+    _edgeData(edge) {
+        const matrix = edge.context_matrix || {};
+
+        return {
+            weight: edge.weight,
+            contexts: Object.keys(matrix).join(','),
+            context_matrix: JSON.stringify(matrix)
+        };
+    }
+
+    _graphmlKey(domain, attr) {
+        const prefix = domain.charAt(0);
+        return `<key id="${prefix}_${attr.name}" for="${domain}" attr.name="${attr.name}" attr.type="${attr.type}"/>`;
+    }
+
+    _graphmlData(prefix, name, value) {
+        return `<data key="${prefix}_${name}">${escapeXml(value)}</data>`;
+    }
+
+    _dotAttributes(values) {
+        return Object.keys(values)
+            .filter(name => values[name] !== undefined && values[name] !== null)
+            .map(name => `${name}=${quoteDot(values[name])}`)
+            .join(', ');
+    }
+}
+
+function pick(object, attributes) {
+    const picked = {};
+    attributes.forEach(attr => {
+        if (object[attr.name] !== undefined) picked[attr.name] = object[attr.name];
+    });
+    return picked;
+}
+
+function escapeXml(value) {
+    if (value === undefined || value === null) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Every ID and value is quoted, so any label is a valid DOT ID
+function quoteDot(value) {
+    return '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n') + '"';
+}
+
+// Create singleton instance
+const graphFormats = new GraphFormats();
+
+module.exports = {
+    graphFormats,
+    GraphFormats
+};
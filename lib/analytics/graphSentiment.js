@@ -0,0 +1,140 @@
+/**
+ * Graph Sentiment
+ *
+ * Sums up the sentiment and the emotions of the statements (see lib/tools/sentiment.js)
+ * for every concept and every topic (Louvain community) of a graph: a concept is in the
+ * statements its edges come from, a topic in the statements of its concepts. The mean
+ * sentiment goes from -1 to 1, so customer feedback shows which topics carry the
+ * negative opinions.
+ */
+
+const { graphAnalytics, round } = require('./graphAnalytics');
+
+class GraphSentiment {
+    constructor(analytics = graphAnalytics, options = {}) {
+        this.analytics = analytics;
+        this.options = {
+            maxConcepts: options.maxConcepts || 10, // The most concepts in the most negative and positive lists
+            topicConcepts: options.topicConcepts || 4, // Same as the insight clusters of the analytics pane
+            ...options
+        };
+    }
+
+    /**
+     * The sentiment of the graph, its concepts and its topics
+     *
+     * @param {Object} graph - Graph in the format of Entry.getNodes
+     * @param {Array<Object>} statements - {uid, sentiment, emotions} as in Entry.getSentiment
+     * @param {Object} analysis - The graph analyzed by GraphAnalytics.analyze if it's already there
+     * @returns {Object} - the summary of all the statements ({sentiment, statements, scored, positive, negative, emotions}),
+     *                     concepts (every node with its summary), communities (every topic with its summary and most
+     *                     influential concepts), negativeConcepts and positiveConcepts (the ones with the lowest and
+     *                     highest sentiment)
+     */
+    summarize(graph, statements, analysis) {
+        const { maxConcepts, topicConcepts } = this.options;
+        const scores = new Map(statements.map(statement => [statement.uid, statement]));
+
+        analysis = analysis || this.analytics.analyze(graph);
+
+        // The statements of every concept
+        const of = new Map();
+
+        graph.edges.forEach(edge => {
+            Object.values(edge.context_matrix || {}).forEach(matrix => {
+                Object.keys(matrix).forEach(statement => {
+                    if (!scores.has(statement)) return;
+
+                    [edge.source, edge.target].forEach(node => {
+                        if (!of.has(node)) of.set(node, new Set());
+                        of.get(node).add(statement);
+                    });
+                });
+            });
+        });
+
+        const concepts = analysis.nodes
+            .filter(node => of.has(node.id))
+            .map(node => ({ id: node.id, label: node.label, community: node.community, ...summary(of.get(node.id), scores) }));
+
+        const topics = new Map();
+
+        analysis.nodes
+            .slice()
+            .sort((a, b) => b.bc - a.bc || b.weightedDegree - a.weightedDegree)
+            .forEach(node => {
+                if (!topics.has(node.community)) topics.set(node.community, { concepts: [], statements: new Set() });
+
+                const topic = topics.get(node.community);
+
+                if (topic.concepts.length < topicConcepts) topic.concepts.push({ id: node.id, label: node.label });
+                (of.get(node.id) || []).forEach(statement => topic.statements.add(statement));
+            });
+
+        const communities = Array.from(topics.keys())
+            .sort((a, b) => a - b)
+            .map(community => ({
+                community,
+                concepts: topics.get(community).concepts,
+                ...summary(topics.get(community).statements, scores)
+            }));
+
+        const scored = concepts.filter(concept => concept.sentiment !== null);
+
+        return {
+            ...summary(new Set(scores.keys()), scores),
+            concepts,
+            communities,
+            negativeConcepts: scored
+                .filter(concept => concept.sentiment < 0)
+                .sort((a, b) => a.sentiment - b.sentiment || b.statements - a.statements)
+                .slice(0, maxConcepts),
+            positiveConcepts: scored
+                .filter(concept => concept.sentiment > 0)
+                .sort((a, b) => b.sentiment - a.sentiment || b.statements - a.statements)
+                .slice(0, maxConcepts)
+        };
+    }
+}
+
+// The mean sentiment of the statements, null if none of them has one, how many of them are positive
+// and negative, and how many express every emotion
+function summary(uids, scores) {
+    let total = 0;
+    let scored = 0;
+    let positive = 0;
+    let negative = 0;
+    const emotions = {};
+
+    uids.forEach(uid => {
+        const statement = scores.get(uid);
+
+        (statement.emotions || []).forEach(emotion => {
+            emotions[emotion] = (emotions[emotion] || 0) + 1;
+        });
+
+        if (typeof statement.sentiment !== 'number') return;
+
+        total += statement.sentiment;
+        scored++;
+        if (statement.sentiment > 0) positive++;
+        if (statement.sentiment < 0) negative++;
+    });
+
+    return {
+        sentiment: scored ? round(total / scored, 3) : null,
+        statements: uids.size,
+        scored,
+        positive,
+        negative,
+        emotions
+    };
+}
+
+// Create singleton instance
+const graphSentiment = new GraphSentiment();
+
+module.exports = {
+    graphSentiment,
+    GraphSentiment
+};
@@ -0,0 +1,240 @@
+/**
+ * Graph Timeline
+ *
+ * Replays how the graph of a context developed: every statement has a timestamp
+ * and every edge knows the statements it comes from (its context_matrix), so the
+ * graph at any point in time is made of the edges of the statements made until
+ * then. Every snapshot is analyzed by the Graph Analytics engine and tells which
+ * concepts appeared since the one before.
+ *
+ * Timestamps are in the units of the statements, milliseconds * 10000.
+ */
+
+const { graphAnalytics } = require('./graphAnalytics');
+
+// The units of the statement timestamps in a millisecond, see lib/middleware/page.js
+const UNITS = 10000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const INTERVALS = ['day', 'week', 'month'];
+
+class GraphTimeline {
+    constructor(analytics = graphAnalytics, options = {}) {
+        this.analytics = analytics;
+        this.options = {
+            maxSnapshots: options.maxSnapshots || 24,
+            steps: options.steps || 10, // Snapshots when neither the points nor the interval are given
+            topConcepts: options.topConcepts || 4, // Same as graphFactory.getTopBCNodes(4)
+            maxTopics: options.maxTopics || 3,
+            maxAdded: options.maxAdded || 10,
+            ...options
+        };
+    }
+
+    /**
+     * The graph and its metrics at several points in time
+     *
+     * @param {Object} graph - Graph in the format of Entry.getNodes
+     * @param {Array<Object>} statements - The statements of the graph ({uid, timestamp}), see Entry.getTimeline
+     * @param {Object} settings - points (timestamps) or interval ('day', 'week' or 'month') or steps (how many
+     *                            evenly spaced points), window (every snapshot only has the statements made since
+     *                            the one before) and graphs (every snapshot has its graph)
+     * @returns {Object} - start, end, statements ({uid, timestamp}, the oldest first) and snapshots ({from, until,
+     *                     statements, nodes, edges, modularity, communities, topInfluence, topics, added}),
+     *                     from is null unless it's a window
+     * @throws {Error} - With the code 'invalid_request' if there are more than maxSnapshots points
+     */
+    snapshots(graph, statements, settings = {}) {
+        const timeline = statements
+            .filter(statement => statement && statement.uid && typeof statement.timestamp === 'number')
+            .map(statement => ({ uid: statement.uid, timestamp: statement.timestamp }))
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        if (!timeline.length) return { start: null, end: null, statements: [], snapshots: [] };
+
+        const start = timeline[0].timestamp;
+        const end = timeline[timeline.length - 1].timestamp;
+        const points = this.points(start, end, settings);
+
+        if (points.length > this.options.maxSnapshots) {
+            throw invalid(`A timeline can have up to ${this.options.maxSnapshots} snapshots, please choose a longer interval.`);
+        }
+
+        const times = new Map(timeline.map(statement => [statement.uid, statement.timestamp]));
+
+        let seen = new Set();
+        let previous = null;
+
+        const snapshots = points.map(until => {
+            const from = settings.window ? previous : null;
+            const snapshot = this.snapshot(graph, times, from, until);
+            const added = snapshot.analysis.nodes
+                .filter(node => !seen.has(node.id))
+                .sort((a, b) => b.weightedDegree - a.weightedDegree || b.bc - a.bc)
+                .slice(0, this.options.maxAdded)
+                .map(concept);
+
+            seen = new Set([...seen, ...snapshot.analysis.nodes.map(node => node.id)]);
+
+            const result = {
+                from,
+                until,
+                statements: timeline.filter(statement => (from === null || statement.timestamp > from) && statement.timestamp <= until).length,
+                ...this._metrics(snapshot.analysis),
+                added
+            };
+
+            if (settings.graphs) result.graph = snapshot.graph;
+
+            previous = until;
+
+            return result;
+        });
+
+        return { start, end, statements: timeline, snapshots };
+    }
+
+    /**
+     * The graph made of the statements from one time (not included, null for the beginning) until another
+     *
+     * @param {Object} graph - Graph in the format of Entry.getNodes
+     * @param {Map} times - The timestamps of the statements by their uid
+     * @param {number|null} from - Timestamp
+     * @param {number} until - Timestamp
+     * @returns {Object} - graph and its analysis
+     */
+    snapshot(graph, times, from, until) {
+        const labels = new Map(graph.nodes.map(node => [node.id, node.label]));
+        const ids = new Set();
+        const edges = [];
+
+        const inside = statement => {
+            const time = times.get(statement);
+            return time !== undefined && (from === null || time > from) && time <= until;
+        };
+
+        graph.edges.forEach(edge => {
+            const matrix = {};
+            let weight = 0;
+
+            Object.keys(edge.context_matrix || {}).forEach(context => {
+                Object.keys(edge.context_matrix[context]).forEach(statement => {
+                    if (!inside(statement)) return;
+
+                    matrix[context] = matrix[context] || {};
+                    matrix[context][statement] = edge.context_matrix[context][statement];
+                    weight += parseInt(edge.context_matrix[context][statement]) || 0;
+                });
+            });
+
+            if (!weight) return;
+
+            edges.push({ ...edge, context_matrix: matrix, weight });
+            ids.add(edge.source);
+            ids.add(edge.target);
+        });
+
+        const snapshot = {
+            nodes: graph.nodes.filter(node => ids.has(node.id)).map(node => ({ id: node.id, label: labels.get(node.id) })),
+            edges
+        };
+
+        return { graph: snapshot, analysis: this.analytics.analyze(snapshot) };
+    }
+
+    /**
+     * The points in time of the snapshots between the first and the last statement
+     *
+     * @param {number} start - Timestamp of the first statement
+     * @param {number} end - Timestamp of the last statement
+     * @param {Object} settings - points, interval or steps as in snapshots
+     * @returns {Array<number>} - Timestamps, the last one is always the end or later
+     */
+    points(start, end, settings = {}) {
+        if (settings.points && settings.points.length) {
+            return Array.from(new Set(settings.points)).sort((a, b) => a - b);
+        }
+
+        if (settings.interval) {
+            if (!INTERVALS.includes(settings.interval)) {
+                throw invalid(`The interval should be one of ${INTERVALS.join(', ')}.`);
+            }
+
+            const points = [];
+            let time = nextBoundary(start / UNITS, settings.interval);
+
+            // Every interval ends right before the next one starts
+            while (points.length <= this.options.maxSnapshots) {
+                points.push(time * UNITS - 1);
+                if (time * UNITS > end) break;
+                time = nextBoundary(time, settings.interval);
+            }
+
+            return points;
+        }
+
+        const steps = start === end ? 1 : settings.steps || this.options.steps;
+
+        return Array.from({ length: steps }, (value, i) => (i === steps - 1 ? end : Math.round(start + ((end - start) * (i + 1)) / steps)));
+    }
+
+    /**
+     * @private
+     */
+    _metrics(analysis) {
+        const { topConcepts, maxTopics } = this.options;
+        const topics = [];
+
+        // Communities are numbered by size, the largest first, see GraphAnalytics.louvain
+        analysis.nodes
+            .slice()
+            .sort((a, b) => b.bc - a.bc || b.weightedDegree - a.weightedDegree)
+            .forEach(node => {
+                if (node.community >= maxTopics) return;
+                topics[node.community] = topics[node.community] || [];
+                if (topics[node.community].length < topConcepts) topics[node.community].push(concept(node));
+            });
+
+        return {
+            nodes: analysis.stats.nodes,
+            edges: analysis.stats.edges,
+            modularity: analysis.stats.modularity,
+            communities: analysis.stats.communities,
+            topInfluence: analysis.stats.topInfluence.map(concept),
+            topics: topics.filter(Boolean)
+        };
+    }
+}
+
+// The settings don't make a timeline
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'invalid_request';
+    return error;
+}
+
+function concept(node) {
+    return { id: node.id, label: node.label };
+}
+
+// The start of the day, week (Monday) or month after this time in ms, in UTC
+function nextBoundary(time, interval) {
+    const date = new Date(time);
+    const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+    if (interval === 'day') return day + DAY;
+
+    if (interval === 'week') return day + (8 - (date.getUTCDay() || 7)) * DAY;
+
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+}
+
+// Create singleton instance
+const graphTimeline = new GraphTimeline();
+
+module.exports = {
+    graphTimeline,
+    GraphTimeline,
+    INTERVALS
+};
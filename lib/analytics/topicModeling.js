@@ -0,0 +1,304 @@
+/**
+ * Topic Modeling
+ *
+ * Latent Dirichlet Allocation over the concepts of the statements, the ones
+ * extractConcepts found with the stopwords and the lemmatization of the user
+ * (see lib/middleware/validate.js), so the topics speak the language of the
+ * graph. The collapsed Gibbs sampler is seeded and averages the samples after
+ * the burn-in, so the same statements and settings always give the same topics.
+ * Every statement gets its most likely topic, and the topics are compared with
+ * the Louvain communities of the graph.
+ */
+
+const { graphAnalytics, round } = require('./graphAnalytics');
+
+class TopicModeling {
+    constructor(analytics = graphAnalytics, options = {}) {
+        this.analytics = analytics;
+        this.options = {
+            topics: options.topics || 4,
+            terms: options.terms || 5,
+            iterations: options.iterations || 1000,
+            maxTopics: options.maxTopics || 20,
+            maxTerms: options.maxTerms || 20,
+            maxIterations: options.maxIterations || 5000,
+            alpha: options.alpha || 0.1, // Per statement distributions over the topics
+            beta: options.beta || 0.01, // Per topic distributions over the concepts
+            seed: options.seed || 123,
+            thin: options.thin || 10, // Every how many iterations after the burn-in a sample is taken
+            ...options
+        };
+    }
+
+    /**
+     * The topics of the statements
+     *
+     * @param {Array<Object>} statements - {uid, concepts} as in Entry.getConcepts
+     * @param {Object} settings - topics (how many), terms (per topic), iterations and seed
+     * @param {Object} graph - Graph in the format of Entry.getNodes to compare the topics with its communities, optional
+     * @returns {Object} - settings, topics ({topic, weight, terms: [{term, probability}], statements}), statements
+     *                     ({uid, topic, probability}) and communities ({agreement, topics: [{topic, community, overlap}]})
+     *                     or null without the graph
+     * @throws {Error} - With the code 'invalid_request' if a setting is out of its range
+     */
+    model(statements, settings = {}, graph = null) {
+        const { alpha, beta, thin } = this.options;
+        const topics = this._setting(settings, 'topics', 1, this.options.maxTopics);
+        const terms = this._setting(settings, 'terms', 1, this.options.maxTerms);
+        const iterations = this._setting(settings, 'iterations', thin, this.options.maxIterations);
+        const seed = settings.seed !== undefined ? settings.seed : this.options.seed;
+
+        // Every statement as the indices of its concepts in the vocabulary
+        const vocabulary = [];
+        const indices = new Map();
+        const documents = [];
+
+        statements.forEach(statement => {
+            const words = Array.from(new Set(statement.concepts || []))
+                .filter(Boolean)
+                .map(concept => {
+                    if (!indices.has(concept)) {
+                        indices.set(concept, vocabulary.length);
+                        vocabulary.push(concept);
+                    }
+                    return indices.get(concept);
+                });
+
+            if (words.length) documents.push({ uid: statement.uid, words });
+        });
+
+        const result = { settings: { topics, terms, iterations, seed }, topics: [], statements: [], communities: null };
+
+        if (!documents.length) return result;
+
+        const { phi, theta } = this._sample(
+            documents.map(document => document.words),
+            vocabulary.length,
+            topics,
+            iterations,
+            alpha,
+            beta,
+            seed
+        );
+
+        // The topics with the most statements first
+        const weights = phi.map((row, k) => theta.reduce((total, statement) => total + statement[k], 0) / documents.length);
+        const order = weights.map((weight, k) => k).sort((a, b) => weights[b] - weights[a] || a - b);
+        const rank = new Map(order.map((k, i) => [k, i]));
+
+        result.statements = documents.map((document, d) => {
+            const best = theta[d].reduce((top, probability, k) => (probability > theta[d][top] ? k : top), 0);
+            return { uid: document.uid, topic: rank.get(best), probability: round(theta[d][best], 3) };
+        });
+
+        result.topics = order.map((k, i) => ({
+            topic: i,
+            weight: round(weights[k], 3),
+            terms: phi[k]
+                .map((probability, w) => ({ term: vocabulary[w], probability }))
+                .sort((a, b) => b.probability - a.probability || compareTerms(a, b))
+                .slice(0, terms)
+                .map(term => ({ term: term.term, probability: round(term.probability, 3) })),
+            statements: result.statements.filter(statement => statement.topic === i).length
+        }));
+
+        if (graph) result.communities = this._compare(result.topics, phi, order, weights, vocabulary, graph);
+
+        return result;
+    }
+
+    /**
+     * Collapsed Gibbs sampling, the averages of phi (topics over the concepts)
+     * and theta (statements over the topics) from the second half of the iterations
+     *
+     * @private
+     */
+    _sample(documents, V, K, iterations, alpha, beta, seed) {
+        const random = seeded(seed);
+        const nw = new Float64Array(V * K); // Concept w in topic k
+        const nwsum = new Float64Array(K);
+        const nd = documents.map(() => new Float64Array(K)); // Concepts of statement d in topic k
+        const z = documents.map(words => words.map(() => 0));
+        const p = new Float64Array(K);
+
+        documents.forEach((words, d) => {
+            words.forEach((w, i) => {
+                const k = Math.floor(random() * K);
+                z[d][i] = k;
+                nw[w * K + k]++;
+                nwsum[k]++;
+                nd[d][k]++;
+            });
+        });
+
+        const phi = Array.from({ length: K }, () => new Float64Array(V));
+        const theta = documents.map(() => new Float64Array(K));
+        const burnIn = Math.floor(iterations / 2);
+        let samples = 0;
+
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            documents.forEach((words, d) => {
+                words.forEach((w, i) => {
+                    let k = z[d][i];
+
+                    nw[w * K + k]--;
+                    nwsum[k]--;
+                    nd[d][k]--;
+
+                    let total = 0;
+
+                    for (k = 0; k < K; k++) {
+                        total += ((nw[w * K + k] + beta) / (nwsum[k] + V * beta)) * (nd[d][k] + alpha);
+                        p[k] = total;
+                    }
+
+                    const u = random() * total;
+
+                    for (k = 0; k < K - 1 && p[k] < u; k++);
+
+                    z[d][i] = k;
+                    nw[w * K + k]++;
+                    nwsum[k]++;
+                    nd[d][k]++;
+                });
+            });
+
+            if (iteration < burnIn || (iteration - burnIn) % this.options.thin !== 0) continue;
+
+            for (let k = 0; k < K; k++) {
+                for (let w = 0; w < V; w++) {
+                    phi[k][w] += (nw[w * K + k] + beta) / (nwsum[k] + V * beta);
+                }
+            }
+
+            documents.forEach((words, d) => {
+                for (let k = 0; k < K; k++) {
+                    theta[d][k] += (nd[d][k] + alpha) / (words.length + K * alpha);
+                }
+            });
+
+            samples++;
+        }
+
+        return {
+            phi: phi.map(row => Array.from(row, value => value / samples)),
+            theta: theta.map(row => Array.from(row, value => value / samples))
+        };
+    }
+
+    /**
+     * How the topics match the Louvain communities of the graph: for every topic the community
+     * that has the most of its terms (by their probability) and, for all of them, the normalized
+     * mutual information of the most likely topic and the community of every concept in the graph
+     *
+     * @private
+     */
+    _compare(topics, phi, order, weights, vocabulary, graph) {
+        const communities = new Map(this.analytics.analyze(graph).nodes.map(node => [node.label, node.community]));
+
+        const matches = topics.map((topic, i) => {
+            const mass = new Map();
+            let total = 0;
+
+            topic.terms.forEach(term => {
+                if (!communities.has(term.term)) return;
+                mass.set(communities.get(term.term), (mass.get(communities.get(term.term)) || 0) + term.probability);
+                total += term.probability;
+            });
+
+            let community = null;
+
+            mass.forEach((value, c) => {
+                if (community === null || value > mass.get(community) || (value === mass.get(community) && c < community)) community = c;
+            });
+
+            return { topic: i, community, overlap: total ? round(mass.get(community) / total, 3) : 0 };
+        });
+
+        const pairs = [];
+
+        vocabulary.forEach((concept, w) => {
+            if (!communities.has(concept)) return;
+
+            // The topic most likely to have produced this concept
+            const topic = order.reduce((best, k, i) => (phi[k][w] * weights[k] > phi[order[best]][w] * weights[order[best]] ? i : best), 0);
+
+            pairs.push([topic, communities.get(concept)]);
+        });
+
+        return { agreement: round(nmi(pairs), 3), concepts: pairs.length, topics: matches };
+    }
+
+    /**
+     * @private
+     */
+    _setting(settings, name, min, max) {
+        const value = settings[name] !== undefined ? settings[name] : this.options[name];
+
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw invalid(`${name} should be a whole number from ${min} to ${max}.`);
+        }
+
+        return value;
+    }
+}
+
+// The settings don't make a model
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'invalid_request';
+    return error;
+}
+
+// Mulberry32, the same numbers for the same seed
+function seeded(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Normalized mutual information of two labelings, [[a, b]] for every item
+function nmi(pairs) {
+    const n = pairs.length;
+
+    if (!n) return 0;
+
+    const count = values => values.reduce((counts, value) => counts.set(value, (counts.get(value) || 0) + 1), new Map());
+    const entropy = counts => Array.from(counts.values()).reduce((total, c) => total - (c / n) * Math.log(c / n), 0);
+
+    const first = count(pairs.map(pair => pair[0]));
+    const second = count(pairs.map(pair => pair[1]));
+    const joint = count(pairs.map(pair => pair[0] + ' ' + pair[1]));
+
+    let information = 0;
+
+    joint.forEach((c, key) => {
+        const [a, b] = key.split(' ');
+        information += (c / n) * Math.log((c * n) / (first.get(Number(a)) * second.get(Number(b))));
+    });
+
+    const h = entropy(first) + entropy(second);
+
+    // Both labelings put everything together
+    if (!h) return 1;
+
+    return (2 * information) / h;
+}
+
+function compareTerms(a, b) {
+    return a.term < b.term ? -1 : a.term > b.term ? 1 : 0;
+}
+
+// Create singleton instance
+const topicModeling = new TopicModeling();
+
+module.exports = {
+    topicModeling,
+    TopicModeling
+};
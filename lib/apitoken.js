@@ -0,0 +1,204 @@
+/**
+ * InfraNodus is a lightweight interface to graph databases.
+ *
+ * This open source, free software is available under MIT license.
+ * It is provided as is, with no guarantees and no liabilities.
+ * You are very welcome to reuse this code if you keep this notice.
+ *
+ * Written by Dmitry Paranyushkin | Nodus Labs and hopefully you also...
+ * www.noduslabs.com | info AT noduslabs DOT com
+ *
+ */
+
+/**
+ *
+ * Personal API tokens, so scripts can use the /api routes without the
+ * account password. A token is shown once when it's created, we only keep
+ * its SHA-256 hash. A 'read' token can only GET, a 'write' one can also add
+ * and delete, and a token can be limited to some of the user's contexts.
+ *
+ */
+
+var crypto = require('crypto')
+
+var uuid = require('node-uuid')
+
+var Query = require('./db/query')
+
+var User = require('./user')
+
+module.exports = ApiToken
+
+function ApiToken(obj) {
+    for (var key in obj) {
+        this[key] = obj[key]
+    }
+}
+
+ApiToken.SCOPES = ['read', 'write']
+
+// Every token starts with this, so it's easy to find one that leaked into a repository
+ApiToken.PREFIX = 'inx_'
+
+// The HTTP methods a read-only token can use
+var READ_METHODS = ['GET', 'HEAD', 'OPTIONS']
+
+ApiToken.hash = function(token) {
+    return crypto
+        .createHash('sha256')
+        .update(String(token))
+        .digest('hex')
+}
+
+// Create a token for a user. The callback gets the token itself, it's the only time anyone sees it.
+// contexts is a list of context names the token is limited to, empty for all of them.
+
+ApiToken.create = function(user_id, name, scope, contexts, fn) {
+    if (ApiToken.SCOPES.indexOf(scope) < 0) {
+        return fn(new Error('The scope should be one of ' + ApiToken.SCOPES))
+    }
+
+    var secret = ApiToken.PREFIX + crypto.randomBytes(24).toString('hex')
+
+    var token = new ApiToken({
+        uid: uuid.v1(),
+        name: String(name || 'API token').substr(0, 100),
+        scope: scope,
+        contexts: ApiToken.parseContexts(contexts),
+        // The beginning of the token, to tell the tokens apart on the settings page
+        start: secret.substr(0, ApiToken.PREFIX.length + 4),
+        created: new Date().getTime(),
+    })
+
+    var createQuery = new Query(
+        'MATCH (u:User{uid:$userId}) ' +
+            'CREATE (t:ApiToken{uid:$uid, name:$name, scope:$scope, contexts:$contexts, start:$start, created:$created, hash:$hash})-[:BY]->(u) ' +
+            'RETURN t.uid;',
+        {
+            userId: user_id,
+            uid: token.uid,
+            name: token.name,
+            scope: token.scope,
+            contexts: token.contexts,
+            start: token.start,
+            created: token.created,
+            hash: ApiToken.hash(secret),
+        }
+    )
+
+    Query.run(createQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        if (!answer.data[0]) return fn(new Error('We did not find this user'))
+
+        token.token = secret
+
+        fn(null, token)
+    })
+}
+
+// The tokens of a user without their hashes, the latest first
+
+ApiToken.list = function(user_id, fn) {
+    var listQuery = new Query(
+        'MATCH (t:ApiToken)-[:BY]->(u:User{uid:$userId}) ' +
+            'RETURN t ORDER BY t.created DESC;',
+        { userId: user_id }
+    )
+
+    Query.run(listQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        fn(
+            null,
+            answer.data.map(function(token) {
+                return new ApiToken(token)
+            })
+        )
+    })
+}
+
+// Revoke a token, the callback gets its uid or null if the user has no such token
+
+ApiToken.revoke = function(user_id, token_id, fn) {
+    var revokeQuery = new Query(
+        'MATCH (t:ApiToken{uid:$tokenId})-[:BY]->(u:User{uid:$userId}) ' +
+            'WITH DISTINCT t, t.uid AS uid DETACH DELETE t ' +
+            'RETURN uid;',
+        { tokenId: token_id, userId: user_id }
+    )
+
+    Query.run(revokeQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        fn(null, answer.data[0] || null)
+    })
+}
+
+// Find the user a token belongs to. The callback gets the user and the token, or nothing if the token is not valid.
+
+ApiToken.authenticate = function(secret, fn) {
+    if (!secret || String(secret).indexOf(ApiToken.PREFIX) !== 0) {
+        return fn(null, null)
+    }
+
+    var tokenQuery = new Query(
+        'MATCH (t:ApiToken{hash:$hash})-[:BY]->(u:User) ' +
+            'SET t.used = $used ' +
+            'RETURN t, u;',
+        { hash: ApiToken.hash(secret), used: new Date().getTime() }
+    )
+
+    Query.run(tokenQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        if (!answer.data[0]) return fn(null, null)
+
+        fn(null, new User(answer.data[0][1]), new ApiToken(answer.data[0][0]))
+    })
+}
+
+// Context names come comma or space separated from the settings form and only have word characters, see validate.getContextID
+
+ApiToken.parseContexts = function(contexts) {
+    if (!contexts) return []
+
+    if (!Array.isArray(contexts)) contexts = String(contexts).split(/[\s,;]+/)
+
+    return contexts
+        .map(function(context) {
+            return String(context).replace(/[^\w]/gi, '')
+        })
+        .filter(function(context, i, all) {
+            return context && all.indexOf(context) == i
+        })
+}
+
+// Can the token make a request with this HTTP method?
+
+ApiToken.prototype.allowsMethod = function(method) {
+    return (
+        this.scope == 'write' ||
+        READ_METHODS.indexOf(String(method).toUpperCase()) >= 0
+    )
+}
+
+// Can the token access this context?
+
+ApiToken.prototype.allowsContext = function(context) {
+    if (!this.contexts || this.contexts.length == 0) return true
+
+    return this.contexts.indexOf(ApiToken.parseContexts([context])[0]) >= 0
+}
+
+ApiToken.prototype.toJSON = function() {
+    return {
+        uid: this.uid,
+        name: this.name,
+        scope: this.scope,
+        contexts: this.contexts || [],
+        start: this.start,
+        created: this.created,
+        used: this.used || null,
+    }
+}
@@ -0,0 +1,393 @@
+/**
+ * InfraNodus is a lightweight interface to graph databases.
+ *
+ * This open source, free software is available under MIT license.
+ * It is provided as is, with no guarantees and no liabilities.
+ * You are very welcome to reuse this code if you keep this notice.
+ *
+ * Written by Dmitry Paranyushkin | Nodus Labs and hopefully you also...
+ * www.noduslabs.com | info AT noduslabs DOT com
+ *
+ */
+
+/**
+ *
+ * Portable archive of a context: its statements, concepts and every TO, AT
+ * and OF edge with the weight, gapscan and timestamp they were saved with.
+ * Unlike the GEXF / CSV exports it's the data itself, not the rendered top-N
+ * graph, so it can be imported back for another user or on another instance.
+ *
+ */
+
+var uuid = require('node-uuid')
+
+var async = require('async')
+
+var Query = require('./db/query')
+var Sentiment = require('./tools/sentiment')
+
+module.exports = Archive
+
+function Archive() {}
+
+Archive.FORMAT = 'infranodus-archive'
+Archive.VERSION = 1
+
+// Collect everything in one of the user's contexts
+
+Archive.export = function(user_id, context_name, fn) {
+    var contextQuery = new Query(
+        'MATCH (ctx:Context{name:$context})-[:BY]->(u:User{uid:$userId}) ' +
+            'WHERE ctx.trashed IS NULL ' +
+            'RETURN DISTINCT ctx.uid, ctx.name, ctx.public, ctx.timestamp;',
+        { context: context_name, userId: user_id }
+    )
+
+    Query.run(contextQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        if (!answer.data[0]) return fn(null, null)
+
+        var context = {
+            uid: answer.data[0][0],
+            name: answer.data[0][1],
+            public: answer.data[0][2],
+            timestamp: answer.data[0][3],
+        }
+
+        var edgesQuery = new Query()
+
+        edgesQuery.add(
+            'CALL apoc.index.relationships(' +
+                "'TO', " +
+                edgesQuery.lucene('context', context.uid) +
+                ') ' +
+                'YIELD rel, start, end WITH DISTINCT rel, start, end ' +
+                'RETURN start.name, end.name, rel.statement, rel.timestamp, rel.weight, rel.gapscan ' +
+                'ORDER BY rel.timestamp ASC;'
+        )
+
+        async.series(
+            {
+                statements: runQuery(
+                    'MATCH (s:Statement)-[:IN]->(ctx:Context{uid:$contextId}) ' +
+                        'WHERE s.trashed IS NULL ' +
+                        'RETURN DISTINCT s.uid, s.name, s.text, s.timestamp ' +
+                        'ORDER BY s.timestamp ASC;',
+                    context.uid
+                ),
+                at: runQuery(
+                    'MATCH (c:Concept)-[at:AT]->(ctx:Context{uid:$contextId}) ' +
+                        'RETURN c.name, at.statement, at.timestamp ' +
+                        'ORDER BY at.timestamp ASC;',
+                    context.uid
+                ),
+                of: runQuery(
+                    'MATCH (c:Concept)-[of:OF]->(s:Statement)-[:IN]->(ctx:Context{uid:$contextId}) ' +
+                        'WHERE of.context = ctx.uid AND s.trashed IS NULL ' +
+                        'RETURN DISTINCT c.name, s.uid, of.timestamp ' +
+                        'ORDER BY of.timestamp ASC;',
+                    context.uid
+                ),
+                to: function(callback) {
+                    Query.run(edgesQuery, callback)
+                },
+            },
+            function(err, results) {
+                if (err) return fn(err)
+
+                fn(null, buildArchive(context, results))
+            }
+        )
+    })
+}
+
+// Something that came from outside should look like an archive before we import it. Returns the reason if it doesn't.
+
+Archive.validate = function(archive) {
+    if (!archive || archive.format != Archive.FORMAT) {
+        return 'This is not an InfraNodus archive.'
+    }
+
+    if (archive.version > Archive.VERSION) {
+        return (
+            'This archive was made by a newer version (' +
+            archive.version +
+            '), please, update first.'
+        )
+    }
+
+    if (!archive.context || !archive.context.name) {
+        return 'The archive does not say what context it is for.'
+    }
+
+    var lists = ['statements', 'concepts', 'edges']
+
+    for (var i = 0; i < lists.length; i++) {
+        if (!Array.isArray(archive[lists[i]])) {
+            return 'The archive has no ' + lists[i] + '.'
+        }
+    }
+
+    var statements = {}
+    var concepts = {}
+
+    archive.concepts.forEach(function(concept) {
+        concepts[conceptName(concept)] = true
+    })
+
+    for (var s = 0; s < archive.statements.length; s++) {
+        var statement = archive.statements[s]
+
+        if (!statement.uid || typeof statement.text !== 'string') {
+            return 'Statement ' + (s + 1) + ' in the archive has no ID or text.'
+        }
+
+        statements[statement.uid] = true
+    }
+
+    for (var e = 0; e < archive.edges.length; e++) {
+        var edge = archive.edges[e]
+
+        if (['TO', 'AT', 'OF'].indexOf(edge.type) < 0) {
+            return (
+                'Edge ' +
+                (e + 1) +
+                ' in the archive is not a TO, AT or OF edge.'
+            )
+        }
+
+        if (
+            !concepts[edge.source] ||
+            (edge.type == 'TO' && !concepts[edge.target])
+        ) {
+            return (
+                'Edge ' +
+                (e + 1) +
+                ' in the archive links a concept that is not there.'
+            )
+        }
+
+        // The edges of a single @mention are saved without a statement
+        if (
+            (edge.statement || edge.type == 'OF') &&
+            !statements[edge.statement]
+        ) {
+            return (
+                'Edge ' +
+                (e + 1) +
+                ' in the archive belongs to a statement that is not there.'
+            )
+        }
+    }
+
+    return null
+}
+
+// Recreate an archived context for the user. The context and its statements get new IDs,
+// concepts are merged with the ones that already exist, like they are when a statement is added.
+
+Archive.import = function(user_id, archive, context_name, fn) {
+    // Same rule validate.getContextID uses for context names
+    var name = (context_name || archive.context.name).replace(/[^\w]/gi, '')
+
+    var existsQuery = new Query(
+        'MATCH (ctx:Context{name:$context})-[:BY]->(u:User{uid:$userId}) ' +
+            'WHERE ctx.trashed IS NULL ' +
+            'RETURN count(ctx);',
+        { context: name, userId: user_id }
+    )
+
+    Query.run(existsQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        // We don't mix an archive into a context that's already there
+        if (answer.data[0] > 0) return fn(null, null)
+
+        var context = {
+            uid: uuid.v1(),
+            name: name,
+        }
+
+        var statement_ids = {}
+
+        var statements = archive.statements.map(function(statement) {
+            statement_ids[statement.uid] = uuid.v1()
+
+            // Scored again, the way the submitted statements are, see lib/tools/sentiment.js
+            var scores = Sentiment.score(statement.text)
+
+            return {
+                uid: statement_ids[statement.uid],
+                name: statement.name || '',
+                text: statement.text,
+                timestamp: statement.timestamp,
+                sentiment: scores.sentiment,
+                emotions: scores.emotions,
+            }
+        })
+
+        var edges = { TO: [], AT: [], OF: [] }
+
+        archive.edges.forEach(function(edge) {
+            edges[edge.type].push({
+                source: edge.source,
+                target: edge.target,
+                statement: statement_ids[edge.statement],
+                timestamp: edge.timestamp,
+                weight: edge.weight,
+                gapscan: edge.gapscan,
+            })
+        })
+
+        var params = {
+            userId: user_id,
+            contextId: context.uid,
+        }
+
+        var import_query = []
+
+        import_query[0] = new Query(
+            'MATCH (u:User{uid:$userId}) ' +
+                'CREATE (ctx:Context {name:$name, by:u.uid, uid:$contextId, timestamp:$timestamp, public:$public}) ' +
+                'CREATE (ctx)-[:BY {context:ctx.uid}]->(u);',
+            Object.assign(
+                {
+                    name: context.name,
+                    timestamp:
+                        archive.context.timestamp ||
+                        new Date().getTime() * 10000,
+                    public: archive.context.public || null,
+                },
+                params
+            )
+        )
+
+        import_query[1] = new Query(
+            'MATCH (u:User{uid:$userId}), (ctx:Context{uid:$contextId}) ' +
+                'UNWIND $statements AS statement ' +
+                'CREATE (s:Statement {name:statement.name, text:statement.text, uid:statement.uid, timestamp:statement.timestamp, sentiment:statement.sentiment, emotions:statement.emotions}) ' +
+                'CREATE (s)-[:BY {context:ctx.uid, timestamp:s.timestamp}]->(u) ' +
+                'CREATE (s)-[:IN {user:u.uid, timestamp:s.timestamp}]->(ctx);',
+            Object.assign({ statements: statements }, params)
+        )
+
+        import_query[2] = new Query(
+            'UNWIND $concepts AS conceptName ' +
+                'MERGE (c:Concept {name:conceptName}) ON CREATE SET c.uid = apoc.create.uuid();',
+            { concepts: archive.concepts.map(conceptName) }
+        )
+
+        import_query[3] = new Query(
+            'MATCH (u:User{uid:$userId}), (ctx:Context{uid:$contextId}) ' +
+                'UNWIND $edges AS edge ' +
+                'MATCH (c:Concept{name:edge.source}), (s:Statement{uid:edge.statement}) ' +
+                'CREATE (c)-[:OF {context:ctx.uid, user:u.uid, timestamp:edge.timestamp}]->(s) ' +
+                'CREATE (c)-[:BY {context:ctx.uid, timestamp:edge.timestamp, statement:s.uid}]->(u);',
+            Object.assign({ edges: edges.OF }, params)
+        )
+
+        import_query[4] = new Query(
+            'MATCH (u:User{uid:$userId}), (ctx:Context{uid:$contextId}) ' +
+                'UNWIND $edges AS edge ' +
+                'MATCH (c:Concept{name:edge.source}) ' +
+                'CREATE (c)-[:AT {user:u.uid, timestamp:edge.timestamp, context:ctx.uid, statement:edge.statement}]->(ctx);',
+            Object.assign({ edges: edges.AT }, params)
+        )
+
+        import_query[5] = new Query(
+            'MATCH (u:User{uid:$userId}), (ctx:Context{uid:$contextId}) ' +
+                'UNWIND $edges AS edge ' +
+                'MATCH (c_from:Concept{name:edge.source}), (c_to:Concept{name:edge.target}) ' +
+                'CREATE (c_from)-[:TO {context:ctx.uid, statement:edge.statement, user:u.uid, timestamp:edge.timestamp, uid:apoc.create.uuid(), gapscan:edge.gapscan, weight:edge.weight}]->(c_to);',
+            Object.assign({ edges: edges.TO }, params)
+        )
+
+        Query.transaction(import_query, function(err) {
+            if (err) return fn(err)
+
+            fn(null, {
+                context: context,
+                statements: statements.length,
+                concepts: archive.concepts.length,
+                edges: archive.edges.length,
+            })
+        })
+    })
+}
+
+// A task for async.series that runs a query for the context
+
+function runQuery(cypher, context_id) {
+    return function(callback) {
+        Query.run(new Query(cypher, { contextId: context_id }), callback)
+    }
+}
+
+function conceptName(concept) {
+    return typeof concept === 'string' ? concept : concept.name
+}
+
+function buildArchive(context, results) {
+    var concepts = {}
+
+    var edges = []
+
+    results.at.data.forEach(function(row) {
+        concepts[row[0]] = true
+        edges.push({
+            type: 'AT',
+            source: row[0],
+            statement: row[1],
+            timestamp: row[2],
+        })
+    })
+
+    results.of.data.forEach(function(row) {
+        concepts[row[0]] = true
+        edges.push({
+            type: 'OF',
+            source: row[0],
+            target: row[1],
+            statement: row[1],
+            timestamp: row[2],
+        })
+    })
+
+    results.to.data.forEach(function(row) {
+        concepts[row[0]] = true
+        concepts[row[1]] = true
+        edges.push({
+            type: 'TO',
+            source: row[0],
+            target: row[1],
+            statement: row[2],
+            timestamp: row[3],
+            weight: row[4],
+            gapscan: row[5],
+        })
+    })
+
+    return {
+        format: Archive.FORMAT,
+        version: Archive.VERSION,
+        exported: new Date().toISOString(),
+        context: {
+            name: context.name,
+            public: context.public,
+            timestamp: context.timestamp,
+        },
+        statements: results.statements.data.map(function(row) {
+            return {
+                uid: row[0],
+                name: row[1],
+                text: row[2],
+                timestamp: row[3],
+            }
+        }),
+        concepts: Object.keys(concepts).map(function(name) {
+            return { name: name }
+        }),
+        edges: edges,
+    }
+}
@@ -14,6 +14,10 @@ const logger = require('../log/logger');
 const { TFEmbeddingsService } = require('../exponential/tfEmbeddings');
 const { knowledgeExpansion } = require('../exponential/knowledgeExpansion');
 const { NeuralMindMap } = require('../exponential/neuralMindMap');
+const PersistentMap = require('../db/persistentMap');
+
+// A scan is still running in these, a restart interrupts it
+const RUNNING = ['initializing', 'scanning', 'processing'];
 
 class FileSystemConnector {
     constructor(options = {}) {
@@ -34,7 +38,7 @@ class FileSystemConnector {
         };
 
         this.events = new EventEmitter();
-        this.activeScans = new Map();
+        this.activeScans = new PersistentMap('file-scans'); // Kept in the state store, see restore()
         this.fileMetadataCache = new Map();
         this.photoprismClient = null;
 
@@ -54,6 +58,27 @@ class FileSystemConnector {
         }
     }
 
+    /**
+     * Get back the scans of before a restart, the ones it interrupted fail
+     * 
+     * @returns {Promise<number>} - How many scans were restored
+     */
+    async restore() {
+        const restored = await this.activeScans.load();
+
+        for (const [scanId, job] of this.activeScans) {
+            if (RUNNING.includes(job.status)) {
+                job.status = 'failed';
+                job.error = 'The scan was interrupted by a restart, please start it again';
+                job.lastUpdateTime = new Date();
+                this.activeScans.save(scanId);
+            }
+        }
+
+        logger.info(`Restored ${restored} file scan jobs`);
+        return restored;
+    }
+
     /**
      * Scan a directory and create a neural mind map from its contents
      * 
@@ -111,6 +136,7 @@ class FileSystemConnector {
                 job.status = 'failed';
                 job.error = error.message;
                 job.lastUpdateTime = new Date();
+                this.activeScans.save(scanId);
             }
 
             this.events.emit('scanFailed', {
@@ -188,6 +214,7 @@ class FileSystemConnector {
                 job.status = 'failed';
                 job.error = error.message;
                 job.lastUpdateTime = new Date();
+                this.activeScans.save(scanId);
             }
 
             this.events.emit('scanFailed', {
@@ -403,6 +430,7 @@ class FileSystemConnector {
             job.status = 'scanning';
             job.progress = 5;
             job.lastUpdateTime = new Date();
+            this.activeScans.save(scanId);
 
             // Emit event for progress tracking
             this.events.emit('scanProgress', {
@@ -423,6 +451,7 @@ class FileSystemConnector {
 
             job.progress = 10;
             job.lastUpdateTime = new Date();
+            this.activeScans.save(scanId);
             this.events.emit('scanProgress', {
                 scanId,
                 status: job.status,
@@ -437,6 +466,7 @@ class FileSystemConnector {
                 job.filesScanned = filesScanned;
                 job.progress = 10 + Math.floor(70 * (filesScanned / job.filesTotal));
                 job.lastUpdateTime = new Date();
+                this.activeScans.save(scanId);
 
                 this.events.emit('scanProgress', {
                     scanId,
@@ -451,6 +481,7 @@ class FileSystemConnector {
             job.status = 'processing';
             job.progress = 80;
             job.lastUpdateTime = new Date();
+            this.activeScans.save(scanId);
 
             this.events.emit('scanProgress', {
                 scanId,
@@ -473,6 +504,7 @@ class FileSystemConnector {
             job.status = 'completed';
             job.progress = 100;
             job.lastUpdateTime = new Date();
+            this.activeScans.save(scanId);
 
             // Emit completion event
             this.events.emit('scanCompleted', {
@@ -493,6 +525,7 @@ class FileSystemConnector {
             job.status = 'failed';
             job.error = error.message;
             job.lastUpdateTime = new Date();
+            this.activeScans.save(scanId);
             throw error;
         }
     }
@@ -518,6 +551,7 @@ class FileSystemConnector {
             job.status = 'scanning';
             job.progress = 10;
             job.lastUpdateTime = new Date();
+            this.activeScans.save(scanId);
 
             this.events.emit('scanProgress', {
                 scanId,
@@ -542,6 +576,7 @@ class FileSystemConnector {
             job.filesTotal = photos.length;
             job.progress = 30;
             job.lastUpdateTime = new Date();
+            this.activeScans.save(scanId);
 
             this.events.emit('scanProgress', {
                 scanId,
@@ -559,6 +594,7 @@ class FileSystemConnector {
 
             job.progress = 50;
             job.lastUpdateTime = new Date();
+            this.activeScans.save(scanId);
 
             // Process photos in batches to extract details
             const processedPhotos = [];
@@ -577,6 +613,7 @@ class FileSystemConnector {
                 job.filesScanned = i + batch.length;
                 job.progress = 50 + Math.floor(30 * (job.filesScanned / job.filesTotal));
                 job.lastUpdateTime = new Date();
+                this.activeScans.save(scanId);
 
                 this.events.emit('scanProgress', {
                     scanId,
@@ -591,6 +628,7 @@ class FileSystemConnector {
             job.status = 'processing';
             job.progress = 80;
             job.lastUpdateTime = new Date();
+            this.activeScans.save(scanId);
 
             this.events.emit('scanProgress', {
                 scanId,
@@ -614,6 +652,7 @@ class FileSystemConnector {
             job.status = 'completed';
             job.progress = 100;
             job.lastUpdateTime = new Date();
+            this.activeScans.save(scanId);
 
             // Emit completion event
             this.events.emit('scanCompleted', {
@@ -633,6 +672,7 @@ class FileSystemConnector {
             job.status = 'failed';
             job.error = error.message;
             job.lastUpdateTime = new Date();
+            this.activeScans.save(scanId);
             throw error;
         }
     }
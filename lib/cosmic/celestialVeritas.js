@@ -10,6 +10,7 @@ const EventEmitter = require('events');
 const logger = require('../log/logger');
 const { cosmicSymphony } = require('./symphonyProgression');
 const { memoryProtection } = require('../utils/memoryProtection');
+const { graphAnalytics } = require('../analytics/graphAnalytics');
 
 class CelestialVeritas {
     constructor(options = {}) {
@@ -80,6 +81,11 @@ class CelestialVeritas {
             truthCount: celestialTruths.length,
             contradictionCount: shadowContradictions.length,
             resolutionCount: shadowResolutions.length,
+            latentConnections: latentConnections.slice(0, 5).map(connection => ({
+                source: connection.source.label,
+                target: connection.target.label,
+                strength: connection.strength
+            })),
             celestialTruths: celestialTruths.map(truth => ({
                 id: truth.id,
                 insight: truth.insight,
@@ -316,16 +322,19 @@ class CelestialVeritas {
      * @returns {Array} - Latent connections
      */
     _identifyLatentConnections(graph) {
-        // Identify connections that should exist but don't
-        // Based on semantic similarity, structural holes, etc.
-
-        // Simplified placeholder implementation
-        const latentConnections = [];
-
-        // In a real implementation, this would perform advanced
-        // analysis to find potential missing connections
-
-        return latentConnections;
+        // The connections that should exist but don't are the bridges
+        // over the structural gaps between the topics of the graph
+        const { gaps } = graphAnalytics.structuralGaps(graph);
+
+        return gaps.flatMap(gap =>
+            gap.bridges.map(bridge => ({
+                source: bridge.source,
+                target: bridge.target,
+                communities: gap.communities,
+                strength: bridge.score * gap.gap,
+                gapScore: gap.score
+            }))
+        );
     }
 
     /**
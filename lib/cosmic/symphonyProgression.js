@@ -35,15 +35,16 @@ class CosmicSymphony {
      * @param {string} userId - User ID
      * @param {string} contextName - Context name
      * @param {object} graph - Graph data to analyze
+     * @param {object} timeline - Snapshots of the graph over time from entryService.getTimeline, if there are
      * @returns {object} - Cosmic symphony analysis results
      */
-    analyzeCosmicSymphony(userId, contextName, graph) {
+    analyzeCosmicSymphony(userId, contextName, graph, timeline) {
         logger.info(`Analyzing cosmic symphony for ${userId}:${contextName}`);
 
         const key = `${userId}:${contextName}`;
 
         // Extract temporal data from graph
-        const temporalData = this._extractTemporalData(graph);
+        const temporalData = this._extractTemporalData(graph, timeline);
 
         // Identify harmonic resonances between concepts
         const resonances = this._identifyHarmonicResonances(graph);
@@ -223,11 +224,10 @@ class CosmicSymphony {
      * 
      * @private
      * @param {object} graph - Graph to analyze
+     * @param {object} timeline - Snapshots of the graph, see lib/analytics/graphTimeline.js
      * @returns {object} - Temporal data extracted from the graph
      */
-    _extractTemporalData(graph) {
-        // Implementation would extract timestamps and order information
-        // from nodes and edges in the graph
+    _extractTemporalData(graph, timeline) {
         const temporalData = {
             nodeTimestamps: {},
             edgeTimestamps: {},
@@ -235,8 +235,42 @@ class CosmicSymphony {
             temporalClusters: []
         };
 
-        // In a real implementation, this would process the graph data
-        // to extract temporal information
+        if (!timeline) return temporalData;
+
+        const times = new Map(timeline.statements.map(statement => [statement.uid, statement.timestamp]));
+
+        // An edge appears with the first statement it comes from, a node with its first edge
+        graph.edges.forEach(edge => {
+            let first = null;
+
+            Object.values(edge.context_matrix || {}).forEach(statements => {
+                Object.keys(statements).forEach(statement => {
+                    const time = times.get(statement);
+                    if (time !== undefined && (first === null || time < first)) first = time;
+                });
+            });
+
+            if (first === null) return;
+
+            temporalData.edgeTimestamps[edge.id] = first;
+
+            [edge.source, edge.target].forEach(node => {
+                if (temporalData.nodeTimestamps[node] === undefined || first < temporalData.nodeTimestamps[node]) {
+                    temporalData.nodeTimestamps[node] = first;
+                }
+            });
+        });
+
+        timeline.snapshots.forEach(snapshot => {
+            temporalData.conceptEvolution.push({
+                until: snapshot.until,
+                nodes: snapshot.nodes,
+                modularity: snapshot.modularity,
+                communities: snapshot.communities,
+                added: snapshot.added
+            });
+            temporalData.temporalClusters.push({ until: snapshot.until, topics: snapshot.topics });
+        });
 
         return temporalData;
     }
@@ -270,16 +304,29 @@ class CosmicSymphony {
      * @returns {Array} - Mapped conceptual progressions
      */
     _mapConceptualProgressions(temporalData) {
-        // This would track how concepts and their relationships have
-        // evolved over time, identifying progression patterns
-
-        // Simplified placeholder implementation
+        // Every step of the timeline: the concepts that emerged and how the topics changed
         const progressions = [];
-
-        // In a real implementation, this would analyze the temporal data
-        // to identify how concepts have evolved and progressed over time
-
-        return progressions;
+        const evolution = temporalData.conceptEvolution;
+
+        for (let i = 1; i < evolution.length; i++) {
+            const before = evolution[i - 1];
+            const after = evolution[i];
+
+            if (!after.added.length && after.communities === before.communities) continue;
+
+            progressions.push({
+                from: before.until,
+                until: after.until,
+                emerged: after.added.map(concept => concept.label),
+                growth: after.nodes - before.nodes,
+                communityShift: after.communities - before.communities,
+                modularityShift: Math.round((after.modularity - before.modularity) * 100) / 100,
+                topics: temporalData.temporalClusters[i].topics.map(topic => topic.map(concept => concept.label))
+            });
+        }
+
+        // The steps that changed the graph the most first
+        return progressions.sort((a, b) => b.emerged.length - a.emerged.length || Math.abs(b.communityShift) - Math.abs(a.communityShift));
     }
 
     /**
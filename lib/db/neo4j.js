@@ -37,6 +37,8 @@ dbneo = new neo4j(options.neo4jlink)
 
 var neo4jnew = require('neo4j-driver').v1
 
+var Cooccurrence = require('../tools/cooccurrence')
+
 module.exports = CypherQuery
 
 // Modules to convert hashtags/concepts into DB-friendly terms
@@ -129,8 +131,15 @@ CypherQuery.addStatement = function(
     // Do we do a wider gap scan?
     var gapscan = gapscan || null
 
-    // Scan gap width from the gapscan parameter. By default it equals 4 if nothing is passed.
-    var scanGap = 4
+    // Scan window, weighting and unit for every context, see lib/tools/cooccurrence.js
+    var scans = contexts.map(function(context) {
+        return Cooccurrence.settings(user, context, gapscan)
+    })
+
+    // Do we connect the words only within the same sentence in any of the contexts?
+    var sentenceScan = scans.some(function(scan) {
+        return scan.unit == 'sentence'
+    })
 
     // Create variables we use to create a Neo4J query
     var createMentionsQuery = ''
@@ -175,20 +184,25 @@ CypherQuery.addStatement = function(
         params['contextNames'].push(contexts[indx])
     }
 
+    // A context shared with the user is BY its owner, see lib/membership.js
     createContexts += 'UNWIND $contextNames as contextName '
+    createContexts +=
+        'MATCH (owner:User {uid: coalesce(contextName.by, u.uid)}) '
     createContexts +=
         'MERGE (context:Context ' +
-        '{name:contextName.name,by:u.uid,uid:contextName.uid}) '
+        '{name:contextName.name,by:owner.uid,uid:contextName.uid}) '
     createContexts +=
-        'ON CREATE SET context.timestamp=$timestamp MERGE (context)-[:BY{context:context.uid}]->(u) '
+        'ON CREATE SET context.timestamp=$timestamp MERGE (context)-[:BY{context:context.uid}]->(owner) '
 
     // Create the statement
 
     createStatement += 'WITH DISTINCT u, context '
     createStatement += 'UNWIND $statements as statement '
+    // MERGE, so an edited statement is saved into the same node along with its revisions
     createStatement +=
-        'CREATE (s:Statement ' +
-        '{name:statement.name, text:statement.text, uid:statement.uid, timestamp:statement.timestamp}) '
+        'MERGE (s:Statement {uid:statement.uid}) ' +
+        'SET s.name = statement.name, s.text = statement.text, s.timestamp = statement.timestamp, s.by = u.uid, ' +
+        's.sentiment = statement.sentiment, s.emotions = statement.emotions '
     createStatement +=
         'CREATE (s)-[:BY {context:context.uid,timestamp:s.timestamp}]->(u) '
     createStatement +=
@@ -209,6 +223,9 @@ CypherQuery.addStatement = function(
         // Create an array variable to store the already added Mentions to avoid duplicates in Cypher MERGE query for Mentions
         var mentions_added = []
 
+        // Which sentence every concept comes from, if we need to know that
+        var sentences = []
+
         if (params['statements'][sindex]['concepts']) {
             mentions = params['statements'][sindex]['mentions']
         }
@@ -222,6 +239,20 @@ CypherQuery.addStatement = function(
 
             params['statements'][sindex]['mentionsRelations'] = []
 
+            if (sentenceScan) {
+                sentences = Cooccurrence.sentences(
+                    params['statements'][sindex]['text'],
+                    concepts
+                )
+            }
+
+            // Are the two concepts in the same unit of the text the context scans?
+            var sameUnit = function(scan, from, to) {
+                return (
+                    scan.unit != 'sentence' || sentences[from] == sentences[to]
+                )
+            }
+
             for (var index = 0; index < concepts.length; index++) {
                 // TODO only 1 concept
 
@@ -239,8 +270,10 @@ CypherQuery.addStatement = function(
                         for (var indx = 0; indx < contexts.length; ++indx) {
                             // We link concepts to each other only if there are either no mentions or if there is a mention and a special setting
                             if (
-                                mentions.length == 0 ||
-                                (mentions.length > 0 && addmentions != 'link')
+                                (mentions.length == 0 ||
+                                    (mentions.length > 0 &&
+                                        addmentions != 'link')) &&
+                                sameUnit(scans[indx], minusOne, index)
                             ) {
                                 // FIRST construct an object and then proceed
                                 params['statements'][sindex][
@@ -263,60 +296,57 @@ CypherQuery.addStatement = function(
                         }
                     }
 
-                    // Implement the algorithm that connects words / hashtags within the same statement within the scanGap of words
+                    // Implement the algorithm that connects words / hashtags within the same statement within the scan window of every context
 
-                    if (gapscan) {
-                        // This only gets triggered if no special case with mentions is used
+                    // This only gets triggered if no special case with mentions is used
 
-                        if (
-                            mentions.length == 0 ||
-                            (mentions.length > 0 && addmentions != 'link')
-                        ) {
-                            // Determine the word to the furthest left of the gap (the beginning of scan)
-                            var leftGap = index + 1 - scanGap
+                    if (
+                        mentions.length == 0 ||
+                        (mentions.length > 0 && addmentions != 'link')
+                    ) {
+                        // Iterating through all the contexts
+                        for (var indx = 0; indx < contexts.length; ++indx) {
+                            var scan = scans[indx]
+
+                            // Determine the word to the furthest left of the window (the beginning of scan)
+                            var leftGap = index + 1 - scan.window
 
                             // If we went beyond the start of the text, make it zero
                             if (leftGap < 0) leftGap = 0
 
-                            // Now scan every word from the one we are now to the scanGap words backwards and give them the relevant weight
+                            // Now scan every word from the one we are now to the window words backwards and give them the relevant weight
 
                             for (
                                 var indexGap = leftGap;
                                 indexGap < index - 1;
                                 ++indexGap
                             ) {
-                                // If the words are next to each other in the gap, they get the max weight. Otherwise it decreases.
-                                var weightInGap =
-                                    landscapeScanWeight + 1 - (index - indexGap)
-
-                                // The two concepts we're going to link are not the same?
-
-                                if (concepts[indexGap] !== concepts[index]) {
-                                    // Iterating through all the contexts
-
-                                    for (
-                                        var indx = 0;
-                                        indx < contexts.length;
-                                        ++indx
-                                    ) {
-                                        // Make query
-                                        params['statements'][sindex][
-                                            'conceptsRelations'
-                                        ].push({
-                                            from: concepts[indexGap],
-                                            to: concepts[index],
-                                            context: contexts[indx].uid,
-                                            statement:
-                                                params['statements'][sindex][
-                                                    'uid'
-                                                ],
-                                            user: user.uid,
-                                            timestamp: timestamp + index,
-                                            uid: 'apoc.create.uuid()',
-                                            gapscan: scanGap,
-                                            weight: weightInGap,
-                                        })
-                                    }
+                                // The two concepts we're going to link are not the same and can be linked in this context?
+
+                                if (
+                                    concepts[indexGap] !== concepts[index] &&
+                                    sameUnit(scan, indexGap, index)
+                                ) {
+                                    // Make query
+                                    params['statements'][sindex][
+                                        'conceptsRelations'
+                                    ].push({
+                                        from: concepts[indexGap],
+                                        to: concepts[index],
+                                        context: contexts[indx].uid,
+                                        statement:
+                                            params['statements'][sindex]['uid'],
+                                        user: user.uid,
+                                        timestamp: timestamp + index,
+                                        uid: 'apoc.create.uuid()',
+                                        gapscan: scan.window,
+                                        // The closer the words are, the higher the weight
+                                        weight: Cooccurrence.weight(
+                                            index - indexGap,
+                                            scan,
+                                            landscapeScanWeight
+                                        ),
+                                    })
                                 }
                             }
                         }
@@ -0,0 +1,178 @@
+/**
+ * Persistent Map
+ *
+ * A Map that writes its changes through to a collection of the state store,
+ * so the services can keep their Maps and get them back after a restart with load().
+ * Values are saved as JSON where the Maps, Sets and Dates inside them stay what they are.
+ *
+ * set() and delete() are saved by themselves. A value changed in place
+ * (job.status = 'completed') has to be saved with save(key).
+ */
+
+const { stateStore } = require('./stateStore');
+
+class PersistentMap extends Map {
+    /**
+     * @param {string} collection - Collection of the store
+     * @param {Object} settings - store (the state store by default) and
+     *                            transient (fields of the values that aren't saved, like timers)
+     */
+    constructor(collection, settings = {}) {
+        super();
+
+        this.collection = collection;
+        this.store = settings.store || stateStore;
+        this.transient = settings.transient || [];
+
+        // The key being written and the keys that changed again meanwhile
+        this.writing = new Map();
+        this.dirty = new Set();
+    }
+
+    set(key, value) {
+        super.set(key, value);
+        this._write(key);
+
+        return this;
+    }
+
+    delete(key) {
+        const deleted = super.delete(key);
+
+        if (deleted) this._write(key);
+
+        return deleted;
+    }
+
+    clear() {
+        const keys = Array.from(this.keys());
+
+        super.clear();
+
+        keys.forEach(key => this._write(key));
+    }
+
+    /**
+     * Save a value changed in place
+     *
+     * @param {string} key - Key
+     * @returns {Promise} - Resolves when it's saved
+     */
+    save(key) {
+        return this._write(key);
+    }
+
+    /**
+     * Get the values saved before
+     *
+     * @returns {Promise<number>} - How many there are
+     */
+    async load() {
+        const entries = await this.store.all(this.collection);
+
+        entries.forEach(([key, json]) => {
+            try {
+                super.set(key, PersistentMap.decode(json));
+            } catch (error) {
+                console.error(`Could not read ${key} of ${this.collection}:`, error.message);
+            }
+        });
+
+        return entries.length;
+    }
+
+    /**
+     * Wait for the changes to be saved
+     *
+     * @returns {Promise}
+     */
+    async flush() {
+        while (this.writing.size) {
+            await Promise.all(Array.from(this.writing.values()));
+        }
+    }
+
+    _write(key) {
+        if (this.writing.has(key)) {
+            this.dirty.add(key);
+            return this.writing.get(key);
+        }
+
+        const write = (async () => {
+            // The latest value is written once after the writes it came during
+            do {
+                this.dirty.delete(key);
+
+                try {
+                    if (super.has(key)) {
+                        await this.store.set(this.collection, key, PersistentMap.encode(super.get(key), this.transient));
+                    } else {
+                        await this.store.delete(this.collection, key);
+                    }
+                } catch (error) {
+                    console.error(`Could not save ${key} of ${this.collection}:`, error.message);
+                }
+            } while (this.dirty.has(key));
+
+            this.writing.delete(key);
+        })();
+
+        this.writing.set(key, write);
+
+        return write;
+    }
+
+    /**
+     * The JSON of a value with its Maps, Sets and Dates
+     *
+     * @param {*} value - Value
+     * @param {Array<string>} transient - Fields of the value to leave out
+     * @returns {string}
+     */
+    static encode(value, transient = []) {
+        return JSON.stringify(value, function (key, json) {
+            // this[key] is the value before Date.prototype.toJSON turned it into a string
+            const original = this[key];
+
+            if (original instanceof Date) {
+                return { $date: isNaN(original) ? null : original.toISOString() };
+            }
+
+            if (original instanceof Map) {
+                return { $map: Array.from(original.entries()) };
+            }
+
+            if (original instanceof Set) {
+                return { $set: Array.from(original.values()) };
+            }
+
+            if (key === '' && transient.length && json && typeof json === 'object') {
+                const saved = { ...json };
+                transient.forEach(field => delete saved[field]);
+                return saved;
+            }
+
+            return json;
+        });
+    }
+
+    /**
+     * The value of a JSON made by encode
+     *
+     * @param {string} json - JSON
+     * @returns {*}
+     */
+    static decode(json) {
+        return JSON.parse(json, (key, value) => {
+            if (value && typeof value === 'object') {
+                if ('$date' in value) return value.$date === null ? new Date(NaN) : new Date(value.$date);
+                if ('$map' in value) return new Map(value.$map);
+                if ('$set' in value) return new Set(value.$set);
+            }
+
+            return value;
+        });
+    }
+}
+
+module.exports = PersistentMap;
@@ -0,0 +1,152 @@
+/**
+ * InfraNodus is a lightweight interface to graph databases.
+ *
+ * This open source, free software is available under MIT license.
+ * It is provided as is, with no guarantees and no liabilities.
+ * You are very welcome to reuse this code if you keep this notice.
+ *
+ * Written by Dmitry Paranyushkin | Nodus Labs and hopefully you also...
+ * www.noduslabs.com | info AT noduslabs DOT com
+ *
+ */
+
+/**
+ *
+ * Parameterized Cypher query builder. Every value that comes from a user
+ * (context names, user IDs, statement IDs, settings) goes into the params
+ * object, the same { query, params } pair CypherQuery.addStatement produces,
+ * so it can never change the structure of the query itself.
+ *
+ */
+
+var neo4j = require('node-neo4j')
+
+var options = require('../../options')
+
+var db = new neo4j(options.neo4jlink)
+
+module.exports = Query
+
+function Query(fragment, params) {
+    this.fragments = []
+    this.params = {}
+    this.counter = 0
+
+    if (fragment) {
+        this.add(fragment, params)
+    }
+}
+
+// Add a piece of Cypher with its named $parameters
+
+Query.prototype.add = function(fragment, params) {
+    this.fragments.push(fragment)
+
+    for (var key in params) {
+        if (params.hasOwnProperty(key)) {
+            this.params[key] = params[key]
+        }
+    }
+
+    return this
+}
+
+// Register a value under a generated name and get back the $placeholder for it
+
+Query.prototype.param = function(value) {
+    var name = 'p' + this.counter++
+    this.params[name] = value
+    return '$' + name
+}
+
+// A placeholder for a Lucene query on the legacy relationship indexes, e.g. 'context:' + $p0
+
+Query.prototype.lucene = function(key, values) {
+    if (!Array.isArray(values)) {
+        return "'" + key + ":' + " + this.param(Query.escapeLucene(values))
+    }
+
+    var terms = values.map(function(value) {
+        return Query.escapeLucene(value)
+    })
+
+    return "'" + key + ":(' + " + this.param(terms.join(' ')) + " + ')'"
+}
+
+Query.prototype.build = function() {
+    return {
+        query: this.fragments.join(''),
+        params: this.params,
+    }
+}
+
+// Escape everything the Lucene query parser treats as syntax, so an ID can only ever be a single term
+
+Query.escapeLucene = function(value) {
+    return String(value).replace(/[+\-!(){}\[\]^"~*?:\\\/&|\s]/g, '\\$&')
+}
+
+// Delete the relationships found in one of the legacy APOC indexes, e.g. all the TO edges of a statement
+
+Query.deleteIndexed = function(type, key, id) {
+    var query = new Query()
+
+    return query.add(
+        "CALL apoc.index.relationships('" +
+            type +
+            "', " +
+            query.lucene(key, id) +
+            ') ' +
+            'YIELD rel WITH DISTINCT rel ' +
+            'DELETE rel;'
+    )
+}
+
+// Run a single query through the REST endpoint, same callback contract as dbneo.cypherQuery
+
+Query.run = function(query, fn) {
+    var cypher = query instanceof Query ? query.build() : query
+
+    console.log(cypher.query)
+
+    db.cypherQuery(cypher.query, cypher.params, function(err, result) {
+        if (err) {
+            err.type = 'neo4j'
+            return fn(err)
+        }
+
+        fn(null, result)
+    })
+}
+
+// Run several queries in one transaction that is committed at once
+
+Query.transaction = function(queries, fn) {
+    var statements = queries.map(function(query) {
+        var cypher = query instanceof Query ? query.build() : query
+        return {
+            statement: cypher.query,
+            parameters: cypher.params,
+            resultDataContents: ['row', 'graph'],
+        }
+    })
+
+    db.beginAndCommitTransaction({ statements: statements }, function(
+        err,
+        result
+    ) {
+        if (err) {
+            err.type = 'neo4j'
+            return fn(err)
+        }
+
+        // A statement that fails rolls the whole transaction back, but the answer is still a 200
+        if (result && result.errors && result.errors.length > 0) {
+            var error = new Error(result.errors[0].message)
+            error.type = 'neo4j'
+            return fn(error)
+        }
+
+        fn(null, result)
+    })
+}
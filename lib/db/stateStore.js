@@ -0,0 +1,178 @@
+/**
+ * State Store
+ *
+ * Keeps the state the services hold in memory (expansion jobs, momentum,
+ * collaborations, file scans, syncs and webhooks) so a restart doesn't lose it.
+ * A store holds collections of JSON values by key:
+ *
+ * - Neo4jStateStore: State nodes in the database of the app, the default
+ * - FileStateStore: a JSON file per collection, for tests and single-server setups
+ *
+ * options.settings.state_store chooses the one the services use, see
+ * lib/db/persistentMap.js for the Map they write through.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const options = require('../../options');
+const Query = require('./query');
+
+const run = util.promisify(Query.run);
+
+class Neo4jStateStore {
+    /**
+     * Get a value
+     *
+     * @param {string} collection - Collection name
+     * @param {string} key - Key
+     * @returns {Promise<string|undefined>} - The JSON of the value
+     */
+    async get(collection, key) {
+        const answer = await run(
+            new Query('MATCH (s:State{collection:$collection, key:$key}) RETURN s.value;', { collection, key })
+        );
+
+        return answer.data && answer.data.length ? answer.data[0] : undefined;
+    }
+
+    /**
+     * Save a value
+     *
+     * @param {string} collection - Collection name
+     * @param {string} key - Key
+     * @param {string} value - The JSON of the value
+     */
+    async set(collection, key, value) {
+        await run(
+            new Query(
+                'MERGE (s:State{collection:$collection, key:$key}) SET s.value = $value, s.updated = $updated RETURN s.key;',
+                { collection, key, value, updated: Date.now() }
+            )
+        );
+    }
+
+    /**
+     * Delete a value
+     *
+     * @param {string} collection - Collection name
+     * @param {string} key - Key
+     */
+    async delete(collection, key) {
+        await run(new Query('MATCH (s:State{collection:$collection, key:$key}) DELETE s;', { collection, key }));
+    }
+
+    /**
+     * Get all the values of a collection
+     *
+     * @param {string} collection - Collection name
+     * @returns {Promise<Array>} - [key, JSON] pairs
+     */
+    async all(collection) {
+        const answer = await run(
+            new Query('MATCH (s:State{collection:$collection}) RETURN s.key, s.value;', { collection })
+        );
+
+        return answer.data || [];
+    }
+}
+
+class FileStateStore {
+    constructor(dir) {
+        this.dir = dir || options.settings.state_store_dir;
+
+        // The writes of a collection one after another, so none is lost
+        this.writes = new Map();
+    }
+
+    async get(collection, key) {
+        const values = await this._read(collection);
+
+        return values[key];
+    }
+
+    async set(collection, key, value) {
+        await this._change(collection, values => {
+            values[key] = value;
+        });
+    }
+
+    async delete(collection, key) {
+        await this._change(collection, values => {
+            delete values[key];
+        });
+    }
+
+    async all(collection) {
+        return Object.entries(await this._read(collection));
+    }
+
+    _file(collection) {
+        return path.join(this.dir, encodeURIComponent(collection) + '.json');
+    }
+
+    async _read(collection) {
+        await Promise.resolve(this.writes.get(collection)).catch(() => {});
+
+        try {
+            return JSON.parse(await util.promisify(fs.readFile)(this._file(collection), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+    }
+
+    _change(collection, change) {
+        const previous = this.writes.get(collection) || Promise.resolve();
+
+        const write = previous
+            .catch(() => {})
+            .then(async () => {
+                const file = this._file(collection);
+                let values = {};
+
+                try {
+                    values = JSON.parse(await util.promisify(fs.readFile)(file, 'utf8'));
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                }
+
+                change(values);
+
+                // Written aside first, so a crash in the middle leaves the previous file
+                await util.promisify(fs.mkdir)(this.dir, { recursive: true });
+                await util.promisify(fs.writeFile)(file + '.tmp', JSON.stringify(values));
+                await util.promisify(fs.rename)(file + '.tmp', file);
+            });
+
+        this.writes.set(collection, write);
+
+        return write.finally(() => {
+            if (this.writes.get(collection) === write) this.writes.delete(collection);
+        });
+    }
+}
+
+/**
+ * The store options.settings.state_store asks for
+ *
+ * @param {string} type - 'neo4j' or 'file'
+ * @returns {Neo4jStateStore|FileStateStore}
+ */
+function createStateStore(type = options.settings.state_store) {
+    if (type === 'file') return new FileStateStore();
+    if (type === 'neo4j') return new Neo4jStateStore();
+
+    throw new Error(`Unknown state store: ${type}`);
+}
+
+// Create singleton instance
+const stateStore = createStateStore();
+
+module.exports = {
+    stateStore,
+    createStateStore,
+    Neo4jStateStore,
+    FileStateStore
+};
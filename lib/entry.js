@@ -13,15 +13,17 @@
  *
  */
 
-var neo4j = require('node-neo4j')
-
 var uuid = require('node-uuid')
 
 var options = require('../options')
-dbneo = new neo4j(options.neo4jlink)
 
 var CypherQuery = require('./db/neo4j')
+var Query = require('./db/query')
+var Membership = require('./membership')
 var Instruments = require('./tools/instruments.js')
+var Sentiment = require('./tools/sentiment')
+var graphCache = require('./services/graphCache').graphCache
+var GraphCache = require('./services/graphCache').GraphCache
 
 var async = require('async')
 
@@ -42,6 +44,9 @@ Entry.prototype.savetrans = function(fn) {
     var user = {
         name: this.by_name,
         uid: this.by_uid,
+        scanwindow: this.scanwindow,
+        scanweighting: this.scanweighting,
+        scanunit: this.scanunit,
     }
 
     // Pass on the user's settings for graph scan
@@ -79,129 +84,204 @@ Entry.prototype.savetrans = function(fn) {
     )
 }
 
+// Co-occurrence scan settings of a context, they override the user's ones for the statements added to it from now on.
+// Pass null for a setting to use the user's one again, see lib/tools/cooccurrence.js
+
+Entry.setScanSettings = function(user_id, context_name, scan, fn) {
+    var scanQuery = new Query(
+        'MATCH (ctx:Context{name:$context})-[:BY]->(u:User{uid:$userId}) ' +
+            'WHERE ctx.trashed IS NULL ' +
+            'WITH DISTINCT ctx ' +
+            'SET ctx.scanwindow = $scanwindow, ctx.scanweighting = $scanweighting, ctx.scanunit = $scanunit ' +
+            'RETURN ctx.uid;',
+        {
+            context: context_name,
+            userId: user_id,
+            scanwindow: scan.scanwindow,
+            scanweighting: scan.scanweighting,
+            scanunit: scan.scanunit,
+        }
+    )
+
+    Query.run(scanQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        fn(null, answer.data[0] || null)
+    })
+}
+
 // TODO add a parameter in getRange which would tell the function what information to query
+// All the statements at once, see getRangePage for a page of them
 
 Entry.getRange = function(receiver, perceiver, contexts, fn) {
     console.log('making request to db')
 
-    // Start building the context query
+    var rangeQuery = buildRangeQuery(receiver, perceiver, contexts)
 
-    var context_query1 = ''
-    var context_query2 = ''
+    Query.run(rangeQuery, function(err, statements) {
+        if (err) return fn(err)
 
-    // Are the contexts passed? If yes, add contextual query
+        // debug to see what info about the statements is shown
+        // console.log(statements);
 
-    if (contexts.length > 0 && contexts[0]) {
-        context_query1 = '(ctx:Context), (ctx)-[:BY]->(u), (s)-[:IN]->(ctx), '
-        context_query2 = 'WHERE (ctx.name="' + contexts[0] + '"'
+        fn(null, statements.data)
+    })
+}
 
-        for (var u = 1; u < contexts.length; ++u) {
-            context_query2 += ' OR ctx.name="' + contexts[u] + '"'
-        }
+// The uid and timestamp of every statement, oldest first, to replay how the graph developed, see lib/analytics/graphTimeline.js
 
-        context_query2 += ') '
-    }
+Entry.getTimeline = function(receiver, perceiver, contexts, fn) {
+    var timelineQuery = buildRangeQuery(
+        receiver,
+        perceiver,
+        contexts,
+        null,
+        's.uid, s.timestamp'
+    )
 
-    // Now who sees what?
+    Query.run(timelineQuery, function(err, answer) {
+        if (err) return fn(err)
 
-    // Perceiver - the one who made the graph
-    // Receiver - the one who's watching it
-
-    if (
-        (receiver == perceiver && receiver !== '') ||
-        (receiver !== '' && perceiver === '')
-    ) {
-        console.log(
-            'Getting statements from Neo4J to show to User UID: ' + receiver
-        )
-        console.log(
-            'Getting statements from Neo4J made by User UID: ' + perceiver
+        fn(
+            null,
+            (answer.data || []).map(function(row) {
+                return { uid: row[0], timestamp: row[1] }
+            })
         )
+    })
+}
 
-        var rangeQuery =
-            "MATCH (u:User{uid:'" +
-            receiver +
-            "'}), " +
-            '(s:Statement), ' +
-            context_query1 +
-            '(s)-[:BY]->(u) ' +
-            context_query2 +
-            'RETURN DISTINCT s ' +
-            'ORDER BY s.timestamp ASC;'
-
-        console.log(rangeQuery)
-    }
+// A page of the statements, oldest first: page has the limit, the statement the page starts after
+// and the since / until timestamps, see lib/middleware/page.js. The callback gets the statements
+// and the statement the next page starts after, null if it's the last page.
 
-    // We retrieve statements to somebody who did not make them
-    else if (receiver != perceiver) {
-        console.log(
-            'The one who made the statements is not the same who sees them, User UID: ' +
-                receiver
-        )
-        console.log(
-            'Getting from Neo4J statements made by User UID: ' + perceiver
-        )
+Entry.getRangePage = function(receiver, perceiver, contexts, page, fn) {
+    var rangeQuery = buildRangeQuery(receiver, perceiver, contexts, page)
 
-        // The person who's viewing the stuff is not the one who made them, so we include nodes that belong to the private context here
+    Query.run(rangeQuery, function(err, statements) {
+        if (err) return fn(err)
 
-        if (context_query2.length == 0) {
-            context_query1 =
-                '(ctx:Context), (ctx)-[:BY]->(u), (s)-[:IN]->(ctx), '
-            context_query2 = 'WHERE '
-        } else {
-            context_query2 += ' AND '
-        }
+        // We ask for one more statement than the limit to know if there's a next page
+        var entries = statements.data || []
 
-        var rangeQuery =
-            "MATCH (u:User{uid:'" +
-            perceiver +
-            "'}), " +
-            '(s:Statement), ' +
-            context_query1 +
-            '(s)-[:BY]->(u) ' +
-            context_query2 +
-            "ctx.public = '1'" +
-            'RETURN DISTINCT s ' +
-            'ORDER BY s.timestamp ASC;'
-
-        console.log(rangeQuery)
+        var next = entries.length > page.limit ? entries[page.limit - 1] : null
+
+        fn(null, entries.slice(0, page.limit), next)
+    })
+}
+
+// The WHERE conditions for a page of statements s ordered by timestamp and uid (ASC or DESC)
+
+Entry.pageConditions = function(query, page, order) {
+    var conditions = []
+
+    if (page.since !== null && page.since !== undefined) {
+        conditions.push('s.timestamp >= ' + query.param(page.since))
     }
 
-    // Strange situation - we don't know who to show statements for
-    else {
-        var rangeQuery = ''
+    if (page.until !== null && page.until !== undefined) {
+        conditions.push('s.timestamp < ' + query.param(page.until))
     }
 
-    dbneo.cypherQuery(rangeQuery, function(err, statements) {
-        if (err) {
-            err.type = 'neo4j'
-            return fn(err)
-        }
+    if (page.after) {
+        var sign = order == 'DESC' ? '<' : '>'
+        var timestamp = query.param(page.after.timestamp)
+
+        conditions.push(
+            '(s.timestamp ' +
+                sign +
+                ' ' +
+                timestamp +
+                ' OR (s.timestamp = ' +
+                timestamp +
+                ' AND s.uid ' +
+                sign +
+                ' ' +
+                query.param(page.after.uid) +
+                '))'
+        )
+    }
 
-        // debug to see what info about the statements is shown
-        // console.log(statements);
+    return conditions
+}
 
-        fn(null, statements.data)
+// The uid and the concepts of every statement, oldest first, for the topic modeling, see lib/analytics/topicModeling.js.
+// The concepts are the ones extractConcepts found with the stopwords and the lemmatization of the user.
+
+Entry.getConcepts = function(receiver, perceiver, contexts, fn) {
+    // The timestamp is there to order the distinct rows by it
+    var conceptsQuery = buildRangeQuery(
+        receiver,
+        perceiver,
+        contexts,
+        null,
+        's.uid, [(c:Concept)-[:OF]->(s) | c.name], s.timestamp'
+    )
+
+    Query.run(conceptsQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        fn(
+            null,
+            (answer.data || []).map(function(row) {
+                // A statement in several contexts is linked to its concepts once in each one
+                return {
+                    uid: row[0],
+                    concepts: Array.from(new Set(row[1] || [])),
+                }
+            })
+        )
     })
 }
 
-Entry.getLDA = function(receiver, perceiver, contexts, LDA_type, fn) {
-    // Start building the context query
+// The uid, the sentiment and the emotions of every statement, see lib/tools/sentiment.js. The statements
+// saved before they were scored get scored now, in the language of inlanguage or the one we detect.
 
-    var context_query1 = ''
-    var context_query2 = ''
+Entry.getSentiment = function(receiver, perceiver, contexts, inlanguage, fn) {
+    var sentimentQuery = buildRangeQuery(
+        receiver,
+        perceiver,
+        contexts,
+        null,
+        's.uid, s.sentiment, s.emotions, s.text, s.timestamp'
+    )
 
-    // Are the contexts passed? If yes, add contextual query
+    Query.run(sentimentQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        fn(
+            null,
+            (answer.data || []).map(function(row) {
+                // Scored statements always have a list of emotions, even an empty one
+                var scores = Array.isArray(row[2])
+                    ? { sentiment: row[1], emotions: row[2] }
+                    : Sentiment.score(row[3], inlanguage)
+
+                return {
+                    uid: row[0],
+                    sentiment: scores.sentiment,
+                    emotions: scores.emotions,
+                }
+            })
+        )
+    })
+}
 
-    if (contexts.length > 0 && contexts[0]) {
-        context_query1 = '(ctx:Context), (ctx)-[:BY]->(u), (s)-[:IN]->(ctx), '
-        context_query2 = 'WHERE (ctx.name="' + contexts[0] + '"'
+// Statements query shared by getRange, getRangePage, getTimeline, getConcepts and getSentiment, only the fields these ones need
 
-        for (var u = 1; u < contexts.length; ++u) {
-            context_query2 += ' OR ctx.name="' + contexts[u] + '"'
-        }
+function buildRangeQuery(receiver, perceiver, contexts, page, fields) {
+    var query = new Query()
+
+    // The statements of the contexts u made, the ones of all their members. Not the ones u made in the contexts
+    // somebody else shared with them, these are in the graph of their owner, see lib/membership.js
+
+    var context_match = '(ctx:Context), (ctx)-[:BY]->(u), (s)-[:IN]->(ctx)'
+    var context_filter = []
+
+    // Are the contexts passed? If yes, add contextual query
 
-        context_query2 += ') '
+    if (contexts.length > 0 && contexts[0]) {
+        context_filter.push('ctx.name IN ' + query.param(contexts))
     }
 
     // Now who sees what?
@@ -220,18 +300,7 @@ Entry.getLDA = function(receiver, perceiver, contexts, LDA_type, fn) {
             'Getting statements from Neo4J made by User UID: ' + perceiver
         )
 
-        var rangeQuery =
-            "MATCH (u:User{uid:'" +
-            receiver +
-            "'}), " +
-            '(s:Statement), ' +
-            context_query1 +
-            '(s)-[:BY]->(u) ' +
-            context_query2 +
-            'RETURN DISTINCT s ' +
-            'ORDER BY s.timestamp ASC;'
-
-        console.log(rangeQuery)
+        query.add('MATCH (u:User{uid:' + query.param(receiver) + '}), ')
     }
 
     // We retrieve statements to somebody who did not make them
@@ -244,102 +313,472 @@ Entry.getLDA = function(receiver, perceiver, contexts, LDA_type, fn) {
             'Getting from Neo4J statements made by User UID: ' + perceiver
         )
 
-        // The person who's viewing the stuff is not the one who made them, so we include nodes that belong to the private context here
+        // The person who's viewing the stuff is not the one who made them, so we only show the public contexts and the ones shared with them, see lib/membership.js
 
-        if (context_query2.length == 0) {
-            context_query1 =
-                '(ctx:Context), (ctx)-[:BY]->(u), (s)-[:IN]->(ctx), '
-            context_query2 = 'WHERE '
-        } else {
-            context_query2 += ' AND '
-        }
+        context_filter.push(Membership.visible(query, receiver))
 
-        var rangeQuery =
-            "MATCH (u:User{uid:'" +
-            perceiver +
-            "'}), " +
-            '(s:Statement), ' +
-            context_query1 +
-            '(s)-[:BY]->(u) ' +
-            context_query2 +
-            "ctx.public = '1'" +
-            'RETURN DISTINCT s ' +
-            'ORDER BY s.timestamp ASC;'
-
-        console.log(rangeQuery)
+        query.add('MATCH (u:User{uid:' + query.param(perceiver) + '}), ')
     }
 
     // Strange situation - we don't know who to show statements for
     else {
-        var rangeQuery = ''
+        return query
     }
 
-    dbneo.cypherQuery(rangeQuery, function(err, statements) {
-        if (err) {
-            err.type = 'neo4j'
-            return fn(err)
-        }
+    query.add('(s:Statement), ' + context_match + ' ')
 
-        var lda = require('lda')
+    // Nothing from the trash, see Entry.trashStatement and Entry.trashContext
 
-        var natural = require('natural')
-        var nounInflector = new natural.NounInflector()
+    context_filter.push('s.trashed IS NULL', 'ctx.trashed IS NULL')
 
-        var documents = []
-        var full_content = ''
-        for (var i = 0; i < statements.data.length; i++) {
-            documents.push(statements.data[i].text)
-            full_content += statements.data[i].text + ' '
-        }
-        // TURN this on in case need to use sentences
-        // documents = full_content.match( /[^\.!\?]+[\.!\?]+/g );
-
-        // Extract sentences.
-        // Run LDA to get terms for 2 topics (5 terms each).
-
-        if (LDA_type == 'topics') {
-            var result = lda(documents, 4, 3, null, null, null, 123)
-        } else if (LDA_type == 'terms') {
-            var result = lda(documents, 1, 4, null, null, null, 123)
-        } else {
-            var result = lda(documents, 4, 3, null, null, null, 123)
+    // Only the page we need, see getRangePage
+    if (page) {
+        context_filter = context_filter.concat(
+            Entry.pageConditions(query, page, 'ASC')
+        )
+    }
+
+    query.add('WHERE ' + context_filter.join(' AND ') + ' ')
+
+    if (page) {
+        query.add(
+            'RETURN DISTINCT s ORDER BY s.timestamp ASC, s.uid ASC LIMIT ' +
+                query.param(page.limit + 1) +
+                ';'
+        )
+    } else if (fields) {
+        query.add('RETURN DISTINCT ' + fields + ' ORDER BY s.timestamp ASC;')
+    } else {
+        query.add('RETURN DISTINCT s ORDER BY s.timestamp ASC;')
+    }
+
+    return query
+}
+
+// The queries that keep the current wording of a statement as a Revision and detach the statement from the graph, so it can be saved again under the same uid.
+// They run in the same transaction as the save of the new wording, so a rejected or failed edit leaves the statement as it was.
+
+Entry.revision = function(user_id, statement_id, fn) {
+    var statementQuery = new Query(
+        'MATCH (s:Statement{uid:$statementId})-[:BY]->(u:User{uid:$userId}) ' +
+            'WHERE s.trashed IS NULL ' +
+            'RETURN DISTINCT s.uid, s.timestamp;',
+        { statementId: statement_id, userId: user_id }
+    )
+
+    Query.run(statementQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        // Not there or not made by this user? Then there's nothing to revise
+        if (!answer.data[0]) return fn(null, null)
+
+        var statement = {
+            uid: answer.data[0][0],
+            timestamp: answer.data[0][1],
         }
 
-        for (var i = 0; i < result.length; i++) {
-            for (var j = 0; j < result[i].length; j++) {
-                if (result[i][j].term != 'people') {
-                    result[i][j].term = nounInflector.singularize(
-                        result[i][j].term
-                    )
-                }
+        var snapshot = new Query(
+            'MATCH (s:Statement{uid:$statementId}) ' +
+                'CREATE (r:Revision {uid:$revisionId, name:s.name, text:s.text, timestamp:s.timestamp, revised:$revised}) ' +
+                'CREATE (s)-[:REVISION]->(r);',
+            {
+                statementId: statement.uid,
+                revisionId: uuid.v1(),
+                revised: new Date().getTime() * 10000,
             }
-        }
+        )
 
-        console.log('ressult')
-        console.log(result)
+        // The concepts of the old wording go away, the Statement node and its revisions stay
+        statement.queries = [snapshot]
+            .concat(unlinkConcepts(statement.uid))
+            .concat(unlinkStatement(statement.uid))
 
-        fn(null, result)
+        fn(null, statement)
     })
 }
 
-Entry.getConnectedContexts = function(receiver, perceiver, keywords, fn) {
-    // Start building the context query
+// The current wording of a statement and all its earlier ones, the latest first
 
-    var searchwords = keywords[0].keywords.split(' ')
+Entry.getRevisions = function(user_id, statement_id, fn) {
+    var revisionsQuery = new Query(
+        'MATCH (s:Statement{uid:$statementId})-[:BY]->(u:User{uid:$userId}) ' +
+            'WITH DISTINCT s ' +
+            'OPTIONAL MATCH (s)-[:REVISION]->(r:Revision) ' +
+            'WITH s, r ORDER BY r.revised DESC ' +
+            'RETURN s, collect(r);',
+        { statementId: statement_id, userId: user_id }
+    )
 
-    var keywords_query = ''
+    Query.run(revisionsQuery, function(err, answer) {
+        if (err) return fn(err)
 
-    // Are the contexts passed? If yes, add contextual query
+        if (!answer.data[0]) return fn(null, null)
+
+        fn(null, {
+            statement: answer.data[0][0],
+            revisions: answer.data[0][1],
+        })
+    })
+}
+
+// A single revision with the statement it belongs to and the contexts that statement is in now
+
+Entry.getRevision = function(user_id, revision_id, fn) {
+    var revisionQuery = new Query(
+        'MATCH (s:Statement)-[:REVISION]->(r:Revision{uid:$revisionId}), ' +
+            '(s)-[:BY]->(u:User{uid:$userId}) ' +
+            'WITH DISTINCT s, r ' +
+            'OPTIONAL MATCH (s)-[:IN]->(ctx:Context) ' +
+            'RETURN r, s.uid, collect(DISTINCT ctx.name);',
+        { revisionId: revision_id, userId: user_id }
+    )
+
+    Query.run(revisionQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        if (!answer.data[0]) return fn(null, null)
+
+        fn(null, {
+            revision: answer.data[0][0],
+            statement: answer.data[0][1],
+            contexts: answer.data[0][2],
+        })
+    })
+}
+
+// Queries that take the concepts of a statement out of the graph
+
+function unlinkConcepts(statement_id) {
+    return [
+        Query.deleteIndexed('TO', 'statement', statement_id),
+        Query.deleteIndexed('AT', 'statement', statement_id),
+        Query.deleteIndexed('BY', 'statement', statement_id),
+        new Query(
+            'MATCH (c)-[of:OF]->(s:Statement{uid:$statementId}) DELETE of;',
+            { statementId: statement_id }
+        ),
+    ]
+}
+
+// The query that takes a statement out of its contexts, so it can be saved into them again
+
+function unlinkStatement(statement_id) {
+    return new Query(
+        'MATCH (s:Statement{uid:$statementId})-[rel:BY|IN]->() DELETE rel;',
+        { statementId: statement_id }
+    )
+}
+
+// Trash timestamps are in the same units as the statement timestamps
 
-    if (searchwords.length > 0 && searchwords[0]) {
-        keywords_query = "['" + searchwords[0] + "'"
+function trashTimestamp(time) {
+    return time * 10000
+}
+
+// Who owns the contexts a statement is in and the names of those contexts, so what a member changes in a shared context invalidates the graphs of its owner too, see lib/membership.js
+
+Entry.getOwners = function(statement_id, fn) {
+    var ownersQuery = new Query(
+        'MATCH (s:Statement{uid:$statementId})-[:IN]->(ctx:Context)-[:BY]->(o:User) ' +
+            'WHERE ctx.trashed IS NULL ' +
+            'RETURN o.uid, collect(DISTINCT ctx.name);',
+        { statementId: statement_id }
+    )
+
+    Query.run(ownersQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        fn(
+            null,
+            answer.data.map(function(row) {
+                return { uid: row[0], contexts: row[1] }
+            })
+        )
+    })
+}
+
+// The contexts a statement is in, with their owners, so an edit saves it back into the same contexts
+// even if other users shared them with its author, see lib/membership.js. Contexts in the trash are left out.
+
+Entry.getStatementContexts = function(statement_id, fn) {
+    var contextsQuery = new Query(
+        'MATCH (s:Statement{uid:$statementId})-[:IN]->(ctx:Context)-[:BY]->(o:User) ' +
+            'WHERE ctx.trashed IS NULL ' +
+            'RETURN DISTINCT ctx, o.uid;',
+        { statementId: statement_id }
+    )
+
+    Query.run(contextsQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        fn(
+            null,
+            answer.data.map(function(row) {
+                return {
+                    uid: row[0].uid,
+                    name: row[0].name,
+                    by: row[1],
+                    // The context's own co-occurrence scan settings, if it has them
+                    scanwindow: row[0].scanwindow,
+                    scanweighting: row[0].scanweighting,
+                    scanunit: row[0].scanunit,
+                }
+            })
+        )
+    })
+}
+
+// Move a statement into the trash: its concepts leave the graph, but it stays in its contexts, so we know where to put it back
+
+Entry.trashStatement = function(user_id, statement_id, fn) {
+    var statementQuery = new Query(
+        'MATCH (s:Statement{uid:$statementId})-[:BY]->(u:User{uid:$userId}) ' +
+            'WHERE s.trashed IS NULL ' +
+            'RETURN DISTINCT s.uid;',
+        { statementId: statement_id, userId: user_id }
+    )
+
+    Query.run(statementQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        if (!answer.data[0]) return fn(null, null)
 
-        for (var u = 1; u < searchwords.length; ++u) {
-            keywords_query += ",'" + searchwords[u] + "'"
+        var trash_query = unlinkConcepts(statement_id).concat(
+            new Query(
+                'MATCH (s:Statement{uid:$statementId}) SET s.trashed = $trashed;',
+                {
+                    statementId: statement_id,
+                    trashed: trashTimestamp(new Date().getTime()),
+                }
+            )
+        )
+
+        Query.transaction(trash_query, function(err) {
+            if (err) return fn(err)
+
+            fn(null, statement_id)
+        })
+    })
+}
+
+// Move a context into the trash. Its graph stays as it is, but it doesn't show up anywhere until it's restored or purged.
+
+Entry.trashContext = function(user_id, context_name, fn) {
+    var contextQuery = new Query(
+        'MATCH (ctx:Context{name:$context})-[:BY]->(u:User{uid:$userId}) ' +
+            'WHERE ctx.trashed IS NULL ' +
+            'WITH DISTINCT ctx SET ctx.trashed = $trashed ' +
+            'RETURN ctx.uid;',
+        {
+            context: context_name,
+            userId: user_id,
+            trashed: trashTimestamp(new Date().getTime()),
         }
+    )
 
-        keywords_query += ']'
-    }
+    Query.run(contextQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        fn(null, answer.data[0] || null)
+    })
+}
+
+// Everything a user has in the trash, the latest first
+
+Entry.getTrash = function(user_id, fn) {
+    var trashQuery = new Query(
+        'MATCH (ctx:Context)-[:BY]->(u:User{uid:$userId}) WHERE ctx.trashed IS NOT NULL ' +
+            "RETURN DISTINCT ctx.uid AS uid, 'context' AS type, ctx.name AS name, null AS text, ctx.trashed AS trashed " +
+            'UNION ' +
+            'MATCH (s:Statement)-[:BY]->(u:User{uid:$userId}) WHERE s.trashed IS NOT NULL ' +
+            "RETURN DISTINCT s.uid AS uid, 'statement' AS type, s.name AS name, s.text AS text, s.trashed AS trashed;",
+        { userId: user_id }
+    )
+
+    var retention = trashTimestamp(
+        options.settings.trash_retention_days * 24 * 60 * 60 * 1000
+    )
+
+    Query.run(trashQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        var items = answer.data.map(function(row) {
+            return {
+                uid: row[0],
+                type: row[1],
+                name: row[2],
+                text: row[3],
+                trashed: row[4],
+                expires: row[4] + retention,
+            }
+        })
+
+        items.sort(function(a, b) {
+            return b.trashed - a.trashed
+        })
+
+        fn(null, items)
+    })
+}
+
+// A single item from the user's trash. For a context we also check if its name was taken in the meantime,
+// for a statement we get the contexts it should go back to, only the ones that are not in the trash themselves.
+
+Entry.getTrashItem = function(user_id, uid, fn) {
+    var itemQuery = new Query(
+        'MATCH (n)-[:BY]->(u:User{uid:$userId}) ' +
+            'WHERE n.uid = $uid AND n.trashed IS NOT NULL AND (n:Context OR n:Statement) ' +
+            'WITH DISTINCT n, u ' +
+            'OPTIONAL MATCH (other:Context{name:n.name})-[:BY]->(u) ' +
+            'WHERE n:Context AND other.trashed IS NULL ' +
+            'OPTIONAL MATCH (n)-[:IN]->(ctx:Context) WHERE ctx.trashed IS NULL ' +
+            "RETURN n, CASE WHEN n:Context THEN 'context' ELSE 'statement' END, " +
+            'count(DISTINCT other), collect(DISTINCT ctx.name);',
+        { userId: user_id, uid: uid }
+    )
+
+    Query.run(itemQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        if (!answer.data[0]) return fn(null, null)
+
+        var row = answer.data[0]
+
+        fn(null, {
+            uid: row[0].uid,
+            type: row[1],
+            name: row[0].name,
+            text: row[0].text,
+            timestamp: row[0].timestamp,
+            conflict: row[2] > 0,
+            contexts: row[3],
+        })
+    })
+}
+
+// Take a context out of the trash
+
+Entry.restoreContext = function(context_id, fn) {
+    var restoreQuery = new Query(
+        'MATCH (ctx:Context{uid:$contextId}) REMOVE ctx.trashed;',
+        { contextId: context_id }
+    )
+
+    Query.run(restoreQuery, function(err) {
+        if (err) return fn(err)
+
+        fn(null, context_id)
+    })
+}
+
+// The queries that take a statement out of the trash and out of its contexts, so that entries.submit can save it back into them.
+// They run in the same transaction as the save, so a failed restore leaves the statement in the trash, see Entry.revision
+
+Entry.restoration = function(statement_id) {
+    return [
+        unlinkStatement(statement_id),
+        new Query('MATCH (s:Statement{uid:$statementId}) REMOVE s.trashed;', {
+            statementId: statement_id,
+        }),
+    ]
+}
+
+// Delete for good what stayed in the trash longer than options.settings.trash_retention_days
+
+Entry.purgeTrash = function(fn) {
+    var before = trashTimestamp(
+        new Date().getTime() -
+            options.settings.trash_retention_days * 24 * 60 * 60 * 1000
+    )
+
+    var contextsQuery = new Query(
+        'MATCH (ctx:Context) WHERE ctx.trashed < $before RETURN ctx.uid;',
+        { before: before }
+    )
+
+    Query.run(contextsQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        async.eachSeries(
+            answer.data,
+            function(context_id, callback) {
+                Query.transaction(deleteContextQueries(context_id), callback)
+            },
+            function(err) {
+                if (err) return fn(err)
+
+                var statementsQuery = new Query(
+                    'MATCH (s:Statement) WHERE s.trashed < $before ' +
+                        'OPTIONAL MATCH (s)-[:REVISION]->(r:Revision) ' +
+                        'DETACH DELETE r, s ' +
+                        'RETURN count(DISTINCT s);',
+                    { before: before }
+                )
+
+                Query.run(statementsQuery, function(err, statements) {
+                    if (err) return fn(err)
+
+                    fn(null, {
+                        contexts: answer.data.length,
+                        statements: statements.data[0],
+                    })
+                })
+            }
+        )
+    })
+}
+
+// Delete a context with everything in it
+
+function deleteContextQueries(context_id) {
+    var delete_query = []
+
+    // Delete TO and OF types of relationships for Concepts and BY type of relationship for Statements (they include context ID)
+
+    delete_query[0] = Query.deleteIndexed('TO', 'context', context_id)
+    delete_query[1] = Query.deleteIndexed('OF', 'context', context_id)
+    delete_query[2] = Query.deleteIndexed('BY', 'context', context_id)
+
+    // Then delete the statements with their revisions
+    delete_query[3] = new Query(
+        'MATCH (ctx:Context{uid:$contextId}), ' +
+            '(s)-[:IN]->(ctx) ' +
+            'OPTIONAL MATCH (s)-[:REVISION]->(r:Revision) ' +
+            'DETACH DELETE r, s;',
+        { contextId: context_id }
+    )
+
+    // Then delete the remaining relationships (AT) of the concepts
+    delete_query[4] = new Query(
+        'MATCH (ctx:Context{uid:$contextId}), ' +
+            '(c:Concept), (c)-[at]->(ctx)  ' +
+            'DELETE at;',
+        { contextId: context_id }
+    )
+
+    // And the context itself
+    delete_query[5] = new Query(
+        'MATCH (ctx:Context{uid:$contextId}), ' +
+            '(u:User), (ctx)-[by]-(u) ' +
+            'DELETE ctx,by;',
+        { contextId: context_id }
+    )
+
+    return delete_query
+}
+
+Entry.getConnectedContexts = function(receiver, perceiver, keywords, fn) {
+    // Start building the context query
+
+    var searchwords = keywords[0].keywords.split(' ')
+
+    var conContextQuery = new Query()
+
+    var keywords_param = conContextQuery.param(
+        searchwords.filter(function(word) {
+            return word
+        })
+    )
 
     // Now who sees what?
 
@@ -350,63 +789,42 @@ Entry.getConnectedContexts = function(receiver, perceiver, keywords, fn) {
         (receiver == perceiver && receiver !== '') ||
         (receiver !== '' && perceiver === '')
     ) {
-        var conContextQuery =
+        conContextQuery.add(
             'MATCH (c1:Concept) ' +
-            'WHERE  c1.name in (' +
-            keywords_query +
-            ') ' +
-            'WITH COLLECT(distinct c1) as concepts ' +
-            'WHERE size(concepts) <> 0 ' + 
-            'MATCH (ctx:Context) ' +
-            "WHERE ALL(c in concepts WHERE (c)-->(ctx) AND ((ctx.by) = '" +
-            receiver +
-            "')) " +
-            'RETURN ctx'
-
-        console.log(conContextQuery)
+                'WHERE c1.name IN ' +
+                keywords_param +
+                ' ' +
+                'WITH COLLECT(distinct c1) as concepts ' +
+                'WHERE size(concepts) <> 0 ' +
+                'MATCH (ctx:Context) WHERE ctx.trashed IS NULL ' +
+                'AND ALL(c in concepts WHERE (c)-->(ctx) AND ctx.by = ' +
+                conContextQuery.param(receiver) +
+                ') ' +
+                'RETURN ctx'
+        )
     }
 
     // We retrieve statements to somebody who did not make them
-    else if (receiver != perceiver) {
-        var conContextQuery =
-            'MATCH (c1:Concept) ' +
-            'WHERE  c1.name in (' +
-            keywords_query +
-            ')  ' +
-            'WITH COLLECT(distinct c1) as concepts ' +
-            'WHERE size(concepts) <> 0 ' + 
-            'MATCH (ctx:Context) ' +
-            "WHERE ALL(c in concepts WHERE (c)-->(ctx) AND ((ctx.public) = '1' AND (ctx.by) = '" +
-            perceiver +
-            "')) " +
-            'RETURN ctx'
-
-        console.log(conContextQuery)
-    }
-
-    // Strange situation - we don't know who to show statements for
+    // or strange situation - we don't know who to show statements for
+    // TODO get user for public searchterms
     else {
-        var conContextQuery =
+        conContextQuery.add(
             'MATCH (c1:Concept) ' +
-            'WHERE  c1.name in (' +
-            keywords_query +
-            ')  ' +
-            'WITH COLLECT(distinct c1) as concepts ' +
-            'WHERE size(concepts) <> 0 ' + 
-            'MATCH (ctx:Context) ' +
-            "WHERE ALL(c in concepts WHERE (c)-->(ctx) AND ((ctx.public) = '1' AND (ctx.by) = '" +
-            perceiver +
-            "')) " +
-            'RETURN ctx'
-
-        // TODO get user for public searchterms
+                'WHERE c1.name IN ' +
+                keywords_param +
+                ' ' +
+                'WITH COLLECT(distinct c1) as concepts ' +
+                'WHERE size(concepts) <> 0 ' +
+                'MATCH (ctx:Context) WHERE ctx.trashed IS NULL ' +
+                "AND ALL(c in concepts WHERE (c)-->(ctx) AND ctx.public = '1' AND ctx.by = " +
+                conContextQuery.param(perceiver) +
+                ') ' +
+                'RETURN ctx'
+        )
     }
 
-    dbneo.cypherQuery(conContextQuery, function(err, statements) {
-        if (err) {
-            err.type = 'neo4j'
-            return fn(err)
-        }
+    Query.run(conContextQuery, function(err, statements) {
+        if (err) return fn(err)
 
         // debug to see what info about the statements is shown
         // console.log(statements);
@@ -420,46 +838,28 @@ Entry.getConnectedContextsOut = function(receiver, perceiver, keywords, fn) {
 
     var searchwords = keywords[0].keywords.split(' ')
 
-    var keywords_query = ''
-
     console.log(searchwords)
-    // Are the contexts passed? If yes, add contextual query
 
-    if (searchwords.length > 0 && searchwords[0]) {
-        keywords_query = "['" + searchwords[0] + "'"
+    var conContextQuery = new Query()
 
-        for (var u = 1; u < searchwords.length; ++u) {
-            keywords_query += ",'" + searchwords[u] + "'"
-        }
-
-        keywords_query += ']'
-    }
-
-    // Now who sees what?
-
-    // Perceiver - the one who made the graph
-    // Receiver - the one who's watching it
-
-    var conContextQuery =
+    conContextQuery.add(
         'MATCH (c1:Concept) ' +
-        'WHERE  c1.name in (' +
-        keywords_query +
-        ')  ' +
-        'WITH COLLECT(distinct c1) as concepts ' +
-        'WHERE size(concepts) <> 0 ' + 
-        'MATCH (ctx:Context)-[:BY]->(u:User) ' +
-        "WHERE ALL(c in concepts WHERE (c)-->(ctx) AND ((ctx.public) = '1')) " +
-        'RETURN DISTINCT ctx,u.name'
-
-    console.log(conContextQuery)
-
-    // Strange situation - we don't know who to show statements for
+            'WHERE c1.name IN ' +
+            conContextQuery.param(
+                searchwords.filter(function(word) {
+                    return word
+                })
+            ) +
+            ' ' +
+            'WITH COLLECT(distinct c1) as concepts ' +
+            'WHERE size(concepts) <> 0 ' +
+            'MATCH (ctx:Context)-[:BY]->(u:User) WHERE ctx.trashed IS NULL ' +
+            "AND ALL(c in concepts WHERE (c)-->(ctx) AND ctx.public = '1') " +
+            'RETURN DISTINCT ctx,u.name'
+    )
 
-    dbneo.cypherQuery(conContextQuery, function(err, statements) {
-        if (err) {
-            err.type = 'neo4j'
-            return fn(err)
-        }
+    Query.run(conContextQuery, function(err, statements) {
+        if (err) return fn(err)
 
         // debug to see what info about the statements is shown
         // console.log(statements);
@@ -527,6 +927,75 @@ Entry.getNodes = function(
         }
     }
 
+    var stopwords_list = Entry.graphStopwords(res)
+
+    // Nothing changed since we made this graph last time? See lib/services/graphCache.js
+    var cache_key = GraphCache.key({
+        receiver: receiver,
+        perceiver: perceiver,
+        contexts: contexts,
+        maxnodes: maxnodes,
+        fullview: fullview,
+        showcontexts: showcontexts,
+        stopwords: stopwords_list,
+    })
+
+    var cached = graphCache.get(cache_key)
+
+    if (cached) return fn(null, cached)
+
+    var query = new Query()
+
+    // The stopwords of the graph never make it out of the database
+    var stopwords = query.param(stopwords_list)
+
+    var node_filter =
+        (view_filter ? view_filter + ' AND ' : ' WHERE ') +
+        'NOT start.name IN ' +
+        stopwords +
+        ' AND NOT end.name IN ' +
+        stopwords +
+        ' '
+
+    var limit = query.param(parseInt(maxnodes))
+
+    var returnEdges =
+        ' RETURN DISTINCT start.uid AS source_id, start.name AS source_name, ' +
+        ' end.uid AS target_id, end.name AS target_name, rel.uid AS edge_id, ' +
+        ' rel.context AS context_id, rel.statement AS statement_id, rel.weight AS weight '
+
+    // Rank the nodes of the relationships that match the Lucene query by the weight of their edges
+    // and cut the top maxnodes in the database, then get all the relationships between them
+
+    function topRelationships(lucene) {
+        return (
+            ' apoc.index.relationships(' +
+            "'TO'," +
+            lucene +
+            ') ' +
+            ' YIELD rel, start, end ' +
+            node_filter +
+            ' WITH DISTINCT rel, start, end ' +
+            ' UNWIND [start, end] AS node ' +
+            ' WITH node, SUM(COALESCE(toInteger(rel.weight), 3)) AS degree ' +
+            ' ORDER BY degree DESC LIMIT ' +
+            limit +
+            ' WITH COLLECT(node.uid) AS top ' +
+            ' CALL ' +
+            ' apoc.index.relationships(' +
+            "'TO'," +
+            lucene +
+            ') ' +
+            ' YIELD rel, start, end WITH rel, start, end, top ' +
+            ' WHERE start.uid IN top AND end.uid IN top ' +
+            ' WITH DISTINCT rel, start, end ' +
+            returnEdges
+        )
+    }
+
+    // The contexts the :AT relationships are filtered with if we show them
+    var context_ids = []
+
     querynodes = 'CALL '
 
     // This is when we view a graph for specific contexts
@@ -536,35 +1005,13 @@ Entry.getNodes = function(
             if (u > 0) {
                 querynodes += ' UNION CALL '
             }
-            querynodes +=
-                " apoc.index.relationships('TO','context:" +
-                Instruments.findInArray(contexts_map, contexts[u]) +
-                "') "
-            querynodes +=
-                ' YIELD rel, start, end ' +
-                view_filter +
-                ' WITH DISTINCT COLLECT(DISTINCT rel) AS rs, start, end ' +
-                ' ORDER BY SIZE(rs) DESC LIMIT ' + maxnodes*2 + 
-                ' WITH COLLECT(start.uid) AS cs, COLLECT(end.uid) AS ce ' +    
-                ' CALL ' + 
-                " apoc.index.relationships('TO','context:" +
-                Instruments.findInArray(contexts_map, contexts[u]) +
-                "') " + 
-                ' YIELD rel, start, end WITH rel, start, end ' +
-                ' WHERE ((start.uid IN cs OR start.uid IN ce) AND (end.uid IN cs OR end.uid IN ce)) ' + 
-                ' RETURN DISTINCT start.uid AS source_id, start.name AS source_name, ' +
-                ' end.uid AS target_id, end.name AS target_name, rel.uid AS edge_id, ' +
-                ' rel.context AS context_id, rel.statement AS statement_id, rel.weight AS weight '
-            if (u == 0) {
-                context_query = ' WHERE '
-            }
-            context_query +=
-                " rel.context='" +
-                Instruments.findInArray(contexts_map, contexts[u]) +
-                "' "
-            if (u < contexts.length - 1) {
-                context_query += ' OR '
-            }
+            querynodes += topRelationships(
+                query.lucene(
+                    'context',
+                    Instruments.findInArray(contexts_map, contexts[u])
+                )
+            )
+            context_ids.push(Instruments.findInArray(contexts_map, contexts[u]))
         }
     }
 
@@ -577,34 +1024,11 @@ Entry.getNodes = function(
                     querynodes += ' UNION CALL '
                 }
 
-                querynodes +=
-                    " apoc.index.relationships('TO','context:" +
-                    contexts_map[c][1] +
-                    "') "
-                querynodes +=
-                    ' YIELD rel, start, end ' +
-                    view_filter +
-                    ' WITH DISTINCT COLLECT(rel) AS rs, start, end ' +
-                    ' ORDER BY SIZE(rs) DESC LIMIT ' + maxnodes*2 + 
-                    ' WITH COLLECT(start.uid) AS cs, COLLECT(end.uid) AS ce ' +    
-                    ' CALL ' + 
-                    " apoc.index.relationships('TO','context:" +
-                    contexts_map[c][1] +
-                    "') " +
-                    ' YIELD rel, start, end WITH rel, start, end ' +
-                    ' WHERE ((start.uid IN cs OR start.uid IN ce) AND (end.uid IN cs OR end.uid IN ce)) ' + 
-                    ' WITH DISTINCT rel, start, end ' +
-                    ' RETURN DISTINCT start.uid AS source_id, start.name AS source_name, ' +
-                    ' end.uid AS target_id, end.name AS target_name, rel.uid AS edge_id, ' +
-                    ' rel.context AS context_id, rel.statement AS statement_id, rel.weight AS weight '
-
-                if (c == 0) {
-                    context_query = ' WHERE '
-                }
-                context_query += " rel.context='" + contexts_map[c][1] + "' "
-                if (c < contexts_map.length - 1) {
-                    context_query += ' OR '
-                }
+                querynodes += topRelationships(
+                    query.lucene('context', contexts_map[c][1])
+                )
+
+                context_ids.push(contexts_map[c][1])
             }
         }
 
@@ -617,386 +1041,252 @@ Entry.getNodes = function(
                 console.log('Receiver = Perceiver')
                 console.log('Retrieving nodes for User UID: ' + receiver)
                 console.log('Retrieving nodes made by UID: ' + perceiver)
-
-                // Do we show the contexts?
-
-                // TODO this is a request for when we need only a few contexts
-
-                // var filter_context = '';
-                //
-                // for (var i=0;i<contexts_map.length;i++) {
-                //   if (contexts_map[i][1] != 'undefined'){
-                //     filter_context += 'context:' + contexts_map[i][1];
-                //     if (i<contexts_map.length-1) {
-                //       filter_context += ' OR ';
-                //     }
-                //   }
-                // }
-
-                var filter_context = ''
-
-                for (var i = 0; i < contexts_map.length; i++) {
-                    if (contexts_map[i][1] != 'undefined') {
-                        filter_context += contexts_map[i][1]
-                        if (i < contexts_map.length - 1) {
-                            filter_context += ' '
-                        }
-                    }
-                }
-
-                querynodes =
-                    "CALL apoc.index.relationships('TO','context:(" +
-                    filter_context +
-                    ")') " +
-                    'YIELD rel, start, end ' +
-                    view_filter +
-                    ' WITH DISTINCT COLLECT(rel) AS rs, start, end ' +
-                    // " WHERE rel.user='" +
-                    // receiver +
-                    // "' " +
-                    ' ORDER BY SIZE(rs) DESC LIMIT ' + maxnodes*2 + 
-                    ' WITH COLLECT(start.uid) AS cs, COLLECT(end.uid) AS ce ' +    
-                    ' CALL ' + 
-                    " apoc.index.relationships('TO','context:(" +
-                    filter_context +
-                    ")') " +
-                    ' YIELD rel, start, end WITH rel, start, end ' +
-                    ' WHERE ((start.uid IN cs OR start.uid IN ce) AND (end.uid IN cs OR end.uid IN ce)) ' + 
-                    'RETURN DISTINCT start.uid AS source_id, start.name AS source_name, ' +
-                    'end.uid AS target_id, end.name AS target_name, rel.uid AS edge_id, ' +
-                    'rel.context AS context_id, rel.statement AS statement_id, rel.weight AS weight '
-
             } else if (receiver != perceiver && perceiver !== '') {
                 console.log('Receiver != Perceiver')
                 console.log('Retrieving nodes for User UID: ' + receiver)
                 console.log('Retrieving nodes made by UID: ' + perceiver)
+            }
 
-                // WHEN USING THI, ADD AFTER WITH DISTINCT AND CHANGE TO to 'user:" + perceiver + "'
-                // context_query = " MATCH (ctx:Context) WHERE ctx.public = '1' AND ctx.uid = rel.context ";
+            // Do we show the contexts?
 
-                var filter_context = ''
+            // TODO this is a request for when we need only a few contexts
+            // ANOTHER VERSION OF THE QUERY WOULD FILTER ON rel.context FOR EVERY CONTEXT
+            // MIGHT BE A BIT BETTER FOR WHEN WE HAVE ABOUT 10 DIFFERENT CONTEXTS, BUT GETS HEAVY WHEN THERE'S more
 
-                for (var i = 0; i < contexts_map.length; i++) {
-                    if (contexts_map[i][1] != 'undefined') {
-                        filter_context += contexts_map[i][1]
-                        if (i < contexts_map.length - 1) {
-                            filter_context += ' '
-                        }
-                    }
-                }
+            var filter_context = []
 
-                querynodes =
-                    "CALL apoc.index.relationships('TO','context:(" +
-                    filter_context +
-                    ")') " +
-                    'YIELD rel, start, end ' +
-                    view_filter +
-                    ' WITH DISTINCT COLLECT(rel) AS rs, start, end ' +
-                    // " WHERE rel.user='" +
-                    // receiver +
-                    // "' " +
-                    ' ORDER BY SIZE(rs) DESC LIMIT ' + maxnodes*2 + 
-                    ' WITH COLLECT(start.uid) AS cs, COLLECT(end.uid) AS ce ' +    
-                    ' CALL ' + 
-                    " apoc.index.relationships('TO','context:(" +
-                    filter_context +
-                    ")') " +
-                    ' YIELD rel, start, end WITH rel, start, end ' +
-                    ' WHERE ((start.uid IN cs OR start.uid IN ce) AND (end.uid IN cs OR end.uid IN ce)) ' + 
-                    'RETURN DISTINCT start.uid AS source_id, start.name AS source_name, ' +
-                    'end.uid AS target_id, end.name AS target_name, rel.uid AS edge_id, ' +
-                    'rel.context AS context_id, rel.statement AS statement_id, rel.weight AS weight ';
-
-                //
-                // ANOTHER VERSION OF THE QUERY
-                // MIGHT BE A BIT BETTER FOR WHEN WE HAVE ABOUT 10 DIFFERENT CONTEXTS, BUT GETS HEAVY WHEN THERE'S more
-
-                // for (var c = 0; c < contexts_map.length; c++) {
-                //
-                //   if (c == 0) {
-                //     if (view_filter.length == 0) {
-                //         context_query = " WHERE "
-                //     }
-                //     else {
-                //         context_query = " AND "
-                //     }
-                //   }
-                //   context_query += "(rel.context='" + contexts_map[c][1] + "')";
-                //   if (c < contexts_map.length - 1) {
-                //     context_query += " OR "
-                //   }
-                //
-                // }
+            for (var i = 0; i < contexts_map.length; i++) {
+                if (contexts_map[i][1] != 'undefined') {
+                    filter_context.push(contexts_map[i][1])
+                }
             }
+
+            querynodes =
+                'CALL ' +
+                topRelationships(query.lucene('context', filter_context))
         }
     }
 
     if (showcontexts) {
+        var context_user = ''
+
         if (
             (receiver == perceiver && receiver !== '') ||
             (receiver !== '' && perceiver === '')
         ) {
-            show_contexts =
-                " UNION CALL apoc.index.relationships('AT','user:" +
-                receiver +
-                "') " +
-                'YIELD rel, start, end ' +
-                view_filter +
-                'WITH DISTINCT rel, start, end ' +
-                context_query +
-                'RETURN DISTINCT start.uid AS source_id, start.name AS source_name, ' +
-                'end.uid AS target_id, end.name AS target_name, rel.uid AS edge_id, ' +
-                'rel.context AS context_id, rel.statement AS statement_id, rel.weight AS weight;'
+            context_user = receiver
         } else if (receiver != perceiver && perceiver !== '') {
+            context_user = perceiver
+        }
+
+        if (context_user) {
+            if (context_ids.length > 0) {
+                context_query =
+                    ' WHERE rel.context IN ' + query.param(context_ids) + ' '
+            }
+
             show_contexts =
-                " UNION CALL apoc.index.relationships('AT','user:" +
-                perceiver +
-                "') " +
+                ' UNION CALL apoc.index.relationships(' +
+                "'AT'," +
+                query.lucene('user', context_user) +
+                ') ' +
                 'YIELD rel, start, end ' +
-                view_filter +
+                node_filter +
                 'WITH DISTINCT rel, start, end ' +
                 context_query +
-                'RETURN DISTINCT start.uid AS source_id, start.name AS source_name, ' +
-                'end.uid AS target_id, end.name AS target_name, rel.uid AS edge_id, ' +
-                'rel.context AS context_id, rel.statement AS statement_id, rel.weight AS weight;'
+                returnEdges +
+                ';'
         }
         querynodes = querynodes + show_contexts
     }
 
-    console.log(querynodes)
-
-    dbneo.cypherQuery(querynodes, function(err, nodes) {
-        if (err) {
-            err.type = 'neo4j'
-            return fn(err)
-        }
+    query.add(querynodes)
 
-        var nodes_object = nodes.data
+    Query.run(query, function(err, nodes) {
+        if (err) return fn(err)
 
-        var g = {
-            nodes: [],
-            edges: [],
-        }
+        var g = Entry.buildGraph(
+            nodes.data,
+            contexts_map,
+            stopwords_list,
+            maxnodes
+        )
 
-        // Custom stopwords for this graph
-        // TODO CODE REPEAT from validate.js — export it into a separate function
+        // Whose statements they are, so the writes to them invalidate the graph
+        graphCache.set(cache_key, g, {
+            user: perceiver || receiver,
+            contexts: contexts,
+        })
 
-        var stopwords_custom = ''
+        fn(null, g)
+    })
+}
 
-        // Do stopwords exist for this particular view set by the user who created it?
-        if (res.locals.vieweduser && res.locals.vieweduser.stopwords) {
-            stopwords_custom = res.locals.vieweduser.stopwords
-        }
+// The custom stopwords of the graph: the ones of the user who made it or, if it's our own graph, ours.
+// The words with a minus are not stopwords, they are excluded from the default list, see validate.js
 
-        // Ok, then use the user's own stopwords, but ONLY if he is NOT viewing somebody else's graph
-        else if (!res.locals.viewuser) {
-            if (res.locals.user) {
-                if (res.locals.user.stopwords) {
-                    stopwords_custom = res.locals.user.stopwords
-                }
-            }
-        }
+Entry.graphStopwords = function(res) {
+    var stopwords_custom = ''
 
-        var stopwords_add = stopwords_custom.split(/[\s,;\t\n]+/)
+    // Do stopwords exist for this particular view set by the user who created it?
+    if (res.locals.vieweduser && res.locals.vieweduser.stopwords) {
+        stopwords_custom = res.locals.vieweduser.stopwords
+    }
 
-        for (var i = 0; i < stopwords_add.length; i++) {
-            if (stopwords_add[i].charAt(0) == '-') {
-                stopwords_add[i] = ''
+    // Ok, then use the user's own stopwords, but ONLY if he is NOT viewing somebody else's graph
+    else if (!res.locals.viewuser) {
+        if (res.locals.user) {
+            if (res.locals.user.stopwords) {
+                stopwords_custom = res.locals.user.stopwords
             }
         }
+    }
+
+    return stopwords_custom.split(/[\s,;\t\n]+/).filter(function(word) {
+        return word && word.charAt(0) != '-'
+    })
+}
 
-        // A new sorted array
-        var sorted = []
-     
-        // Let's reiterate through all the results 
-        // We count the total weight of the node's edges to then select a certain top number of them
-        // TODO this can also be moved in the actual Neo4J query for big graphs to save processing time retrieving all data
-        // https://stackoverflow.com/questions/54169281/any-way-to-filter-out-the-most-frequent-terms-in-neo4j-apoc-request
+// The graph of the top maxnodes nodes from the rows of getNodes:
+// [source_id, source_name, target_id, target_name, edge_id, context_id, statement_id, weight]
+// Every lookup goes through a map, so it takes one pass over the rows for 100 000s of edges
 
-        for (var i = 0; i < nodes_object.length; i++) {
-            if (Instruments.findInArray(contexts_map, nodes_object[i][5], 1)) {
-                // Set index for source and target to -1
-                var indexsource = -1
-                var indextarget = -1
+Entry.buildGraph = function(rows, contexts_map, stopwords, maxnodes) {
+    var g = {
+        nodes: [],
+        edges: [],
+    }
 
-                // Reiterate through the sorted array of search results
-                for (var j = 0; j < sorted.length; j++) {
+    // Context names by their IDs
+    var context_names = new Map()
 
-                    // Is there anywhere in this array the UID of the source node? Yes? We set the index to 1
-                    // NOTE used to be sorted[j].val = nodes_object[i][0] but in this case because of a previous DB bug if duplicate nodes with different IDs appeared they'd be added both and then sigma fails
+    for (var c = 0; c < contexts_map.length; c++) {
+        if (!context_names.has(contexts_map[c][1])) {
+            context_names.set(contexts_map[c][1], contexts_map[c][0])
+        }
+    }
 
-                    if (sorted[j].name == nodes_object[i][1]) indexsource = j
-                }
+    var stopwords_set = new Set(stopwords)
 
-                // Make compatible with DB where there's no edge weight
-                if (!nodes_object[i][7]) nodes_object[i][7] = 3;
-
-                // We did not find that source UID in the sorted?
-                if (indexsource == -1) {
-                    
-                    // This source edge is not in the stopwords?
-                    if (stopwords_add.indexOf(nodes_object[i][1]) == -1) {
-                            sorted.push({
-                                val: nodes_object[i][0],
-                                name: nodes_object[i][1],
-                                count: parseInt(nodes_object[i][7]),
-                            })
-                    }
-                }
-                // We found it? Then add more to the count
-                else {
-                    if (sorted[indexsource].val == nodes_object[i][0]) {
-                        sorted[indexsource].count += parseInt(nodes_object[i][7]);
-                    }
-                }
+    // The nodes with the total weight of their edges, by name
+    // NOTE by name, not by UID, because of a previous DB bug duplicate nodes with different IDs may appear and then sigma fails
+    var sorted = []
+    var by_name = new Map()
 
-                // Reiterate through the sorted array again
-                for (var j = 0; j < sorted.length; j++) {
-                    // Is there anywhere in this array the UID of the target node? Yes? Set the index to 1
-                    // NOTE used ot be sorted[j].val = nodes_object[i][2]
-                    if (sorted[j].name == nodes_object[i][3]) indextarget = j
-                }
+    function count(uid, name, weight) {
+        var node = by_name.get(name)
 
-                if (indextarget == -1) {
-                    if (stopwords_add.indexOf(nodes_object[i][3]) == -1) {
-                        sorted.push({
-                            val: nodes_object[i][2],
-                            name: nodes_object[i][3],
-                            count: parseInt(nodes_object[i][7]),
-                        })
-                    }
-                } else {
-                    if (sorted[indextarget].val == nodes_object[i][2]) {
-                        sorted[indextarget].count += parseInt(nodes_object[i][7]);
-                    }
-                }
+        if (!node) {
+            // This node is not in the stopwords?
+            if (!stopwords_set.has(name)) {
+                node = { val: uid, name: name, count: weight }
+                by_name.set(name, node)
+                sorted.push(node)
             }
+        } else if (node.val == uid) {
+            node.count += weight
         }
+    }
 
-        sorted.sort(function(a, b) {
-            if (a.count > b.count) return -1
-            if (a.count < b.count) return 1
-            return 0
-        });
+    for (var i = 0; i < rows.length; i++) {
+        if (context_names.get(rows[i][5])) {
+            // Make compatible with DB where there's no edge weight
+            if (!rows[i][7]) rows[i][7] = 3
 
-        sorted = sorted.slice(0, maxnodes)
+            count(rows[i][0], rows[i][1], parseInt(rows[i][7]))
+            count(rows[i][2], rows[i][3], parseInt(rows[i][7]))
+        }
+    }
 
-        // Show the nodes sorted after cutoff
-        // console.log(sorted)
+    sorted.sort(function(a, b) {
+        if (a.count > b.count) return -1
+        if (a.count < b.count) return 1
+        return 0
+    })
 
-        // Reiterate through all the edges we got and see if source/target is in the top maxnodes nodes
+    sorted = sorted.slice(0, maxnodes)
 
-        // All the graph model added edges
-        var edges_added = {}
-        var statements_ids = []
-        var edges_weight = []
+    var top = new Set(
+        sorted.map(function(node) {
+            return node.val
+        })
+    )
 
-        for (var i = 0; i < nodes_object.length; i++) {
-            if (Instruments.findInArray(contexts_map, nodes_object[i][5], 1)) {
-        
-                var sourcein = null
-                var targetin = null
+    // Reiterate through all the edges we got and see if both the source and the target are in the top maxnodes nodes
 
-                // Check if that particular edge has both the source and the target in the top maxnodes nodes
+    // All the graph model added edges
+    var edges_added = {}
+    var nodes_added = new Set()
 
-                for (var j = 0; j < sorted.length; j++) {
-                    if (sorted[j].val == nodes_object[i][0]) {
-                        sourcein = 1
-                    }
-                    if (sorted[j].val == nodes_object[i][2]) {
-                        targetin = 1
-                    }
-                }
+    function addNode(id, label) {
+        var key = JSON.stringify({ id: id, label: label })
 
-                // Yes, both the edge and the target are in the top nodes
+        if (!nodes_added.has(key)) {
+            nodes_added.add(key)
+            g.nodes.push({ id: id, label: label })
+        }
+    }
 
-                if (sourcein && targetin) {
-                    // If the edge has no weight, add an arbitrary 3 one
-                    if (!nodes_object[i][7]) {
-                        nodes_object[i][7] = 3
-                    }
+    for (var i = 0; i < rows.length; i++) {
+        var current_context_name = context_names.get(rows[i][5])
 
-                    // If the edge doesn't have an ID it's because it's of the :AT kind and it's a context connecting to concept
-                    if (!nodes_object[i][4]) {
-                        nodes_object[i][4] = 'context' + uuid.v1()
-                    }
+        if (
+            current_context_name &&
+            top.has(rows[i][0]) &&
+            top.has(rows[i][2])
+        ) {
+            // If the edge doesn't have an ID it's because it's of the :AT kind and it's a context connecting to concept
+            if (!rows[i][4]) {
+                rows[i][4] = 'context' + uuid.v1()
+            }
 
-                    g.nodes.push({
-                        id: nodes_object[i][0],
-                        label: nodes_object[i][1],
-                    })
+            addNode(rows[i][0], rows[i][1])
+            addNode(rows[i][2], rows[i][3])
 
-                    g.nodes.push({
-                        id: nodes_object[i][2],
-                        label: nodes_object[i][3],
-                    })    
-                    
-                    let current_context_name = Instruments.findInArray(contexts_map, nodes_object[i][5], 1);
-
-                    // Did we already add an edge with the same source and target AND with this particular context?
-                    if (edges_added[nodes_object[i][0] + '-' + nodes_object[i][2]]) {     
-                        // We have this same edge with the same context already?
-                        if (edges_added[nodes_object[i][0] + '-' + nodes_object[i][2]].context_matrix[current_context_name]) {
-                            // Add another statement to that edge 
-                            edges_added[nodes_object[i][0] + '-' + nodes_object[i][2]].context_matrix[current_context_name][nodes_object[i][6]] = parseInt(nodes_object[i][7]);
-                            edges_added[nodes_object[i][0] + '-' + nodes_object[i][2]].weight += parseInt(nodes_object[i][7]);
-                        }
-                        // We have an edge connecting these nodes but the context is different
-                        else {
-                            // Let's add the new context
-                            edges_added[nodes_object[i][0] + '-' + nodes_object[i][2]].context_matrix[current_context_name] = {};
-                            edges_added[nodes_object[i][0] + '-' + nodes_object[i][2]].context_matrix[current_context_name][nodes_object[i][6]] = parseInt(nodes_object[i][7]);
-                            edges_added[nodes_object[i][0] + '-' + nodes_object[i][2]].weight += parseInt(nodes_object[i][7]);
-                        }
-                    } 
-                    else {
-                        // Form a new context-statement object
-                        
-                        // Objects that will hold the data
-                        let context_statement = {};
-
-                        context_statement[current_context_name] = {};
-
-                        // A particular statement and its weight
-                        context_statement[current_context_name][nodes_object[i][6]] = nodes_object[i][7];
-
-                        // Create a new edge 
-                        edges_added[nodes_object[i][0] + '-' + nodes_object[i][2]] = {
-                            source: nodes_object[i][0],
-                            target: nodes_object[i][2],
-                            id: nodes_object[i][4],
-                            context_matrix: context_statement,
-                            weight: parseInt(nodes_object[i][7])
-                        };
-                    }
+            var edge = edges_added[rows[i][0] + '-' + rows[i][2]]
 
+            // Did we already add an edge with the same source and target?
+            if (edge) {
+                // We have an edge connecting these nodes but the context is different? Let's add the new context
+                if (!edge.context_matrix[current_context_name]) {
+                    edge.context_matrix[current_context_name] = {}
+                }
 
+                // Add another statement to that edge
+                edge.context_matrix[current_context_name][
+                    rows[i][6]
+                ] = parseInt(rows[i][7])
+                edge.weight += parseInt(rows[i][7])
+            } else {
+                // Form a new context-statement object with a particular statement and its weight
+                let context_statement = {}
+
+                context_statement[current_context_name] = {}
+                context_statement[current_context_name][rows[i][6]] = rows[i][7]
+
+                // Create a new edge
+                edges_added[rows[i][0] + '-' + rows[i][2]] = {
+                    source: rows[i][0],
+                    target: rows[i][2],
+                    id: rows[i][4],
+                    context_matrix: context_statement,
+                    weight: parseInt(rows[i][7]),
                 }
             }
         }
+    }
 
-        // TODO fix that some statements appear twice, some are gone issue #11
-
-        g.nodes = Instruments.uniqualizeArray(g.nodes, JSON.stringify)
+    // TODO fix that some statements appear twice, some are gone issue #11
 
-        g.nodes.sort(function(a, b) {
-            if (a.label < b.label) return -1
-            if (a.label > b.label) return 1
-            return 0
-        })
+    g.nodes.sort(function(a, b) {
+        if (a.label < b.label) return -1
+        if (a.label > b.label) return 1
+        return 0
+    })
 
-        for (var key in edges_added) {
-            g.edges.push(edges_added[key]);
-        }
- 
-        // if (g.nodes.length == 0) {
-        //     g.nodes.push({
-        //         id: 'dummy',
-        //         label: '',
-        //     })
-        // }
-        // console.log(edges_added);
+    for (var key in edges_added) {
+        g.edges.push(edges_added[key])
+    }
 
-        fn(null, g)
-    })
+    return g
 }
@@ -7,6 +7,7 @@
 
 const EventEmitter = require('events');
 const logger = require('../log/logger');
+const PersistentMap = require('../db/persistentMap');
 
 class CollaborativeScaling {
     constructor(options = {}) {
@@ -19,11 +20,24 @@ class CollaborativeScaling {
         };
 
         this.events = new EventEmitter();
-        this.activeCollaborations = new Map();
+        // Kept in the state store with their members, invites and pending submissions, see restore()
+        this.activeCollaborations = new PersistentMap('collaborations');
         this.teamGraphs = new Map();
         this.federatedSources = new Map();
     }
 
+    /**
+     * Get back the collaborations of before a restart
+     * 
+     * @returns {Promise<number>} - How many collaborations were restored
+     */
+    async restore() {
+        const restored = await this.activeCollaborations.load();
+
+        logger.info(`Restored ${restored} collaborations`);
+        return restored;
+    }
+
     /**
      * Create a new collaborative space
      * 
@@ -106,6 +120,8 @@ class CollaborativeScaling {
             collaboration.pendingInvites.delete(userId);
         }
 
+        this.activeCollaborations.save(collaborationId);
+
         logger.info(`Added member ${userId} to collaboration ${collaborationId} as ${role}`);
         this.events.emit('memberAdded', { collaborationId, userId, role });
 
@@ -145,6 +161,8 @@ class CollaborativeScaling {
             expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString() // 7 days expiry
         });
 
+        this.activeCollaborations.save(collaborationId);
+
         logger.info(`Invited user ${userToInvite} to collaboration ${collaborationId} as ${role}`);
         this.events.emit('userInvited', { collaborationId, inviteId, userToInvite, invitedBy, role });
 
@@ -174,6 +192,7 @@ class CollaborativeScaling {
         const now = new Date();
         if (new Date(invite.expiresAt) < now) {
             collaboration.pendingInvites.delete(userId);
+            this.activeCollaborations.save(collaborationId);
             throw new Error(`Invite for user ${userId} has expired`);
         }
 
@@ -221,6 +240,8 @@ class CollaborativeScaling {
                 rejections: []
             });
 
+            this.activeCollaborations.save(collaborationId);
+
             this.events.emit('submissionPending', { collaborationId, submissionId, type, userId });
             return submissionId;
         } else {
@@ -231,6 +252,8 @@ class CollaborativeScaling {
             member.contributions[type === 'node' ? 'nodes' : 'connections']++;
             member.lastActive = new Date().toISOString();
 
+            this.activeCollaborations.save(collaborationId);
+
             this.events.emit('submissionApproved', { collaborationId, type, userId });
             return 'auto-approved';
         }
@@ -293,6 +316,8 @@ class CollaborativeScaling {
             // Remove from pending approvals
             collaboration.pendingApprovals.delete(submissionId);
 
+            this.activeCollaborations.save(collaborationId);
+
             this.events.emit('submissionApproved', {
                 collaborationId,
                 submissionId,
@@ -304,6 +329,8 @@ class CollaborativeScaling {
             return true;
         }
 
+        this.activeCollaborations.save(collaborationId);
+
         return false; // Not enough approvals yet
     }
 
@@ -319,4 +346,37 @@ class CollaborativeScaling {
             throw new Error(`Collaboration not found: ${collaborationId}`);
         }
 
-// Return suggestion pool
\ No newline at end of file
+        // Return suggestion pool
+        return collaboration.suggestionPool;
+    }
+
+    /**
+     * Add an approved submission to the collaborative graph
+     * 
+     * @private
+     * @param {string} collaborationId - Collaboration ID
+     * @param {string} type - Type of submission ('node' or 'connection')
+     * @param {object} data - Submission data
+     * @param {string} userId - User who submitted it
+     */
+    _addToCollaborativeGraph(collaborationId, type, data, userId) {
+        const collaboration = this.activeCollaborations.get(collaborationId);
+
+        collaboration.changeHistory.push({
+            type,
+            data,
+            userId,
+            timestamp: new Date().toISOString()
+        });
+
+        this.activeCollaborations.save(collaborationId);
+    }
+}
+
+// Create singleton instance
+const collaborativeScaling = new CollaborativeScaling();
+
+module.exports = {
+    collaborativeScaling,
+    CollaborativeScaling
+};
@@ -9,6 +9,9 @@ const EventEmitter = require('events');
 const { TFEmbeddingsService } = require('./tfEmbeddings');
 const { memoryProtection } = require('../utils/memoryProtection');
 const { neuralIntegrationsConfig } = require('../config/neuralIntegrations');
+const { entryService } = require('../services/entryService');
+const { graphAnalytics } = require('../analytics/graphAnalytics');
+const PersistentMap = require('../db/persistentMap');
 const logger = require('../log/logger');
 const uuid = require('uuid');
 
@@ -30,7 +33,8 @@ class KnowledgeExpansion {
             cacheEnabled: options.cacheEnabled !== false
         });
 
-        this.expansionJobs = new Map();
+        // Kept in the state store, see restore()
+        this.expansionJobs = new PersistentMap('expansion-jobs');
         this.knowledgeBase = new Map();
         this.conceptRelations = new Map();
 
@@ -105,6 +109,35 @@ class KnowledgeExpansion {
         }
     }
 
+    /**
+     * Get back the jobs of before a restart and run again the ones it interrupted
+     * 
+     * @returns {Promise<number>} - How many jobs run again
+     */
+    async restore() {
+        await this.expansionJobs.load();
+
+        let restarted = 0;
+
+        for (const [jobId, job] of this.expansionJobs) {
+            if (job.status === 'queued' || job.status === 'running') {
+                job.status = 'queued';
+                job.progress = 0;
+                job.updated = Date.now();
+                this.expansionJobs.set(jobId, job);
+
+                setImmediate(() => {
+                    this._runExpansionJob(jobId);
+                });
+
+                restarted++;
+            }
+        }
+
+        logger.info(`Restored ${this.expansionJobs.size} knowledge expansion jobs, ${restarted} run again`);
+        return restarted;
+    }
+
     /**
      * Get status of an expansion job
      * 
@@ -379,18 +412,12 @@ class KnowledgeExpansion {
      * @returns {Promise<Object>} - Graph data
      */
     async _fetchGraph(userId, contextName) {
-        // This would typically be implemented to fetch data from the database
-        // For now, we'll return a dummy implementation
+        const graph = await entryService.getGraph(userId, contextName);
+
+        // The expansion works with the node names, Entry.getNodes calls them labels
         return {
-            nodes: [
-                { id: 'node1', name: 'Concept 1' },
-                { id: 'node2', name: 'Concept 2' },
-                { id: 'node3', name: 'Concept 3' }
-            ],
-            edges: [
-                { source: 'node1', target: 'node2', weight: 1 },
-                { source: 'node2', target: 'node3', weight: 1 }
-            ]
+            nodes: graph.nodes.map(node => ({ ...node, name: node.label })),
+            edges: graph.edges
         };
     }
 
@@ -618,31 +645,35 @@ class KnowledgeExpansion {
      * @returns {Promise<Array>} - Insights
      */
     async _generateInsightsForGraph(graph, options) {
-        // In a real implementation, this would analyze the graph structure
-        // to discover patterns, clusters, and insights
-
-        // For this example, we'll generate some dummy insights
-        return [
-            {
-                type: 'cluster',
-                description: 'Found a potential new knowledge cluster around "' +
-                    (graph.nodes[0]?.name || 'concepts') + '"',
-                confidence: 0.85,
-                relatedNodes: [graph.nodes[0]?.id]
-            },
-            {
-                type: 'bridge',
-                description: 'Discovered potential bridge concept connecting separate areas of knowledge',
-                confidence: 0.78,
-                relatedNodes: [graph.nodes[1]?.id, graph.nodes[2]?.id]
-            },
-            {
-                type: 'gap',
-                description: 'Identified knowledge gap that could be explored further',
-                confidence: 0.72,
-                relatedNodes: []
+        // The topics of the graph that are linked less than they could be,
+        // and the pairs of concepts that would bridge them
+        const { gaps } = graphAnalytics.structuralGaps(graph);
+        const labels = concepts => concepts.map(concept => '"' + concept.label + '"').join(', ');
+
+        return gaps.flatMap(gap => {
+            const insights = [
+                {
+                    type: 'gap',
+                    description: 'The topic around ' + labels(gap.topics[0]) + ' is ' +
+                        (gap.links ? 'barely' : 'not') + ' connected to the one around ' + labels(gap.topics[1]),
+                    confidence: gap.gap,
+                    relatedNodes: gap.topics[0].concat(gap.topics[1]).map(concept => concept.id)
+                }
+            ];
+
+            if (gap.bridges.length) {
+                const bridge = gap.bridges[0];
+
+                insights.push({
+                    type: 'bridge',
+                    description: 'Linking "' + bridge.source.label + '" to "' + bridge.target.label + '" would bridge the gap between these topics',
+                    confidence: Math.round(bridge.score * gap.gap * 100) / 100,
+                    relatedNodes: [bridge.source.id, bridge.target.id]
+                });
             }
-        ];
+
+            return insights;
+        });
     }
 
     /**
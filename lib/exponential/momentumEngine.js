@@ -9,6 +9,7 @@
 const logger = require('../log/logger');
 const EventEmitter = require('events');
 const { knowledgeExpansion } = require('./knowledgeExpansion');
+const PersistentMap = require('../db/persistentMap');
 
 class MomentumEngine {
     constructor(options = {}) {
@@ -22,13 +23,25 @@ class MomentumEngine {
         };
 
         this.events = new EventEmitter();
-        this.userMomentum = new Map(); // Track momentum per user
-        this.contextMomentum = new Map(); // Track momentum per context
+        this.userMomentum = new PersistentMap('user-momentum'); // Track momentum per user, kept in the state store
+        this.contextMomentum = new PersistentMap('context-momentum'); // Track momentum per context, kept in the state store
         this.nodeMomentum = new Map(); // Track momentum per node
         this.momentumReinforcements = new Map(); // Track active reinforcement jobs
         this.expansionSubscriptions = new Map(); // Track subscriptions to KnowledgeExpansion events
     }
 
+    /**
+     * Get back the momentum of the users and contexts of before a restart
+     * 
+     * @returns {Promise<number>} - How many momentum states were restored
+     */
+    async restore() {
+        const restored = await this.userMomentum.load() + await this.contextMomentum.load();
+
+        logger.info(`Restored ${restored} momentum states`);
+        return restored;
+    }
+
     /**
      * Initialize momentum tracking for a user or context
      * 
@@ -1089,4 +1102,10 @@ class MomentumEngine {
     }
 }
 
-module.exports = MomentumEngine;
\ No newline at end of file
+// Create singleton instance
+const momentumEngine = new MomentumEngine();
+
+module.exports = {
+    momentumEngine,
+    MomentumEngine
+};
\ No newline at end of file
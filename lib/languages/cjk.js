@@ -0,0 +1,103 @@
+/**
+ * InfraNodus is a lightweight interface to graph databases.
+ *
+ * This open source, free software is available under MIT license.
+ * It is provided as is, with no guarantees and no liabilities.
+ * You are very welcome to reuse this code if you keep this notice.
+ *
+ * Written by Dmitry Paranyushkin | Nodus Labs and hopefully you also...
+ * www.noduslabs.com | info AT noduslabs DOT com
+ *
+ */
+
+// Chinese, Japanese and Korean don't separate the words with spaces, so instead of the min length rule
+// we split the text into words with the dictionary-based Intl.Segmenter and keep the single-character words.
+
+var stopwords_zh = require('natural/lib/natural/util/stopwords_zh').words
+
+var stopwords_ja = require('natural/lib/natural/util/stopwords_ja').words
+
+var stopwords_ko = [
+    '이',
+    '그',
+    '저',
+    '것',
+    '수',
+    '등',
+    '및',
+    '또',
+    '또는',
+    '그리고',
+    '하다',
+    '있다',
+    '없다',
+    '되다',
+    '이다',
+    '아니다',
+    '에',
+    '의',
+    '가',
+    '을',
+    '를',
+    '은',
+    '는',
+    '와',
+    '과',
+    '도',
+    '로',
+    '으로',
+    '에서',
+    '한',
+    '더',
+]
+
+// Han, Hiragana, Katakana and Hangul
+var CJK = /[぀-ヿ㐀-䶿一-鿿豈-﫿가-힯]/
+
+function segmenter(locale) {
+    var segmenter = null
+
+    return function(tokens) {
+        // Intl.Segmenter loads its dictionaries the first time we need them
+        if (!segmenter) {
+            segmenter = new Intl.Segmenter(locale, { granularity: 'word' })
+        }
+
+        var segmented = []
+
+        tokens.forEach(function(token) {
+            if (!CJK.test(token.value)) return segmented.push(token)
+
+            Array.from(segmenter.segment(token.value)).forEach(function(
+                segment
+            ) {
+                segmented.push({
+                    value: segment.segment,
+                    tag: segment.isWordLike ? 'word' : 'punctuation',
+                })
+            })
+        })
+
+        return segmented
+    }
+}
+
+function pipeline(name, code, script, stopwords) {
+    return {
+        name: name,
+        codes: [code],
+        script: script,
+        stopwords: function() {
+            return stopwords
+        },
+        minLength: 1,
+        segment: segmenter(code),
+    }
+}
+
+// Japanese goes before Chinese: it uses the Han characters too, but only Japanese has kana
+module.exports = [
+    pipeline('japanese', 'ja', /[぀-ヿ]/, stopwords_ja),
+    pipeline('korean', 'ko', /[가-힯]/, stopwords_ko),
+    pipeline('chinese', 'zh', /[㐀-䶿一-鿿]/, stopwords_zh),
+]
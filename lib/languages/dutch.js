@@ -0,0 +1,30 @@
+/**
+ * InfraNodus is a lightweight interface to graph databases.
+ *
+ * This open source, free software is available under MIT license.
+ * It is provided as is, with no guarantees and no liabilities.
+ * You are very welcome to reuse this code if you keep this notice.
+ *
+ * Written by Dmitry Paranyushkin | Nodus Labs and hopefully you also...
+ * www.noduslabs.com | info AT noduslabs DOT com
+ *
+ */
+
+// Dutch with the Porter stemmer and the stopwords from natural
+
+var natural = require('natural')
+
+var stopwords = require('natural/lib/natural/util/stopwords_nl').words
+
+module.exports = {
+    name: 'dutch',
+    codes: ['nl'],
+    detect: ['dutch'],
+    stopwords: function() {
+        return stopwords
+    },
+    lemmatize: function(word) {
+        return natural.PorterStemmerNl.stem(word)
+    },
+    sentiment: { language: 'Dutch', type: 'pattern' },
+}
@@ -0,0 +1,45 @@
+/**
+ * InfraNodus is a lightweight interface to graph databases.
+ *
+ * This open source, free software is available under MIT license.
+ * It is provided as is, with no guarantees and no liabilities.
+ * You are very welcome to reuse this code if you keep this notice.
+ *
+ * Written by Dmitry Paranyushkin | Nodus Labs and hopefully you also...
+ * www.noduslabs.com | info AT noduslabs DOT com
+ *
+ */
+
+// English: phpMorphy lemmas or, for the researchers, the Porter stemmer
+
+var natural = require('natural')
+
+var options = require('../../options')
+
+var Languages = require('./index')
+
+function stopwords() {
+    return options.stopwords_en || []
+}
+
+module.exports = [
+    {
+        name: 'english',
+        codes: ['en'],
+        detect: ['english'],
+        stopwords: stopwords,
+        lemmatize: function(word) {
+            return Languages.morphyLemmatizer('en')(word)
+        },
+        sentiment: { language: 'English', type: 'afinn' },
+    },
+    {
+        name: 'penglish',
+        codes: ['ep'],
+        stopwords: stopwords,
+        lemmatize: function(word) {
+            return natural.PorterStemmer.stem(word)
+        },
+        sentiment: { language: 'English', type: 'afinn' },
+    },
+]
@@ -0,0 +1,37 @@
+/**
+ * InfraNodus is a lightweight interface to graph databases.
+ *
+ * This open source, free software is available under MIT license.
+ * It is provided as is, with no guarantees and no liabilities.
+ * You are very welcome to reuse this code if you keep this notice.
+ *
+ * Written by Dmitry Paranyushkin | Nodus Labs and hopefully you also...
+ * www.noduslabs.com | info AT noduslabs DOT com
+ *
+ */
+
+// French, lemmatized with nlp-js-tools-french. The words it has no lemma for are dropped.
+
+var NlpjsTFr = require('nlp-js-tools-french')
+
+var options = require('../../options')
+
+module.exports = {
+    name: 'french',
+    codes: ['fr'],
+    detect: ['french'],
+    stopwords: function() {
+        return options.stopwords_fr || []
+    },
+    lemmatize: function(word) {
+        var lemmas = new NlpjsTFr(word).lemmatizer()
+
+        // just making sure this lemma exists and it's the first one in the list
+        if (lemmas[0] && lemmas[0]['lemma'] != undefined) {
+            return lemmas[0]['lemma']
+        }
+
+        return null
+    },
+    sentiment: { language: 'French', type: 'pattern' },
+}
@@ -0,0 +1,29 @@
+/**
+ * InfraNodus is a lightweight interface to graph databases.
+ *
+ * This open source, free software is available under MIT license.
+ * It is provided as is, with no guarantees and no liabilities.
+ * You are very welcome to reuse this code if you keep this notice.
+ *
+ * Written by Dmitry Paranyushkin | Nodus Labs and hopefully you also...
+ * www.noduslabs.com | info AT noduslabs DOT com
+ *
+ */
+
+// German, lemmatized with phpMorphy
+
+var options = require('../../options')
+
+var Languages = require('./index')
+
+module.exports = {
+    name: 'german',
+    codes: ['de'],
+    detect: ['german'],
+    stopwords: function() {
+        return options.stopwords_de || []
+    },
+    lemmatize: function(word) {
+        return Languages.morphyLemmatizer('de')(word)
+    },
+}
@@ -0,0 +1,177 @@
+/**
+ * InfraNodus is a lightweight interface to graph databases.
+ *
+ * This open source, free software is available under MIT license.
+ * It is provided as is, with no guarantees and no liabilities.
+ * You are very welcome to reuse this code if you keep this notice.
+ *
+ * Written by Dmitry Paranyushkin | Nodus Labs and hopefully you also...
+ * www.noduslabs.com | info AT noduslabs DOT com
+ *
+ */
+
+/**
+ *
+ * Registry of the language pipelines extractConcepts uses to turn a statement
+ * into concepts. Every file in this folder exports one or more pipelines:
+ *
+ *   name       - what we call the language, e.g. 'english'
+ *   codes      - the inlanguage setting values that choose it, e.g. ['en']
+ *   detect     - the languagedetect results that mean it, e.g. ['english']
+ *   script     - a RegExp for a writing system only this language uses, checked before languagedetect
+ *   stopwords  - function that returns the list of stopwords
+ *   lemmatize  - function(word) that returns the lemma or stem, null to drop the word
+ *   minLength  - the shortest word that can be a concept
+ *   alien      - true if the words wink-tokenizer doesn't know (e.g. Cyrillic) are words too
+ *   segment    - function(tokens) that splits the tokens further (e.g. CJK text without spaces)
+ *   sentiment  - the lexicon of natural that scores the sentiment, e.g. {language: 'English', type: 'afinn'},
+ *                null if there's none, see lib/tools/sentiment.js
+ *
+ * To add a language, add a file here, there's no need to change validate.js.
+ *
+ */
+
+var fs = require('fs')
+
+var path = require('path')
+
+var LanguageDetect = require('languagedetect')
+
+var lngDetector = new LanguageDetect()
+
+const Morphy = require('phpmorphy-locutus').default
+
+module.exports = Languages
+
+function Languages() {}
+
+var pipelines = {}
+
+// The order languages were registered in, the scripts are checked in this order
+var order = []
+
+Languages.register = function(pipeline) {
+    if (!pipeline || !pipeline.name) {
+        throw new Error('A language pipeline needs a name')
+    }
+
+    pipelines[pipeline.name] = Object.assign(
+        {
+            codes: [],
+            detect: [],
+            script: null,
+            stopwords: function() {
+                return []
+            },
+            lemmatize: function(word) {
+                return word
+            },
+            minLength: 3,
+            alien: false,
+            segment: null,
+            sentiment: null,
+        },
+        pipeline
+    )
+
+    if (order.indexOf(pipeline.name) < 0) order.push(pipeline.name)
+
+    return pipelines[pipeline.name]
+}
+
+Languages.get = function(name) {
+    return pipelines[name] || null
+}
+
+Languages.names = function() {
+    return order.slice()
+}
+
+// The language chosen with the inlanguage setting
+
+Languages.forCode = function(code) {
+    for (var i = 0; i < order.length; i++) {
+        if (pipelines[order[i]].codes.indexOf(code) >= 0) {
+            return pipelines[order[i]]
+        }
+    }
+
+    return null
+}
+
+// Which language to process the statement in. A two-letter inlanguage setting chooses it,
+// otherwise we detect it: by the writing system first, then with languagedetect.
+// Languages we detect but don't have a pipeline for are processed as English.
+
+Languages.detect = function(statement, inlanguage) {
+    if (inlanguage && inlanguage.length == 2) {
+        return Languages.forCode(inlanguage) || pipelines.none
+    }
+
+    for (var i = 0; i < order.length; i++) {
+        var script = pipelines[order[i]].script
+        if (script && script.test(statement)) return pipelines[order[i]]
+    }
+
+    var detected = lngDetector.detect(statement, 4)
+
+    if (!detected || detected.length == 0) return pipelines.none
+
+    for (var j = 0; j < order.length; j++) {
+        if (pipelines[order[j]].detect.indexOf(detected[0][0]) >= 0) {
+            return pipelines[order[j]]
+        }
+    }
+
+    return pipelines.english
+}
+
+// Split the statement into wink-tokenizer tokens the language may segment further
+
+Languages.tokenize = function(language, tokens) {
+    return language.segment ? language.segment(tokens) : tokens
+}
+
+// phpMorphy dictionaries take a while to load, so we only load the ones we use
+
+var morphies = {}
+
+Languages.morphy = function(code) {
+    if (!morphies[code]) {
+        morphies[code] = new Morphy(code, {
+            storage: Morphy.STORAGE_MEM,
+            predict_by_suffix: true,
+            predict_by_db: true,
+            graminfo_as_text: true,
+            use_ancodes_cache: false,
+            resolve_ancodes: Morphy.RESOLVE_ANCODES_AS_TEXT,
+        })
+    }
+
+    return morphies[code]
+}
+
+// The lemmatize function for a phpMorphy dictionary: the first lemma or the word itself if it's not there
+
+Languages.morphyLemmatizer = function(code) {
+    return function(word) {
+        var lemmas = Languages.morphy(code).lemmatize(word)
+        return lemmas != false ? lemmas[0] : word
+    }
+}
+
+// Without a language we keep every word as it is
+Languages.register({
+    name: 'none',
+    codes: ['zz'],
+    minLength: 1,
+})
+
+fs.readdirSync(__dirname)
+    .filter(function(file) {
+        return file != 'index.js' && path.extname(file) == '.js'
+    })
+    .sort()
+    .forEach(function(file) {
+        ;[].concat(require('./' + file)).forEach(Languages.register)
+    })
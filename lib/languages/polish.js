@@ -0,0 +1,24 @@
+/**
+ * InfraNodus is a lightweight interface to graph databases.
+ *
+ * This open source, free software is available under MIT license.
+ * It is provided as is, with no guarantees and no liabilities.
+ * You are very welcome to reuse this code if you keep this notice.
+ *
+ * Written by Dmitry Paranyushkin | Nodus Labs and hopefully you also...
+ * www.noduslabs.com | info AT noduslabs DOT com
+ *
+ */
+
+// Polish: there's no stemmer for it we can use, so the words stay as they are without the stopwords
+
+var stopwords = require('natural/lib/natural/util/stopwords_pl').words
+
+module.exports = {
+    name: 'polish',
+    codes: ['pl'],
+    detect: ['polish'],
+    stopwords: function() {
+        return stopwords
+    },
+}
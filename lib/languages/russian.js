@@ -0,0 +1,31 @@
+/**
+ * InfraNodus is a lightweight interface to graph databases.
+ *
+ * This open source, free software is available under MIT license.
+ * It is provided as is, with no guarantees and no liabilities.
+ * You are very welcome to reuse this code if you keep this notice.
+ *
+ * Written by Dmitry Paranyushkin | Nodus Labs and hopefully you also...
+ * www.noduslabs.com | info AT noduslabs DOT com
+ *
+ */
+
+// Russian and the languages languagedetect confuses it with, lemmatized with phpMorphy
+
+var options = require('../../options')
+
+var Languages = require('./index')
+
+module.exports = {
+    name: 'russian',
+    codes: ['ru'],
+    detect: ['russian', 'macedonian', 'slovak', 'serbian'],
+    stopwords: function() {
+        return options.stopwords_ru || []
+    },
+    lemmatize: function(word) {
+        return Languages.morphyLemmatizer('ru')(word)
+    },
+    // wink-tokenizer doesn't know Cyrillic words
+    alien: true,
+}
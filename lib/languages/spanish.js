@@ -0,0 +1,39 @@
+/**
+ * InfraNodus is a lightweight interface to graph databases.
+ *
+ * This open source, free software is available under MIT license.
+ * It is provided as is, with no guarantees and no liabilities.
+ * You are very welcome to reuse this code if you keep this notice.
+ *
+ * Written by Dmitry Paranyushkin | Nodus Labs and hopefully you also...
+ * www.noduslabs.com | info AT noduslabs DOT com
+ *
+ */
+
+// Spanish: the detected texts keep their words, the Porter stemmer is for the researchers
+
+var natural = require('natural')
+
+var options = require('../../options')
+
+function stopwords() {
+    return options.stopwords_es || []
+}
+
+module.exports = [
+    {
+        name: 'spanish',
+        detect: ['spanish'],
+        stopwords: stopwords,
+        sentiment: { language: 'Spanish', type: 'senticon' },
+    },
+    {
+        name: 'pspanish',
+        codes: ['sp'],
+        stopwords: stopwords,
+        lemmatize: function(word) {
+            return natural.PorterStemmerEs.stem(word)
+        },
+        sentiment: { language: 'Spanish', type: 'senticon' },
+    },
+]
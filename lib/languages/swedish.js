@@ -0,0 +1,28 @@
+/**
+ * InfraNodus is a lightweight interface to graph databases.
+ *
+ * This open source, free software is available under MIT license.
+ * It is provided as is, with no guarantees and no liabilities.
+ * You are very welcome to reuse this code if you keep this notice.
+ *
+ * Written by Dmitry Paranyushkin | Nodus Labs and hopefully you also...
+ * www.noduslabs.com | info AT noduslabs DOT com
+ *
+ */
+
+// Swedish with the Porter stemmer
+
+var natural = require('natural')
+
+var options = require('../../options')
+
+module.exports = {
+    name: 'pswedish',
+    codes: ['vp'],
+    stopwords: function() {
+        return options.stopwords_sv || []
+    },
+    lemmatize: function(word) {
+        return natural.PorterStemmerSv.stem(word)
+    },
+}
@@ -0,0 +1,116 @@
+/**
+ * InfraNodus is a lightweight interface to graph databases.
+ *
+ * This open source, free software is available under MIT license.
+ * It is provided as is, with no guarantees and no liabilities.
+ * You are very welcome to reuse this code if you keep this notice.
+ *
+ * Written by Dmitry Paranyushkin | Nodus Labs and hopefully you also...
+ * www.noduslabs.com | info AT noduslabs DOT com
+ *
+ */
+
+// Ukrainian, lemmatized with phpMorphy. languagedetect takes it for Russian, so we recognize it by the letters Russian doesn't have.
+
+var Languages = require('./index')
+
+var stopwords = [
+    'і',
+    'й',
+    'та',
+    'але',
+    'або',
+    'що',
+    'як',
+    'це',
+    'цей',
+    'ця',
+    'ці',
+    'той',
+    'ті',
+    'він',
+    'вона',
+    'воно',
+    'вони',
+    'ми',
+    'ви',
+    'я',
+    'ти',
+    'мене',
+    'тебе',
+    'його',
+    'її',
+    'їх',
+    'нас',
+    'вас',
+    'в',
+    'у',
+    'на',
+    'з',
+    'із',
+    'зі',
+    'до',
+    'від',
+    'для',
+    'по',
+    'при',
+    'про',
+    'над',
+    'під',
+    'за',
+    'між',
+    'через',
+    'без',
+    'не',
+    'ні',
+    'так',
+    'також',
+    'теж',
+    'вже',
+    'ще',
+    'лише',
+    'тільки',
+    'був',
+    'була',
+    'було',
+    'були',
+    'бути',
+    'є',
+    'буде',
+    'дуже',
+    'коли',
+    'де',
+    'хто',
+    'який',
+    'яка',
+    'яке',
+    'які',
+    'свій',
+    'своє',
+    'свої',
+    'наш',
+    'ваш',
+    'мій',
+    'твій',
+    'тут',
+    'там',
+    'чи',
+    'ж',
+    'б',
+    'би',
+]
+
+module.exports = {
+    name: 'ukrainian',
+    codes: ['uk'],
+    detect: ['ukrainian'],
+    script: /[іїєґІЇЄҐ]/,
+    stopwords: function() {
+        return stopwords
+    },
+    lemmatize: function(word) {
+        return Languages.morphyLemmatizer('uk')(word)
+    },
+    // wink-tokenizer doesn't know Cyrillic words
+    alien: true,
+}
@@ -0,0 +1,245 @@
+/**
+ * InfraNodus is a lightweight interface to graph databases.
+ *
+ * This open source, free software is available under MIT license.
+ * It is provided as is, with no guarantees and no liabilities.
+ * You are very welcome to reuse this code if you keep this notice.
+ *
+ * Written by Dmitry Paranyushkin | Nodus Labs and hopefully you also...
+ * www.noduslabs.com | info AT noduslabs DOT com
+ *
+ */
+
+/**
+ *
+ * Shared contexts. The owner of a context (the user it's BY) invites other
+ * users into it as editors, who add their own statements to it, or as viewers,
+ * who only see it, even if it's private. An invitation is a MEMBER relationship
+ * from the user to the context, it counts once the user accepted it:
+ *
+ * (m:User)-[:MEMBER{role, invited, accepted}]->(ctx:Context)-[:BY]->(u:User)
+ *
+ * The statements stay BY the user who made them and IN the owner's context.
+ *
+ */
+
+var Query = require('./db/query')
+
+module.exports = Membership
+
+function Membership() {}
+
+Membership.ROLES = ['editor', 'viewer']
+
+// Invite a user into a context of the owner, or change their role if they're already in it.
+// The callback gets the member or null if there's no such context or user.
+
+Membership.invite = function(owner_id, context_name, member_name, role, fn) {
+    if (Membership.ROLES.indexOf(role) < 0) {
+        return fn(new Error('The role should be one of ' + Membership.ROLES))
+    }
+
+    var inviteQuery = new Query(
+        'MATCH (ctx:Context{name:$context})-[:BY]->(u:User{uid:$ownerId}) ' +
+            'WHERE ctx.trashed IS NULL ' +
+            'WITH DISTINCT ctx MATCH (m:User{name:$member}) WHERE m.uid <> $ownerId ' +
+            'MERGE (m)-[r:MEMBER]->(ctx) ON CREATE SET r.invited = $timestamp ' +
+            'SET r.role = $role ' +
+            'RETURN m, r;',
+        {
+            context: context_name,
+            ownerId: owner_id,
+            member: member_name,
+            role: role,
+            timestamp: new Date().getTime(),
+        }
+    )
+
+    Query.run(inviteQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        fn(null, answer.data[0] ? Membership.member(answer.data[0]) : null)
+    })
+}
+
+// The members of a context and the users invited into it, null if the owner has no such context
+
+Membership.list = function(owner_id, context_name, fn) {
+    var listQuery = new Query(
+        'MATCH (ctx:Context{name:$context})-[:BY]->(u:User{uid:$ownerId}) ' +
+            'WHERE ctx.trashed IS NULL ' +
+            'WITH DISTINCT ctx OPTIONAL MATCH (m:User)-[r:MEMBER]->(ctx) ' +
+            'RETURN m, r ORDER BY m.name;',
+        { context: context_name, ownerId: owner_id }
+    )
+
+    Query.run(listQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        if (!answer.data.length) return fn(null, null)
+
+        fn(
+            null,
+            answer.data
+                .filter(function(row) {
+                    return row[0]
+                })
+                .map(Membership.member)
+        )
+    })
+}
+
+// The owner takes a user out of a context, the callback gets false if they were not in it
+
+Membership.remove = function(owner_id, context_name, member_name, fn) {
+    var removeQuery = new Query(
+        'MATCH (m:User{name:$member})-[r:MEMBER]->(ctx:Context{name:$context})-[:BY]->(u:User{uid:$ownerId}) ' +
+            'DELETE r RETURN m.uid;',
+        { member: member_name, context: context_name, ownerId: owner_id }
+    )
+
+    Query.run(removeQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        fn(null, answer.data.length > 0)
+    })
+}
+
+// The contexts other users shared with a user, with the invitations they did not accept yet
+
+Membership.shared = function(user_id, fn) {
+    var sharedQuery = new Query(
+        'MATCH (m:User{uid:$userId})-[r:MEMBER]->(ctx:Context)-[:BY]->(u:User) ' +
+            'WHERE ctx.trashed IS NULL ' +
+            'RETURN DISTINCT ctx, u, r ORDER BY u.name, ctx.name;',
+        { userId: user_id }
+    )
+
+    Query.run(sharedQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        fn(null, answer.data.map(Membership.context))
+    })
+}
+
+// A context of another user as a user sees it: what their role in it is and if they accepted it.
+// The owner is 'owner' in their own context. The callback gets null if the user is not in it.
+
+Membership.find = function(user_id, owner_name, context_name, fn) {
+    var findQuery = new Query(
+        'MATCH (ctx:Context{name:$context})-[:BY]->(u:User{name:$owner}) ' +
+            'WHERE ctx.trashed IS NULL ' +
+            'WITH DISTINCT ctx, u OPTIONAL MATCH (m:User{uid:$userId})-[r:MEMBER]->(ctx) ' +
+            'RETURN ctx, u, r;',
+        { context: context_name, owner: owner_name, userId: user_id }
+    )
+
+    Query.run(findQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        var row = answer.data[0]
+
+        if (!row) return fn(null, null)
+
+        if (row[1].uid == user_id) {
+            return fn(
+                null,
+                Membership.context([row[0], row[1], { role: 'owner' }])
+            )
+        }
+
+        fn(null, row[2] ? Membership.context(row) : null)
+    })
+}
+
+// The user accepts the invitation into a context, the callback gets it as find does or null if there was none
+
+Membership.accept = function(user_id, owner_name, context_name, fn) {
+    var acceptQuery = new Query(
+        'MATCH (m:User{uid:$userId})-[r:MEMBER]->(ctx:Context{name:$context})-[:BY]->(u:User{name:$owner}) ' +
+            'WHERE ctx.trashed IS NULL ' +
+            'SET r.accepted = coalesce(r.accepted, $timestamp) ' +
+            'RETURN ctx, u, r;',
+        {
+            userId: user_id,
+            context: context_name,
+            owner: owner_name,
+            timestamp: new Date().getTime(),
+        }
+    )
+
+    Query.run(acceptQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        fn(null, answer.data[0] ? Membership.context(answer.data[0]) : null)
+    })
+}
+
+// The user declines the invitation or leaves the context, the callback gets false if they were not in it
+
+Membership.leave = function(user_id, owner_name, context_name, fn) {
+    var leaveQuery = new Query(
+        'MATCH (m:User{uid:$userId})-[r:MEMBER]->(ctx:Context{name:$context})-[:BY]->(u:User{name:$owner}) ' +
+            'DELETE r RETURN ctx.uid;',
+        { userId: user_id, context: context_name, owner: owner_name }
+    )
+
+    Query.run(leaveQuery, function(err, answer) {
+        if (err) return fn(err)
+
+        fn(null, answer.data.length > 0)
+    })
+}
+
+// Can the user do this ('read' or 'write') in a context they found with find?
+
+Membership.allows = function(shared, action) {
+    if (!shared) return false
+
+    if (shared.role == 'owner') return true
+
+    if (!shared.accepted) return false
+
+    return action == 'read' || shared.role == 'editor'
+}
+
+// The Cypher condition for a context (ctx) the user can see without owning it: it's public or they are a member
+
+Membership.visible = function(query, user_id) {
+    return (
+        "(ctx.public = '1' OR ANY(membership IN [(ctx)<-[membership:MEMBER]-(:User{uid:" +
+        query.param(user_id || '') +
+        '}) | membership] WHERE membership.accepted IS NOT NULL))'
+    )
+}
+
+// A member from the [user, relationship] row of a query
+
+Membership.member = function(row) {
+    return {
+        uid: row[0].uid,
+        name: row[0].name,
+        role: row[1].role,
+        invited: row[1].invited || null,
+        accepted: row[1].accepted || null,
+    }
+}
+
+// A shared context from the [context, owner, relationship] row of a query
+
+Membership.context = function(row) {
+    return {
+        context: {
+            uid: row[0].uid,
+            name: row[0].name,
+            public: row[0].public == '1',
+            // Its own co-occurrence scan settings, see validate.getContextID
+            scanwindow: row[0].scanwindow,
+            scanweighting: row[0].scanweighting,
+            scanunit: row[0].scanunit,
+        },
+        owner: { uid: row[1].uid, name: row[1].name },
+        role: row[2].role,
+        accepted: row[2].role == 'owner' ? null : row[2].accepted || null,
+    }
+}
@@ -0,0 +1,118 @@
+var ApiToken = require('../apitoken')
+
+// Authenticates the /api requests that come with an Authorization: Bearer token, see lib/apitoken.js
+// Requests without a token go on as before (logged in through the session or public).
+
+module.exports = function(req, res, next) {
+    var header = req.headers.authorization || ''
+
+    var match = header.match(/^Bearer\s+(\S+)$/i)
+
+    if (!match) return next()
+
+    ApiToken.authenticate(match[1], function(err, user, token) {
+        if (err) return next(err)
+
+        if (!user) {
+            return deny(
+                res,
+                401,
+                'unauthorized',
+                'This API token is not valid or was revoked.'
+            )
+        }
+
+        if (!token.allowsMethod(req.method)) {
+            return deny(
+                res,
+                403,
+                'forbidden',
+                'This API token can only read, it cannot change anything.'
+            )
+        }
+
+        // The context can also come with the query or the form, the one in the URL is checked in module.exports.context
+        var contexts = [].concat(
+            req.query.context || [],
+            req.query.addcontext || [],
+            (req.body && req.body.context) || [],
+            req.body && req.body.addedContexts
+                ? String(req.body.addedContexts).split(',')
+                : []
+        )
+
+        for (var i = 0; i < contexts.length; i++) {
+            if (!token.allowsContext(contexts[i])) return denyContext(res)
+        }
+
+        // lib/middleware/user.js makes res.locals.user out of it
+        req.remoteUser = req.user = res.locals.user = user
+        req.apitoken = token
+
+        next()
+    })
+}
+
+// For the routes that need a user, see routes/api2.js: the ones logged in through the session or with a valid token go on, the others get a 401
+
+module.exports.required = function(req, res, next) {
+    if (req.user) return next()
+
+    module.exports(req, res, function(err) {
+        if (err) return next(err)
+
+        if (!req.user) {
+            return deny(
+                res,
+                401,
+                'unauthorized',
+                'Please, log in or send an API token in the Authorization: Bearer header.'
+            )
+        }
+
+        next()
+    })
+}
+
+// For router.param('context'), see routes/api/v3.js: a token limited to some contexts can't reach the others through the URL
+
+module.exports.context = function(req, res, next, context) {
+    if (req.apitoken && !req.apitoken.allowsContext(context)) {
+        return denyContext(res)
+    }
+
+    next()
+}
+
+// The same for the handlers of routes/api.js and routes/api2.js, which are not in a router that registers it.
+// app.param doesn't reach them once they are mounted under /api, so they check the context themselves.
+
+module.exports.withContext = function(handler) {
+    return function(req, res, next) {
+        var context = req.params && req.params.context
+
+        if (context === undefined) return handler(req, res, next)
+
+        module.exports.context(
+            req,
+            res,
+            function() {
+                handler(req, res, next)
+            },
+            context
+        )
+    }
+}
+
+function denyContext(res) {
+    deny(res, 403, 'forbidden', 'This API token cannot access this context.')
+}
+
+// errormsg for the older API routes and the views, error for the API v3, see routes/api/v3.js
+
+function deny(res, status, code, message) {
+    res.status(status).send({
+        errormsg: message,
+        error: { code: code, message: message },
+    })
+}
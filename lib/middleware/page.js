@@ -1,21 +1,117 @@
-module.exports = function(fn, perpage) {
-    perpage = perpage || 5
+var options = require('../../options')
+
+// Cursor pagination and time range of the statements: ?limit=&cursor=&since=&until=
+// The cursor is the timestamp and the uid of the last statement of a page, so the next page
+// starts right after it even if new statements were added in the meantime, see Entry.getRangePage
+
+module.exports = function(perpage) {
     return function(req, res, next) {
-        var page = Math.max(parseInt(req.param('page') || '1', 10), 1) - 1
-
-        fn(function(err, total) {
-            if (err) return next(err)
-
-            req.page = res.locals.page = {
-                number: page,
-                perpage: perpage,
-                from: page * perpage,
-                to: page * perpage + perpage - 1,
-                total: total,
-                count: Math.ceil(total / perpage),
+        var page = parse(req.query, perpage)
+
+        if (page.error) {
+            return res.status(400).send({ errormsg: page.error })
+        }
+
+        req.page = res.locals.page = page
+
+        next()
+    }
+}
+
+module.exports.parse = parse
+module.exports.cursor = cursor
+module.exports.requested = requested
+module.exports.toTimestamp = toTimestamp
+
+// Does the query ask for a page? The API gives all the statements at once otherwise, as it always did
+
+function requested(query) {
+    return ['limit', 'cursor', 'since', 'until'].some(function(key) {
+        return query && query[key] !== undefined && query[key] !== ''
+    })
+}
+
+// The page a query asks for, with an error if it can't be understood. perpage is the limit if the query has none.
+
+function parse(query, perpage) {
+    query = query || {}
+
+    var page = {
+        limit: perpage || options.settings.statements_per_page,
+        after: null,
+        since: null,
+        until: null,
+    }
+
+    if (query.limit !== undefined && query.limit !== '') {
+        var limit = Number(query.limit)
+
+        if (
+            !Number.isInteger(limit) ||
+            limit < 1 ||
+            limit > options.settings.max_statements_page
+        ) {
+            return {
+                error:
+                    'The limit should be a number from 1 to ' +
+                    options.settings.max_statements_page,
             }
+        }
+
+        page.limit = limit
+    }
 
-            next()
-        })
+    if (query.cursor) {
+        page.after = decode(query.cursor)
+
+        if (!page.after) return { error: 'We did not understand this cursor.' }
+    }
+
+    if (query.since) {
+        page.since = toTimestamp(query.since)
+
+        if (page.since === null) return { error: 'since should be a date.' }
+    }
+
+    if (query.until) {
+        page.until = toTimestamp(query.until)
+
+        if (page.until === null) return { error: 'until should be a date.' }
     }
+
+    return page
+}
+
+// The cursor for the page that starts after this statement
+
+function cursor(statement) {
+    return Buffer.from(
+        JSON.stringify([statement.timestamp, statement.uid])
+    ).toString('base64url')
+}
+
+function decode(value) {
+    try {
+        var position = JSON.parse(
+            Buffer.from(String(value), 'base64url').toString('utf8')
+        )
+
+        if (
+            Array.isArray(position) &&
+            typeof position[0] === 'number' &&
+            typeof position[1] === 'string'
+        ) {
+            return { timestamp: position[0], uid: position[1] }
+        }
+    } catch (err) {}
+
+    return null
+}
+
+// A date (ISO or milliseconds) in the units of the statement timestamps, which are milliseconds * 10000
+
+function toTimestamp(value) {
+    var time = /^\d+$/.test(value) ? Number(value) : Date.parse(value)
+
+    return isNaN(time) ? null : time * 10000
 }
@@ -10,54 +10,19 @@ var FlowdockText = require('flowdock-text')
 // Options for Stack Overflow
 var options = require('../../options')
 
-// Stemming module initialization
-var natural = require('natural')
+// Tokenizer module initialization
 var tokenizer = require('wink-tokenizer')
 var myTokenizer = tokenizer()
 
-// Lemmatizer module initialization
-
-// Call French Lemmer
-var NlpjsTFr = require('nlp-js-tools-french')
-
-const Morphy = require('phpmorphy-locutus').default
-
-var lemmerEng = new Morphy('en', {
-    //  nojo:                false,
-    storage: Morphy.STORAGE_MEM,
-    predict_by_suffix: true,
-    predict_by_db: true,
-    graminfo_as_text: true,
-    use_ancodes_cache: false,
-    resolve_ancodes: Morphy.RESOLVE_ANCODES_AS_TEXT,
-})
-
-var lemmerRus = new Morphy('ru', {
-    //  nojo:                false,
-    storage: Morphy.STORAGE_MEM,
-    predict_by_suffix: true,
-    predict_by_db: true,
-    graminfo_as_text: true,
-    use_ancodes_cache: false,
-    resolve_ancodes: Morphy.RESOLVE_ANCODES_AS_TEXT,
-})
-
-var lemmerGer = new Morphy('de', {
-    //  nojo:                false,
-    storage: Morphy.STORAGE_MEM,
-    predict_by_suffix: true,
-    predict_by_db: true,
-    graminfo_as_text: true,
-    use_ancodes_cache: false,
-    resolve_ancodes: Morphy.RESOLVE_ANCODES_AS_TEXT,
-})
-
-// Language detection
-var LanguageDetect = require('languagedetect')
-var lngDetector = new LanguageDetect()
-
-var neo4j = require('node-neo4j')
-dbneo = new neo4j(options.neo4jlink)
+// Language pipelines: detection, stopwords and lemmatizers, see lib/languages/index.js
+var Languages = require('../languages')
+
+var Query = require('../db/query')
+var Entry = require('../entry')
+var Membership = require('../membership')
+var graphCache = require('../services/graphCache').graphCache
+var realtime = require('../services/realtime').realtime
+var Phrases = require('../tools/phrases')
 
 var neo4jnew = require('neo4j-driver').v1
 
@@ -114,6 +79,7 @@ function extractConcepts(
     morphemes,
     hashnodes,
     stopwords_custom,
+    phrases,
     res
 ) {
     // Get rid of the @contexts in the statement
@@ -130,17 +96,7 @@ function extractConcepts(
 
     console.log('We are processing: ' + statement)
 
-    // Detect language
-    // Rather fast-patched way to deal with a case when language is not detected TODO: fix
-
-    lngDetected = lngDetector.detect(statement, 4)
-
-    // console.log(lngDetected);
-
-    // A rather complicated way of detecting language because language detect module works like shit
-    var lng = 'undefined'
-
-    var lngmarker = ''
+    // Detect language, unless the user chose it in the settings
 
     var inlanguage = 'auto'
 
@@ -151,94 +107,11 @@ function extractConcepts(
         }
     }
 
-    if (
-        typeof lngDetected !== 'undefined' &&
-        lngDetected.length > 0 &&
-        inlanguage.length != 2
-    ) {
-        if (
-            lngDetected[0][0] == 'russian' ||
-            lngDetected[0][0] == 'macedonian' ||
-            lngDetected[0][0] == 'slovak' ||
-            lngDetected[0][0] == 'serbian'
-        ) {
-            lng = 'russian'
-            lngmarker = 'detected'
-        } else if (lngDetected[0][0] == 'english') {
-            lng = 'english'
-            lngmarker = 'detected'
-        } else {
-            if (
-                lngDetected[0][0] == 'german' ||
-                lngDetected[0][0] == 'french' ||
-                lngDetected[0][0] == 'spanish'
-            ) {
-                // If we detect one of the languages above on top of the list, mark it as default language
-                if (lngmarker != 'detected') {
-                    lng = lngDetected[0][0]
-                    lngmarker = 'detected'
-                }
-            } else {
-                lng = 'english'
-                lngmarker = 'detected'
-            }
-        }
-    } else {
-        if (inlanguage == 'fr') {
-            lng = 'french'
-        } else if (inlanguage == 'de') {
-            lng = 'german'
-        } else if (inlanguage == 'ru') {
-            lng = 'russian'
-        } else if (inlanguage == 'en') {
-            lng = 'english'
-        } else if (inlanguage == 'ep') {
-            lng = 'penglish'
-        } else if (inlanguage == 'pp') {
-            lng = 'pportugese'
-        } else if (inlanguage == 'sp') {
-            lng = 'pspanish'
-        } else if (inlanguage == 'vp') {
-            lng = 'pswedish'
-        } else if (inlanguage == 'zz') {
-            lng = 'none'
-        } else {
-            lng = 'none'
-        }
-        lngmarker = 'detected'
-    }
-    // Get a list of stopwords from settings
-    // TODO load stopword corrections from user's settings
-
-    var stopwords = options.stopwords_en
+    var language = Languages.detect(statement, inlanguage)
 
-    if (lng == 'none') {
-        stopwords = []
-    }
+    // Get a list of stopwords for the language
 
-    if (lng == 'russian') {
-        stopwords = options.stopwords_ru
-    }
-
-    if (lng == 'german') {
-        stopwords = options.stopwords_de
-    }
-
-    if (lng == 'french') {
-        stopwords = options.stopwords_fr
-    }
-
-    if (lng == 'pspanish' || lng == 'spanish') {
-        stopwords = options.stopwords_es
-    }
-
-    if (lng == 'pswedish' || lng == 'swedish') {
-        stopwords = options.stopwords_sv
-    }
-
-    if (lng == 'pportugese' || lng == 'portugese') {
-        stopwords = options.stopwords_pt
-    }
+    var stopwords = language.stopwords()
 
     // Get the custom stopwords
     // This function splits a string separated by , space or new line and converts it into an array
@@ -284,12 +157,23 @@ function extractConcepts(
 
     // All possible value https://github.com/winkjs/wink-tokenizer
 
-    var tokens = myTokenizer.tokenize(statement)
+    // Languages written without spaces segment the tokens further into words
+    var tokens = Languages.tokenize(language, myTokenizer.tokenize(statement))
+
+    // Multi-word phrases become one concept and are not lemmatized, like #hashtags
+    tokens = Phrases.mergeTokens(tokens, phrases)
+
+    var phraseconcepts = []
 
     for (var t = 0; t < tokens.length; t++) {
-        if (tokens[t].tag == 'word') {
-            // TODO for Chinese and others decrease this number
-            if (lng == 'none' || tokens[t].value.toLowerCase().length > 2) {
+        if (tokens[t].tag == 'phrase') {
+            concepts.push(tokens[t].value)
+            phraseconcepts.push(tokens[t].value)
+        } else if (
+            tokens[t].tag == 'word' ||
+            (tokens[t].tag == 'alien' && language.alien)
+        ) {
+            if (tokens[t].value.toLowerCase().length >= language.minLength) {
                 concepts.push(tokens[t].value.toLowerCase())
             }
         } else if (tokens[t].tag == 'hashtag') {
@@ -298,10 +182,6 @@ function extractConcepts(
                     .underscore()
                     .s.toLowerCase()
             )
-        } else if (tokens[t].tag == 'alien' && lng == 'russian') {
-            if (tokens[t].value.toLowerCase().length > 2) {
-                concepts.push(tokens[t].value.toLowerCase())
-            }
         } else if (tokens[t].tag == 'emoji') {
             concepts.push(tokens[t].value)
         }
@@ -314,7 +194,8 @@ function extractConcepts(
     for (var i = 0; i < concepts.length; i++) {
         if (
             (stopwords.indexOf(concepts[i]) == -1 && concepts[i].length > 0) ||
-            hashtags.indexOf(concepts[i]) > -1
+            hashtags.indexOf(concepts[i]) > -1 ||
+            phraseconcepts.indexOf(concepts[i]) > -1
         ) {
             conceptsclean.push(concepts[i])
         }
@@ -327,8 +208,11 @@ function extractConcepts(
     for (var i = 0; i < conceptsclean.length; ++i) {
         // There are hashtags and they should not be lemmatized
 
-        if (morphemes != 1 && hashtags.indexOf(conceptsclean[i]) > -1) {
-            // This concept is a hashtag? Then add it to the list of lemmas unchanged
+        if (
+            (morphemes != 1 && hashtags.indexOf(conceptsclean[i]) > -1) ||
+            phraseconcepts.indexOf(conceptsclean[i]) > -1
+        ) {
+            // This concept is a hashtag or a phrase? Then add it to the list of lemmas unchanged
 
             var hashtag_array = [conceptsclean[i]]
 
@@ -337,64 +221,11 @@ function extractConcepts(
 
         // It's not a hashtag
         else {
-            if (lng == 'russian') {
-                if (lemmerRus.lemmatize(conceptsclean[i]) != false) {
-                    lemmas.push(lemmerRus.lemmatize(conceptsclean[i]))
-                } else {
-                    var hashtag_array = [conceptsclean[i]]
-                    lemmas.push(hashtag_array)
-                }
-            } else if (lng == 'english') {
-                if (lemmerEng.lemmatize(conceptsclean[i]) != false) {
-                    lemmas.push(lemmerEng.lemmatize(conceptsclean[i]))
-                } else {
-                    var hashtag_array = [conceptsclean[i]]
-                    lemmas.push(hashtag_array)
-                }
-            } else if (lng == 'german') {
-                if (lemmerGer.lemmatize(conceptsclean[i]) != false) {
-                    lemmas.push(lemmerGer.lemmatize(conceptsclean[i]))
-                } else {
-                    var hashtag_array = [conceptsclean[i]]
-                    lemmas.push(hashtag_array)
-                }
-            } else if (lng == 'penglish') {
-                var hashtag_array = [
-                    natural.PorterStemmer.stem(conceptsclean[i]),
-                ]
-                lemmas.push(hashtag_array)
-            } else if (lng == 'pswedish') {
-                var hashtag_array = [
-                    natural.PorterStemmerSv.stem(conceptsclean[i]),
-                ]
-                lemmas.push(hashtag_array)
-            } else if (lng == 'pspanish') {
-                var hashtag_array = [
-                    natural.PorterStemmerEs.stem(conceptsclean[i]),
-                ]
-                lemmas.push(hashtag_array)
-            } else if (lng == 'pportugese') {
-                var hashtag_array = [
-                    natural.PorterStemmerPt.stem(conceptsclean[i]),
-                ]
-                lemmas.push(hashtag_array)
-            } else if (lng == 'french') {
-                // Activate French lemmer on it
-                var lemmerFra = new NlpjsTFr(conceptsclean[i])
-
-                // Get intermediary lemmas on it
-                var lemmaspre = lemmerFra.lemmatizer()
-
-                // just making sure this lemma exists and it's the first one in the list
-                if (lemmaspre[0] && lemmaspre[0]['lemma'] != undefined) {
-                    var hashtag_array = [lemmaspre[0]['lemma']]
-
-                    lemmas.push(hashtag_array)
-                }
-            } else {
-                var hashtag_array = [conceptsclean[i]]
+            // The lemma or the stem, the language may also drop the word
+            var lemma = language.lemmatize(conceptsclean[i])
 
-                lemmas.push(hashtag_array)
+            if (lemma) {
+                lemmas.push([lemma])
             }
         }
     }
@@ -470,122 +301,18 @@ exports.isToDelete = function() {
             req.body.edit == 'edit' ||
             req.body.delete == 'delete context'
         ) {
-            var delete_query = []
+            // Deleted contexts and statements go to the trash first, see Entry.purgeTrash
 
             if (req.body.delete == 'delete context') {
-                var idQuery =
-                    'MATCH (u:User{uid:"' +
-                    res.locals.user.uid +
-                    '"}), (ctx:Context{name:"' +
-                    req.body.context +
-                    '"}), (ctx)-[:BY]->(u) RETURN ctx.uid;'
-
-                console.log(idQuery)
-
-                dbneo.cypherQuery(idQuery, function(err, uid) {
-                    if (err) {
-                        err.type = 'neo4j'
-                        return fn(err)
-                    }
-
-                    // Pass this on to the next function
-
-                    var context_id = uid.data[0]
-
-                    console.log(uid.data[0])
-
-                    // Delete TO and OF types of relationships for Concepts and BY type of relationship for Statements (they include context ID)
-
-                    delete_query[0] =
-                        "CALL apoc.index.relationships('TO','context:" +
-                        context_id +
-                        "') " +
-                        'YIELD rel WITH DISTINCT rel ' +
-                        'DELETE rel;'
-
-                    delete_query[1] =
-                        "CALL apoc.index.relationships('OF','context:" +
-                        context_id +
-                        "') " +
-                        'YIELD rel WITH DISTINCT rel ' +
-                        'DELETE rel;'
-
-                    delete_query[2] =
-                        "CALL apoc.index.relationships('BY','context:" +
-                        context_id +
-                        "') " +
-                        'YIELD rel WITH DISTINCT rel ' +
-                        'DELETE rel;'
-
-                    // Then delete the remaining relationships (AT, IN) and BY for concepts and Statements
-                    delete_query[3] =
-                        "MATCH (ctx:Context{uid:'" +
-                        context_id +
-                        "'}), " +
-                        '(s)-[in:IN]->(ctx) ' +
-                        'DELETE s,in;'
-
-                    // Then delete the remaining relationships (AT, IN) and BY for concepts and Statements
-                    delete_query[4] =
-                        "MATCH (ctx:Context{uid:'" +
-                        context_id +
-                        "'}), " +
-                        '(c:Concept), (c)-[at]->(ctx)  ' +
-                        'DELETE at;'
-
-                    // Then delete the remaining relationships (AT, IN) and BY for concepts and Statements
-                    delete_query[5] =
-                        "MATCH (ctx:Context{uid:'" +
-                        context_id +
-                        "'}), " +
-                        '(u:User), (ctx)-[by]-(u) ' +
-                        'DELETE ctx,by;'
-
-                    console.log(delete_query)
-                    console.log(delete_query[0])
-
-                    deleteContext(goBackContext)
-                })
+                trashContext(goBackContext)
             } else {
-                // A query for when there's more than 1 hashtag/concept - we also need it for editing as the edited st is deleted first
-
-                delete_query[0] =
-                    "CALL apoc.index.relationships('TO','statement:" +
-                    req.body.statementid +
-                    "') " +
-                    'YIELD rel WITH DISTINCT rel ' +
-                    'DELETE rel;'
-
-                delete_query[1] =
-                    "CALL apoc.index.relationships('AT','statement:" +
-                    req.body.statementid +
-                    "') " +
-                    'YIELD rel WITH DISTINCT rel ' +
-                    'DELETE rel;'
-
-                delete_query[2] =
-                    "CALL apoc.index.relationships('BY','statement:" +
-                    req.body.statementid +
-                    "') " +
-                    'YIELD rel WITH DISTINCT rel ' +
-                    'DELETE rel;'
-
-                delete_query[3] =
-                    "MATCH (s:Statement{uid:'" +
-                    req.body.statementid +
-                    "'}), " +
-                    '(s)-[by:BY]->(u), (s)-[in:IN]->(ctx), (c)-[of:OF]->(s) ' +
-                    'DELETE by,in,of,s;'
-
                 // TODO add logic to delete contexts if this is the last statement
 
                 // Now let's check if the user wants to delete or edit a node
 
                 if (req.body.delete == 'delete') {
                     if (req.body.statementid) {
-                        console.log(delete_query)
-
-                        deleteStatement(goBack)
+                        trashStatement(goBack)
                     } else {
                         res.error(
                             'Sorry, but we did not get the ID of what you wanted to delete.'
@@ -594,11 +321,10 @@ exports.isToDelete = function() {
                     }
                 }
 
-                // If we want to edit the node, we simply delete it and then pass on the data to entries.submit to add a new one
+                // If we want to edit the node, we pass on the data to entries.submit to keep the old wording as a revision and save the new one under the same ID
                 else if (req.body.edit == 'edit') {
                     if (req.body.statementid) {
-                        console.log(delete_query)
-                        deleteStatement(moveOn)
+                        reviseStatement(moveOn)
                     } else {
                         res.error(
                             'Sorry, but we did not get the ID of what you wanted to edit.'
@@ -614,86 +340,97 @@ exports.isToDelete = function() {
             next()
         }
 
-        // Constructing transation for Neo4J operation
-
-        function deleteStatement(callback) {
-            dbneo.beginAndCommitTransaction(
-                {
-                    statements: [
-                        {
-                            statement: delete_query[0],
-                            resultDataContents: ['row', 'graph'],
-                        },
-                        {
-                            statement: delete_query[1],
-                            resultDataContents: ['row', 'graph'],
-                        },
-                        {
-                            statement: delete_query[2],
-                            resultDataContents: ['row', 'graph'],
-                        },
-                        {
-                            statement: delete_query[3],
-                            resultDataContents: ['row', 'graph'],
-                        },
-                    ],
-                },
-                function(err, cypherAnswer) {
-                    if (err) {
-                        err.type = 'neo4j'
-                        return callback(err)
-                    }
-                    // No error? Pass the contexts to makeQuery function
-                    callback(null, cypherAnswer)
-                    console.log('cypher answer')
-                    console.log(cypherAnswer)
+        // Move the statement or the whole context into the trash
+
+        // The graphs they were in change too, see lib/services/graphCache.js
+
+        function trashStatement(callback) {
+            Entry.trashStatement(
+                res.locals.user.uid,
+                req.body.statementid,
+                function(err, answer) {
+                    if (err || !answer) return callback(err, answer)
+
+                    // A statement can be in several contexts, so all the graphs of the user go
+                    graphCache.invalidate(res.locals.user.uid)
+                    realtime.publish(
+                        res.locals.user.uid,
+                        undefined,
+                        'deleted',
+                        [{ uid: req.body.statementid }]
+                    )
+
+                    // And the ones of the contexts other users shared with them
+                    Entry.getOwners(req.body.statementid, function(
+                        err,
+                        owners
+                    ) {
+                        if (!err) {
+                            changedShared(owners, 'deleted', [
+                                { uid: req.body.statementid },
+                            ])
+                        }
+                        callback(null, answer)
+                    })
                 }
             )
         }
 
-        // Constructing transation for Neo4J operation
-
-        function deleteContext(callback) {
-            dbneo.beginAndCommitTransaction(
-                {
-                    statements: [
-                        {
-                            statement: delete_query[0],
-                            resultDataContents: ['row', 'graph'],
-                        },
-                        {
-                            statement: delete_query[1],
-                            resultDataContents: ['row', 'graph'],
-                        },
-                        {
-                            statement: delete_query[2],
-                            resultDataContents: ['row', 'graph'],
-                        },
-                        {
-                            statement: delete_query[3],
-                            resultDataContents: ['row', 'graph'],
-                        },
-                        {
-                            statement: delete_query[4],
-                            resultDataContents: ['row', 'graph'],
-                        },
-                        {
-                            statement: delete_query[5],
-                            resultDataContents: ['row', 'graph'],
-                        },
-                    ],
-                },
-                function(err, cypherAnswer) {
-                    if (err) {
-                        err.type = 'neo4j'
-                        return callback(err)
-                    }
-                    // No error? Pass the contexts to makeQuery function
-                    callback(null, cypherAnswer)
-                    console.log('cypher answer')
-                    console.log(cypherAnswer)
+        // The graphs of the owners of the shared contexts the statement is in, see Entry.getOwners
+
+        function changedShared(owners, change, statements) {
+            owners.forEach(function(owner) {
+                if (owner.uid == res.locals.user.uid) return
+                graphCache.invalidate(owner.uid, owner.contexts)
+                realtime.publish(owner.uid, owner.contexts, change, statements)
+            })
+        }
+
+        function trashContext(callback) {
+            Entry.trashContext(res.locals.user.uid, req.body.context, function(
+                err,
+                answer
+            ) {
+                if (!err) {
+                    graphCache.invalidate(res.locals.user.uid, [
+                        req.body.context,
+                    ])
+                    realtime.publish(res.locals.user.uid, [req.body.context])
                 }
-            )
+                callback(err, answer)
+            })
+        }
+
+        // The statement keeps its ID, timestamp and earlier wording. entries.submit only detaches it
+        // from its concepts when it saves the new text, in the same transaction, see Entry.revision
+
+        function reviseStatement(callback) {
+            // The revision takes the statement out of its contexts, so we ask whose they are first
+            Entry.getOwners(req.body.statementid, function(err, owners) {
+                if (err) return callback(err)
+
+                Entry.revision(
+                    res.locals.user.uid,
+                    req.body.statementid,
+                    function(err, statement) {
+                        if (err) return callback(err)
+
+                        if (!statement) {
+                            return callback(
+                                'We did not find the statement to edit.'
+                            )
+                        }
+
+                        // entries.submit will save the new text into the same statement
+                        req.statementid = statement.uid
+                        req.body.timestamp = statement.timestamp
+                        req.revision = statement.queries
+                        req.owners = owners
+
+                        callback(null, statement)
+                    }
+                )
+            })
         }
 
         // That's in case we want to go back (when deleted, for example)
@@ -709,7 +446,7 @@ exports.isToDelete = function() {
             } else {
                 // If all is good, make a message for the user and send him back
                 res.send({
-                    successmsg: 'The statement was removed.',
+                    successmsg: 'The statement was moved to the trash.',
                     statementid: req.body.statementid,
                 })
             }
@@ -723,7 +460,7 @@ exports.isToDelete = function() {
                 res.redirect('back')
             } else {
                 // If all is good, make a message for the user and send him back
-                res.error('The whole list was removed.')
+                res.error('The whole list was moved to the trash.')
                 res.redirect('back')
             }
         }
@@ -760,21 +497,20 @@ exports.changeContextPrivacy = function() {
                 res.error('You did not specify a graph')
                 res.redirect('back')
             } else {
-                privacyquery =
-                    'MATCH (u:User{uid:"' +
-                    res.locals.user.uid +
-                    '"}), (ctx:Context{name:"' +
-                    req.body.context +
-                    '"}), (ctx)-[:BY]->(u) WITH DISTINCT ctx SET ctx.public = "1";'
+                privacyquery = new Query(
+                    'MATCH (u:User{uid:$userId}), (ctx:Context{name:$context}), (ctx)-[:BY]->(u) WHERE ctx.trashed IS NULL WITH DISTINCT ctx SET ctx.public = "1";',
+                    { userId: res.locals.user.uid, context: req.body.context }
+                )
             }
 
-            console.log(privacyquery)
-
-            dbneo.cypherQuery(privacyquery, function(err, uid) {
+            Query.run(privacyquery, function(err, uid) {
                 if (err) {
-                    err.type = 'neo4j'
-                    return fn(err)
+                    return next(err)
                 } else {
+                    // Who can see the graph changed, see lib/services/graphCache.js
+                    graphCache.invalidate(res.locals.user.uid, [
+                        req.body.context,
+                    ])
                     res.error('The graph is now public.')
                     res.redirect('back')
                 }
@@ -788,21 +524,20 @@ exports.changeContextPrivacy = function() {
                 res.error('You did not specify a graph')
                 res.redirect('back')
             } else {
-                privacyquery =
-                    'MATCH (u:User{uid:"' +
-                    res.locals.user.uid +
-                    '"}), (ctx:Context{name:"' +
-                    req.body.context +
-                    '"}), (ctx)-[:BY]->(u) WITH DISTINCT ctx SET ctx.public = null;'
+                privacyquery = new Query(
+                    'MATCH (u:User{uid:$userId}), (ctx:Context{name:$context}), (ctx)-[:BY]->(u) WHERE ctx.trashed IS NULL WITH DISTINCT ctx SET ctx.public = null;',
+                    { userId: res.locals.user.uid, context: req.body.context }
+                )
             }
 
-            console.log(privacyquery)
-
-            dbneo.cypherQuery(privacyquery, function(err, uid) {
+            Query.run(privacyquery, function(err, uid) {
                 if (err) {
-                    err.type = 'neo4j'
-                    return fn(err)
+                    return next(err)
                 } else {
+                    // Who can see the graph changed, see lib/services/graphCache.js
+                    graphCache.invalidate(res.locals.user.uid, [
+                        req.body.context,
+                    ])
                     res.error('This graph is now private.')
                     res.redirect('back')
                 }
@@ -840,9 +575,14 @@ exports.sanitize = function(statement) {
 
 // Extract hashtags from a statement
 
-exports.getHashtags = function(statement, res) {
+exports.getHashtags = function(statement, res, phrases) {
     val = statement
 
+    // Without the phrases from the whole text we use the user's phrase dictionary
+    if (!phrases) {
+        phrases = Phrases.parse(res.locals.user && res.locals.user.phrases)
+    }
+
     var hashtags = []
 
     // Hashtags are given priority over words? Get them from the statement
@@ -884,6 +624,7 @@ exports.getHashtags = function(statement, res) {
             morphemes,
             hashnodes,
             stopwords_custom,
+            phrases,
             res
         )
     }
@@ -981,19 +722,13 @@ exports.getContextPrivacy = function() {
             contextname = S(contextname)
                 .trim()
                 .collapseWhitespace().s
-            contextname = contextname
-                .replace(/[\\"']/g, '\\$&')
-                .replace(/\u0000/g, '\\0')
 
-            var query =
-                'MATCH (u:User{name:"' +
-                contextforuser +
-                '"}), (ctx:Context{name:"' +
-                contextname +
-                '"}), (ctx)-[:BY]->(u) RETURN DISTINCT ctx.public;'
+            var query = new Query(
+                'MATCH (u:User{name:$user}), (ctx:Context{name:$context}), (ctx)-[:BY]->(u) WHERE ctx.trashed IS NULL RETURN DISTINCT ctx.public;',
+                { user: contextforuser, context: contextname }
+            )
 
             console.log('Query if the context is public?')
-            console.log(query)
 
             obtainContextPrivacy(passContext)
         }
@@ -1007,11 +742,8 @@ exports.getContextPrivacy = function() {
         // Here we get the context privacy of the context made by the user
 
         function obtainContextPrivacy(callback) {
-            dbneo.cypherQuery(query, function(err, cypherAnswer) {
-                if (err) {
-                    err.type = 'neo4j'
-                    return callback(err)
-                }
+            Query.run(query, function(err, cypherAnswer) {
+                if (err) return callback(err)
                 // No error? Pass the contexts to makeQuery function
                 callback(null, cypherAnswer)
             })
@@ -1078,27 +810,32 @@ exports.getContextsList = function(flag) {
         // console.log(req.user) is defined
         //             console.log(req.params.user) is undefined
 
+        var query = new Query()
+
         var querymod = ''
 
+        // Somebody else's contexts: the public ones and the ones they shared with us, see lib/membership.js
         if (flag == 'public') {
-            querymod = "WHERE ctx.public = '1'"
+            querymod =
+                'WHERE ' +
+                Membership.visible(
+                    query,
+                    res.locals.user && res.locals.user.uid
+                )
         }
 
-        var query =
-            'MATCH (u:User{name:"' +
-            contextforuser +
-            '"}), (ctx:Context), (ctx)-[:BY]->(u) WITH DISTINCT ctx MATCH (s:Statement), (ctx)<-[rel:IN]-(s) ' +
-            querymod +
-            ' RETURN DISTINCT ctx.name, ctx.uid;'
+        query.add(
+            'MATCH (u:User{name:$user}), (ctx:Context), (ctx)-[:BY]->(u) WHERE ctx.trashed IS NULL WITH DISTINCT ctx MATCH (s:Statement), (ctx)<-[rel:IN]-(s) ' +
+                querymod +
+                ' RETURN DISTINCT ctx.name, ctx.uid;',
+            { user: contextforuser }
+        )
 
         obtainListOfContexts(passContexts)
 
         function obtainListOfContexts(callback) {
-            dbneo.cypherQuery(query, function(err, cypherAnswer) {
-                if (err) {
-                    err.type = 'neo4j'
-                    return callback(err)
-                }
+            Query.run(query, function(err, cypherAnswer) {
+                if (err) return callback(err)
                 // No error? Pass the contexts to makeQuery function
                 callback(null, cypherAnswer)
             })
@@ -1134,29 +871,18 @@ exports.getContextID = function(user_id, addToContexts, finalCallback) {
     console.log('contexts uniqualized')
     console.log(contexts)
 
-    var context_query =
-        'MATCH (u:User{uid:"' +
-        user_id +
-        '"}), (c:Context), (c)-[:BY]->(u) WHERE '
-
-    // Foreach context get the right query
-
-    contexts.forEach(function(element) {
-        context_query += 'c.name = "' + element + '" OR '
-    })
-
-    context_query += ' c.name = "~~~~dummy~~~~" RETURN DISTINCT c;'
+    var context_query = new Query(
+        'MATCH (u:User{uid:$userId}), (c:Context), (c)-[:BY]->(u) WHERE c.name IN $contexts AND c.trashed IS NULL RETURN DISTINCT c;',
+        { userId: user_id, contexts: contexts }
+    )
 
     getContexts(makeQuery)
 
     // This will get the contexts from the database
 
     function getContexts(callback) {
-        dbneo.cypherQuery(context_query, function(err, cypherAnswer) {
-            if (err) {
-                err.type = 'neo4j'
-                return callback(err)
-            }
+        Query.run(context_query, function(err, cypherAnswer) {
+            if (err) return callback(err)
 
             // we have our answer, call the callback
             callback(null, cypherAnswer)
@@ -1178,6 +904,10 @@ exports.getContextID = function(user_id, addToContexts, finalCallback) {
             newcontexts.push({
                 uid: answer.data[i].uid,
                 name: answer.data[i].name,
+                // The context's own co-occurrence scan settings, if it has them
+                scanwindow: answer.data[i].scanwindow,
+                scanweighting: answer.data[i].scanweighting,
+                scanunit: answer.data[i].scanunit,
             })
             check.push(answer.data[i].name)
         }
@@ -1196,45 +926,22 @@ exports.getContextID = function(user_id, addToContexts, finalCallback) {
 
         // Now let's create those contexts that are not yet created
 
-        var matchUser = 'MATCH (u:User {uid: "' + user_id + '"}) '
-
-        // Add context query
-
-        var createContexts = ''
-
-        for (var indx = 0; indx < newcontexts.length; ++indx) {
-            //Build context query
-            createContexts +=
-                'MERGE (' +
-                'c_' +
-                newcontexts[indx].name +
-                ':Context ' +
-                '{name:"' +
-                newcontexts[indx].name +
-                '",by:"' +
-                user_id +
-                '",uid:"' +
-                newcontexts[indx].uid +
-                '"}) ON CREATE SET ' +
-                'c_' +
-                newcontexts[indx].name +
-                '.timestamp="' +
-                timestamp +
-                '" MERGE (' +
-                'c_' +
-                newcontexts[indx].name +
-                ')-[:BY{timestamp:"' +
-                timestamp +
-                '"}]->(u) '
-        }
-
-        var query = matchUser + createContexts
+        var query = new Query(
+            'MATCH (u:User {uid: $userId}) ' +
+                'UNWIND $contexts AS context ' +
+                'MERGE (c:Context {name: context.name, by: $userId, uid: context.uid}) ' +
+                'ON CREATE SET c.timestamp = $timestamp ' +
+                'MERGE (c)-[:BY{timestamp:$timestamp}]->(u)',
+            {
+                userId: user_id,
+                contexts: newcontexts,
+                timestamp: String(timestamp),
+            }
+        )
 
-        dbneo.cypherQuery(query, function(err, cypherAnswer) {
+        Query.run(query, function(err, cypherAnswer) {
             if (err) {
-                err.type = 'neo4j'
                 console.log(err)
-                console.log(query)
                 finalCallback(null, err)
             } else {
                 finalCallback(newcontexts)
@@ -1256,14 +963,13 @@ exports.getUserID = function() {
             userid = S(userid)
                 .trim()
                 .collapseWhitespace().s
-            userid = userid.replace(/[\\"']/g, '\\$&').replace(/\u0000/g, '\\0')
 
             // Then get the ID and pass it on further along the line...
 
-            var query =
-                'MATCH (u:User{name:"' +
-                userid +
-                '"}) RETURN u.uid, u.stopwords, u.topnodes, u.palette, u.background, u.label_threshold, u.maxnodes'
+            var query = new Query(
+                'MATCH (u:User{name:$user}) RETURN u.uid, u.stopwords, u.topnodes, u.palette, u.background, u.label_threshold, u.maxnodes',
+                { user: userid }
+            )
 
             obtainUserID(passOn)
         }
@@ -1286,11 +992,8 @@ exports.getUserID = function() {
         // Here we get the ID of the user
 
         function obtainUserID(callback) {
-            dbneo.cypherQuery(query, function(err, cypherAnswer) {
-                if (err) {
-                    err.type = 'neo4j'
-                    return callback(err)
-                }
+            Query.run(query, function(err, cypherAnswer) {
+                if (err) return callback(err)
                 // No error? Pass the contexts to makeQuery function
                 callback(null, cypherAnswer)
             })
@@ -1345,20 +1048,17 @@ exports.getDefaultUser = function() {
 
         req.params.user = options.default_user
 
-        var query =
-            'MATCH (u:User{name:"' + options.default_user + '"}) RETURN u.uid'
+        var query = new Query('MATCH (u:User{name:$user}) RETURN u.uid', {
+            user: options.default_user,
+        })
 
-        console.log(query)
         obtainUserID(passOn)
 
         // Here we get the ID of the user
 
         function obtainUserID(callback) {
-            dbneo.cypherQuery(query, function(err, cypherAnswer) {
-                if (err) {
-                    err.type = 'neo4j'
-                    return callback(err)
-                }
+            Query.run(query, function(err, cypherAnswer) {
+                if (err) return callback(err)
                 // No error? Pass the contexts to makeQuery function
                 callback(null, cypherAnswer)
             })
@@ -0,0 +1,782 @@
+/**
+ * Entry Service
+ *
+ * Promise-based access to the graphs and statements of a user, for the code
+ * that has no Express request to go through the validate.js middleware and
+ * routes/entries.js: integrations, background jobs, analysis modules. It uses
+ * the same Entry, User and validate.js functions the routes do, so a statement
+ * added here ends up in the graph exactly as one added through the form.
+ */
+
+const EventEmitter = require('events');
+const util = require('util');
+
+const options = require('../../options');
+const Entry = require('../entry');
+const User = require('../user');
+const Membership = require('../membership');
+const Query = require('../db/query');
+const validate = require('../middleware/validate');
+const Phrases = require('../tools/phrases');
+const Sentiment = require('../tools/sentiment');
+const Page = require('../middleware/page');
+const { graphCache } = require('./graphCache');
+const { graphAnalytics } = require('../analytics/graphAnalytics');
+const { graphComparison } = require('../analytics/graphComparison');
+const { graphTimeline } = require('../analytics/graphTimeline');
+const { topicModeling } = require('../analytics/topicModeling');
+const { graphSentiment } = require('../analytics/graphSentiment');
+
+const uuid = require('node-uuid');
+
+class EntryService {
+    constructor(settings = {}) {
+        this.settings = {
+            maxTextLength: settings.maxTextLength || options.settings.max_text_length,
+            maxFileLength: settings.maxFileLength || options.settings.max_file_length,
+            minTextLength: settings.minTextLength || options.settings.min_text_length,
+            maxHashtags: settings.maxHashtags || options.settings.max_hashtags,
+            ...settings
+        };
+
+        // The statements and contexts that change, lib/services/realtime.js pushes them to the views open on them
+        this.events = new EventEmitter();
+    }
+
+    /**
+     * Get the graph of a user's context in the format of Entry.getNodes
+     *
+     * @param {string} userId - User ID
+     * @param {string} contextName - Context name, a leading # is ignored
+     * @param {Object} settings - maxnodes and fullview override the user's settings
+     * @returns {Promise<Object>} - Graph with nodes ({id, label}) and edges ({source, target, weight, context_matrix})
+     */
+    async getGraph(userId, contextName, settings = {}) {
+        const user = await this.getUser(userId);
+        const contextslist = await this.getContexts(userId);
+        const context = EntryService.contextName(contextName);
+
+        if (!contextslist.some(item => item[0] === context)) {
+            throw new Error(`Context not found: ${context}`);
+        }
+
+        // Entry.getNodes reads the user and the list of contexts from the Express objects
+        const res = { locals: { user, contextslist } };
+        const req = { query: settings.maxnodes ? { maxnodes: String(settings.maxnodes) } : {} };
+        const fullview = settings.fullview !== undefined ? settings.fullview : user.fullview;
+
+        return new Promise((resolve, reject) => {
+            Entry.getNodes(userId, userId, [context], fullview, null, res, req, (err, graph) => {
+                if (err) return reject(err);
+                resolve(graph);
+            });
+        });
+    }
+
+    /**
+     * The structural gaps of a user's context, see GraphAnalytics.structuralGaps.
+     * They are computed once for a graph and kept with it in lib/services/graphCache.js.
+     *
+     * @param {string} userId - User ID
+     * @param {string} contextName - Context name
+     * @param {Object} settings - maxnodes and fullview as in getGraph
+     * @returns {Promise<Object>} - modularity and gaps, the largest first
+     */
+    async getGaps(userId, contextName, settings = {}) {
+        const graph = await this.getGraph(userId, contextName, settings);
+
+        return graphCache.derive(graph, 'gaps', graph => graphAnalytics.structuralGaps(graph));
+    }
+
+    /**
+     * Compare the graphs of two or more contexts of a user, see GraphComparison.compare.
+     * Every graph is analyzed once and kept with it in lib/services/graphCache.js.
+     *
+     * @param {string} userId - User ID
+     * @param {Array<string>} contextNames - Context names
+     * @param {Object} settings - maxnodes and fullview as in getGraph
+     * @returns {Promise<Object>} - The comparison
+     */
+    async compareContexts(userId, contextNames, settings = {}) {
+        const contexts = [];
+
+        for (const contextName of contextNames) {
+            const name = EntryService.contextName(contextName);
+            const graph = await this.getGraph(userId, name, settings);
+
+            contexts.push({ name, graph, analysis: graphCache.derive(graph, 'analytics', graph => graphAnalytics.analyze(graph)) });
+        }
+
+        return graphComparison.compare(contexts);
+    }
+
+    /**
+     * The graph of a user's context and its metrics at several points in time, see GraphTimeline.snapshots.
+     * A timeline is computed once for a graph and its settings and kept with it in lib/services/graphCache.js.
+     *
+     * @param {string} userId - User ID
+     * @param {string} contextName - Context name
+     * @param {Object} settings - points, interval, steps, window and graphs as in GraphTimeline.snapshots,
+     *                            maxnodes and fullview as in getGraph
+     * @returns {Promise<Object>} - start, end, statements and snapshots
+     */
+    async getTimeline(userId, contextName, settings = {}) {
+        const { maxnodes, fullview, ...timeline } = settings;
+        const context = EntryService.contextName(contextName);
+        const graph = await this.getGraph(userId, context, { maxnodes, fullview });
+        const statements = await util.promisify(Entry.getTimeline)(userId, userId, [context]);
+
+        return graphCache.derive(graph, 'timeline ' + JSON.stringify(timeline), graph => graphTimeline.snapshots(graph, statements, timeline));
+    }
+
+    /**
+     * The topics of the statements of a user's context and how they match the communities of its graph,
+     * see TopicModeling.model. A model is computed once for a graph and its settings and kept with it
+     * in lib/services/graphCache.js.
+     *
+     * @param {string} userId - User ID
+     * @param {string} contextName - Context name
+     * @param {Object} settings - topics, terms, iterations and seed as in TopicModeling.model,
+     *                            maxnodes and fullview as in getGraph
+     * @returns {Promise<Object>} - settings, topics, statements and communities
+     */
+    async getTopics(userId, contextName, settings = {}) {
+        const { maxnodes, fullview, ...model } = settings;
+        const context = EntryService.contextName(contextName);
+        const graph = await this.getGraph(userId, context, { maxnodes, fullview });
+        const statements = await util.promisify(Entry.getConcepts)(userId, userId, [context]);
+
+        return graphCache.derive(graph, 'topics ' + JSON.stringify(model), graph => topicModeling.model(statements, model, graph));
+    }
+
+    /**
+     * The sentiment of the statements of a user's context summed up for every concept and topic,
+     * see GraphSentiment.summarize. It is computed once for a graph and kept with it in lib/services/graphCache.js.
+     *
+     * @param {string} userId - User ID
+     * @param {string} contextName - Context name
+     * @param {Object} settings - maxnodes and fullview as in getGraph
+     * @returns {Promise<Object>} - The summary of the statements, concepts, communities, negativeConcepts and positiveConcepts
+     */
+    async getSentiment(userId, contextName, settings = {}) {
+        const user = await this.getUser(userId);
+        const context = EntryService.contextName(contextName);
+        const graph = await this.getGraph(userId, context, settings);
+        const statements = await util.promisify(Entry.getSentiment)(userId, userId, [context], user.inlanguage);
+
+        // The statements saved before they were scored are scored in the language of the user
+        return graphCache.derive(graph, 'sentiment ' + user.inlanguage, graph =>
+            graphSentiment.summarize(graph, statements, graphCache.derive(graph, 'analytics', graph => graphAnalytics.analyze(graph)))
+        );
+    }
+
+    /**
+     * Add a text to a user's context, the way entries.submit does: the text is split
+     * into statements, their concepts extracted with the user's settings and saved
+     *
+     * @param {string} userId - User ID
+     * @param {string} text - The text, one statement per line
+     * @param {Object} settings - context (the context name, 'private' by default), owner (the name of
+     *                            the user who shared the context, see saveShared) and timestamp
+     * @returns {Promise<Object>} - The context name and the statements saved ({uid, name, text, by})
+     */
+    async submit(userId, text, settings = {}) {
+        const user = await this.getUser(userId);
+        const context = EntryService.contextName(settings.context || 'private');
+        const statements = this.prepareStatements(user, text, settings.timestamp);
+
+        if (settings.owner) {
+            await this.saveShared(user, statements, settings.owner, context);
+        } else {
+            await this.save(user, statements, [context]);
+        }
+
+        return {
+            context,
+            statements: statements.map(({ uid, name, text }) => ({ uid, name, text, by: user.uid }))
+        };
+    }
+
+    /**
+     * Change the text of a statement. The old wording is kept as a revision, see Entry.revision,
+     * and the new one is saved under the same uid into the same contexts in the same transaction.
+     *
+     * @param {string} userId - User ID
+     * @param {string} statementId - Statement ID
+     * @param {string} text - The new text
+     * @returns {Promise<Object|null>} - The statement as getStatement returns it, null if the user has no such statement
+     */
+    async updateStatement(userId, statementId, text) {
+        const user = await this.getUser(userId);
+        const statement = await this.getStatement(userId, statementId);
+
+        if (!statement) return null;
+
+        // The new text is one statement, even if it has several lines
+        const statements = this.prepareStatements(user, String(text || '').replace(/[\r\n]+/g, ' '), statement.timestamp);
+
+        statements[0].uid = statement.uid;
+
+        // The revision takes the statement out of its contexts, so we ask which and whose they are first.
+        // It goes back into the same ones, also those other users shared with the user, no new context is made.
+        const owners = await util.promisify(Entry.getOwners)(statement.uid);
+        const contexts = await util.promisify(Entry.getStatementContexts)(statement.uid);
+        const revision = await util.promisify(Entry.revision)(userId, statement.uid);
+
+        if (!revision) return null;
+
+        await this._write(user, statements.slice(0, 1), contexts, revision.queries);
+
+        const names = contexts.filter(context => context.by === user.uid).map(context => context.name);
+
+        this._changed(userId, names, 'edited', statements.slice(0, 1));
+        this._changedShared(userId, owners, 'edited', statements.slice(0, 1));
+
+        return this.getStatement(userId, statement.uid);
+    }
+
+    /**
+     * Save the prepared statements into the contexts, the way entries.submit does
+     *
+     * @param {Object} user - The user who makes the statements
+     * @param {Array<Object>} statements - Statements from prepareStatements
+     * @param {Array<string>} contextNames - Context names, created if they don't exist
+     */
+    async save(user, statements, contextNames) {
+        const contexts = await this._save(user, statements, contextNames);
+
+        this._changed(user.uid, contexts, 'added', statements);
+    }
+
+    /**
+     * Save the prepared statements into a context another user shared with this one, see lib/membership.js.
+     * The statements are BY the user who makes them and IN the context of the owner.
+     *
+     * @param {Object} user - The user who makes the statements
+     * @param {Array<Object>} statements - Statements from prepareStatements
+     * @param {string} ownerName - The name of the owner of the context
+     * @param {string} contextName - Context name
+     * @throws {Error} - With the code 'forbidden' if the user is not an editor of the context
+     */
+    async saveShared(user, statements, ownerName, contextName) {
+        const shared = await this.getShared(user.uid, ownerName, contextName);
+
+        if (!Membership.allows(shared, 'write')) {
+            const error = new Error('Only the owner and the editors can add statements to this context.');
+            error.code = 'forbidden';
+            throw error;
+        }
+
+        await this._write(user, statements, [{ ...shared.context, by: shared.owner.uid }]);
+
+        this._changed(shared.owner.uid, [shared.context.name], 'added', statements);
+    }
+
+    // Save the statements and get the names of their contexts
+    async _save(user, statements, contextNames) {
+        const contexts = await this.getContextIds(user.uid, contextNames);
+
+        await this._write(user, statements, contexts);
+
+        return contexts.map(context => context.name);
+    }
+
+    // Save the statements into these contexts ({uid, name}, by their owner if it's not the user),
+    // in one transaction with the queries that have to run before, e.g. the ones of a revision
+    async _write(user, statements, contexts, before = []) {
+        const entry = new Entry({
+            by_uid: user.uid,
+            by_id: user.uid,
+            by_name: user.name,
+            contexts,
+            statements,
+            fullscan: user.fullscan,
+            scanwindow: user.scanwindow,
+            scanweighting: user.scanweighting,
+            scanunit: user.scanunit,
+            addmentions: user.mentions
+        });
+
+        const cypherQuery = await new Promise(resolve => entry.savetrans(resolve));
+
+        if (before.length) {
+            await util.promisify(Query.transaction)(before.concat([cypherQuery]));
+        } else {
+            await util.promisify(Query.run)(cypherQuery);
+        }
+    }
+
+    /**
+     * A statement of a user with the names of the contexts it's in
+     *
+     * @param {string} userId - User ID
+     * @param {string} statementId - Statement ID
+     * @returns {Promise<Object|null>} - Statement ({uid, text, name, timestamp, contexts}), null if the user has no such statement
+     */
+    async getStatement(userId, statementId) {
+        const query = new Query(
+            'MATCH (s:Statement{uid:$statementId})-[:BY]->(u:User{uid:$userId}) WHERE s.trashed IS NULL ' +
+                'WITH DISTINCT s OPTIONAL MATCH (s)-[:IN]->(ctx:Context) WHERE ctx.trashed IS NULL ' +
+                'RETURN s, collect(DISTINCT ctx.name);',
+            { statementId, userId }
+        );
+
+        const answer = await util.promisify(Query.run)(query);
+
+        if (!answer.data[0]) return null;
+
+        return { ...EntryService.statement(answer.data[0][0]), contexts: answer.data[0][1] };
+    }
+
+    /**
+     * A page of the statements in a context, the latest first
+     *
+     * @param {string} userId - User ID
+     * @param {string} contextName - Context name
+     * @param {Object} page - limit, after (the cursor), since and until, see lib/middleware/page.js
+     * @returns {Promise<Object|null>} - total, next cursor and statements, null if the user has no such context
+     */
+    async listStatements(userId, contextName, page = {}) {
+        const limit = Math.max(1, parseInt(page.limit) || 20);
+        const context = EntryService.contextName(contextName);
+        const run = util.promisify(Query.run);
+
+        // since / until count in the total, the cursor only moves the page within it
+        const countQuery = new Query();
+        const range = Entry.pageConditions(countQuery, { since: page.since, until: page.until }, 'DESC');
+
+        countQuery.add(
+            'MATCH (ctx:Context{name:$context})-[:BY]->(u:User{uid:$userId}) WHERE ctx.trashed IS NULL ' +
+                'WITH DISTINCT ctx OPTIONAL MATCH (s:Statement)-[:IN]->(ctx) WHERE ' +
+                ['s.trashed IS NULL'].concat(range).join(' AND ') +
+                ' RETURN count(DISTINCT s);',
+            { context, userId }
+        );
+
+        const counted = await run(countQuery);
+
+        if (!counted.data.length) return null;
+
+        // Only the statements of the page are read, from where the cursor is
+        const pageQuery = new Query();
+        const conditions = Entry.pageConditions(pageQuery, { since: page.since, until: page.until, after: page.after }, 'DESC');
+
+        pageQuery.add(
+            'MATCH (ctx:Context{name:$context})-[:BY]->(u:User{uid:$userId}), (s:Statement)-[:IN]->(ctx) ' +
+                'WHERE ctx.trashed IS NULL AND ' +
+                ['s.trashed IS NULL'].concat(conditions).join(' AND ') +
+                ' RETURN DISTINCT s ORDER BY s.timestamp DESC, s.uid DESC LIMIT $end;',
+            { context, userId, end: limit + 1 }
+        );
+
+        // Single column answers come back flattened. One more statement than the limit tells there is a next page
+        const statements = (await run(pageQuery)).data;
+        const next = statements.length > limit ? Page.cursor(statements[limit - 1]) : null;
+
+        return {
+            total: counted.data[0],
+            limit,
+            next,
+            statements: statements.slice(0, limit).map(EntryService.statement)
+        };
+    }
+
+    /**
+     * The contexts of a user with how many statements they have
+     *
+     * @param {string} userId - User ID
+     * @param {string} contextName - Only this context, if given
+     * @returns {Promise<Array<Object>>} - Contexts ({uid, name, public, created, statements})
+     */
+    async listContexts(userId, contextName) {
+        const query = new Query(
+            'MATCH (ctx:Context)-[:BY]->(u:User{uid:$userId}) WHERE ctx.trashed IS NULL ' +
+                (contextName ? 'AND ctx.name = $context ' : '') +
+                'WITH DISTINCT ctx OPTIONAL MATCH (s:Statement)-[:IN]->(ctx) WHERE s.trashed IS NULL ' +
+                'RETURN ctx, count(DISTINCT s) ORDER BY ctx.name;',
+            { userId, context: EntryService.contextName(contextName) }
+        );
+
+        const answer = await util.promisify(Query.run)(query);
+
+        return answer.data.map(([context, statements]) => ({
+            uid: context.uid,
+            name: context.name,
+            public: context.public == '1',
+            created: context.timestamp ? parseInt(context.timestamp) : null,
+            statements
+        }));
+    }
+
+    /**
+     * A context of a user
+     *
+     * @param {string} userId - User ID
+     * @param {string} contextName - Context name
+     * @returns {Promise<Object|null>} - Context as listContexts returns it, null if the user has no such context
+     */
+    async getContext(userId, contextName) {
+        const contexts = await this.listContexts(userId, contextName || '-');
+
+        return contexts[0] || null;
+    }
+
+    /**
+     * Create an empty context
+     *
+     * @param {string} userId - User ID
+     * @param {string} contextName - Context name
+     * @param {Object} settings - public: true to make it public
+     * @returns {Promise<Object|null>} - The new context, null if the user already has one with this name
+     */
+    async createContext(userId, contextName, settings = {}) {
+        const name = EntryService.contextName(contextName);
+
+        if (await this.getContext(userId, name)) return null;
+
+        await this.getContextIds(userId, [name]);
+
+        if (settings.public) await this.updateContext(userId, name, { public: true });
+
+        return this.getContext(userId, name);
+    }
+
+    /**
+     * Rename a context or make it public or private
+     *
+     * @param {string} userId - User ID
+     * @param {string} contextName - Context name
+     * @param {Object} changes - name and public
+     * @returns {Promise<Object|null>} - The context, null if the user has no such context
+     * @throws {Error} - With the code 'conflict' if there's already a context with the new name
+     */
+    async updateContext(userId, contextName, changes = {}) {
+        const context = await this.getContext(userId, contextName);
+
+        if (!context) return null;
+
+        const name = changes.name !== undefined ? EntryService.contextName(changes.name) : context.name;
+
+        if (name !== context.name && (await this.getContext(userId, name))) {
+            const error = new Error(`There is already a context called ${name}`);
+            error.code = 'conflict';
+            throw error;
+        }
+
+        const isPublic = changes.public !== undefined ? !!changes.public : context.public;
+
+        const query = new Query(
+            'MATCH (ctx:Context{uid:$contextId})-[:BY]->(u:User{uid:$userId}) ' +
+                'WITH DISTINCT ctx SET ctx.name = $name, ctx.public = $public ' +
+                'RETURN ctx.uid;',
+            { contextId: context.uid, userId, name, public: isPublic ? '1' : null }
+        );
+
+        await util.promisify(Query.run)(query);
+
+        this._changed(userId, [context.name, name]);
+
+        return this.getContext(userId, name);
+    }
+
+    /**
+     * Move a statement into the trash, see Entry.purgeTrash
+     *
+     * @param {string} userId - User ID
+     * @param {string} statementId - Statement ID
+     * @returns {Promise<boolean>} - false if the user has no such statement
+     */
+    async deleteStatement(userId, statementId) {
+        const deleted = await util.promisify(Entry.trashStatement)(userId, statementId);
+
+        if (!deleted) return false;
+
+        // A statement can be in several contexts, the ones shared with the user too
+        this._changed(userId, undefined, 'deleted', [{ uid: statementId }]);
+        this._changedShared(userId, await util.promisify(Entry.getOwners)(statementId), 'deleted', [{ uid: statementId }]);
+
+        return true;
+    }
+
+    /**
+     * Move a whole context into the trash
+     *
+     * @param {string} userId - User ID
+     * @param {string} contextName - Context name
+     * @returns {Promise<boolean>} - false if the user has no such context
+     */
+    async deleteContext(userId, contextName) {
+        const deleted = await util.promisify(Entry.trashContext)(userId, EntryService.contextName(contextName));
+
+        if (deleted) this._changed(userId, [EntryService.contextName(contextName)]);
+
+        return !!deleted;
+    }
+
+    /**
+     * The users a context is shared with, see lib/membership.js
+     *
+     * @param {string} userId - The owner of the context
+     * @param {string} contextName - Context name
+     * @returns {Promise<Array<Object>|null>} - Members ({uid, name, role, invited, accepted}), null if the user has no such context
+     */
+    listMembers(userId, contextName) {
+        return util.promisify(Membership.list)(userId, EntryService.contextName(contextName));
+    }
+
+    /**
+     * Invite a user into a context as an editor or a viewer, or change their role
+     *
+     * @param {string} userId - The owner of the context
+     * @param {string} contextName - Context name
+     * @param {string} memberName - The name of the user to invite
+     * @param {string} role - 'editor' or 'viewer'
+     * @returns {Promise<Object|null>} - The member, null if there's no such context or user
+     */
+    inviteMember(userId, contextName, memberName, role) {
+        return util.promisify(Membership.invite)(userId, EntryService.contextName(contextName), String(memberName || ''), role);
+    }
+
+    /**
+     * Take a user out of a context, they don't see it anymore if it's private
+     *
+     * @param {string} userId - The owner of the context
+     * @param {string} contextName - Context name
+     * @param {string} memberName - The name of the member
+     * @returns {Promise<boolean>} - false if they were not in it
+     */
+    async removeMember(userId, contextName, memberName) {
+        const removed = await util.promisify(Membership.remove)(userId, EntryService.contextName(contextName), String(memberName || ''));
+
+        // The views of the graph for them are not valid anymore
+        if (removed) graphCache.invalidate(userId, [EntryService.contextName(contextName)]);
+
+        return removed;
+    }
+
+    /**
+     * The contexts other users shared with a user and the invitations they did not accept yet
+     *
+     * @param {string} userId - User ID
+     * @returns {Promise<Array<Object>>} - Shared contexts ({context, owner, role, accepted})
+     */
+    listShared(userId) {
+        return util.promisify(Membership.shared)(userId);
+    }
+
+    /**
+     * A context of another user the way this user is in it
+     *
+     * @param {string} userId - User ID
+     * @param {string} ownerName - The name of the owner of the context
+     * @param {string} contextName - Context name
+     * @returns {Promise<Object|null>} - Shared context ({context, owner, role, accepted}), null if the user is not in it
+     */
+    getShared(userId, ownerName, contextName) {
+        return util.promisify(Membership.find)(userId, String(ownerName || ''), EntryService.contextName(contextName));
+    }
+
+    /**
+     * Accept the invitation into a context
+     *
+     * @param {string} userId - User ID
+     * @param {string} ownerName - The name of the owner of the context
+     * @param {string} contextName - Context name
+     * @returns {Promise<Object|null>} - Shared context, null if there was no invitation
+     */
+    acceptShared(userId, ownerName, contextName) {
+        return util.promisify(Membership.accept)(userId, String(ownerName || ''), EntryService.contextName(contextName));
+    }
+
+    /**
+     * Decline the invitation into a context or leave it
+     *
+     * @param {string} userId - User ID
+     * @param {string} ownerName - The name of the owner of the context
+     * @param {string} contextName - Context name
+     * @returns {Promise<boolean>} - false if the user was not in it
+     */
+    leaveShared(userId, ownerName, contextName) {
+        return util.promisify(Membership.leave)(userId, String(ownerName || ''), EntryService.contextName(contextName));
+    }
+
+    /**
+     * Get a user with their settings
+     *
+     * @param {string} userId - User ID
+     * @returns {Promise<User>} - The user
+     */
+    async getUser(userId) {
+        const user = await util.promisify(User.get)(userId);
+
+        if (!user || !user.uid) {
+            throw new Error(`User not found: ${userId}`);
+        }
+
+        return user;
+    }
+
+    /**
+     * The contexts of a user that are not in the trash, as [name, uid] pairs like res.locals.contextslist
+     *
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} - Contexts
+     */
+    async getContexts(userId) {
+        const query = new Query(
+            'MATCH (ctx:Context)-[:BY]->(u:User{uid:$userId}) WHERE ctx.trashed IS NULL ' +
+                'RETURN DISTINCT ctx.name, ctx.uid;',
+            { userId }
+        );
+
+        const answer = await util.promisify(Query.run)(query);
+
+        return answer.data;
+    }
+
+    /**
+     * Get the contexts for a new statement, creating the ones that don't exist yet
+     *
+     * @param {string} userId - User ID
+     * @param {Array<string>} contextNames - Context names
+     * @returns {Promise<Array>} - Contexts ({uid, name} and their scan settings)
+     */
+    getContextIds(userId, contextNames) {
+        return new Promise((resolve, reject) => {
+            validate.getContextID(userId, contextNames.slice(), (contexts, err) => {
+                if (err) return reject(err);
+                resolve(contexts);
+            });
+        });
+    }
+
+    /**
+     * Split a text into the statements to save, with their concepts and mentions
+     *
+     * @param {Object} user - The user whose settings are used to extract the concepts
+     * @param {string} text - The text
+     * @param {number} timestamp - Timestamp of the first statement
+     * @returns {Array<Object>} - Statements ({text, concepts, mentions, timestamp, name, uid, sentiment, emotions})
+     */
+    prepareStatements(user, text, timestamp) {
+        text = String(text || '');
+
+        if (text.length > this.settings.maxFileLength) {
+            throw new Error(`The text is more than ${this.settings.maxFileLength} characters`);
+        }
+
+        const texts = validate
+            .splitStatement(text, this.settings.maxTextLength)
+            .filter(statement => statement.trim().length > this.settings.minTextLength)
+            .map(statement => validate.sanitize(statement));
+
+        if (texts.length === 0) {
+            throw new Error('There is no text to add');
+        }
+
+        // validate.getHashtags reads the user's settings from the Express response
+        const res = { locals: { user } };
+        const phrases = Phrases.forUser(user, texts);
+
+        timestamp = timestamp || new Date().getTime() * 10000;
+
+        const statements = [];
+
+        texts.forEach((statement, s) => {
+            const concepts = validate.getHashtags(statement, res, phrases);
+            const mentions = validate.getMentions(statement);
+
+            if (concepts.length === 0 && mentions.length === 0) return;
+
+            if (concepts.length >= this.settings.maxHashtags) {
+                throw new Error(`A statement should have less than ${this.settings.maxHashtags} #hashtags`);
+            }
+
+            statements.push({
+                text: statement,
+                concepts,
+                mentions,
+                timestamp: timestamp + s * 2,
+                name: concepts.map(concept => '#' + concept + ' ').join('') + mentions.map(mention => '@' + mention + ' ').join(''),
+                uid: uuid.v1(),
+                // See lib/tools/sentiment.js
+                ...Sentiment.score(statement, user.inlanguage)
+            });
+        });
+
+        if (statements.length === 0) {
+            throw new Error('There should be at least one word, #hashtag or @mention');
+        }
+
+        return statements;
+    }
+
+    /**
+     * The fields of a Statement node the service returns
+     *
+     * @param {Object} node - Statement node
+     * @returns {Object} - Statement ({uid, text, name, timestamp, by})
+     */
+    static statement(node) {
+        return {
+            uid: node.uid,
+            text: node.text,
+            name: node.name,
+            timestamp: node.timestamp,
+            // The author, the statements saved before the contexts could be shared don't have it
+            by: node.by || null
+        };
+    }
+
+    /**
+     * The graphs of these contexts are not the same anymore, see lib/services/graphCache.js,
+     * and their open views get the statements that changed
+     *
+     * @private
+     * @param {string} userId - User ID
+     * @param {Array<string>} contexts - Context names, all the contexts of the user if undefined
+     * @param {string} change - 'added', 'edited' or 'deleted' for the statements, nothing if only the graph changed
+     * @param {Array<Object>} statements - The statements
+     */
+    _changed(userId, contexts, change, statements = []) {
+        graphCache.invalidate(userId, contexts);
+
+        this.events.emit('change', {
+            userId,
+            contexts,
+            change: change || null,
+            statements: statements.map(({ uid, name, text, timestamp }) => ({ uid, name, text, timestamp }))
+        });
+    }
+
+    /**
+     * The same for the contexts other users shared with this one, see Entry.getOwners
+     *
+     * @private
+     * @param {string} userId - The user who changed the statements
+     * @param {Array<Object>} owners - The owners of the contexts ({uid, contexts})
+     * @param {string} change - 'added', 'edited' or 'deleted'
+     * @param {Array<Object>} statements - The statements
+     */
+    _changedShared(userId, owners, change, statements) {
+        owners.filter(owner => owner.uid !== userId).forEach(owner => this._changed(owner.uid, owner.contexts, change, statements));
+    }
+
+    /**
+     * Context names only have word characters, see validate.getContextID
+     *
+     * @param {string} name - Context name, e.g. '#private'
+     * @returns {string} - Context name, e.g. 'private'
+     */
+    static contextName(name) {
+        return String(name || '').replace(/[^\w]/gi, '');
+    }
+}
+
+// Create singleton instance
+const entryService = new EntryService();
+
+module.exports = {
+    entryService,
+    EntryService
+};
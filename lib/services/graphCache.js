@@ -0,0 +1,176 @@
+/**
+ * Graph Cache
+ *
+ * Keeps the graphs computed by Entry.getNodes and what is derived from them
+ * (the analytics, the export formats), so a page load or an API call that
+ * asks for the same graph again does not run the whole query again. The
+ * graphs are tagged with the user whose statements they show and their
+ * contexts: the routes that write statements, delete them or change the
+ * settings invalidate what they touch.
+ */
+
+const options = require('../../options');
+
+class GraphCache {
+    constructor(settings = {}) {
+        this.options = {
+            maxEntries: settings.maxEntries || options.settings.graph_cache_entries,
+            ttl: settings.ttl || options.settings.graph_cache_ttl,
+            ...settings
+        };
+
+        this.entries = new Map();
+        this.derived = new WeakMap();
+        this.stats = { hits: 0, misses: 0 };
+    }
+
+    /**
+     * The key of a graph: who sees it, whose it is and how it is made
+     *
+     * @param {Object} parts - receiver, perceiver, contexts, maxnodes, fullview, showcontexts, stopwords
+     * @returns {string} - Cache key
+     */
+    static key(parts) {
+        return JSON.stringify([
+            parts.receiver || '',
+            parts.perceiver || '',
+            (parts.contexts || []).filter(Boolean),
+            parts.maxnodes ? String(parts.maxnodes) : '',
+            parts.fullview ? String(parts.fullview) : '',
+            parts.showcontexts ? String(parts.showcontexts) : '',
+            parts.stopwords || []
+        ]);
+    }
+
+    /**
+     * A graph from the cache. It is shared with the other requests, so it should not be changed.
+     *
+     * @param {string} key - Cache key, see GraphCache.key
+     * @returns {Object|undefined} - Graph, undefined if it's not there or expired
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry || Date.now() - entry.time > this.options.ttl) {
+            if (entry) this.entries.delete(key);
+            this.stats.misses++;
+            return undefined;
+        }
+
+        // The most recently used graphs stay the longest
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.stats.hits++;
+
+        return entry.graph;
+    }
+
+    /**
+     * Keep a graph
+     *
+     * @param {string} key - Cache key, see GraphCache.key
+     * @param {Object} graph - Graph
+     * @param {Object} tags - user (whose statements they are) and contexts (names, none for all of them)
+     */
+    set(key, graph, tags = {}) {
+        this.entries.delete(key);
+        this.entries.set(key, {
+            graph,
+            user: tags.user,
+            contexts: (tags.contexts || []).filter(Boolean),
+            time: Date.now()
+        });
+
+        while (this.entries.size > this.options.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Something computed from a graph, e.g. its analytics, kept as long as the graph is
+     *
+     * @param {Object} graph - Graph returned by Entry.getNodes
+     * @param {string} name - What is computed
+     * @param {Function} compute - Computes it from the graph
+     * @returns {*} - The computed value
+     */
+    derive(graph, name, compute) {
+        let values = this.derived.get(graph);
+
+        if (!values) {
+            values = new Map();
+            this.derived.set(graph, values);
+        }
+
+        if (!values.has(name)) values.set(name, compute(graph));
+
+        return values.get(name);
+    }
+
+    /**
+     * Forget the graphs of a user that show any of these contexts. The graphs of all the contexts
+     * of the user are forgotten too, and all of them if no contexts are given.
+     *
+     * @param {string} userId - User ID
+     * @param {Array<string>} contexts - Context names
+     * @returns {number} - How many graphs were forgotten
+     */
+    invalidate(userId, contexts) {
+        const names = (contexts || []).filter(Boolean);
+        let removed = 0;
+
+        this.entries.forEach((entry, key) => {
+            if (entry.user !== userId) return;
+
+            if (!names.length || !entry.contexts.length || entry.contexts.some(name => names.includes(name))) {
+                this.entries.delete(key);
+                removed++;
+            }
+        });
+
+        return removed;
+    }
+
+    /**
+     * Forget the least recently used part of the graphs
+     *
+     * @param {number} fraction - From 0 to 1
+     */
+    trim(fraction) {
+        let count = Math.ceil(this.entries.size * fraction);
+
+        for (const key of this.entries.keys()) {
+            if (count-- <= 0) break;
+            this.entries.delete(key);
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Memory pressure callback for lib/utils/memoryProtection.js
+     *
+     * @param {string} level - Pressure level ('normal', 'high', 'critical')
+     */
+    onMemoryPressure(level) {
+        if (level === 'critical') {
+            this.clear();
+        } else if (level === 'high') {
+            this.trim(0.5);
+        }
+    }
+
+    getMemoryUsage() {
+        return { entries: this.entries.size, ...this.stats };
+    }
+}
+
+// Create singleton instance
+const graphCache = new GraphCache();
+
+module.exports = {
+    graphCache,
+    GraphCache
+};
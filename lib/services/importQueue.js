@@ -0,0 +1,558 @@
+/**
+ * Import Queue
+ *
+ * Runs the imports of routes/imports.js (Twitter, Evernote, email, Google
+ * Knowledge Graph, files, URLs, YouTube) as background jobs instead of inside
+ * the HTTP request. A job first fetches the statements with the same code the
+ * import form used to run, then saves them in batches through the Entry
+ * service, so it can report its progress, keep what it saved if it's
+ * cancelled or fails, and continue where it stopped after a restart. The
+ * Evernote token is only in the session of the request, so an Evernote job
+ * that didn't get its notes before a restart fails instead.
+ *
+ * The jobs are ImportJob nodes of their user in Neo4j, the statements a job
+ * fetched wait in a file of options.settings.import_jobs_dir until they are saved.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const uuid = require('node-uuid');
+
+const options = require('../../options');
+const Query = require('../db/query');
+const validate = require('../middleware/validate');
+const { entryService } = require('./entryService');
+
+// The job is over in these
+const FINISHED = ['completed', 'partially_completed', 'failed', 'cancelled'];
+
+// The sources that need the session of the request (the Evernote token), which a restart loses
+const SESSION_SOURCES = ['evernote'];
+
+// The fields of the import form a job keeps to run the import again after a restart
+const PARAMS = ['source', 'extract', 'search', 'limit', 'limitgkg', 'context', 'settings', 'selectedContexts'];
+
+class ImportQueue {
+    constructor(settings = {}) {
+        this.options = {
+            concurrency: settings.concurrency || options.settings.import_concurrency,
+            batchSize: settings.batchSize || options.settings.import_batch_size,
+            fetchTimeout: settings.fetchTimeout || options.settings.import_fetch_timeout,
+            dir: settings.dir || options.settings.import_jobs_dir,
+            ...settings
+        };
+
+        this.events = new EventEmitter();
+        this.jobs = new Map();
+        this.queue = [];
+        this.running = 0;
+
+        // The function that fetches the statements, app.js sets the run of routes/imports.js
+        this.importer = null;
+    }
+
+    /**
+     * Set the function that runs an import: (req, res, next) with the Express objects of the import form
+     *
+     * @param {Function} importer - Import function
+     */
+    setImporter(importer) {
+        this.importer = importer;
+    }
+
+    /**
+     * Queue an import
+     *
+     * @param {Object} user - The user who imports
+     * @param {Object} body - The fields of the import form
+     * @param {Object} extras - file (the upload) and session (for the Evernote token) of the request
+     * @returns {Promise<Object>} - Job status
+     */
+    async start(user, body, extras = {}) {
+        const params = {};
+
+        PARAMS.forEach(key => {
+            if (body[key] !== undefined) params[key] = body[key];
+        });
+
+        // Whatever else the source needs (fields to process, CSV columns...)
+        Object.keys(body).forEach(key => {
+            if (params[key] === undefined && typeof body[key] === 'string') params[key] = body[key];
+        });
+
+        const job = {
+            id: `import-${uuid.v4().substring(0, 8)}`,
+            userId: user.uid,
+            source: params.source || '',
+            context: params.context || '',
+            params,
+            file: extras.file ? { ...extras.file } : null,
+            session: extras.session || {},
+            status: 'queued',
+            progress: 0,
+            total: 0,
+            saved: 0,
+            skipped: 0,
+            contexts: [],
+            error: null,
+            cancelled: false,
+            created: Date.now(),
+            updated: Date.now()
+        };
+
+        this.jobs.set(job.id, job);
+
+        await this._persist(job);
+
+        this._enqueue(job);
+
+        return this.getStatus(job);
+    }
+
+    /**
+     * Status of a job
+     *
+     * @param {Object} job - Job
+     * @returns {Object} - Job status
+     */
+    getStatus(job) {
+        return {
+            id: job.id,
+            userId: job.userId,
+            source: job.source,
+            context: job.context,
+            status: job.status,
+            progress: job.progress,
+            total: job.total,
+            saved: job.saved,
+            skipped: job.skipped,
+            contexts: job.contexts,
+            error: job.error,
+            created: job.created,
+            updated: job.updated
+        };
+    }
+
+    /**
+     * A job of a user
+     *
+     * @param {string} userId - User ID
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} - Job status, null if the user has no such job
+     */
+    async getJob(userId, jobId) {
+        const job = this.jobs.get(jobId);
+
+        if (job) return job.userId === userId ? this.getStatus(job) : null;
+
+        const jobs = await this._load('MATCH (j:ImportJob{uid:$jobId})-[:BY]->(u:User{uid:$userId}) RETURN j, u.uid;', { jobId, userId });
+
+        return jobs.length ? this.getStatus(jobs[0]) : null;
+    }
+
+    /**
+     * The latest jobs of a user, the running ones as they are now
+     *
+     * @param {string} userId - User ID
+     * @param {number} limit - How many
+     * @returns {Promise<Array<Object>>} - Job statuses, the latest first
+     */
+    async listJobs(userId, limit = 20) {
+        const jobs = await this._load(
+            'MATCH (j:ImportJob)-[:BY]->(u:User{uid:$userId}) RETURN j, u.uid ORDER BY j.created DESC LIMIT $limit;',
+            { userId, limit }
+        );
+
+        return jobs.map(job => this.getStatus(this.jobs.get(job.id) || job));
+    }
+
+    /**
+     * Cancel a job. A queued job won't start, a running one stops after the batch it's saving
+     * and keeps the statements it saved.
+     *
+     * @param {string} userId - User ID
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} - Job status, null if the user has no such job
+     */
+    async cancel(userId, jobId) {
+        const job = this.jobs.get(jobId);
+
+        if (!job || job.userId !== userId) return this.getJob(userId, jobId);
+
+        if (FINISHED.includes(job.status)) return this.getStatus(job);
+
+        job.cancelled = true;
+
+        const index = this.queue.indexOf(job);
+
+        if (index >= 0) {
+            this.queue.splice(index, 1);
+            await this._finish(job, 'cancelled');
+        }
+
+        return this.getStatus(job);
+    }
+
+    /**
+     * Continue the jobs a restart interrupted. The ones that still have to fetch their statements
+     * run the import again, unless they need the session of the request, then they fail.
+     *
+     * @returns {Promise<number>} - How many jobs were resumed
+     */
+    async resume() {
+        const jobs = await this._load(
+            'MATCH (j:ImportJob)-[:BY]->(u:User) WHERE j.status IN $statuses RETURN j, u.uid ORDER BY j.created;',
+            { statuses: ['queued', 'fetching', 'saving'] }
+        );
+
+        let resumed = 0;
+
+        for (const job of jobs) {
+            if (this.jobs.has(job.id)) continue;
+
+            this.jobs.set(job.id, job);
+
+            if (SESSION_SOURCES.includes(job.source) && !fs.existsSync(this._file(job))) {
+                job.error = 'The import was interrupted by a restart before it got the data, please, start it again.';
+                await this._finish(job, 'failed');
+                continue;
+            }
+
+            job.status = 'queued';
+            this._enqueue(job);
+            resumed++;
+        }
+
+        return resumed;
+    }
+
+    /**
+     * Memory pressure callback for lib/utils/memoryProtection.js: forget the finished jobs, they stay in the database
+     */
+    clearCache() {
+        this.jobs.forEach((job, id) => {
+            if (FINISHED.includes(job.status)) this.jobs.delete(id);
+        });
+    }
+
+    _enqueue(job) {
+        this.queue.push(job);
+        setImmediate(() => this._next());
+    }
+
+    _next() {
+        while (this.running < this.options.concurrency && this.queue.length) {
+            const job = this.queue.shift();
+
+            this.running++;
+
+            this._run(job)
+                .catch(error => console.error(`Import job ${job.id} failed:`, error))
+                .then(() => {
+                    this.running--;
+                    this._next();
+                });
+        }
+    }
+
+    /**
+     * Fetch the statements of a job, unless it fetched them before a restart, and save them
+     *
+     * @private
+     * @param {Object} job - Job
+     */
+    async _run(job) {
+        try {
+            let statements = await this._readStatements(job);
+
+            if (!statements) {
+                await this._update(job, { status: 'fetching', progress: 5 });
+
+                statements = await this._fetch(job);
+
+                await util.promisify(fs.mkdir)(this.options.dir, { recursive: true });
+                await util.promisify(fs.writeFile)(this._file(job), JSON.stringify(statements));
+            }
+
+            const contexts = new Set();
+
+            statements.forEach(statement => statement.contexts.forEach(context => contexts.add(context)));
+
+            await this._update(job, {
+                status: 'saving',
+                progress: 10 + Math.floor((90 * (job.saved + job.skipped)) / Math.max(1, statements.length)),
+                total: statements.length,
+                contexts: Array.from(contexts)
+            });
+
+            const user = await entryService.getUser(job.userId);
+
+            if (job.cancelled) return this._finish(job, 'cancelled');
+
+            // Go on from the statement the job stopped at
+            while (job.saved + job.skipped < statements.length) {
+                if (job.cancelled) return this._finish(job, 'cancelled');
+
+                const batch = this._batch(statements, job.saved + job.skipped);
+                const saved = await this._save(user, batch);
+
+                await this._update(job, {
+                    saved: job.saved + saved,
+                    skipped: job.skipped + batch.length - saved,
+                    progress: 10 + Math.floor((90 * (job.saved + job.skipped + batch.length)) / statements.length)
+                });
+            }
+
+            await this._finish(job, 'completed');
+        } catch (error) {
+            job.error = error.message;
+            await this._finish(job, job.saved > 0 ? 'partially_completed' : 'failed');
+        }
+    }
+
+    /**
+     * Run the import with Express objects of our own: the statements it submits are collected
+     * instead of saved, an error it shows to the user fails the job
+     *
+     * @private
+     * @param {Object} job - Job
+     * @returns {Promise<Array<Object>>} - Statements ({text, contexts})
+     */
+    _fetch(job) {
+        if (!this.importer) return Promise.reject(new Error('There is no importer'));
+
+        if (job.file && !fs.existsSync(job.file.path)) {
+            return Promise.reject(new Error('The uploaded file is not there anymore, please, upload it again.'));
+        }
+
+        return entryService.getUser(job.userId).then(
+            user =>
+                new Promise((resolve, reject) => {
+                    const statements = [];
+                    const messages = [];
+                    let done = false;
+                    let pending = null;
+
+                    const finish = error => {
+                        if (done) return;
+                        done = true;
+                        clearTimeout(timeout);
+
+                        if (error) return reject(error);
+                        if (!statements.length && messages.length) return reject(new Error(messages[messages.length - 1]));
+
+                        resolve(statements);
+                    };
+
+                    const timeout = setTimeout(
+                        () => finish(new Error('The import took too long to get the data.')),
+                        this.options.fetchTimeout
+                    );
+
+                    const collector = {
+                        job,
+                        collect: req => {
+                            statements.push(...ImportQueue.statements(req));
+
+                            // The imports that submit several times do it in one go
+                            clearImmediate(pending);
+                            pending = setImmediate(() => finish());
+                        }
+                    };
+
+                    const res = {
+                        locals: { user, importjob: collector },
+                        error: message => messages.push(message),
+                        message: () => {},
+                        status: () => res,
+                        redirect: () => setImmediate(() => finish()),
+                        render: () => finish(),
+                        json: body => res.send(body),
+                        send: body => {
+                            if (body && body.errormsg) messages.push(body.errormsg);
+                            finish();
+                        }
+                    };
+
+                    const req = {
+                        body: { ...job.params },
+                        query: {},
+                        params: {},
+                        file: job.file,
+                        session: job.session,
+                        user
+                    };
+
+                    try {
+                        this.importer(req, res, error => finish(error instanceof Error ? error : new Error(String(error))));
+                    } catch (error) {
+                        finish(error);
+                    }
+                })
+        );
+    }
+
+    /**
+     * The statements an import submitted the way entries.submit reads them
+     *
+     * @param {Object} req - The request an import passes to entries.submit
+     * @returns {Array<Object>} - Statements ({text, contexts})
+     */
+    static statements(req) {
+        const body = req.body || {};
+        const contexts = (req.contextids || []).map(context => context.name).filter(Boolean);
+
+        if (!contexts.length && body.context) contexts.push(body.context);
+
+        const text = body.entry ? body.entry.body : body.statement;
+        let texts = [];
+
+        // Several statements at once, every one of them is one statement
+        if (req.multiple && text && typeof text === 'object') {
+            texts = Object.keys(text).map(key => String(text[key]).substr(0, options.settings.max_text_length));
+        } else if (text) {
+            texts = validate.splitStatement(String(text), options.settings.max_text_length);
+        }
+
+        return texts
+            .map(statement => statement.replace(/[\r\n]+/g, ' ').trim())
+            .filter(Boolean)
+            .map(statement => ({ text: statement, contexts }));
+    }
+
+    // The statements from this one on that go into the same contexts, as many as a batch takes
+    _batch(statements, from) {
+        const key = JSON.stringify(statements[from].contexts);
+        const batch = [];
+
+        for (let i = from; i < statements.length && batch.length < this.options.batchSize; i++) {
+            if (JSON.stringify(statements[i].contexts) !== key) break;
+            batch.push(statements[i]);
+        }
+
+        return batch;
+    }
+
+    // Save a batch, the statements without concepts are skipped, returns how many were saved
+    async _save(user, batch) {
+        let prepared;
+
+        try {
+            prepared = entryService.prepareStatements(user, batch.map(statement => statement.text).join('\n'));
+        } catch (error) {
+            if (/no text to add|at least one word/.test(error.message)) return 0;
+            throw error;
+        }
+
+        await entryService.save(user, prepared, batch[0].contexts.length ? batch[0].contexts : ['imported']);
+
+        return prepared.length;
+    }
+
+    async _readStatements(job) {
+        try {
+            return JSON.parse(await util.promisify(fs.readFile)(this._file(job), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    _file(job) {
+        return path.join(this.options.dir, job.id + '.json');
+    }
+
+    async _update(job, changes) {
+        Object.assign(job, changes, { updated: Date.now() });
+
+        this.events.emit('progress', this.getStatus(job));
+
+        await this._persist(job);
+    }
+
+    // The final status is saved before the files are deleted, so a job that has no statements file is over
+    async _finish(job, status) {
+        await this._update(job, { status, progress: status === 'completed' ? 100 : job.progress });
+
+        await Promise.all([job.file && unlink(job.file.path), unlink(this._file(job))]);
+
+        this.events.emit(status, this.getStatus(job));
+    }
+
+    /**
+     * Save the job, what it needs to run again after a restart included
+     *
+     * @private
+     * @param {Object} job - Job
+     */
+    async _persist(job) {
+        const query = new Query(
+            'MATCH (u:User{uid:$userId}) MERGE (j:ImportJob{uid:$uid})-[:BY]->(u) SET j += $job RETURN j.uid;',
+            {
+                userId: job.userId,
+                uid: job.id,
+                job: {
+                    source: job.source,
+                    context: job.context,
+                    params: JSON.stringify(job.params),
+                    file: job.file ? JSON.stringify(job.file) : null,
+                    status: job.status,
+                    progress: job.progress,
+                    total: job.total,
+                    saved: job.saved,
+                    skipped: job.skipped,
+                    contexts: job.contexts,
+                    error: job.error,
+                    created: job.created,
+                    updated: job.updated
+                }
+            }
+        );
+
+        await util.promisify(Query.run)(query);
+    }
+
+    // The jobs a query returns with the uid of their user
+    async _load(cypher, params) {
+        const answer = await util.promisify(Query.run)(new Query(cypher, params));
+
+        return (answer.data || []).map(([node, userId]) => ({
+            id: node.uid,
+            userId,
+            source: node.source || '',
+            context: node.context || '',
+            params: JSON.parse(node.params || '{}'),
+            file: node.file ? JSON.parse(node.file) : null,
+            session: {},
+            status: node.status,
+            progress: node.progress || 0,
+            total: node.total || 0,
+            saved: node.saved || 0,
+            skipped: node.skipped || 0,
+            contexts: node.contexts || [],
+            error: node.error || null,
+            cancelled: false,
+            created: node.created,
+            updated: node.updated
+        }));
+    }
+}
+
+// Delete a file that may already be gone
+async function unlink(file) {
+    try {
+        await fs.promises.unlink(file);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+}
+
+// Create singleton instance
+const importQueue = new ImportQueue();
+
+module.exports = {
+    importQueue,
+    ImportQueue
+};
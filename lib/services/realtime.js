@@ -0,0 +1,303 @@
+/**
+ * Realtime
+ *
+ * Pushes the changes of a context to the views of it that are open, whoever made
+ * them: the owner in another tab, a member of the context, an import or the API. A view
+ * subscribes to a context through the /contexts namespace of socket.io, see
+ * views/components/entries/Graph/GraphUpdate.ejs, and gets:
+ *
+ * - 'statements added', 'statements edited', 'statements deleted': { context, statements }
+ * - 'graph delta': { context, nodes: { added, removed }, edges: { added, changed, removed } }
+ *
+ * The delta is the difference between the graph of the context before and after
+ * the changes of the last options.settings.realtime_delay ms, computed once for
+ * all the views of the context.
+ */
+
+const util = require('util');
+
+const socketio = require('socket.io');
+
+const options = require('../../options');
+const User = require('../user');
+const Membership = require('../membership');
+const { entryService } = require('./entryService');
+
+class Realtime {
+    constructor(settings = {}) {
+        this.options = {
+            delay: settings.delay !== undefined ? settings.delay : options.settings.realtime_delay,
+            ...settings
+        };
+
+        this.namespace = null;
+
+        // The contexts with open views: the owner, the context, the sockets and the graph they have
+        this.rooms = new Map();
+
+        // The room of each socket, a view shows one context at a time
+        this.sockets = new Map();
+
+        this.timers = new Map();
+    }
+
+    /**
+     * The room of a user's context
+     *
+     * @param {string} userId - User ID
+     * @param {string} context - Context name
+     * @returns {string}
+     */
+    static room(userId, context) {
+        return userId + '/' + context;
+    }
+
+    /**
+     * Set up the /contexts namespace on the HTTP server
+     *
+     * @param {http.Server} server - The server of the app
+     * @param {Function} session - The session middleware of the app, to know who is viewing
+     * @returns {Object} - The socket.io server
+     */
+    attach(server, session) {
+        const io = socketio(server);
+
+        this.namespace = io.of('/contexts');
+
+        if (session) {
+            this.namespace.use((socket, next) => session(socket.request, socket.request.res || {}, next));
+        }
+
+        this.namespace.on('connection', socket => {
+            socket.on('subscribe', (data, ack) => {
+                const reply = typeof ack === 'function' ? ack : () => {};
+
+                this.subscribe(socket, data || {})
+                    .then(context => reply({ context }))
+                    .catch(error => reply({ error: error.message }));
+            });
+
+            socket.on('unsubscribe', () => this.unsubscribe(socket));
+            socket.on('disconnect', () => this.unsubscribe(socket));
+        });
+
+        // The statements saved through the Entry service, see EntryService._changed
+        entryService.events.on('change', ({ userId, contexts, change, statements }) => {
+            this.publish(userId, contexts, change, statements);
+        });
+
+        return io;
+    }
+
+    /**
+     * Put a socket in the room of a context, if its user can see it
+     *
+     * @param {Object} socket - Socket of the view
+     * @param {Object} data - user (the name of the owner) and context
+     * @returns {Promise<string>} - The context
+     */
+    async subscribe(socket, data) {
+        const context = String(data.context || '');
+
+        if (!data.user || !context) throw new Error('Which context do you want to follow?');
+
+        const userId = await util.promisify(User.getId)(String(data.user));
+        const found = userId && (await entryService.getContext(userId, context));
+
+        if (!found) throw new Error('We did not find this context.');
+
+        // Only the owner and its members see a private context, see lib/membership.js
+        const session = socket.request && socket.request.session;
+        const viewer = session && session.passport ? session.passport.user : null;
+
+        if (viewer !== userId && !found.public && !(viewer && (await this._member(viewer, data.user, found.name)))) {
+            throw new Error('This context is private.');
+        }
+
+        this.unsubscribe(socket);
+
+        const room = Realtime.room(userId, found.name);
+
+        if (!this.rooms.has(room)) {
+            this.rooms.set(room, { userId, context: found.name, sockets: new Set(), graph: null, flushing: null });
+        }
+
+        const entry = this.rooms.get(room);
+
+        entry.sockets.add(socket.id);
+        this.sockets.set(socket.id, room);
+        socket.join(room);
+
+        // What the views have, to compute the deltas from, the socket leaves again if it is not there
+        try {
+            if (!entry.graph) entry.graph = await this._graph(entry);
+        } catch (err) {
+            this.unsubscribe(socket);
+            throw err;
+        }
+
+        return found.name;
+    }
+
+    /**
+     * Take a socket out of its room
+     *
+     * @param {Object} socket - Socket of the view
+     */
+    unsubscribe(socket) {
+        const room = this.sockets.get(socket.id);
+
+        if (!room) return;
+
+        this.sockets.delete(socket.id);
+        socket.leave(room);
+
+        const entry = this.rooms.get(room);
+
+        if (entry) {
+            entry.sockets.delete(socket.id);
+            if (!entry.sockets.size) this._close(room);
+        }
+    }
+
+    /**
+     * Push the statements that changed to the views of their contexts and schedule their graph delta
+     *
+     * @param {string} userId - Owner of the contexts
+     * @param {Array<string>} contexts - Context names, all the contexts of the user if undefined
+     * @param {string} change - 'added', 'edited' or 'deleted', nothing if only the graph changed
+     * @param {Array<Object>} statements - The statements ({uid, name, text, timestamp})
+     */
+    publish(userId, contexts, change, statements = []) {
+        if (!this.namespace) return;
+
+        this._rooms(userId, contexts).forEach(room => {
+            const entry = this.rooms.get(room);
+
+            if (change && statements.length) {
+                this.namespace.to(room).emit('statements ' + change, { context: entry.context, statements });
+            }
+
+            this._schedule(room);
+        });
+    }
+
+    /**
+     * What changed from one graph to the other
+     *
+     * @param {Object} before - Graph of Entry.getNodes
+     * @param {Object} after - Graph of Entry.getNodes
+     * @returns {Object|null} - nodes added and removed, edges added, changed and removed, null if nothing changed
+     */
+    static delta(before, after) {
+        const nodesBefore = new Map(before.nodes.map(node => [node.id, node]));
+        const nodesAfter = new Map(after.nodes.map(node => [node.id, node]));
+
+        // The views tell the edges apart by their source and target
+        const key = edge => edge.source + ' ' + edge.target;
+        const edgesBefore = new Map(before.edges.map(edge => [key(edge), edge]));
+        const edgesAfter = new Map(after.edges.map(edge => [key(edge), edge]));
+
+        const delta = {
+            nodes: {
+                added: after.nodes.filter(node => !nodesBefore.has(node.id)),
+                removed: before.nodes.filter(node => !nodesAfter.has(node.id))
+            },
+            edges: {
+                added: after.edges.filter(edge => !edgesBefore.has(key(edge))),
+                changed: after.edges.filter(edge => {
+                    const previous = edgesBefore.get(key(edge));
+
+                    return (
+                        previous &&
+                        (previous.weight !== edge.weight ||
+                            JSON.stringify(previous.context_matrix) !== JSON.stringify(edge.context_matrix))
+                    );
+                }),
+                removed: before.edges.filter(edge => !edgesAfter.has(key(edge)))
+            }
+        };
+
+        const changes =
+            delta.nodes.added.length +
+            delta.nodes.removed.length +
+            delta.edges.added.length +
+            delta.edges.changed.length +
+            delta.edges.removed.length;
+
+        return changes ? delta : null;
+    }
+
+    // Can the viewer see the context another user shared with them?
+    async _member(viewer, owner, context) {
+        return Membership.allows(await entryService.getShared(viewer, String(owner), context), 'read');
+    }
+
+    // The rooms of these contexts of a user
+    _rooms(userId, contexts) {
+        return Array.from(this.rooms.keys()).filter(room => {
+            const entry = this.rooms.get(room);
+
+            return entry.userId === userId && (!contexts || contexts.includes(entry.context));
+        });
+    }
+
+    // The changes of a context are gathered for a while before its delta is computed
+    _schedule(room) {
+        if (this.timers.has(room)) return;
+
+        const timer = setTimeout(() => {
+            this.timers.delete(room);
+            this._flush(room);
+        }, this.options.delay);
+
+        this.timers.set(room, timer);
+    }
+
+    // Send the views of a context what changed in its graph, one delta after the other
+    _flush(room) {
+        const entry = this.rooms.get(room);
+
+        if (!entry) return Promise.resolve();
+
+        entry.flushing = Promise.resolve(entry.flushing).then(async () => {
+            try {
+                const graph = await this._graph(entry);
+                const delta = entry.graph ? Realtime.delta(entry.graph, graph) : null;
+
+                entry.graph = graph;
+
+                if (delta && this.rooms.has(room)) {
+                    this.namespace.to(room).emit('graph delta', { context: entry.context, ...delta });
+                }
+            } catch (error) {
+                console.error(`Could not send the graph changes of ${room}:`, error.message);
+            }
+        });
+
+        return entry.flushing;
+    }
+
+    // The graph of the context the way its owner sees it, empty if it was deleted
+    async _graph(entry) {
+        if (!(await entryService.getContext(entry.userId, entry.context))) {
+            return { nodes: [], edges: [] };
+        }
+
+        return entryService.getGraph(entry.userId, entry.context);
+    }
+
+    _close(room) {
+        clearTimeout(this.timers.get(room));
+        this.timers.delete(room);
+        this.rooms.delete(room);
+    }
+}
+
+// Create singleton instance
+const realtime = new Realtime();
+
+module.exports = {
+    realtime,
+    Realtime
+};
@@ -0,0 +1,123 @@
+/**
+ * InfraNodus is a lightweight interface to graph databases.
+ *
+ * This open source, free software is available under MIT license.
+ * It is provided as is, with no guarantees and no liabilities.
+ * You are very welcome to reuse this code if you keep this notice.
+ *
+ * Written by Dmitry Paranyushkin | Nodus Labs and hopefully you also...
+ * www.noduslabs.com | info AT noduslabs DOT com
+ *
+ */
+
+/**
+ *
+ * Settings of the co-occurrence scan CypherQuery.addStatement uses to connect
+ * the words of a statement: how wide the window is, how the weight of the
+ * connection decreases with the distance and whether the words connect across
+ * the whole paragraph (statement) or only within the same sentence.
+ *
+ */
+
+var options = require('../../options')
+
+module.exports = Cooccurrence
+
+function Cooccurrence() {}
+
+Cooccurrence.WEIGHTINGS = ['linear', 'inverse', 'constant']
+
+Cooccurrence.UNITS = ['paragraph', 'sentence']
+
+// The widest window we allow, every word is connected to up to this many words before it
+Cooccurrence.MAX_WINDOW = 20
+
+// Which scan to use for a context. The context's own settings win over the user's.
+// A user without the full scan only connects the words that are next to each other.
+
+Cooccurrence.settings = function(user, context, fullscan) {
+    user = user || {}
+    context = context || {}
+
+    var window = fullscan
+        ? toWindow(user.scanwindow) || options.settings.scan_window
+        : 2
+
+    return {
+        window: toWindow(context.scanwindow) || window,
+        weighting:
+            oneOf(context.scanweighting, Cooccurrence.WEIGHTINGS) ||
+            oneOf(user.scanweighting, Cooccurrence.WEIGHTINGS) ||
+            options.settings.scan_weighting,
+        unit:
+            oneOf(context.scanunit, Cooccurrence.UNITS) ||
+            oneOf(user.scanunit, Cooccurrence.UNITS) ||
+            options.settings.scan_unit,
+    }
+}
+
+// Clean up the settings submitted by the user, null for anything we don't know
+
+Cooccurrence.sanitize = function(scanwindow, scanweighting, scanunit) {
+    return {
+        scanwindow: toWindow(scanwindow),
+        scanweighting: oneOf(scanweighting, Cooccurrence.WEIGHTINGS),
+        scanunit: oneOf(scanunit, Cooccurrence.UNITS),
+    }
+}
+
+// Weight of the connection between two words that are distance words apart.
+// Words next to each other always get the max_weight.
+
+Cooccurrence.weight = function(distance, scan, max_weight) {
+    if (distance <= 1 || scan.weighting == 'constant') return max_weight
+
+    if (scan.weighting == 'inverse') {
+        return round(max_weight / distance)
+    }
+
+    // Linear: down to max_weight / (window - 1) for the furthest word in the window
+    return round((max_weight * (scan.window - distance)) / (scan.window - 1))
+}
+
+// Which sentence of the text each of the concepts comes from. The concepts are in the order
+// of the text, so we look for each one from the sentence where we found the previous one.
+
+Cooccurrence.sentences = function(text, concepts) {
+    var sentences = String(text)
+        .toLowerCase()
+        .split(/[.!?。！？]+(?:\s|$)|\n+/)
+
+    var current = 0
+
+    return concepts.map(function(concept) {
+        var word = String(concept)
+            .toLowerCase()
+            .replace(/_/g, ' ')
+
+        for (var i = current; i < sentences.length; i++) {
+            if (sentences[i].replace(/_/g, ' ').indexOf(word) >= 0) {
+                current = i
+                break
+            }
+        }
+
+        return current
+    })
+}
+
+function toWindow(value) {
+    var window = parseInt(value)
+
+    if (isNaN(window) || window < 2) return null
+
+    return Math.min(window, Cooccurrence.MAX_WINDOW)
+}
+
+function oneOf(value, values) {
+    return values.indexOf(value) >= 0 ? value : null
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100
+}
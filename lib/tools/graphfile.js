@@ -0,0 +1,205 @@
+/**
+ * InfraNodus is a lightweight interface to graph databases.
+ *
+ * This open source, free software is available under MIT license.
+ * It is provided as is, with no guarantees and no liabilities.
+ * You are very welcome to reuse this code if you keep this notice.
+ *
+ * Written by Dmitry Paranyushkin | Nodus Labs and hopefully you also...
+ * www.noduslabs.com | info AT noduslabs DOT com
+ *
+ */
+
+/**
+ *
+ * Reads GEXF (Gephi) and GraphML (yEd, Cytoscape) files and turns them into
+ * #hashtag statements the file import saves like any other text, one statement
+ * for every edge between the two node labels.
+ *
+ */
+
+var gexf = require('gexf')
+
+var cheerio = require('cheerio')
+
+var S = require('string')
+
+module.exports = GraphFile
+
+function GraphFile() {}
+
+var MIMETYPES = {
+    'application/gexf+xml': 'gexf',
+    'application/graphml+xml': 'graphml',
+}
+
+// What graph format is the file in? Returns 'gexf', 'graphml' or null if it's not a graph
+
+GraphFile.detect = function(filename, mimetype, contents) {
+    var extension = (filename || '')
+        .split('.')
+        .pop()
+        .toLowerCase()
+
+    if (extension == 'gexf' || extension == 'graphml') return extension
+
+    if (MIMETYPES[mimetype]) return MIMETYPES[mimetype]
+
+    // A plain .xml file can be either, so we look at the root element
+    if (contents && (extension == 'xml' || /xml$/.test(mimetype))) {
+        var head = contents.toString('utf8', 0, 1000)
+        if (head.indexOf('<gexf') >= 0) return 'gexf'
+        if (head.indexOf('<graphml') >= 0) return 'graphml'
+    }
+
+    return null
+}
+
+// Parse the file into {nodes: [{id, label}], edges: [{source, target, weight}]}
+
+GraphFile.parse = function(format, contents) {
+    if (format == 'gexf') {
+        var graph = gexf.parse(contents)
+
+        return {
+            nodes: graph.nodes.map(function(node) {
+                return { id: node.id, label: node.label || node.id }
+            }),
+            edges: graph.edges.map(function(edge) {
+                return {
+                    source: edge.source,
+                    target: edge.target,
+                    weight: edge.weight,
+                }
+            }),
+        }
+    }
+
+    if (format == 'graphml') {
+        return parseGraphML(contents)
+    }
+
+    throw new Error('Unknown graph format ' + format)
+}
+
+// One '#source #target' statement per edge. The lightest edge in the file is saved once,
+// the others as many times as they are heavier than it (up to max_repeat), so the relative
+// weights stay the same after InfraNodus adds the repeated statements up.
+
+GraphFile.toStatements = function(graph, max_repeat) {
+    var labels = {}
+
+    var linked = {}
+
+    var statements = []
+
+    graph.nodes.forEach(function(node) {
+        labels[node.id] = hashtag(node.label)
+    })
+
+    var weights = graph.edges
+        .map(function(edge) {
+            return edge.weight
+        })
+        .filter(function(weight) {
+            return weight > 0
+        })
+
+    var min_weight = weights.length > 0 ? Math.min.apply(null, weights) : 1
+
+    graph.edges.forEach(function(edge) {
+        if (!labels[edge.source] || !labels[edge.target]) return
+
+        var statement = labels[edge.source] + ' ' + labels[edge.target]
+
+        var repeat = Math.round((edge.weight || min_weight) / min_weight)
+
+        repeat = Math.min(Math.max(repeat, 1), max_repeat || 1)
+
+        for (var i = 0; i < repeat; i++) {
+            statements.push(statement)
+        }
+
+        linked[edge.source] = true
+        linked[edge.target] = true
+    })
+
+    // Nodes without edges still make it into the graph
+    graph.nodes.forEach(function(node) {
+        if (!linked[node.id] && labels[node.id]) {
+            statements.push(labels[node.id])
+        }
+    })
+
+    return statements
+}
+
+function hashtag(label) {
+    var tag = S(String(label).toLowerCase())
+        .underscore()
+        .s.replace(/[#@]/g, '')
+
+    return tag.length > 0 ? '#' + tag : ''
+}
+
+function parseGraphML(contents) {
+    var $ = cheerio.load(contents, { xmlMode: true })
+
+    if ($('graphml').length == 0) {
+        throw new Error('There is no <graphml> element in the file')
+    }
+
+    // Which <data> keys hold the node labels and edge weights
+    var label_keys = []
+    var weight_keys = []
+
+    $('key').each(function() {
+        var name = ($(this).attr('attr.name') || '').toLowerCase()
+        var domain = $(this).attr('for')
+
+        if (domain != 'edge' && (name == 'label' || name == 'name')) {
+            label_keys.push($(this).attr('id'))
+        }
+
+        if (domain != 'node' && name == 'weight') {
+            weight_keys.push($(this).attr('id'))
+        }
+    })
+
+    function dataValue(element, keys) {
+        for (var i = 0; i < keys.length; i++) {
+            var value = element.children('data[key="' + keys[i] + '"]').text()
+            if (value.length > 0) return value
+        }
+    }
+
+    var nodes = []
+
+    $('node').each(function() {
+        var id = $(this).attr('id')
+
+        // yEd keeps the labels in its own graphics elements
+        var label =
+            dataValue($(this), label_keys) ||
+            $(this)
+                .find('y\\:NodeLabel')
+                .first()
+                .text()
+                .trim() ||
+            id
+
+        nodes.push({ id: id, label: label })
+    })
+
+    var edges = []
+
+    $('edge').each(function() {
+        edges.push({
+            source: $(this).attr('source'),
+            target: $(this).attr('target'),
+            weight: parseFloat(dataValue($(this), weight_keys)) || 1,
+        })
+    })
+
+    return { nodes: nodes, edges: edges }
+}
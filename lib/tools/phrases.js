@@ -0,0 +1,211 @@
+/**
+ * InfraNodus is a lightweight interface to graph databases.
+ *
+ * This open source, free software is available under MIT license.
+ * It is provided as is, with no guarantees and no liabilities.
+ * You are very welcome to reuse this code if you keep this notice.
+ *
+ * Written by Dmitry Paranyushkin | Nodus Labs and hopefully you also...
+ * www.noduslabs.com | info AT noduslabs DOT com
+ *
+ */
+
+/**
+ *
+ * Multi-word phrases (n-grams) that become one concept, so "machine learning"
+ * is one node and not two. They come from the user's phrase dictionary and,
+ * if the user wants it, from the collocations we find in the submitted text:
+ * the bigrams and trigrams that occur often enough and together much more
+ * often than their words alone would (pointwise mutual information).
+ *
+ */
+
+var options = require('../../options')
+
+module.exports = Phrases
+
+function Phrases() {}
+
+// The longest phrase we detect or merge, in words
+Phrases.MAX_LENGTH = 3
+
+// Turn the user's phrase dictionary (comma, semicolon or new line separated) into a list of phrases
+
+Phrases.parse = function(dictionary) {
+    if (!dictionary) return []
+
+    return String(dictionary)
+        .split(/[,;\n\r]+/)
+        .map(function(phrase) {
+            return words(phrase).join(' ')
+        })
+        .filter(function(phrase) {
+            return phrase.indexOf(' ') > 0
+        })
+}
+
+// Find the collocations in the texts: the bigrams and trigrams that occur at least min_count times
+// with a PMI of at least min_pmi. The strongest ones come first.
+
+Phrases.detect = function(texts, min_count, min_pmi) {
+    min_count = min_count || options.settings.phrase_min_count
+    min_pmi = min_pmi || options.settings.phrase_min_pmi
+
+    var counts = {}
+
+    var total = 0
+
+    texts.forEach(function(text) {
+        // Phrases don't go across sentences
+        String(text)
+            .replace(/(?:https?|ftp):\/\/\S+/g, ' ')
+            .replace(/[@#]\S+/g, '.')
+            .split(/[.!?;:,()"«»„“”\n\r]+/)
+            .forEach(function(sentence) {
+                var tokens = words(sentence)
+
+                total += tokens.length
+
+                for (var i = 0; i < tokens.length; i++) {
+                    for (
+                        var n = 1;
+                        n <= Phrases.MAX_LENGTH && i + n <= tokens.length;
+                        n++
+                    ) {
+                        var gram = tokens.slice(i, i + n).join(' ')
+                        counts[gram] = (counts[gram] || 0) + 1
+                    }
+                }
+            })
+    })
+
+    var phrases = []
+
+    // A phrase doesn't start or end with a stopword of any language
+    var stopwords = allStopwords()
+
+    Object.keys(counts).forEach(function(gram) {
+        var parts = gram.split(' ')
+
+        if (parts.length < 2 || counts[gram] < min_count) return
+
+        if (
+            stopwords.indexOf(parts[0]) >= 0 ||
+            stopwords.indexOf(parts[parts.length - 1]) >= 0
+        ) {
+            return
+        }
+
+        // log2 of how much more often the words occur together than they would by chance
+        var expected = parts.reduce(function(probability, part) {
+            return (probability * counts[part]) / total
+        }, 1)
+
+        var pmi = Math.log2(counts[gram] / total / expected)
+
+        if (pmi >= min_pmi) {
+            phrases.push({ phrase: gram, count: counts[gram], pmi: pmi })
+        }
+    })
+
+    return phrases
+        .sort(function(a, b) {
+            return b.pmi - a.pmi || b.count - a.count
+        })
+        .map(function(found) {
+            return found.phrase
+        })
+}
+
+// The phrases for the statements a user submits: their dictionary and, if they want, the collocations in the statements
+
+Phrases.forUser = function(user, texts) {
+    var phrases = Phrases.parse(user && user.phrases)
+
+    var detect =
+        user && user.phrasedetect !== undefined && user.phrasedetect !== null
+            ? user.phrasedetect
+            : options.settings.phrase_detect
+
+    if (detect == 1) {
+        Phrases.detect(texts).forEach(function(phrase) {
+            if (phrases.indexOf(phrase) < 0) phrases.push(phrase)
+        })
+    }
+
+    return phrases
+}
+
+// Merge the word tokens from wink-tokenizer that make up a phrase into one 'phrase' token
+// with the words joined by underscores, the way #hashtags are. The longest phrase wins.
+
+Phrases.mergeTokens = function(tokens, phrases) {
+    if (!phrases || phrases.length == 0) return tokens
+
+    var byFirstWord = {}
+
+    phrases.forEach(function(phrase) {
+        var parts = phrase.split(' ')
+        if (!byFirstWord[parts[0]]) byFirstWord[parts[0]] = []
+        byFirstWord[parts[0]].push(parts)
+    })
+
+    Object.keys(byFirstWord).forEach(function(word) {
+        byFirstWord[word].sort(function(a, b) {
+            return b.length - a.length
+        })
+    })
+
+    var merged = []
+
+    for (var i = 0; i < tokens.length; i++) {
+        var match = isWord(tokens[i])
+            ? (byFirstWord[tokens[i].value.toLowerCase()] || []).find(function(
+                  parts
+              ) {
+                  return parts.every(function(part, p) {
+                      return (
+                          tokens[i + p] &&
+                          isWord(tokens[i + p]) &&
+                          tokens[i + p].value.toLowerCase() == part
+                      )
+                  })
+              })
+            : null
+
+        if (match) {
+            merged.push({ value: match.join('_'), tag: 'phrase' })
+            i += match.length - 1
+        } else {
+            merged.push(tokens[i])
+        }
+    }
+
+    return merged
+}
+
+// options.js loads the stopwords once the files are read, so we get them when we need them
+function allStopwords() {
+    return [].concat(
+        options.stopwords_en || [],
+        options.stopwords_ru || [],
+        options.stopwords_de || [],
+        options.stopwords_fr || [],
+        options.stopwords_es || [],
+        options.stopwords_sv || [],
+        options.stopwords_pt || []
+    )
+}
+
+function isWord(token) {
+    return token.tag == 'word' || token.tag == 'alien'
+}
+
+function words(text) {
+    return String(text)
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}_']+/u)
+        .filter(function(word) {
+            return word.length > 0
+        })
+}
@@ -0,0 +1,178 @@
+/**
+ * InfraNodus is a lightweight interface to graph databases.
+ *
+ * This open source, free software is available under MIT license.
+ * It is provided as is, with no guarantees and no liabilities.
+ * You are very welcome to reuse this code if you keep this notice.
+ *
+ * Written by Dmitry Paranyushkin | Nodus Labs and hopefully you also...
+ * www.noduslabs.com | info AT noduslabs DOT com
+ *
+ */
+
+/**
+ *
+ * The sentiment and the emotions of a statement, offline. The sentiment is the
+ * mean polarity of its opinion words from the lexicon natural ships for the
+ * language (AFINN, SentiCon or Pattern, see the sentiment of the pipelines in
+ * lib/languages), from -1 to 1, and a negation flips the next few words. The
+ * emotions are the ones of its words in a small English lexicon. Both are saved
+ * on the Statement nodes when they are submitted or imported.
+ *
+ */
+
+var natural = require('natural')
+
+var tokenizer = require('wink-tokenizer')
+var myTokenizer = tokenizer()
+
+var Languages = require('../languages')
+
+module.exports = Sentiment
+
+function Sentiment() {}
+
+// How many words after a negation it flips
+Sentiment.NEGATION_SCOPE = 3
+
+// The strongest polarity of every lexicon, AFINN goes from -5 to 5
+var SCALES = { afinn: 5, senticon: 1, pattern: 1 }
+
+// Ekman's basic emotions and the word stems that express them
+Sentiment.EMOTIONS = {
+    anger: stems(
+        'anger angry annoy furious rage outrage irritate mad hate hostile frustrate resent offend insult'
+    ),
+    disgust: stems(
+        'disgust gross nasty revolting repulsive awful horrible vile sick dirty filthy'
+    ),
+    fear: stems(
+        'fear afraid scared scary panic worry anxious nervous threat danger risk terrify alarm dread'
+    ),
+    joy: stems(
+        'joy happy glad delight love enjoy pleased great wonderful excellent fun cheerful thrilled satisfied'
+    ),
+    sadness: stems(
+        'sad sorrow unhappy depressed disappoint regret miss lonely grief cry upset hurt loss'
+    ),
+    surprise: stems(
+        'surprise amazed astonish shock unexpected sudden wow incredible unbelievable startle'
+    ),
+}
+
+// The lexicons take a while to load, so we only load the ones we use
+var analyzers = {}
+
+function analyzer(lexicon) {
+    var key = lexicon.language + ' ' + lexicon.type
+
+    if (!analyzers[key]) {
+        var loaded = new natural.SentimentAnalyzer(
+            lexicon.language,
+            null,
+            lexicon.type
+        )
+
+        analyzers[key] = {
+            vocabulary: loaded.vocabulary,
+            negations: loaded.negations.concat(["n't"]),
+            scale: SCALES[lexicon.type] || 1,
+        }
+    }
+
+    return analyzers[key]
+}
+
+// Score a statement in the language the user chose in the settings (inlanguage) or the one we detect.
+// The sentiment is null when the language has no lexicon or the statement has no opinion words.
+
+Sentiment.score = function(text, inlanguage) {
+    text = String(text || '')
+        .replace(/(?:https?|ftp):\/\/\S+/g, ' ')
+        .replace(/[@#](\S+)/g, '$1')
+
+    var language = Languages.detect(text, inlanguage || 'auto')
+
+    var tokens = myTokenizer.tokenize(text)
+
+    var words = tokens
+        .filter(function(token) {
+            return token.tag == 'word'
+        })
+        .map(function(token) {
+            return token.value.toLowerCase()
+        })
+
+    return {
+        sentiment: language.sentiment
+            ? polarity(tokens, analyzer(language.sentiment))
+            : null,
+        emotions:
+            language.name == 'english' || language.name == 'penglish'
+                ? emotions(words)
+                : [],
+    }
+}
+
+// The mean polarity of the opinion words, a negation flips the words after it until the punctuation
+
+function polarity(tokens, lexicon) {
+    var total = 0
+    var hits = 0
+    var negated = 0
+
+    tokens.forEach(function(token) {
+        if (token.tag == 'punctuation') {
+            negated = 0
+            return
+        }
+
+        if (token.tag != 'word') return
+
+        var word = token.value.toLowerCase()
+
+        if (lexicon.negations.indexOf(word) >= 0) {
+            negated = Sentiment.NEGATION_SCOPE
+            return
+        }
+
+        var value = parseFloat(lexicon.vocabulary[word])
+
+        if (value) {
+            total += (negated > 0 ? -value : value) / lexicon.scale
+            hits++
+        }
+
+        if (negated > 0) negated--
+    })
+
+    if (!hits) return null
+
+    return Math.round((total / hits) * 1000) / 1000
+}
+
+// The emotions of the words, the most expressed first
+
+function emotions(words) {
+    var counts = {}
+
+    words.forEach(function(word) {
+        var stem = natural.PorterStemmer.stem(word)
+
+        Object.keys(Sentiment.EMOTIONS).forEach(function(emotion) {
+            if (Sentiment.EMOTIONS[emotion].indexOf(stem) >= 0) {
+                counts[emotion] = (counts[emotion] || 0) + 1
+            }
+        })
+    })
+
+    return Object.keys(counts).sort(function(a, b) {
+        return counts[b] - counts[a] || (a < b ? -1 : 1)
+    })
+}
+
+function stems(list) {
+    return list.split(' ').map(function(word) {
+        return natural.PorterStemmer.stem(word)
+    })
+}
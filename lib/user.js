@@ -21,12 +21,18 @@ var options = require('../options')
 
 dbneo = new neo4j(options.neo4jlink)
 
+var Query = require('./db/query')
+
 var uuid = require('node-uuid')
 
 var entries = require('../routes/entries')
 
 var validate = require('../lib/middleware/validate')
 
+var Cooccurrence = require('./tools/cooccurrence')
+
+var Phrases = require('./tools/phrases')
+
 var chargebee = require('chargebee')
 
 // Construct User object (schema)
@@ -218,13 +224,12 @@ User.getByName = function(name, fn) {
 // Get the user data using the ID
 
 User.get = function(uid, fn) {
-    var userQuery = 'MATCH (u:User{uid:"' + uid + '"}) RETURN u;'
+    var userQuery = new Query('MATCH (u:User{uid:$uid}) RETURN u;', {
+        uid: uid,
+    })
 
-    dbneo.cypherQuery(userQuery, function(err, user) {
-        if (err) {
-            err.type = 'neo4j'
-            return fn(err)
-        }
+    Query.run(userQuery, function(err, user) {
+        if (err) return fn(err)
 
         fn(null, new User(user.data[0]))
     })
@@ -256,23 +261,22 @@ User.getIdNameEmail = function(name, email, fn) {
         email = validate.sanitize(email)
     }
     if (name && email) {
-        idQuery =
-            'MATCH (u:User{substance:"' +
-            name +
-            '",portal:"' +
-            email +
-            '"}) RETURN u.uid;'
+        idQuery = new Query(
+            'MATCH (u:User{substance:$name,portal:$email}) RETURN u.uid;',
+            { name: name, email: email }
+        )
     } else if (name) {
-        idQuery = 'MATCH (u:User{substance:"' + name + '"}) RETURN u.uid;'
+        idQuery = new Query('MATCH (u:User{substance:$name}) RETURN u.uid;', {
+            name: name,
+        })
     } else if (email) {
-        idQuery = 'MATCH (u:User{portal:"' + email + '"}) RETURN u.uid;'
+        idQuery = new Query('MATCH (u:User{portal:$email}) RETURN u.uid;', {
+            email: email,
+        })
     }
 
-    dbneo.cypherQuery(idQuery, function(err, uid) {
-        if (err) {
-            err.type = 'neo4j'
-            return fn(err)
-        }
+    Query.run(idQuery, function(err, uid) {
+        if (err) return fn(err)
 
         // Pass this on to the next function
 
@@ -285,13 +289,12 @@ User.getIdNameEmail = function(name, email, fn) {
 User.getId = function(name, fn) {
     name = validate.sanitize(name)
 
-    var idQuery = 'MATCH (u:User{substance:"' + name + '"}) RETURN u.uid;'
+    var idQuery = new Query('MATCH (u:User{substance:$name}) RETURN u.uid;', {
+        name: name,
+    })
 
-    dbneo.cypherQuery(idQuery, function(err, uid) {
-        if (err) {
-            err.type = 'neo4j'
-            return fn(err)
-        }
+    Query.run(idQuery, function(err, uid) {
+        if (err) return fn(err)
 
         // Pass this on to the next function
 
@@ -299,103 +302,90 @@ User.getId = function(name, fn) {
     })
 }
 
-User.modifySettings = function(
-    user_id,
-    fullscan,
-    fullview,
-    morphemes,
-    hashnodes,
-    maxnodes,
-    inlanguage,
-    palette,
-    background,
-    midi,
-    voice_continues,
-    abstract,
-    label_threshold,
-    topnodes,
-    mentions,
-    customization,
-    stopwords,
-    callback
-) {
+// The settings are the fields of the user we change, see routes/settings.js
+
+User.modifySettings = function(user_id, settings, callback) {
     // Sanitize entry
-    inlanguage = validate.sanitize(inlanguage)
-    palette = validate.sanitize(palette)
-    background = validate.sanitize(background)
-    midi = validate.sanitize(midi)
-    voice_continues = validate.sanitize(voice_continues)
-    abstract = validate.sanitize(abstract)
-    label_threshold = validate.sanitize(label_threshold)
-    topnodes = validate.sanitize(topnodes)
-    stopwords = validate.sanitize(stopwords).replace(/["'\\]/g, '')
-    fullscan = validate.sanitize(fullscan)
-    fullview = validate.sanitize(fullview)
-    maxnodes = validate.sanitize(maxnodes)
-    mentions = validate.sanitize(mentions)
-    customization = validate.sanitize(customization)
-    morphemes = validate.sanitize(morphemes)
+    var inlanguage = validate.sanitize(settings.inlanguage)
+    var palette = validate.sanitize(settings.palette)
+    var background = validate.sanitize(settings.background)
+    var midi = validate.sanitize(settings.midi)
+    var voice_continues = validate.sanitize(settings.voice_continues)
+    var abstract = validate.sanitize(settings.abstract)
+    var label_threshold = validate.sanitize(settings.label_threshold)
+    var topnodes = validate.sanitize(settings.topnodes)
+    var stopwords = validate.sanitize(settings.stopwords).replace(/["'\\]/g, '')
+    var fullscan = validate.sanitize(settings.fullscan)
+    var fullview = validate.sanitize(settings.fullview)
+    var maxnodes = validate.sanitize(settings.maxnodes)
+    var mentions = validate.sanitize(settings.mentions)
+    var customization = validate.sanitize(settings.customization)
+    var morphemes = validate.sanitize(settings.morphemes)
+
+    // Anything we don't know goes back to the defaults from options.js
+    var scan = Cooccurrence.sanitize(
+        settings.scanwindow,
+        settings.scanweighting,
+        settings.scanunit
+    )
+
+    // One phrase per line or comma separated, see lib/tools/phrases.js
+    var phrases = Phrases.parse(settings.phrases).join('\n')
 
     // Construct query from the parameters passed
 
-    var modify_query =
-        'MATCH (u:User{uid:"' +
-        user_id +
-        '"}) ' +
-        'SET u.fullscan = ' +
-        fullscan +
-        ', ' +
-        'u.fullview = ' +
-        fullview +
-        ', ' +
-        'u.hashnodes = ' +
-        hashnodes +
-        ', ' +
-        'u.maxnodes = ' +
-        maxnodes +
-        ', ' +
-        'u.morphemes = ' +
-        morphemes +
-        ', ' +
-        'u.inlanguage = "' +
-        inlanguage +
-        '", ' +
-        'u.palette = "' +
-        palette +
-        '", ' +
-        'u.background = "' +
-        background +
-        '", ' +
-        'u.midi = "' +
-        midi +
-        '", ' +
-        'u.voice_continues = "' +
-        voice_continues +
-        '", ' +
-        'u.abstract = "' +
-        abstract +
-        '", ' +
-        'u.label_threshold = "' +
-        label_threshold +
-        '", ' +
-        'u.topnodes = "' +
-        topnodes +
-        '", ' +
-        'u.mentions = "' +
-        mentions +
-        '", ' +
-        'u.customization = "' +
-        customization +
-        '", ' +
-        'u.stopwords = "' +
-        stopwords +
-        '";'
-    console.log(modify_query)
-    dbneo.cypherQuery(modify_query, function(err, cypherAnswer) {
-        if (err) {
-            err.type = 'neo4j'
-            return callback(err)
+    var modify_query = new Query(
+        'MATCH (u:User{uid:$userId}) ' +
+            'SET u.fullscan = $fullscan, ' +
+            'u.fullview = $fullview, ' +
+            'u.hashnodes = $hashnodes, ' +
+            'u.maxnodes = $maxnodes, ' +
+            'u.morphemes = $morphemes, ' +
+            'u.inlanguage = $inlanguage, ' +
+            'u.palette = $palette, ' +
+            'u.background = $background, ' +
+            'u.midi = $midi, ' +
+            'u.voice_continues = $voice_continues, ' +
+            'u.abstract = $abstract, ' +
+            'u.label_threshold = $label_threshold, ' +
+            'u.topnodes = $topnodes, ' +
+            'u.mentions = $mentions, ' +
+            'u.customization = $customization, ' +
+            'u.stopwords = $stopwords, ' +
+            'u.scanwindow = $scanwindow, ' +
+            'u.scanweighting = $scanweighting, ' +
+            'u.scanunit = $scanunit, ' +
+            'u.phrases = $phrases, ' +
+            'u.phrasedetect = $phrasedetect;',
+        {
+            userId: user_id,
+            // These are stored as numbers, the rest as strings
+            fullscan: toNumber(fullscan),
+            fullview: toNumber(fullview),
+            hashnodes: toNumber(settings.hashnodes),
+            maxnodes: toNumber(maxnodes),
+            morphemes: toNumber(morphemes),
+            inlanguage: String(inlanguage),
+            palette: String(palette),
+            background: String(background),
+            midi: String(midi),
+            voice_continues: String(voice_continues),
+            abstract: String(abstract),
+            label_threshold: String(label_threshold),
+            topnodes: String(topnodes),
+            mentions: String(mentions),
+            customization: String(customization),
+            stopwords: String(stopwords),
+            scanwindow: scan.scanwindow,
+            scanweighting: scan.scanweighting,
+            scanunit: scan.scanunit,
+            phrases: phrases,
+            phrasedetect: toNumber(validate.sanitize(settings.phrasedetect)),
         }
+    )
+
+    Query.run(modify_query, function(err, cypherAnswer) {
+        if (err) return callback(err)
         // No error? Pass the contexts to makeQuery function
         callback(null, cypherAnswer)
     })
@@ -412,18 +402,13 @@ User.modifyPassword = function(name, pass, callback) {
         bcrypt.hash(pass, user.salt, null, function(err, hash) {
             if (err) return console.log(err)
             console.log('all hashed')
-            var modify_query =
-                'MATCH (u:User{uid:"' +
-                user_id +
-                '"}) ' +
-                'SET u.pepper = "' +
-                hash +
-                '";'
-            console.log(modify_query)
-
-            dbneo.cypherQuery(modify_query, function(err, cypherAnswer) {
+            var modify_query = new Query(
+                'MATCH (u:User{uid:$userId}) SET u.pepper = $pepper;',
+                { userId: user_id, pepper: hash }
+            )
+
+            Query.run(modify_query, function(err, cypherAnswer) {
                 if (err) {
-                    err.type = 'neo4j'
                     console.log('error neo4j')
                     return callback(err)
                 }
@@ -481,6 +466,13 @@ User.checkHostedPage = function(hosted_page, callback) {
     }
 }
 
+// Settings that used to be written into the query unquoted are kept as numbers
+
+function toNumber(value) {
+    var number = parseInt(value)
+    return isNaN(number) ? null : number
+}
+
 User.prototype.toJSON = function() {
     return {
         uid: this.uid,
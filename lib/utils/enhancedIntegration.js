@@ -13,6 +13,7 @@ const { platformIntegration, PlatformIntegration } = require('./platformIntegrat
 const request = require('request-promise');
 const logger = require('../log/logger');
 const EventEmitter = require('events');
+const PersistentMap = require('../db/persistentMap');
 
 class IntegrationEvents extends EventEmitter { }
 const integrationEvents = new IntegrationEvents();
@@ -21,8 +22,8 @@ class EnhancedIntegration {
     constructor(options = {}) {
         this.platformIntegration = options.platformIntegration || platformIntegration;
         this.events = integrationEvents;
-        this.syncIntervals = new Map(); // Store interval IDs for each sync task
-        this.webhooks = new Map(); // Store registered webhooks
+        this.syncIntervals = new PersistentMap('integration-syncs', { transient: ['intervalId'] }); // Sync tasks with their interval IDs, kept in the state store
+        this.webhooks = new PersistentMap('integration-webhooks'); // Store registered webhooks, kept in the state store
         this.options = {
             syncIntervalMs: options.syncIntervalMs || 300000, // 5 minutes default
             maxSyncGraphSize: options.maxSyncGraphSize || 1000, // Max nodes for sync
@@ -67,38 +68,8 @@ class EnhancedIntegration {
             conflicts: []
         };
 
-        // Set up the sync interval
-        const intervalId = setInterval(async () => {
-            try {
-                await this._performSync(userId, infraContext, myMapId, apiKey, syncOptions, syncState);
-                syncState.lastSyncTime = new Date().toISOString();
-
-                // Emit sync event
-                this.events.emit('sync-completed', {
-                    syncId,
-                    userId,
-                    infraContext,
-                    myMapId,
-                    timestamp: syncState.lastSyncTime
-                });
-
-            } catch (error) {
-                logger.error(`Sync error for ${syncId}: ${error.message}`);
-
-                // Emit error event
-                this.events.emit('sync-error', {
-                    syncId,
-                    userId,
-                    infraContext,
-                    myMapId,
-                    error: error.message
-                });
-            }
-        }, syncOptions.interval);
-
-        // Store the interval ID and options for later reference
+        // Store the options and state for later reference, and after a restart
         this.syncIntervals.set(syncId, {
-            intervalId,
             options: syncOptions,
             state: syncState,
             userId,
@@ -107,11 +78,14 @@ class EnhancedIntegration {
             apiKey
         });
 
+        this._schedule(syncId);
+
         // Perform initial sync immediately
         setImmediate(async () => {
             try {
                 await this._performSync(userId, infraContext, myMapId, apiKey, syncOptions, syncState);
                 syncState.lastSyncTime = new Date().toISOString();
+                this.syncIntervals.save(syncId);
             } catch (error) {
                 logger.error(`Initial sync error for ${syncId}: ${error.message}`);
             }
@@ -120,6 +94,23 @@ class EnhancedIntegration {
         return syncId;
     }
 
+    /**
+     * Get back the syncs and webhooks of before a restart and start the syncs again
+     * 
+     * @returns {Promise<number>} - How many syncs started again
+     */
+    async restore() {
+        await this.webhooks.load();
+        await this.syncIntervals.load();
+
+        for (const syncId of this.syncIntervals.keys()) {
+            this._schedule(syncId);
+        }
+
+        logger.info(`Restored ${this.syncIntervals.size} syncs and ${this.webhooks.size} webhooks`);
+        return this.syncIntervals.size;
+    }
+
     /**
      * Stop an active synchronization
      * 
@@ -443,6 +434,47 @@ class EnhancedIntegration {
         };
     }
 
+    /**
+     * Run a sync at its interval
+     * 
+     * @private
+     * @param {string} syncId - Sync ID
+     */
+    _schedule(syncId) {
+        const syncInfo = this.syncIntervals.get(syncId);
+        const { userId, infraContext, myMapId, apiKey, options: syncOptions, state: syncState } = syncInfo;
+
+        // Set up the sync interval
+        syncInfo.intervalId = setInterval(async () => {
+            try {
+                await this._performSync(userId, infraContext, myMapId, apiKey, syncOptions, syncState);
+                syncState.lastSyncTime = new Date().toISOString();
+                this.syncIntervals.save(syncId);
+
+                // Emit sync event
+                this.events.emit('sync-completed', {
+                    syncId,
+                    userId,
+                    infraContext,
+                    myMapId,
+                    timestamp: syncState.lastSyncTime
+                });
+
+            } catch (error) {
+                logger.error(`Sync error for ${syncId}: ${error.message}`);
+
+                // Emit error event
+                this.events.emit('sync-error', {
+                    syncId,
+                    userId,
+                    infraContext,
+                    myMapId,
+                    error: error.message
+                });
+            }
+        }, syncOptions.interval);
+    }
+
     /**
      * Perform synchronization between platforms
      * 
@@ -1,4 +1,6 @@
 var fs = require('fs')
+var os = require('os')
+var path = require('path')
 
 var configPath = './config.json'
 var config = {}
@@ -31,6 +33,26 @@ exports.settings = {
     // 0 - Connect only the words that are next to each other
     fullscan: 1,
 
+    // How many words the full scan window covers (4 words = connections up to 3 words apart)
+    scan_window: 4,
+
+    // How the weight of the connection decreases with the distance in the scan window
+    // linear - from the max to 1/3 of it at the end of a 4-word window, inverse - max / distance, constant - always the max
+    scan_weighting: 'linear',
+
+    // paragraph - connect the words within the whole statement, sentence - only within the same sentence
+    scan_unit: 'paragraph',
+
+    // 1 - Merge the frequent multi-word phrases (collocations) of a text into one concept, e.g. #machine_learning
+    // 0 - Only merge the phrases from the user's phrase dictionary
+    phrase_detect: 0,
+
+    // How many times a phrase should occur in a text to be detected as a collocation
+    phrase_min_count: 3,
+
+    // How much more often than by chance (log2, pointwise mutual information) the words of a phrase should occur together
+    phrase_min_pmi: 3,
+
     // 1 - Graph shows connections between both the words that are next to each and also within the 4-word gap
     // 0 - Graph shows only words that are next to each other
     fullview: 1,
@@ -64,6 +86,10 @@ exports.settings = {
     // Max nodes to show in a graph
     max_nodes: 150,
 
+    // How many statements a page of the statements list shows, the API can ask for up to max_statements_page
+    statements_per_page: 500,
+    max_statements_page: 1000,
+
     // What's the node size threshold where we show its name
     label_threshold: 8,
 
@@ -72,6 +98,36 @@ exports.settings = {
 
     // Default color palette of the graph
     palette: 'default',
+
+    // How many times an edge of an imported GEXF / GraphML file can be repeated to keep its weight
+    graph_import_max_repeat: 20,
+
+    // How many days deleted contexts and statements stay in the trash before they are purged
+    trash_retention_days: 30,
+
+    // How often we check for the trash items to purge, in ms
+    trash_purge_interval: 60 * 60 * 1000,
+
+    // How many graphs the server keeps computed and for how long, in ms, see lib/services/graphCache.js
+    graph_cache_entries: 200,
+    graph_cache_ttl: 10 * 60 * 1000,
+
+    // Imports run as background jobs, see lib/services/importQueue.js: how many at once,
+    // how many statements are saved together, how long getting the data can take (ms)
+    // and where the statements wait to be saved
+    import_concurrency: 1,
+    import_batch_size: 50,
+    import_fetch_timeout: 15 * 60 * 1000,
+    import_jobs_dir: path.join(os.tmpdir(), 'infranodus-imports'),
+
+    // Where the expansion jobs, momentum, collaborations, file scans, syncs and webhooks are kept
+    // across restarts, see lib/db/stateStore.js: 'neo4j' or 'file' (JSON files in state_store_dir)
+    state_store: getConfig('state.store', 'STATE_STORE', 'neo4j'),
+    state_store_dir: getConfig('state.dir', 'STATE_STORE_DIR', path.join(__dirname, 'cache', 'state')),
+
+    // How long the graph changes of a context are gathered before they are pushed to its open views, in ms,
+    // see lib/services/realtime.js
+    realtime_delay: 1000,
 }
 
 /*
@@ -15,14 +15,27 @@
 
 var Entry = require('../lib/entry')
 var express = require('express')
-const basicAuth = require('express-basic-auth');
 var User = require('../lib/user')
-
-exports.entries = function (req, res, next) {
-    basicAuth(User.authenticate)
-
-    // This is for pagination, but not currently used
-    var page = req.page
+var Page = require('../lib/middleware/page')
+const { graphAnalytics } = require('../lib/analytics/graphAnalytics')
+const { graphFormats } = require('../lib/analytics/graphFormats')
+const { graphComparison } = require('../lib/analytics/graphComparison')
+const { graphTimeline } = require('../lib/analytics/graphTimeline')
+const { topicModeling } = require('../lib/analytics/topicModeling')
+const { graphSentiment } = require('../lib/analytics/graphSentiment')
+const { graphCache } = require('../lib/services/graphCache')
+const { realtime } = require('../lib/services/realtime')
+var Archive = require('../lib/archive')
+var apiToken = require('../lib/middleware/apitoken')
+var fs = require('fs')
+
+exports.entries = apiToken.withContext(function (req, res, next) {
+    // A page of the statements if the query asks for one (?limit=&cursor=&since=&until=), see lib/middleware/page.js
+    var page = req.page || (Page.requested(req.query) ? Page.parse(req.query) : null)
+
+    if (page && page.error) {
+        return res.status(400).send({ errormsg: page.error })
+    }
 
     // Define user
     res.locals.user = req.user
@@ -50,7 +63,7 @@ exports.entries = function (req, res, next) {
     var contexts = []
     contexts.push(req.params.context)
 
-    Entry.getRange(receiver, perceiver, contexts, function (err, entries) {
+    getEntries(receiver, perceiver, contexts, page, res, function (err, entries) {
         if (err) return next(err)
 
         if (req.query.textonly) {
@@ -71,57 +84,19 @@ exports.entries = function (req, res, next) {
             })
         }
     })
-}
-
-exports.entriesLDA = function (req, res, next) {
-    // This is for pagination, but not currently used
-    var page = req.page
-
-    // Define user
-    res.locals.user = req.user
-
-    // Define whose graph is seen (receiver) and who sees the graph (perceiver)
-    var receiver = ''
-    var perceiver = ''
-
-    // Is the user logged in? Then he is the receiver but ONLY when he's NOT requesting the public user view (even for himself)
-    if (res.locals.user && !req.params.user) {
-        receiver = res.locals.user.uid
-    }
-
-    // Is there user in the URL and we know their ID already? Then the receiver will see their graph...
-    if (req.params.user && res.locals.viewuser) {
-        perceiver = res.locals.viewuser
-    }
-
-    // Otherwise they see their own
-    else {
-        if (res.locals.user) {
-            perceiver = res.locals.user.uid
-        }
-    }
+})
 
-    if (req.user) {
-        receiver = req.user.uid
-    }
+// All the statements, or a page of them with the cursor of the next one in the X-Next-Cursor header
 
-    var contexts = []
+function getEntries(receiver, perceiver, contexts, page, res, fn) {
+    if (!page) return Entry.getRange(receiver, perceiver, contexts, fn)
 
-    contexts.push(req.params.context)
+    Entry.getRangePage(receiver, perceiver, contexts, page, function (err, entries, last) {
+        if (err) return fn(err)
 
-    var LDA_type = req.params.type
+        if (last) res.set('X-Next-Cursor', Page.cursor(last))
 
-    Entry.getLDA(receiver, perceiver, contexts, LDA_type, function (
-        err,
-        entries
-    ) {
-        if (err) return next(err)
-
-        res.format({
-            json: function () {
-                res.send(entries)
-            },
-        })
+        fn(null, entries)
     })
 }
 
@@ -229,7 +204,7 @@ exports.connectedcontextsoutside = function (req, res, next) {
     })
 }
 
-exports.nodes = function (req, res, next) {
+exports.nodes = apiToken.withContext(function (req, res, next) {
     var page = req.page
 
     var contexts = []
@@ -259,6 +234,11 @@ exports.nodes = function (req, res, next) {
     // Let's define the contexts from URL if exist
     contexts.push(req.params.context)
 
+    // A token limited to some contexts sees only those when it asks for all the graphs, see lib/middleware/apitoken.js
+    if (!req.params.context && req.apitoken && req.apitoken.contexts.length) {
+        contexts = req.apitoken.contexts.slice()
+    }
+
     // And is there one to compare with also?
     if (req.query.addcontext) contexts.push(req.query.addcontext)
 
@@ -306,6 +286,129 @@ exports.nodes = function (req, res, next) {
                 res.render('entries/csvmatrix', { graph: graph })
             } else if (req.query.csvdata) {
                 res.render('entries/csvdata', { graph: graph })
+            } else if (req.query.graphml) {
+                // GraphML, Cytoscape and DOT carry the analytics metrics as attributes, see lib/analytics/graphFormats.js
+                res.type('application/graphml+xml')
+                res.send(derive(graph, 'graphml'))
+            } else if (req.query.cytoscape) {
+                res.type('application/json')
+                res.send(derive(graph, 'cytoscape'))
+            } else if (req.query.dot) {
+                res.type('text/vnd.graphviz')
+                res.send(derive(graph, 'dot'))
+            } else if (req.query.analytics) {
+                // Nodes annotated with degree, bc and community plus the stats the analytics pane shows
+                res.format({
+                    json: function () {
+                        res.send(
+                            graphCache.derive(graph, 'analytics', function (graph) {
+                                return graphAnalytics.analyze(graph)
+                            })
+                        )
+                    },
+                })
+            } else if (req.query.gaps) {
+                // The weakly linked topics and the concepts that would bridge them, see GraphAnalytics.structuralGaps
+                res.format({
+                    json: function () {
+                        res.send(
+                            graphCache.derive(graph, 'gaps', function (graph) {
+                                return graphAnalytics.structuralGaps(graph)
+                            })
+                        )
+                    },
+                })
+            } else if (req.query.compare) {
+                // The context and the one added with ?addcontext compared, see lib/analytics/graphComparison.js
+                if (contexts.length < 2 || !contexts[0]) {
+                    return res.status(400).send({ errormsg: 'Please, choose a context to compare with.' })
+                }
+
+                res.format({
+                    json: function () {
+                        res.send(
+                            graphCache.derive(graph, 'comparison', function (graph) {
+                                return graphComparison.compare(graphComparison.split(graph, contexts))
+                            })
+                        )
+                    },
+                })
+            } else if (req.query.timeline) {
+                // The snapshots the timeline scrubber of the graph view replays, see lib/analytics/graphTimeline.js
+                var settings = {
+                    interval: req.query.interval,
+                    steps: parseInt(req.query.steps) || undefined,
+                    window: req.query.window == '1',
+                }
+
+                Entry.getTimeline(receiver, perceiver, contexts, function (err, statements) {
+                    if (err) return next(err)
+
+                    try {
+                        var timeline = graphCache.derive(graph, 'timeline ' + JSON.stringify(settings), function (graph) {
+                            return graphTimeline.snapshots(graph, statements, settings)
+                        })
+                    } catch (err) {
+                        if (err.code == 'invalid_request') return res.status(400).send({ errormsg: err.message })
+                        return next(err)
+                    }
+
+                    res.format({
+                        json: function () {
+                            res.send(timeline)
+                        },
+                    })
+                })
+            } else if (req.query.lda) {
+                // The topics of the statements and the communities they match, see lib/analytics/topicModeling.js
+                var model = {
+                    topics: parseInt(req.query.topics) || undefined,
+                    terms: parseInt(req.query.terms) || undefined,
+                    iterations: parseInt(req.query.iterations) || undefined,
+                }
+
+                Entry.getConcepts(receiver, perceiver, contexts, function (err, statements) {
+                    if (err) return next(err)
+
+                    try {
+                        var topics = graphCache.derive(graph, 'topics ' + JSON.stringify(model), function (graph) {
+                            return topicModeling.model(statements, model, graph)
+                        })
+                    } catch (err) {
+                        if (err.code == 'invalid_request') return res.status(400).send({ errormsg: err.message })
+                        return next(err)
+                    }
+
+                    res.format({
+                        json: function () {
+                            res.send(topics)
+                        },
+                    })
+                })
+            } else if (req.query.sentiment) {
+                // The sentiment of the statements for every concept and topic, see lib/analytics/graphSentiment.js
+                var inlanguage = res.locals.user && res.locals.user.inlanguage
+
+                Entry.getSentiment(receiver, perceiver, contexts, inlanguage, function (err, statements) {
+                    if (err) return next(err)
+
+                    res.format({
+                        json: function () {
+                            res.send(
+                                // The statements saved before they were scored are scored in the language of the user
+                                graphCache.derive(graph, 'sentiment ' + inlanguage, function (graph) {
+                                    return graphSentiment.summarize(
+                                        graph,
+                                        statements,
+                                        graphCache.derive(graph, 'analytics', function (graph) {
+                                            return graphAnalytics.analyze(graph)
+                                        })
+                                    )
+                                })
+                            )
+                        },
+                    })
+                })
             } else {
                 res.format({
                     json: function () {
@@ -315,6 +418,125 @@ exports.nodes = function (req, res, next) {
             }
         }
     )
+})
+
+// The formats are computed once for a graph and kept with it in the cache, see lib/services/graphCache.js
+
+function derive(graph, format) {
+    return graphCache.derive(graph, format, function (graph) {
+        return graphFormats[format](graph)
+    })
+}
+
+// A portable archive of a context with all its statements, concepts and edges, see lib/archive.js
+
+exports.exportArchive = apiToken.withContext(function (req, res, next) {
+    res.locals.user = req.user
+
+    if (!res.locals.user) {
+        return res
+            .status(401)
+            .send({ errormsg: 'Please, log in to export your graphs.' })
+    }
+
+    Archive.export(
+        res.locals.user.uid,
+        req.params.context,
+        function (err, archive) {
+            if (err) return next(err)
+
+            if (!archive) {
+                return res
+                    .status(404)
+                    .send({ errormsg: 'We did not find this context.' })
+            }
+
+            res.attachment(archive.context.name + '.infranodus.json')
+            res.send(archive)
+        }
+    )
+})
+
+// Recreate an archived context for the logged in user, under its own name or the one in req.body.context
+
+exports.importArchive = function (req, res, next) {
+    res.locals.user = req.user
+
+    if (!res.locals.user) {
+        return res
+            .status(401)
+            .send({ errormsg: 'Please, log in to import your graphs.' })
+    }
+
+    readArchive(req, function (err, archive) {
+        if (err) {
+            return res
+                .status(400)
+                .send({ errormsg: 'We could not read this archive.' })
+        }
+
+        var problem = Archive.validate(archive)
+
+        if (problem) {
+            return res.status(400).send({ errormsg: problem })
+        }
+
+        Archive.import(
+            res.locals.user.uid,
+            archive,
+            req.body.context,
+            function (err, imported) {
+                if (err) return next(err)
+
+                if (!imported) {
+                    return res.status(409).send({
+                        errormsg:
+                            'There is already a context with this name, please, choose another one.',
+                    })
+                }
+
+                // The graph of all the contexts now has this one too
+                graphCache.invalidate(res.locals.user.uid, [
+                    imported.context.name,
+                ])
+                realtime.publish(res.locals.user.uid, [imported.context.name])
+
+                res.send(imported)
+            }
+        )
+    })
+}
+
+// The archive comes either as an uploaded file or in the request body
+
+function readArchive(req, callback) {
+    if (!req.file) {
+        return parseArchive(req.body.archive, callback)
+    }
+
+    fs.readFile(req.file.path, 'utf8', function (err, data) {
+        fs.unlink(req.file.path, function (err) {
+            if (err) console.log(err)
+        })
+
+        if (err) return callback(err)
+
+        parseArchive(data, callback)
+    })
+}
+
+function parseArchive(data, callback) {
+    if (typeof data !== 'string') return callback(null, data)
+
+    var archive
+
+    try {
+        archive = JSON.parse(data)
+    } catch (err) {
+        return callback(err)
+    }
+
+    callback(null, archive)
 }
 
 // Knowledge Expansion API endpoints
@@ -430,7 +652,7 @@ exports.cancelExpansion = function (req, res, next) {
 };
 
 // Cosmic Symphony API endpoints
-exports.analyzeSymphony = function (req, res, next) {
+exports.analyzeSymphony = apiToken.withContext(function (req, res, next) {
     const userId = req.user.uid;
     const contextName = req.params.context;
 
@@ -463,10 +685,10 @@ exports.analyzeSymphony = function (req, res, next) {
             next(err);
         }
     });
-};
+});
 
 // Veritas API endpoints
-exports.revealVeritas = function (req, res, next) {
+exports.revealVeritas = apiToken.withContext(function (req, res, next) {
     const userId = req.user.uid;
     const contextName = req.params.context;
 
@@ -509,7 +731,7 @@ exports.revealVeritas = function (req, res, next) {
             next(err);
         }
     });
-};
+});
 
 // Momentum API endpoints
 exports.recordMomentumActivity = function (req, res, next) {
@@ -540,7 +762,7 @@ exports.recordMomentumActivity = function (req, res, next) {
     }
 };
 
-exports.getMomentumStatus = function (req, res, next) {
+exports.getMomentumStatus = apiToken.withContext(function (req, res, next) {
     const userId = req.user.uid;
     const contextName = req.params.context;
 
@@ -568,7 +790,7 @@ exports.getMomentumStatus = function (req, res, next) {
     catch (err) {
         next(err);
     }
-};
+});
 
 exports.getHotspots = function (req, res, next) {
     const userId = req.user.uid;
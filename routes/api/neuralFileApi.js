@@ -22,6 +22,11 @@ const fileConnector = new FileSystemConnector({
     }
 });
 
+// The scans of before a restart, see lib/db/stateStore.js
+fileConnector.restore().catch(error => {
+    logger.error(`Failed to restore the file scans: ${error.message}`);
+});
+
 // Middleware to check if user is authenticated
 router.use(middleware.ensureAuthenticated);
 
@@ -0,0 +1,1124 @@
+/**
+ * REST API v3
+ *
+ * JSON API to create, read, update and delete contexts and statements, and to
+ * share contexts with other users, see lib/membership.js.
+ * Every route is described once in the list below: the router and the
+ * OpenAPI document served at /api/v3/openapi.json are both built from it,
+ * so the documentation can't drift away from what the API does.
+ *
+ * Authentication is the session or a personal API token, see lib/apitoken.js.
+ * Errors always come as { error: { code, message } }.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { entryService } = require('../../lib/services/entryService');
+const Membership = require('../../lib/membership');
+const apiToken = require('../../lib/middleware/apitoken');
+const Page = require('../../lib/middleware/page');
+const { INTERVALS } = require('../../lib/analytics/graphTimeline');
+
+const VERSION = '3.0.0';
+
+// The most statements one page can have
+const MAX_LIMIT = 100;
+
+// The most contexts one comparison can have
+const MAX_COMPARED = 5;
+
+// The most snapshots one timeline can have
+const MAX_SNAPSHOTS = 24;
+
+// The most nodes one graph can have, also the graphs the analytics, the comparisons and the timelines are made of
+const MAX_NODES = 1000;
+
+// The most topics, terms per topic and iterations one topic model can have
+const MAX_TOPICS = 20;
+const MAX_TERMS = 20;
+const MAX_ITERATIONS = 5000;
+
+class ApiError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// The objects the API returns, in JSON Schema for the OpenAPI document
+const schemas = {
+    Error: {
+        type: 'object',
+        properties: {
+            error: {
+                type: 'object',
+                properties: {
+                    code: { type: 'string', example: 'not_found' },
+                    message: { type: 'string' }
+                }
+            }
+        }
+    },
+    Context: {
+        type: 'object',
+        properties: {
+            uid: { type: 'string' },
+            name: { type: 'string', pattern: '^\\w+$' },
+            public: { type: 'boolean' },
+            created: { type: 'integer', nullable: true, description: 'Timestamp in 1/10000 ms' },
+            statements: { type: 'integer', description: 'How many statements the context has' }
+        }
+    },
+    Statement: {
+        type: 'object',
+        properties: {
+            uid: { type: 'string' },
+            text: { type: 'string' },
+            name: { type: 'string', description: 'The concepts and mentions of the statement, e.g. "#cat #milk "' },
+            timestamp: { type: 'integer', description: 'Timestamp in 1/10000 ms' },
+            by: { type: 'string', nullable: true, description: 'User ID of the author, null for the statements made before contexts could be shared' },
+            contexts: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    Member: {
+        type: 'object',
+        properties: {
+            uid: { type: 'string' },
+            name: { type: 'string' },
+            role: { type: 'string', enum: Membership.ROLES },
+            invited: { type: 'integer', description: 'Timestamp in ms' },
+            accepted: { type: 'integer', nullable: true, description: 'Timestamp in ms, null until the user accepts the invitation' }
+        }
+    },
+    SharedContext: {
+        type: 'object',
+        properties: {
+            context: { type: 'object', properties: { uid: { type: 'string' }, name: { type: 'string' }, public: { type: 'boolean' } } },
+            owner: { type: 'object', properties: { uid: { type: 'string' }, name: { type: 'string' } } },
+            role: { type: 'string', enum: ['owner'].concat(Membership.ROLES) },
+            accepted: { type: 'integer', nullable: true, description: 'Timestamp in ms, null until the user accepts the invitation' }
+        }
+    },
+    StatementPage: {
+        type: 'object',
+        properties: {
+            total: { type: 'integer', description: 'How many statements there are between since and until' },
+            limit: { type: 'integer' },
+            next: { type: 'string', nullable: true, description: 'The cursor of the next page, null on the last one' },
+            statements: { type: 'array', items: { $ref: '#/components/schemas/Statement' } }
+        }
+    },
+    Graph: {
+        type: 'object',
+        properties: {
+            nodes: {
+                type: 'array',
+                items: { type: 'object', properties: { id: { type: 'string' }, label: { type: 'string' } } }
+            },
+            edges: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        source: { type: 'string' },
+                        target: { type: 'string' },
+                        weight: { type: 'number' },
+                        context_matrix: { type: 'object' }
+                    }
+                }
+            }
+        }
+    },
+    StructuralGaps: {
+        type: 'object',
+        properties: {
+            modularity: { type: 'number' },
+            gaps: {
+                type: 'array',
+                description: 'The pairs of topics (communities) that are linked less than expected, the largest gap first',
+                items: {
+                    type: 'object',
+                    properties: {
+                        communities: { type: 'array', items: { type: 'integer' } },
+                        topics: {
+                            type: 'array',
+                            description: 'The most central concepts of both topics',
+                            items: { type: 'array', items: { $ref: '#/components/schemas/Concept' } }
+                        },
+                        sizes: { type: 'array', items: { type: 'integer' } },
+                        links: { type: 'number', description: 'The weight of the edges between the topics' },
+                        expected: { type: 'number', description: 'The weight they would have in a random graph' },
+                        gap: { type: 'number', description: '1 when the topics are not linked at all' },
+                        score: { type: 'number' },
+                        bridges: {
+                            type: 'array',
+                            description: 'The pairs of concepts that are not linked yet and would bridge the topics',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    source: { $ref: '#/components/schemas/Concept' },
+                                    target: { $ref: '#/components/schemas/Concept' },
+                                    score: { type: 'number' }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    Comparison: {
+        type: 'object',
+        properties: {
+            contexts: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        nodes: { type: 'integer' },
+                        edges: { type: 'integer' },
+                        modularity: { type: 'number' },
+                        communities: { type: 'integer' },
+                        topInfluence: { type: 'array', items: { $ref: '#/components/schemas/Concept' } }
+                    }
+                }
+            },
+            shared: {
+                type: 'array',
+                description: 'The concepts all the contexts have, with their influence rank in each one, the most influential first',
+                items: { $ref: '#/components/schemas/RankedConcept' }
+            },
+            sharedCount: { type: 'integer' },
+            unique: {
+                type: 'object',
+                description: 'The concepts only one context has, by context name',
+                additionalProperties: {
+                    type: 'array',
+                    items: { type: 'object', properties: { id: { type: 'string' }, label: { type: 'string' }, rank: { type: 'integer' } } }
+                }
+            },
+            influence: {
+                type: 'array',
+                description: 'The shared concepts whose influence ranks differ the most',
+                items: { allOf: [{ $ref: '#/components/schemas/RankedConcept' }, { type: 'object', properties: { change: { type: 'integer' } } }] }
+            },
+            pairs: {
+                type: 'array',
+                description: 'Every two contexts',
+                items: {
+                    type: 'object',
+                    properties: {
+                        contexts: { type: 'array', items: { type: 'string' } },
+                        concepts: { type: 'number', description: 'Jaccard index of their concepts' },
+                        edges: { type: 'number', description: 'Weighted Jaccard index of their edges' },
+                        topics: {
+                            type: 'array',
+                            description: 'The topics of the first context and the topics of the second one they overlap the most',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    community: { type: 'integer' },
+                                    concepts: { type: 'array', items: { $ref: '#/components/schemas/Concept' } },
+                                    match: { type: 'object', nullable: true },
+                                    jaccard: { type: 'number' }
+                                }
+                            }
+                        },
+                        similarity: { type: 'number', description: 'From 0 to 1, the mean of the concept and edge indices' }
+                    }
+                }
+            }
+        }
+    },
+    RankedConcept: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            label: { type: 'string' },
+            ranks: { type: 'array', items: { type: 'integer', nullable: true }, description: 'In the order of the contexts' }
+        }
+    },
+    Timeline: {
+        type: 'object',
+        properties: {
+            start: { type: 'integer', nullable: true, description: 'The timestamp of the first statement in 1/10000 ms' },
+            end: { type: 'integer', nullable: true, description: 'The timestamp of the last statement in 1/10000 ms' },
+            statements: {
+                type: 'array',
+                description: 'The statements of the graph, the oldest first',
+                items: { type: 'object', properties: { uid: { type: 'string' }, timestamp: { type: 'integer' } } }
+            },
+            snapshots: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        from: { type: 'integer', nullable: true, description: 'The statements are made after it, null unless it is a window' },
+                        until: { type: 'integer', description: 'The statements are made until it' },
+                        statements: { type: 'integer' },
+                        nodes: { type: 'integer' },
+                        edges: { type: 'integer' },
+                        modularity: { type: 'number' },
+                        communities: { type: 'integer' },
+                        topInfluence: { type: 'array', items: { $ref: '#/components/schemas/Concept' } },
+                        topics: {
+                            type: 'array',
+                            description: 'The most influential concepts of the largest topics',
+                            items: { type: 'array', items: { $ref: '#/components/schemas/Concept' } }
+                        },
+                        added: { type: 'array', description: 'The concepts that were not in the snapshot before', items: { $ref: '#/components/schemas/Concept' } },
+                        graph: { $ref: '#/components/schemas/Graph' }
+                    }
+                }
+            }
+        }
+    },
+    TopicModel: {
+        type: 'object',
+        properties: {
+            settings: {
+                type: 'object',
+                properties: { topics: { type: 'integer' }, terms: { type: 'integer' }, iterations: { type: 'integer' }, seed: { type: 'integer' } }
+            },
+            topics: {
+                type: 'array',
+                description: 'The topics with the most statements first',
+                items: {
+                    type: 'object',
+                    properties: {
+                        topic: { type: 'integer' },
+                        weight: { type: 'number', description: 'The share of the statements about it' },
+                        terms: {
+                            type: 'array',
+                            items: { type: 'object', properties: { term: { type: 'string' }, probability: { type: 'number' } } }
+                        },
+                        statements: { type: 'integer', description: 'How many statements have it as their most likely topic' }
+                    }
+                }
+            },
+            statements: {
+                type: 'array',
+                description: 'The most likely topic of every statement that has concepts',
+                items: { type: 'object', properties: { uid: { type: 'string' }, topic: { type: 'integer' }, probability: { type: 'number' } } }
+            },
+            communities: {
+                type: 'object',
+                nullable: true,
+                description: 'How the topics match the Louvain communities of the graph',
+                properties: {
+                    agreement: { type: 'number', description: 'The normalized mutual information of the topics and the communities of the concepts, from 0 to 1' },
+                    concepts: { type: 'integer', description: 'How many concepts of the topics are in the graph' },
+                    topics: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                topic: { type: 'integer' },
+                                community: { type: 'integer', nullable: true },
+                                overlap: { type: 'number', description: 'The share of the terms of the topic in the community' }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    Sentiment: {
+        allOf: [
+            { $ref: '#/components/schemas/SentimentSummary' },
+            {
+                type: 'object',
+                properties: {
+                    concepts: {
+                        type: 'array',
+                        description: 'Every concept of the graph with the statements it is in',
+                        items: { $ref: '#/components/schemas/ConceptSentiment' }
+                    },
+                    communities: {
+                        type: 'array',
+                        description: 'Every topic of the graph with the statements of its concepts',
+                        items: {
+                            allOf: [
+                                { $ref: '#/components/schemas/SentimentSummary' },
+                                {
+                                    type: 'object',
+                                    properties: {
+                                        community: { type: 'integer' },
+                                        concepts: { type: 'array', description: 'The most influential ones', items: { $ref: '#/components/schemas/Concept' } }
+                                    }
+                                }
+                            ]
+                        }
+                    },
+                    negativeConcepts: { type: 'array', description: 'The concepts with the lowest sentiment', items: { $ref: '#/components/schemas/ConceptSentiment' } },
+                    positiveConcepts: { type: 'array', description: 'The concepts with the highest sentiment', items: { $ref: '#/components/schemas/ConceptSentiment' } }
+                }
+            }
+        ]
+    },
+    SentimentSummary: {
+        type: 'object',
+        properties: {
+            sentiment: { type: 'number', nullable: true, description: 'The mean sentiment of the statements, from -1 to 1, null if none has one' },
+            statements: { type: 'integer' },
+            scored: { type: 'integer', description: 'How many statements have a sentiment, the ones in a language without a lexicon do not' },
+            positive: { type: 'integer' },
+            negative: { type: 'integer' },
+            emotions: { type: 'object', description: 'How many statements express every emotion', additionalProperties: { type: 'integer' } }
+        }
+    },
+    ConceptSentiment: {
+        allOf: [
+            { $ref: '#/components/schemas/SentimentSummary' },
+            { type: 'object', properties: { id: { type: 'string' }, label: { type: 'string' }, community: { type: 'integer' } } }
+        ]
+    },
+    Concept: {
+        type: 'object',
+        properties: { id: { type: 'string' }, label: { type: 'string' } }
+    }
+};
+
+const pathParameters = {
+    context: 'Context name',
+    statement: 'Statement ID',
+    member: 'The name of the member',
+    owner: 'The name of the user who shared the context'
+};
+
+/**
+ * The routes. Each one has the HTTP method, the Express path, what it does, its
+ * query parameters and request body (with the JSON Schema of every field), the
+ * status and schema of the response and the handler that returns the response body.
+ */
+const routes = [
+    {
+        method: 'get',
+        path: '/contexts',
+        summary: 'List the contexts',
+        response: { status: 200, schema: { type: 'array', items: { $ref: '#/components/schemas/Context' } } },
+        handler: async req => {
+            const contexts = await entryService.listContexts(req.user.uid);
+
+            return contexts.filter(context => !req.apitoken || req.apitoken.allowsContext(context.name));
+        }
+    },
+    {
+        method: 'post',
+        path: '/contexts',
+        summary: 'Create an empty context',
+        body: {
+            name: { type: 'string', required: true, description: 'Only letters, digits and _ are kept' },
+            public: { type: 'boolean' }
+        },
+        response: { status: 201, schema: { $ref: '#/components/schemas/Context' } },
+        handler: async req => {
+            const name = contextName(req.body.name);
+
+            checkToken(req, [name]);
+
+            const context = await entryService.createContext(req.user.uid, name, { public: req.body.public === true });
+
+            if (!context) throw new ApiError(409, 'conflict', `There is already a context called ${name}`);
+
+            return context;
+        }
+    },
+    {
+        method: 'get',
+        path: '/contexts/:context',
+        summary: 'Get a context',
+        response: { status: 200, schema: { $ref: '#/components/schemas/Context' } },
+        handler: async req => findContext(req)
+    },
+    {
+        method: 'patch',
+        path: '/contexts/:context',
+        summary: 'Rename a context or make it public or private',
+        body: {
+            name: { type: 'string' },
+            public: { type: 'boolean' }
+        },
+        response: { status: 200, schema: { $ref: '#/components/schemas/Context' } },
+        handler: async req => {
+            const changes = {};
+
+            if (req.body.name !== undefined) changes.name = contextName(req.body.name);
+            if (req.body.public !== undefined) changes.public = req.body.public === true;
+
+            if (changes.name) checkToken(req, [changes.name]);
+
+            let context;
+
+            try {
+                context = await entryService.updateContext(req.user.uid, req.params.context, changes);
+            } catch (error) {
+                if (error.code === 'conflict') throw new ApiError(409, 'conflict', error.message);
+                throw error;
+            }
+
+            if (!context) throw notFound('context');
+
+            return context;
+        }
+    },
+    {
+        method: 'delete',
+        path: '/contexts/:context',
+        summary: 'Move a context into the trash',
+        response: { status: 204 },
+        handler: async req => {
+            if (!(await entryService.deleteContext(req.user.uid, req.params.context))) throw notFound('context');
+        }
+    },
+    {
+        method: 'get',
+        path: '/contexts/:context/graph',
+        summary: 'Get the graph of a context',
+        query: {
+            maxnodes: { type: 'integer', minimum: 1, maximum: MAX_NODES, description: 'The most nodes to show, the user setting by default' }
+        },
+        response: { status: 200, schema: { $ref: '#/components/schemas/Graph' } },
+        handler: async req => {
+            const context = await findContext(req);
+
+            return entryService.getGraph(req.user.uid, context.name, {
+                maxnodes: integer(req.query.maxnodes, 'maxnodes', 1, MAX_NODES, undefined)
+            });
+        }
+    },
+    {
+        method: 'get',
+        path: '/contexts/:context/gaps',
+        summary: 'Find the structural gaps between the topics of a context and the concepts that would bridge them',
+        query: {
+            maxnodes: { type: 'integer', minimum: 1, maximum: MAX_NODES, description: 'The most nodes to analyze, the user setting by default' }
+        },
+        response: { status: 200, schema: { $ref: '#/components/schemas/StructuralGaps' } },
+        handler: async req => {
+            const context = await findContext(req);
+
+            return entryService.getGaps(req.user.uid, context.name, {
+                maxnodes: integer(req.query.maxnodes, 'maxnodes', 1, MAX_NODES, undefined)
+            });
+        }
+    },
+    {
+        method: 'get',
+        path: '/contexts/:context/comparison',
+        summary: 'Compare a context with other contexts: their shared and unique concepts, influence, topics and similarity',
+        query: {
+            with: { type: 'string', description: `The names of the contexts to compare it with, separated by commas, up to ${MAX_COMPARED - 1}` },
+            maxnodes: { type: 'integer', minimum: 1, maximum: MAX_NODES, description: 'The most nodes of every context, the user setting by default' }
+        },
+        response: { status: 200, schema: { $ref: '#/components/schemas/Comparison' } },
+        handler: async req => {
+            const context = await findContext(req);
+            const names = String(req.query.with || '')
+                .split(',')
+                .filter(name => name.trim())
+                .map(contextName)
+                .filter((name, i, list) => name !== context.name && list.indexOf(name) === i);
+
+            if (!names.length || names.length >= MAX_COMPARED) {
+                throw new ApiError(400, 'invalid_request', `Please, send from 1 to ${MAX_COMPARED - 1} contexts to compare with.`);
+            }
+
+            checkToken(req, names);
+
+            for (const name of names) {
+                if (!(await entryService.getContext(req.user.uid, name))) throw notFound('context');
+            }
+
+            return entryService.compareContexts(req.user.uid, [context.name].concat(names), {
+                maxnodes: integer(req.query.maxnodes, 'maxnodes', 1, MAX_NODES, undefined)
+            });
+        }
+    },
+    {
+        method: 'get',
+        path: '/contexts/:context/timeline',
+        summary: 'Replay how the graph of a context developed: the graph and its metrics at several points in time',
+        query: {
+            at: { type: 'string', description: 'The points in time of the snapshots, dates (ISO 8601 or ms) separated by commas' },
+            interval: { type: 'string', enum: INTERVALS, description: 'A snapshot at the end of every day, week or month' },
+            steps: { type: 'integer', minimum: 1, maximum: MAX_SNAPSHOTS, default: 10, description: 'How many evenly spaced snapshots' },
+            window: { type: 'boolean', description: 'Every snapshot only has the statements made since the one before' },
+            graphs: { type: 'boolean', description: 'Every snapshot has its graph' },
+            maxnodes: { type: 'integer', minimum: 1, maximum: MAX_NODES, description: 'The most nodes to show, the user setting by default' }
+        },
+        response: { status: 200, schema: { $ref: '#/components/schemas/Timeline' } },
+        handler: async req => {
+            const context = await findContext(req);
+
+            return timeline(req, req.user.uid, context.name);
+        }
+    },
+    {
+        method: 'get',
+        path: '/contexts/:context/topics',
+        summary: 'Find the topics of the statements of a context with LDA and compare them with the communities of its graph',
+        query: {
+            topics: { type: 'integer', minimum: 1, maximum: MAX_TOPICS, default: 4 },
+            terms: { type: 'integer', minimum: 1, maximum: MAX_TERMS, default: 5, description: 'The most likely terms of every topic' },
+            iterations: { type: 'integer', minimum: 10, maximum: MAX_ITERATIONS, default: 1000, description: 'Of the Gibbs sampler' },
+            maxnodes: { type: 'integer', minimum: 1, maximum: MAX_NODES, description: 'The most nodes of the graph to compare the topics with, the user setting by default' }
+        },
+        response: { status: 200, schema: { $ref: '#/components/schemas/TopicModel' } },
+        handler: async req => {
+            const context = await findContext(req);
+
+            return topics(req, req.user.uid, context.name);
+        }
+    },
+    {
+        method: 'get',
+        path: '/contexts/:context/sentiment',
+        summary: 'Sum up the sentiment and the emotions of the statements of a context for every concept and topic',
+        query: {
+            maxnodes: { type: 'integer', minimum: 1, maximum: MAX_NODES, description: 'The most nodes to analyze, the user setting by default' }
+        },
+        response: { status: 200, schema: { $ref: '#/components/schemas/Sentiment' } },
+        handler: async req => {
+            const context = await findContext(req);
+
+            return entryService.getSentiment(req.user.uid, context.name, {
+                maxnodes: integer(req.query.maxnodes, 'maxnodes', 1, MAX_NODES, undefined)
+            });
+        }
+    },
+    {
+        method: 'get',
+        path: '/contexts/:context/statements',
+        summary: 'Page through the statements of a context, the latest first',
+        query: {
+            limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: 20 },
+            cursor: { type: 'string', description: 'The next cursor of the previous page' },
+            since: { type: 'string', description: 'Only the statements from this date on (ISO 8601 or ms)' },
+            until: { type: 'string', description: 'Only the statements before this date (ISO 8601 or ms)' }
+        },
+        response: { status: 200, schema: { $ref: '#/components/schemas/StatementPage' } },
+        handler: async req => statementPage(req, req.user.uid)
+    },
+    {
+        method: 'post',
+        path: '/contexts/:context/statements',
+        summary: 'Add statements to a context, one per line. The context is created if it does not exist.',
+        body: {
+            text: { type: 'string', required: true }
+        },
+        response: { status: 201, schema: { type: 'array', items: { $ref: '#/components/schemas/Statement' } } },
+        handler: async req => {
+            const result = await entryService.submit(req.user.uid, requiredText(req), { context: req.params.context });
+
+            return result.statements.map(statement => ({ ...statement, contexts: [result.context] }));
+        }
+    },
+    {
+        method: 'get',
+        path: '/contexts/:context/members',
+        summary: 'List the users the context is shared with',
+        response: { status: 200, schema: { type: 'array', items: { $ref: '#/components/schemas/Member' } } },
+        handler: async req => {
+            const members = await entryService.listMembers(req.user.uid, req.params.context);
+
+            if (!members) throw notFound('context');
+
+            return members;
+        }
+    },
+    {
+        method: 'post',
+        path: '/contexts/:context/members',
+        summary: 'Invite a user into the context as an editor or a viewer, or change their role',
+        body: {
+            user: { type: 'string', required: true, description: 'The name of the user' },
+            role: { type: 'string', required: true, enum: Membership.ROLES }
+        },
+        response: { status: 201, schema: { $ref: '#/components/schemas/Member' } },
+        handler: async req => {
+            if (Membership.ROLES.indexOf(req.body.role) < 0) {
+                throw new ApiError(400, 'invalid_request', `The role should be one of ${Membership.ROLES.join(', ')}.`);
+            }
+
+            if (typeof req.body.user !== 'string' || !req.body.user || req.body.user === req.user.name) {
+                throw new ApiError(400, 'invalid_request', 'Please, send the name of another user.');
+            }
+
+            const member = await entryService.inviteMember(req.user.uid, req.params.context, req.body.user, req.body.role);
+
+            if (!member) throw notFound('context or user');
+
+            return member;
+        }
+    },
+    {
+        method: 'delete',
+        path: '/contexts/:context/members/:member',
+        summary: 'Take a user out of the context',
+        response: { status: 204 },
+        handler: async req => {
+            if (!(await entryService.removeMember(req.user.uid, req.params.context, req.params.member))) throw notFound('member');
+        }
+    },
+    {
+        method: 'get',
+        path: '/shared',
+        summary: 'List the contexts other users shared with you and the invitations',
+        response: { status: 200, schema: { type: 'array', items: { $ref: '#/components/schemas/SharedContext' } } },
+        handler: async req => {
+            const shared = await entryService.listShared(req.user.uid);
+
+            return shared.filter(item => !req.apitoken || req.apitoken.allowsContext(item.context.name));
+        }
+    },
+    {
+        method: 'get',
+        path: '/shared/:owner/:context',
+        summary: 'Get a context shared with you',
+        response: { status: 200, schema: { $ref: '#/components/schemas/SharedContext' } },
+        handler: async req => findShared(req)
+    },
+    {
+        method: 'post',
+        path: '/shared/:owner/:context/accept',
+        summary: 'Accept the invitation into a context',
+        response: { status: 200, schema: { $ref: '#/components/schemas/SharedContext' } },
+        handler: async req => {
+            const shared = await entryService.acceptShared(req.user.uid, req.params.owner, req.params.context);
+
+            if (!shared) throw notFound('invitation');
+
+            return shared;
+        }
+    },
+    {
+        method: 'delete',
+        path: '/shared/:owner/:context',
+        summary: 'Decline the invitation into a context or leave it',
+        response: { status: 204 },
+        handler: async req => {
+            if (!(await entryService.leaveShared(req.user.uid, req.params.owner, req.params.context))) throw notFound('invitation');
+        }
+    },
+    {
+        method: 'get',
+        path: '/shared/:owner/:context/graph',
+        summary: 'Get the graph of a context shared with you',
+        query: {
+            maxnodes: { type: 'integer', minimum: 1, maximum: MAX_NODES, description: 'The most nodes to show, the owner setting by default' }
+        },
+        response: { status: 200, schema: { $ref: '#/components/schemas/Graph' } },
+        handler: async req => {
+            const shared = await findShared(req, 'read');
+
+            return entryService.getGraph(shared.owner.uid, shared.context.name, {
+                maxnodes: integer(req.query.maxnodes, 'maxnodes', 1, MAX_NODES, undefined)
+            });
+        }
+    },
+    {
+        method: 'get',
+        path: '/shared/:owner/:context/gaps',
+        summary: 'Find the structural gaps between the topics of a context shared with you',
+        query: {
+            maxnodes: { type: 'integer', minimum: 1, maximum: MAX_NODES, description: 'The most nodes to analyze, the owner setting by default' }
+        },
+        response: { status: 200, schema: { $ref: '#/components/schemas/StructuralGaps' } },
+        handler: async req => {
+            const shared = await findShared(req, 'read');
+
+            return entryService.getGaps(shared.owner.uid, shared.context.name, {
+                maxnodes: integer(req.query.maxnodes, 'maxnodes', 1, MAX_NODES, undefined)
+            });
+        }
+    },
+    {
+        method: 'get',
+        path: '/shared/:owner/:context/timeline',
+        summary: 'Replay how the graph of a context shared with you developed',
+        query: {
+            at: { type: 'string', description: 'The points in time of the snapshots, dates (ISO 8601 or ms) separated by commas' },
+            interval: { type: 'string', enum: INTERVALS, description: 'A snapshot at the end of every day, week or month' },
+            steps: { type: 'integer', minimum: 1, maximum: MAX_SNAPSHOTS, default: 10, description: 'How many evenly spaced snapshots' },
+            window: { type: 'boolean', description: 'Every snapshot only has the statements made since the one before' },
+            graphs: { type: 'boolean', description: 'Every snapshot has its graph' },
+            maxnodes: { type: 'integer', minimum: 1, maximum: MAX_NODES, description: 'The most nodes to show, the owner setting by default' }
+        },
+        response: { status: 200, schema: { $ref: '#/components/schemas/Timeline' } },
+        handler: async req => {
+            const shared = await findShared(req, 'read');
+
+            return timeline(req, shared.owner.uid, shared.context.name);
+        }
+    },
+    {
+        method: 'get',
+        path: '/shared/:owner/:context/topics',
+        summary: 'Find the topics of the statements of a context shared with you',
+        query: {
+            topics: { type: 'integer', minimum: 1, maximum: MAX_TOPICS, default: 4 },
+            terms: { type: 'integer', minimum: 1, maximum: MAX_TERMS, default: 5, description: 'The most likely terms of every topic' },
+            iterations: { type: 'integer', minimum: 10, maximum: MAX_ITERATIONS, default: 1000, description: 'Of the Gibbs sampler' },
+            maxnodes: { type: 'integer', minimum: 1, maximum: MAX_NODES, description: 'The most nodes of the graph to compare the topics with, the owner setting by default' }
+        },
+        response: { status: 200, schema: { $ref: '#/components/schemas/TopicModel' } },
+        handler: async req => {
+            const shared = await findShared(req, 'read');
+
+            return topics(req, shared.owner.uid, shared.context.name);
+        }
+    },
+    {
+        method: 'get',
+        path: '/shared/:owner/:context/sentiment',
+        summary: 'Sum up the sentiment of the statements of a context shared with you for every concept and topic',
+        query: {
+            maxnodes: { type: 'integer', minimum: 1, maximum: MAX_NODES, description: 'The most nodes to analyze, the owner setting by default' }
+        },
+        response: { status: 200, schema: { $ref: '#/components/schemas/Sentiment' } },
+        handler: async req => {
+            const shared = await findShared(req, 'read');
+
+            return entryService.getSentiment(shared.owner.uid, shared.context.name, {
+                maxnodes: integer(req.query.maxnodes, 'maxnodes', 1, MAX_NODES, undefined)
+            });
+        }
+    },
+    {
+        method: 'get',
+        path: '/shared/:owner/:context/statements',
+        summary: 'Page through the statements of a context shared with you, the latest first',
+        query: {
+            limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: 20 },
+            cursor: { type: 'string', description: 'The next cursor of the previous page' },
+            since: { type: 'string', description: 'Only the statements from this date on (ISO 8601 or ms)' },
+            until: { type: 'string', description: 'Only the statements before this date (ISO 8601 or ms)' }
+        },
+        response: { status: 200, schema: { $ref: '#/components/schemas/StatementPage' } },
+        handler: async req => {
+            const shared = await findShared(req, 'read');
+
+            return statementPage(req, shared.owner.uid);
+        }
+    },
+    {
+        method: 'post',
+        path: '/shared/:owner/:context/statements',
+        summary: 'Add statements to a context shared with you as an editor, one per line',
+        body: {
+            text: { type: 'string', required: true }
+        },
+        response: { status: 201, schema: { type: 'array', items: { $ref: '#/components/schemas/Statement' } } },
+        handler: async req => {
+            const shared = await findShared(req, 'write');
+            const text = requiredText(req);
+
+            const result = await entryService.submit(req.user.uid, text, { context: shared.context.name, owner: shared.owner.name });
+
+            return result.statements.map(statement => ({ ...statement, contexts: [result.context] }));
+        }
+    },
+    {
+        method: 'get',
+        path: '/statements/:statement',
+        summary: 'Get a statement',
+        response: { status: 200, schema: { $ref: '#/components/schemas/Statement' } },
+        handler: async req => findStatement(req)
+    },
+    {
+        method: 'put',
+        path: '/statements/:statement',
+        summary: 'Change the text of a statement, the old text is kept as a revision',
+        body: {
+            text: { type: 'string', required: true }
+        },
+        response: { status: 200, schema: { $ref: '#/components/schemas/Statement' } },
+        handler: async req => {
+            await findStatement(req);
+
+            return entryService.updateStatement(req.user.uid, req.params.statement, requiredText(req));
+        }
+    },
+    {
+        method: 'delete',
+        path: '/statements/:statement',
+        summary: 'Move a statement into the trash',
+        response: { status: 204 },
+        handler: async req => {
+            await findStatement(req);
+            await entryService.deleteStatement(req.user.uid, req.params.statement);
+        }
+    }
+];
+
+async function findContext(req) {
+    const context = await entryService.getContext(req.user.uid, req.params.context);
+
+    if (!context) throw notFound('context');
+
+    return context;
+}
+
+// A context of another user, if the user can do this ('read' or 'write') in it, see lib/membership.js
+async function findShared(req, action) {
+    const shared = await entryService.getShared(req.user.uid, req.params.owner, req.params.context);
+
+    if (!shared) throw notFound('context');
+
+    if (action && !Membership.allows(shared, action)) {
+        throw new ApiError(
+            403,
+            'forbidden',
+            shared.accepted ? 'Only the owner and the editors can add statements to this context.' : 'Please, accept the invitation first.'
+        );
+    }
+
+    return shared;
+}
+
+// A page of the statements in the context of the URL, made by its owner and its members
+async function statementPage(req, ownerId) {
+    const limit = integer(req.query.limit, 'limit', 1, MAX_LIMIT, 20);
+    const range = Page.parse({ cursor: req.query.cursor, since: req.query.since, until: req.query.until }, limit);
+
+    if (range.error) throw new ApiError(400, 'invalid_request', range.error);
+
+    const page = await entryService.listStatements(ownerId, req.params.context, range);
+
+    if (!page) throw notFound('context');
+
+    return page;
+}
+
+// The timeline of the context of the URL with the settings of the query, see GraphTimeline.snapshots
+async function timeline(req, ownerId, contextName) {
+    const points = String(req.query.at || '')
+        .split(',')
+        .filter(point => point.trim())
+        .map(point => {
+            const timestamp = Page.toTimestamp(point.trim());
+
+            if (timestamp === null) throw new ApiError(400, 'invalid_request', 'at should be dates separated by commas.');
+
+            return timestamp;
+        });
+
+    if (points.length > MAX_SNAPSHOTS) {
+        throw new ApiError(400, 'invalid_request', `A timeline can have up to ${MAX_SNAPSHOTS} snapshots.`);
+    }
+
+    if (req.query.interval !== undefined && !INTERVALS.includes(req.query.interval)) {
+        throw new ApiError(400, 'invalid_request', `interval should be one of ${INTERVALS.join(', ')}.`);
+    }
+
+    const settings = {
+        points,
+        interval: req.query.interval,
+        steps: integer(req.query.steps, 'steps', 1, MAX_SNAPSHOTS, undefined),
+        window: req.query.window === 'true' || req.query.window === '1',
+        graphs: req.query.graphs === 'true' || req.query.graphs === '1',
+        maxnodes: integer(req.query.maxnodes, 'maxnodes', 1, MAX_NODES, undefined)
+    };
+
+    try {
+        return await entryService.getTimeline(ownerId, contextName, settings);
+    } catch (error) {
+        // An interval too short for the time the context spans
+        if (error.code === 'invalid_request') throw new ApiError(400, error.code, error.message);
+        throw error;
+    }
+}
+
+// The topic model of the context of the URL with the settings of the query, see TopicModeling.model
+function topics(req, ownerId, contextName) {
+    return entryService.getTopics(ownerId, contextName, {
+        topics: integer(req.query.topics, 'topics', 1, MAX_TOPICS, undefined),
+        terms: integer(req.query.terms, 'terms', 1, MAX_TERMS, undefined),
+        iterations: integer(req.query.iterations, 'iterations', 10, MAX_ITERATIONS, undefined),
+        maxnodes: integer(req.query.maxnodes, 'maxnodes', 1, MAX_NODES, undefined)
+    });
+}
+
+async function findStatement(req) {
+    const statement = await entryService.getStatement(req.user.uid, req.params.statement);
+
+    if (!statement) throw notFound('statement');
+
+    checkToken(req, statement.contexts);
+
+    return statement;
+}
+
+// A token limited to some contexts can only use the statements that are in those contexts only
+function checkToken(req, contexts) {
+    if (req.apitoken && !contexts.every(context => req.apitoken.allowsContext(context))) {
+        throw new ApiError(403, 'forbidden', 'This API token cannot access this context.');
+    }
+}
+
+function notFound(what) {
+    return new ApiError(404, 'not_found', `We did not find this ${what}.`);
+}
+
+function contextName(name) {
+    const clean = typeof name === 'string' ? name.replace(/[^\w]/gi, '') : '';
+
+    if (!clean) throw new ApiError(400, 'invalid_request', 'The context name should have letters or digits.');
+
+    return clean;
+}
+
+function requiredText(req) {
+    if (typeof req.body.text !== 'string' || !req.body.text.trim()) {
+        throw new ApiError(400, 'invalid_request', 'Please, send the text of the statement.');
+    }
+
+    return req.body.text;
+}
+
+function integer(value, name, min, max, defaultValue) {
+    if (value === undefined || value === '') return defaultValue;
+
+    const number = Number(value);
+
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new ApiError(400, 'invalid_request', `${name} should be an integer from ${min} to ${max}.`);
+    }
+
+    return number;
+}
+
+// Run the handler and send what it returns, or the error in the same format for every route
+function handle(route) {
+    return async (req, res) => {
+        try {
+            if (!req.user) throw new ApiError(401, 'unauthorized', 'Please, log in or send an API token.');
+
+            const body = await route.handler(req);
+
+            if (route.response.status === 204) return res.status(204).end();
+
+            res.status(route.response.status).json(body);
+        } catch (error) {
+            if (!(error instanceof ApiError)) {
+                console.error(error);
+                error = new ApiError(500, 'internal', 'Internal Server Error');
+            }
+
+            res.status(error.status).json({ error: { code: error.code, message: error.message } });
+        }
+    };
+}
+
+/**
+ * The OpenAPI 3 document for the routes
+ *
+ * @returns {Object} - OpenAPI document
+ */
+function openapi() {
+    const paths = {};
+
+    routes.forEach(route => {
+        const path = route.path.replace(/:(\w+)/g, '{$1}');
+        const parameters = [];
+
+        (route.path.match(/:(\w+)/g) || []).forEach(param => {
+            const name = param.substr(1);
+            parameters.push({ name, in: 'path', required: true, description: pathParameters[name], schema: { type: 'string' } });
+        });
+
+        Object.keys(route.query || {}).forEach(name => {
+            const { description, ...schema } = route.query[name];
+            parameters.push({ name, in: 'query', required: false, description, schema });
+        });
+
+        const responses = {
+            [route.response.status]: route.response.schema
+                ? { description: 'OK', content: { 'application/json': { schema: route.response.schema } } }
+                : { description: 'No content' }
+        };
+
+        ['400', '401', '403', '404', '409'].forEach(status => {
+            responses[status] = { $ref: '#/components/responses/Error' };
+        });
+
+        const operation = {
+            operationId: route.method + route.path.replace(/\/:?(\w)/g, (match, letter) => letter.toUpperCase()),
+            summary: route.summary,
+            description: route.method === 'get' ? 'Needs a read or a write token.' : 'Needs a write token.',
+            parameters,
+            responses
+        };
+
+        if (route.body) {
+            const properties = {};
+            const required = [];
+
+            Object.keys(route.body).forEach(name => {
+                const { required: isRequired, ...schema } = route.body[name];
+                properties[name] = schema;
+                if (isRequired) required.push(name);
+            });
+
+            operation.requestBody = {
+                required: required.length > 0,
+                content: {
+                    'application/json': { schema: { type: 'object', properties, ...(required.length ? { required } : {}) } }
+                }
+            };
+        }
+
+        paths[path] = paths[path] || {};
+        paths[path][route.method] = operation;
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'InfraNodus API',
+            version: VERSION,
+            description: 'Contexts (graphs) and the statements they are made of.'
+        },
+        servers: [{ url: '/api/v3' }],
+        security: [{ bearerAuth: [] }, { session: [] }],
+        paths,
+        components: {
+            schemas,
+            responses: {
+                Error: {
+                    description: 'Error',
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                }
+            },
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'A personal API token from the settings page' },
+                session: { type: 'apiKey', in: 'cookie', name: 'connect.sid' }
+            }
+        }
+    };
+}
+
+// A token limited to some contexts can't reach the others through the URL
+router.param('context', apiToken.context);
+
+router.get('/openapi.json', (req, res) => {
+    res.json(openapi());
+});
+
+routes.forEach(route => {
+    router[route.method](route.path, handle(route));
+});
+
+// Anything else under /api/v3 gets an error in the same format
+router.use((req, res) => {
+    res.status(404).json({ error: { code: 'not_found', message: 'There is no such API route.' } });
+});
+
+module.exports = router;
+module.exports.routes = routes;
+module.exports.openapi = openapi;
+module.exports.ApiError = ApiError;
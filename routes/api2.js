@@ -15,10 +15,12 @@
 
 var Entry = require('../lib/entry')
 var express = require('express')
-const basicAuth = require('express-basic-auth');
 var User = require('../lib/user')
+var Page = require('../lib/middleware/page')
+var apiToken = require('../lib/middleware/apitoken')
 
-exports.auth = basicAuth(User.authenticate)
+// Scripts use personal API tokens instead of the account password, see lib/apitoken.js. Without a token or a session there's a 401
+exports.auth = apiToken.required
 
 exports.user = function(req, res, next) {
     User.get(req.params.id, function(err, user) {
@@ -28,9 +30,13 @@ exports.user = function(req, res, next) {
     })
 }
 
-exports.entries = function(req, res, next) {
-    // This is for pagination, but not currently used
-    var page = req.page
+exports.entries = apiToken.withContext(function(req, res, next) {
+    // A page of the statements if the query asks for one (?limit=&cursor=&since=&until=), see lib/middleware/page.js
+    var page = req.page || (Page.requested(req.query) ? Page.parse(req.query) : null)
+
+    if (page && page.error) {
+        return res.status(400).send({ errormsg: page.error })
+    }
 
     // Define user
     res.locals.user = req.user
@@ -50,7 +56,7 @@ exports.entries = function(req, res, next) {
     var contexts = []
     contexts.push(req.params.context)
 
-    Entry.getRange(receiver, perceiver, contexts, function(err, entries) {
+    getEntries(receiver, perceiver, contexts, page, res, function(err, entries) {
         if (err) return next(err)
 
         res.format({
@@ -59,9 +65,23 @@ exports.entries = function(req, res, next) {
             },
         })
     })
+})
+
+// All the statements, or a page of them with the cursor of the next one in the X-Next-Cursor header
+
+function getEntries(receiver, perceiver, contexts, page, res, fn) {
+    if (!page) return Entry.getRange(receiver, perceiver, contexts, fn)
+
+    Entry.getRangePage(receiver, perceiver, contexts, page, function(err, entries, last) {
+        if (err) return fn(err)
+
+        if (last) res.set('X-Next-Cursor', Page.cursor(last))
+
+        fn(null, entries)
+    })
 }
 
-exports.nodes = function(req, res, next) {
+exports.nodes = apiToken.withContext(function(req, res, next) {
     var page = req.page
 
     var contexts = []
@@ -122,4 +142,4 @@ exports.nodes = function(req, res, next) {
             })
         }
     })
-}
+})
@@ -3,7 +3,7 @@
  */
 
 const { cosmicSymphony } = require('../lib/cosmic/symphonyProgression');
-const Entry = require('../lib/entry');
+const { entryService } = require('../lib/services/entryService');
 const User = require('../lib/user');
 const logger = require('../lib/log/logger');
 
@@ -42,19 +42,16 @@ exports.generateCosmicAnalysis = async function (req, res, next) {
         }
 
         // Get graph data for the context
-        const entry = new Entry();
         const userId = req.user.uid;
 
-        const graphData = await new Promise((resolve, reject) => {
-            entry.getGraph(userId, contextName, function (err, graph) {
-                if (err) return reject(err);
-                graph.contextName = contextName;
-                resolve(graph);
-            });
-        });
+        const graphData = await entryService.getGraph(userId, contextName);
+        graphData.contextName = contextName;
+
+        // How the graph developed, for the temporal progressions
+        const timeline = await entryService.getTimeline(userId, contextName);
 
         // Run the cosmic symphony analysis
-        const analysis = cosmicSymphony.analyzeCosmicSymphony(userId, contextName, graphData);
+        const analysis = cosmicSymphony.analyzeCosmicSymphony(userId, contextName, graphData, timeline);
 
         res.json({
             success: true,
@@ -16,6 +16,13 @@
 var Entry = require('../lib/entry')
 var FlowdockText = require('flowdock-text')
 var validate = require('../lib/middleware/validate')
+var Phrases = require('../lib/tools/phrases')
+var Sentiment = require('../lib/tools/sentiment')
+var Page = require('../lib/middleware/page')
+var Query = require('../lib/db/query')
+var graphCache = require('../lib/services/graphCache').graphCache
+var realtime = require('../lib/services/realtime').realtime
+var querystring = require('querystring')
 var options = require('../options')
 var async = require('async')
 
@@ -75,11 +82,35 @@ exports.list = function(req, res, next) {
 
     if (req.query.addcontext) contexts.push(req.query.addcontext)
 
+    // Only one page of the statements, a context may have tens of thousands of them, see lib/middleware/page.js
+
+    var page = req.page || Page.parse(req.query)
+
+    if (page.error) {
+        res.error(page.error)
+        page = Page.parse({})
+    }
+
     // Now let's arrange what users we want to see and what information
 
-    Entry.getRange(receiver, perceiver, contexts, function(err, entries) {
+    Entry.getRangePage(receiver, perceiver, contexts, page, function(
+        err,
+        entries,
+        last
+    ) {
         if (err) return next(err)
 
+        // The link to the next page keeps the rest of the query (since, until, addcontext...)
+        var nextpage = null
+
+        if (last) {
+            nextpage =
+                '?' +
+                querystring.stringify(
+                    Object.assign({}, req.query, { cursor: Page.cursor(last) })
+                )
+        }
+
         // Add links to @contexts and #hashtags
         for (var i = 0; i < entries.length; ++i) {
             //entries[i].text = FlowdockText.autoLinkMentions(entries[i].text,{hashtagUrlBase:"/contexts/",hashtagClass:"app-context-link"});
@@ -107,6 +138,7 @@ exports.list = function(req, res, next) {
             title:
                 'InfraNodus.Com — Text Network Visualization and Discourse Analysis',
             entries: entries,
+            nextpage: nextpage,
             context: contexts[0],
             addcontext: req.query.addcontext,
             perceivername: perceivername,
@@ -255,8 +287,15 @@ exports.submit = function(req, res, next) {
             function(goodStatements, callback) {
                 var error
 
+                // The phrases that become one concept, found in all the statements at once
+                var phrases = Phrases.forUser(res.locals.user, goodStatements)
+
                 for (var s = 0; s < goodStatements.length; s++) {
-                    var hashtags = validate.getHashtags(goodStatements[s], res)
+                    var hashtags = validate.getHashtags(
+                        goodStatements[s],
+                        res,
+                        phrases
+                    )
 
                     if (req.onlymentions) {
                         hashtags = ''
@@ -274,7 +313,11 @@ exports.submit = function(req, res, next) {
                     } else {
                         var statementName = ''
                         var newtimestamp = timestamp + s * 2
-                        var st_uid = uuid.v1()
+                        // An edited statement keeps its ID, see validate.isToDelete
+                        var st_uid =
+                            s == 0 && req.statementid
+                                ? req.statementid
+                                : uuid.v1()
 
                                            
                         if (hashtags) {
@@ -318,6 +361,17 @@ exports.submit = function(req, res, next) {
                     }
                 }
 
+                // The sentiment and the emotions of every statement, see lib/tools/sentiment.js
+
+                prepStatements.forEach(function(statement) {
+                    var scores = Sentiment.score(
+                        statement.text,
+                        res.locals.user.inlanguage
+                    )
+                    statement.sentiment = scores.sentiment
+                    statement.emotions = scores.emotions
+                })
+
                 // Successfully executed the above?
 
                 if (prepStatements.length > 0) {
@@ -372,6 +426,9 @@ exports.submit = function(req, res, next) {
                         contexts: contexts,
                         statements: prepStatements,
                         fullscan: res.locals.user.fullscan,
+                        scanwindow: res.locals.user.scanwindow,
+                        scanweighting: res.locals.user.scanweighting,
+                        scanunit: res.locals.user.scanunit,
                         addmentions: res.locals.user.mentions,
                     })
     
@@ -400,8 +457,13 @@ exports.submit = function(req, res, next) {
                     var jsonfirstanswer = ''
 
                     var session = neo4jdriver.session()
-                    session
-                        .run(cypherQuery.query, cypherQuery.params)
+
+                    // An edit keeps the old wording as a revision and a restore takes the statement out of the trash in the same transaction, so a failed save leaves the statement as it was, see Entry.revision and Entry.restoration
+                    var saving = req.revision
+                        ? saveRevised(req.revision, cypherQuery)
+                        : session.run(cypherQuery.query, cypherQuery.params)
+
+                    saving
                         .then(function(result) {
                             result.records.forEach(function(record) {
                                 // Change that so we can add multiple statements at once without reloading the page
@@ -410,6 +472,37 @@ exports.submit = function(req, res, next) {
                             })
                             session.close()
 
+                            // The graphs of these contexts are not the same anymore, see lib/services/graphCache.js
+                            var context_names = entry.contexts.map(function(context) {
+                                return context.name
+                            })
+
+                            var changed = entry.statements.map(function(statement) {
+                                return {
+                                    uid: statement.uid,
+                                    name: statement.name,
+                                    text: statement.text,
+                                    timestamp: statement.timestamp,
+                                }
+                            })
+
+                            graphCache.invalidate(entry.by_uid, context_names)
+
+                            // And their open views get the statements, see lib/services/realtime.js
+                            realtime.publish(
+                                entry.by_uid,
+                                context_names,
+                                req.statementid ? 'edited' : 'added',
+                                changed
+                            )
+
+                            // An edited statement can also be in the contexts other users shared with this one, see Entry.getOwners
+                            ;(req.owners || []).forEach(function(owner) {
+                                if (owner.uid == entry.by_uid) return
+                                graphCache.invalidate(owner.uid, owner.contexts)
+                                realtime.publish(owner.uid, owner.contexts, 'edited', changed)
+                            })
+
                             if (req.remoteUser) {
                                 res.json({ message: 'Entry added.' })
                             } else if (req.internal) {
@@ -565,3 +658,159 @@ exports.submit = function(req, res, next) {
         }
     )
 }
+
+// The edit history of a statement: its current wording and the revisions before it
+
+exports.revisions = function(req, res, next) {
+    Entry.getRevisions(res.locals.user.uid, req.params.statement, function(
+        err,
+        history
+    ) {
+        if (err) return next(err)
+
+        if (!history) {
+            return res
+                .status(404)
+                .send({ errormsg: 'We did not find this statement.' })
+        }
+
+        res.send(history)
+    })
+}
+
+// Put the text of an earlier revision back into the statement. The wording it replaces becomes a revision too.
+
+exports.restore = function(req, res, next) {
+    var user_id = res.locals.user.uid
+
+    Entry.getRevision(user_id, req.body.revisionid, function(err, found) {
+        if (err) return next(err)
+
+        if (!found) {
+            return res
+                .status(404)
+                .send({ errormsg: 'We did not find this revision.' })
+        }
+
+        Entry.revision(user_id, found.statement, function(err, statement) {
+            if (err) return next(err)
+
+            if (!statement) {
+                return res
+                    .status(404)
+                    .send({ errormsg: 'We did not find this revision.' })
+            }
+
+            // entries.submit saves the text and keeps the current one as a revision in one transaction
+            req.revision = statement.queries
+
+            resubmit(req, res, next, statement, found.revision.text)
+        })
+    })
+}
+
+// Everything the user deleted, which can still be restored
+
+exports.trash = function(req, res, next) {
+    Entry.getTrash(res.locals.user.uid, function(err, items) {
+        if (err) return next(err)
+
+        res.send({ items: items })
+    })
+}
+
+// Take a context or a statement out of the trash
+
+exports.restoreTrash = function(req, res, next) {
+    var user_id = res.locals.user.uid
+
+    Entry.getTrashItem(user_id, req.body.uid, function(err, item) {
+        if (err) return next(err)
+
+        if (!item) {
+            return res
+                .status(404)
+                .send({ errormsg: 'We did not find this in the trash.' })
+        }
+
+        if (item.type == 'context') {
+            if (item.conflict) {
+                return res.status(409).send({
+                    errormsg:
+                        'There is already a context called ' +
+                        item.name +
+                        ', please, rename it first.',
+                })
+            }
+
+            return Entry.restoreContext(item.uid, function(err) {
+                if (err) return next(err)
+
+                graphCache.invalidate(user_id, [item.name])
+                realtime.publish(user_id, [item.name])
+
+                res.send({
+                    successmsg: 'The context ' + item.name + ' was restored.',
+                    uid: item.uid,
+                })
+            })
+        }
+
+        // Its contexts are in the trash too? Then they go back first
+        if (!item.contexts.length) {
+            return res.status(409).send({
+                errormsg:
+                    'The contexts of this statement are in the trash, please, restore one of them first.',
+            })
+        }
+
+        // A statement goes back into the graph the same way an edit does, in one transaction with its save
+        req.revision = Entry.restoration(item.uid)
+
+        resubmit(req, res, next, item, item.text)
+    })
+}
+
+// Run the queries of a revision and the save of the new wording in one transaction, with the same answer the driver gives
+
+function saveRevised(revision, cypherQuery) {
+    return new Promise(function(resolve, reject) {
+        Query.transaction(revision.concat([cypherQuery]), function(err, result) {
+            if (err) return reject(err)
+
+            var saved = result.results[result.results.length - 1]
+
+            resolve({
+                records: (saved ? saved.data : []).map(function(row) {
+                    return {
+                        get: function(key) {
+                            return row.row[saved.columns.indexOf(key)]
+                        },
+                    }
+                }),
+            })
+        })
+    })
+}
+
+// Save the text into an existing statement through entries.submit, see validate.isToDelete. It goes back
+// into the contexts it is in, also the ones other users shared with its author, see Entry.getStatementContexts
+
+function resubmit(req, res, next, statement, text) {
+    Entry.getOwners(statement.uid, function(err, owners) {
+        if (err) return next(err)
+
+        Entry.getStatementContexts(statement.uid, function(err, contexts) {
+            if (err) return next(err)
+
+            req.statementid = statement.uid
+            req.body.timestamp = statement.timestamp
+            req.body.context = contexts.length ? contexts[0].name : ''
+            req.body.entry = { body: text }
+            req.contextids = contexts
+            req.owners = owners
+
+            exports.submit(req, res, next)
+        })
+    })
+}
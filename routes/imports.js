@@ -22,6 +22,7 @@ var FlowdockText = require('flowdock-text')
 
 var validate = require('../lib/middleware/validate')
 var entries = require('../routes/entries')
+var importQueue = require('../lib/services/importQueue').importQueue
 
 var async = require('async')
 var Evernote = require('evernote')
@@ -35,6 +36,8 @@ var Imap = require('imap'),
 
 var Instruments = require('../lib/tools/instruments.js')
 
+var GraphFile = require('../lib/tools/graphfile.js')
+
 var mimelib = require('mimelib')
 
 var phantom = require('phantom')
@@ -258,9 +261,69 @@ exports.renderEvernote = function(req, res) {
     }
 }
 
-// POST request to the settings page (change settings)
+// POST request to the import page: the import runs as a background job, see lib/services/importQueue.js
 
 exports.submit = function(req, res, next) {
+    importQueue
+        .start(res.locals.user, req.body, {
+            file: req.file,
+            session: req.session,
+        })
+        .then(function(job) {
+            res.error(
+                'Importing... You can follow the progress of the import below.'
+            )
+            res.redirect('/import?job=' + job.id)
+        })
+        .catch(next)
+}
+
+// The latest import jobs of the user, with their progress
+
+exports.jobs = function(req, res, next) {
+    importQueue
+        .listJobs(res.locals.user.uid)
+        .then(function(jobs) {
+            res.send({ jobs: jobs })
+        })
+        .catch(next)
+}
+
+exports.job = function(req, res, next) {
+    importQueue
+        .getJob(res.locals.user.uid, req.params.job)
+        .then(function(job) {
+            if (!job) {
+                return res
+                    .status(404)
+                    .send({ errormsg: 'We did not find this import.' })
+            }
+
+            res.send(job)
+        })
+        .catch(next)
+}
+
+// Stop an import, the statements it already saved stay
+
+exports.cancelJob = function(req, res, next) {
+    importQueue
+        .cancel(res.locals.user.uid, req.params.job || req.body.job)
+        .then(function(job) {
+            if (!job) {
+                return res
+                    .status(404)
+                    .send({ errormsg: 'We did not find this import.' })
+            }
+
+            res.send(job)
+        })
+        .catch(next)
+}
+
+// Get the data from the source and submit it, the import job runs this with its own req and res
+
+exports.run = function(req, res, next) {
     var user_id = res.locals.user.uid
 
     var user_name = res.locals.user.name
@@ -556,7 +619,7 @@ exports.submit = function(req, res, next) {
                                     }
                                 }
 
-                                entries.submit(req, res)
+                                submitStatements(req, res)
 
                                 // Move on to the next one
 
@@ -714,7 +777,7 @@ exports.submit = function(req, res, next) {
                                 }
                             }
 
-                            entries.submit(req, res)
+                            submitStatements(req, res)
 
                             // Move on to the next one
 
@@ -963,7 +1026,7 @@ exports.submit = function(req, res, next) {
                                                     ) {
                                                         req.body.entry.body = evernotes
 
-                                                        entries.submit(req, res)
+                                                        submitStatements(req, res)
                                                     }
                                                 })
                                                 .catch(function(err) {
@@ -1165,7 +1228,7 @@ exports.submit = function(req, res, next) {
                                 }
                             }
 
-                            entries.submit(req, res)
+                            submitStatements(req, res)
 
                             // Move on to the next one
 
@@ -1386,7 +1449,7 @@ exports.submit = function(req, res, next) {
 
                                                                                 req.body.entry.body = statement
 
-                                                                                entries.submit(
+                                                                                submitStatements(
                                                                                     req,
                                                                                     res
                                                                                 )
@@ -1440,6 +1503,9 @@ exports.submit = function(req, res, next) {
 
         var filetype = req.file.mimetype;
 
+        // Is it a GEXF or GraphML file? Generic XML ones are checked again once we read them
+        var graphformat = GraphFile.detect(req.file.originalname, filetype)
+
         var process_type = 'classes'
 
         // Check the size of the uploaded file
@@ -1466,7 +1532,10 @@ exports.submit = function(req, res, next) {
                 filetype == 'text/plain' ||
                 filetype == 'application/pdf' ||
                 filetype == 'application/octet-stream' ||
-                filetype == 'text/csv')
+                filetype == 'text/csv' ||
+                filetype == 'application/xml' ||
+                filetype == 'text/xml' ||
+                graphformat)
         ) {
             // Import parameters
 
@@ -1681,47 +1750,53 @@ exports.submit = function(req, res, next) {
                                 filetype
                             )
                         })
-                } else if (filetype == 'application/octet-stream') {
-                    if (req.file.originalname.indexOf('.gexf') >= 0) {
-                        let gexf_graph = gexf.parse(filecontents);
-                        let gexf_edges = gexf_graph.edges;
-                        let gexf_nodes = gexf_graph.nodes;
-                        let gexf_statements = [];
-                        for (let i = 0; i < gexf_edges.length; i++) {
-                            for (let j = 0; j < gexf_nodes.length; j++) {
-                                if (gexf_nodes[j].id == gexf_edges[i].source) {
-                                    if (!gexf_statements[i]) gexf_statements[i] = ' ';
-                                    gexf_statements[i] += ' #' + S(gexf_nodes[j].label.toLowerCase()).underscore();
-                                }
-                                if (gexf_nodes[j].id == gexf_edges[i].target) {
-                                    if (!gexf_statements[i]) gexf_statements[i] = ' ';
-                                    gexf_statements[i] += ' #' + S(gexf_nodes[j].label.toLowerCase()).underscore();
-                                }
-                            }
-                            if (gexf_edges[i].weight > 1) {
-                                for (let k = 0; k < gexf_edges[i].weight; k++) {
-                                    gexf_statements[i] += '\n\n ' + gexf_statements[i];
-                                }
-                            }
-                        }
-
-                        //console.log(gexf_statements);
+                } else if (
+                    (graphformat = GraphFile.detect(
+                        req.file.originalname,
+                        filetype,
+                        filecontents
+                    ))
+                ) {
+                    var graph_statements = []
 
+                    try {
+                        graph_statements = GraphFile.toStatements(
+                            GraphFile.parse(graphformat, filecontents),
+                            options.settings.graph_import_max_repeat
+                        )
+                    } catch (e) {
+                        console.log(e)
+                    }
 
-                        var currentcontext = processContext(importContext)
+                    if (graph_statements.length == 0) {
+                        res.error(
+                            'Sorry, we could not read any nodes or edges from this ' +
+                                graphformat +
+                                ' file.'
+                        )
+                        return res.redirect('back')
+                    }
 
-                        parsedata[currentcontext] = [];
+                    var currentcontext = processContext(importContext)
 
-                        parsedata[currentcontext].push(gexf_statements.join('\n\n'));
+                    parsedata[currentcontext] = graph_statements
 
-                        processFile(
-                            titlefield,
-                            processfield,
-                            filecontents,
-                            parsedata,
-                            filetype
-                        )
-                    }
+                    processFile(
+                        titlefield,
+                        processfield,
+                        filecontents,
+                        parsedata,
+                        filetype
+                    )
+                } else if (
+                    filetype == 'application/octet-stream' ||
+                    filetype == 'application/xml' ||
+                    filetype == 'text/xml'
+                ) {
+                    res.error(
+                        'Sorry, but InfraNodus does not recognize this kind of content yet. Add a feature request on GitHub and we will look into it.'
+                    )
+                    res.redirect('back')
                 } else if (filetype == 'text/html') {
                     // Load DIVs in the file contents
                     var $ = cheerio.load(filecontents)
@@ -1814,7 +1889,7 @@ exports.submit = function(req, res, next) {
                                     filetype == 'text/plain' ||
                                     filetype == 'application/pdf' ||
                                     filetype == 'text/csv' ||
-                                    filetype == 'application/octet-stream' ||
+                                    graphformat ||
                                     filetype == 'text/html'
                                 ) {
                                     callback(null, contexts)
@@ -1835,7 +1910,7 @@ exports.submit = function(req, res, next) {
                             } else {
                                 // Separate Amazon highlights file into blocks by the books
 
-                                if (filetype == 'text/html') {
+                                if (filetype == 'text/html' && !graphformat) {
                                     console.log('Processing file by classes')
 
                                     // Which classes we use to split the statements?
@@ -1906,8 +1981,9 @@ exports.submit = function(req, res, next) {
                                 }
                                 // if it's a book, a TXT or a PDF file
                                 else if (
-                                    filetype == 'text/plain' ||
-                                    filetype == 'application/pdf'
+                                    !graphformat &&
+                                    (filetype == 'text/plain' ||
+                                        filetype == 'application/pdf')
                                 ) {
                                     if (filetype == 'application/pdf') {
                                         //PDF processing special case
@@ -1959,7 +2035,7 @@ exports.submit = function(req, res, next) {
                                             res.redirect('back')
                                         }
                                     }
-                                }  else if (filetype == 'application/octet-stream') {
+                                }  else if (graphformat) {
                                     for (var graphname in parsedata) {
                                         if (parsedata[graphname].length > 0) {
 
@@ -2109,7 +2185,7 @@ exports.submit = function(req, res, next) {
                 contextids: contexts,
             }
 
-            entries.submit(req, res)
+            submitStatements(req, res)
         }
 
     } else if (service == 'url') {
@@ -2299,7 +2375,7 @@ exports.submit = function(req, res, next) {
                                     }
                                 }
 
-                                entries.submit(reqq, res)
+                                submitStatements(reqq, res)
                             }
                             // res.message('Importing the content based on your classes... Please, reload this page in 30 seconds...');
                             // res.redirect(res.locals.user.name + '/' + importContext + '/edit');
@@ -2565,7 +2641,7 @@ exports.submit = function(req, res, next) {
                                             }
                                         }
 
-                                        entries.submit(req, res)
+                                        submitStatements(req, res)
 
                                         // TODO
 
@@ -2624,7 +2700,7 @@ exports.submit = function(req, res, next) {
             internal: 1,
         }
 
-        entries.submit(req, res)
+        submitStatements(req, res)
     }
 
     function processContext(context) {
@@ -2638,3 +2714,11 @@ exports.submit = function(req, res, next) {
         return requestedContext
     }
 }
+
+// Inside an import job the statements are collected and then saved in batches, see lib/services/importQueue.js
+
+function submitStatements(req, res) {
+    if (res.locals.importjob) return res.locals.importjob.collect(req)
+
+    entries.submit(req, res)
+}
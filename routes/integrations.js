@@ -3,7 +3,7 @@
  */
 
 const { platformIntegration } = require('../lib/utils/platformIntegration');
-const Entry = require('../lib/entry');
+const { entryService } = require('../lib/services/entryService');
 const User = require('../lib/user');
 const logger = require('../lib/log/logger');
 
@@ -37,18 +37,12 @@ exports.exportToMyMap = async function (req, res, next) {
         const apiKey = req.body.api_key || req.user.settings?.mymap_api_key;
 
         // Get the graph data for the context
-        const entry = new Entry();
         const userId = req.user.uid;
 
-        const graphData = await new Promise((resolve, reject) => {
-            entry.getGraph(userId, context, function (err, graph) {
-                if (err) return reject(err);
+        const graphData = await entryService.getGraph(userId, context);
 
-                // Add context name to graph data
-                graph.contextName = context;
-                resolve(graph);
-            });
-        });
+        // Add context name to graph data
+        graphData.contextName = context;
 
         // Export to MyMap
         const result = await platformIntegration.exportToMyMap(graphData, userId, apiKey);
@@ -87,17 +81,11 @@ exports.importFromMyMap = async function (req, res, next) {
         const graphData = await platformIntegration.importFromMyMap(mapId, req.user.uid, context, apiKey);
 
         // Now process the import data and add to InfraNodus
-        const entry = new Entry();
         const userId = req.user.uid;
 
         // First add all statements
         for (const statement of graphData.statements) {
-            await new Promise((resolve, reject) => {
-                entry.submit(userId, statement, function (err) {
-                    if (err) return reject(err);
-                    resolve();
-                });
-            });
+            await entryService.submit(userId, statement, { context });
         }
 
         // Return success response
@@ -195,6 +183,11 @@ const middleware = require('./middleware');
 // Create file system connector instance
 const fileConnector = new FileSystemConnector();
 
+// The scans of before a restart, see lib/db/stateStore.js
+fileConnector.restore().catch(error => {
+    logger.error(`Failed to restore the file scans: ${error.message}`);
+});
+
 // Ensure user is authenticated for all routes
 router.use(middleware.ensureAuthenticated);
 
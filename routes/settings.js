@@ -14,16 +14,35 @@
  */
 
 var User = require('../lib/user')
+var Entry = require('../lib/entry')
+var ApiToken = require('../lib/apitoken')
+var graphCache = require('../lib/services/graphCache').graphCache
+var realtime = require('../lib/services/realtime').realtime
+var Cooccurrence = require('../lib/tools/cooccurrence')
 var options = require('../options')
 
 // GET request to the /settings page (view settings)
 
-exports.render = function(req, res) {
+exports.render = function(req, res, next) {
+    renderSettings(req, res, next, null)
+}
+
+function renderSettings(req, res, next, newtoken) {
     var contextslist = []
     if (res.locals.contextslist) {
         contextslist = res.locals.contextslist
     }
-    res.render('settings', { title: 'Settings', contextlist: contextslist })
+
+    ApiToken.list(res.locals.user.uid, function(err, tokens) {
+        if (err) return next(err)
+
+        res.render('settings', {
+            title: 'Settings',
+            contextlist: contextslist,
+            tokens: tokens,
+            newtoken: newtoken,
+        })
+    })
 }
 
 // POST request to the settings page (change settings)
@@ -84,6 +103,16 @@ exports.modify = function(req, res) {
 
     var stopwords = req.body.stopwords
 
+    var scanwindow = req.body.scanwindow
+
+    var scanweighting = req.body.scanweighting
+
+    var scanunit = req.body.scanunit
+
+    var phrases = req.body.phrases
+
+    var phrasedetect = req.body.phrasedetect
+
     if (isInt(req.body.maxnodes)) {
         maxnodes = req.body.maxnodes
     }
@@ -99,22 +128,29 @@ exports.modify = function(req, res) {
 
     User.modifySettings(
         user_id,
-        fullscan,
-        fullview,
-        morphemes,
-        hashnodes,
-        maxnodes,
-        inlanguage,
-        palette,
-        background,
-        midi,
-        voice_continues,
-        abstract,
-        label_threshold,
-        topnodes,
-        mentions,
-        customization,
-        stopwords,
+        {
+            fullscan: fullscan,
+            fullview: fullview,
+            morphemes: morphemes,
+            hashnodes: hashnodes,
+            maxnodes: maxnodes,
+            inlanguage: inlanguage,
+            palette: palette,
+            background: background,
+            midi: midi,
+            voice_continues: voice_continues,
+            abstract: abstract,
+            label_threshold: label_threshold,
+            topnodes: topnodes,
+            mentions: mentions,
+            customization: customization,
+            stopwords: stopwords,
+            scanwindow: scanwindow,
+            scanweighting: scanweighting,
+            scanunit: scanunit,
+            phrases: phrases,
+            phrasedetect: phrasedetect,
+        },
         function(err, answer) {
             // Error? Go back and display it.
 
@@ -126,6 +162,10 @@ exports.modify = function(req, res) {
 
             // If all is good, make a message for the user and reload the settings page
             else {
+                // Stopwords, maxnodes and fullview change how all the graphs of the user look
+                graphCache.invalidate(user_id)
+                realtime.publish(user_id)
+
                 res.error('Your settings have been updated.')
 
                 // To just render the page, use: res.render('settings', { title: 'Settings' });
@@ -137,3 +177,79 @@ exports.modify = function(req, res) {
         }
     )
 }
+
+// POST request to change how the words connect in one of the user's graphs (contexts)
+
+exports.modifyContext = function(req, res, next) {
+    if (!req.body.context) {
+        res.error('You did not specify a graph')
+        return res.redirect('back')
+    }
+
+    var scan = Cooccurrence.sanitize(
+        req.body.scanwindow,
+        req.body.scanweighting,
+        req.body.scanunit
+    )
+
+    Entry.setScanSettings(res.locals.user.uid, req.body.context, scan, function(
+        err,
+        context_id
+    ) {
+        if (err) return next(err)
+
+        if (!context_id) {
+            res.error('There is no graph called ' + req.body.context + '.')
+        } else {
+            res.error(
+                'The new statements in ' +
+                    req.body.context +
+                    ' will use these settings.'
+            )
+        }
+
+        res.redirect('back')
+    })
+}
+
+// POST request to create a personal API token, it's shown on the settings page only this once
+
+exports.createToken = function(req, res, next) {
+    var scope = req.body.tokenscope
+
+    if (ApiToken.SCOPES.indexOf(scope) < 0) {
+        res.error('Please, choose what the token can do.')
+        return res.redirect('back')
+    }
+
+    ApiToken.create(
+        res.locals.user.uid,
+        req.body.tokenname,
+        scope,
+        req.body.tokencontexts,
+        function(err, token) {
+            if (err) return next(err)
+
+            renderSettings(req, res, next, token)
+        }
+    )
+}
+
+// POST request to revoke a personal API token
+
+exports.revokeToken = function(req, res, next) {
+    ApiToken.revoke(res.locals.user.uid, req.body.tokenid, function(
+        err,
+        token_id
+    ) {
+        if (err) return next(err)
+
+        if (!token_id) {
+            res.error('We did not find this API token.')
+        } else {
+            res.error('The API token was revoked, it does not work anymore.')
+        }
+
+        res.redirect('/settings')
+    })
+}
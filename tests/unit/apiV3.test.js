@@ -0,0 +1,395 @@
+/**
+ * Unit tests for the REST API v3 routes
+ */
+
+jest.mock('node-neo4j', () => jest.fn().mockImplementation(() => ({})));
+
+jest.mock('../../lib/services/entryService', () => ({
+    entryService: {
+        listContexts: jest.fn(),
+        getContext: jest.fn(),
+        createContext: jest.fn(),
+        updateContext: jest.fn(),
+        deleteContext: jest.fn(),
+        getGraph: jest.fn(),
+        getGaps: jest.fn(),
+        compareContexts: jest.fn(),
+        getTimeline: jest.fn(),
+        getTopics: jest.fn(),
+        getSentiment: jest.fn(),
+        listStatements: jest.fn(),
+        submit: jest.fn(),
+        getStatement: jest.fn(),
+        updateStatement: jest.fn(),
+        deleteStatement: jest.fn(),
+        listMembers: jest.fn(),
+        inviteMember: jest.fn(),
+        removeMember: jest.fn(),
+        listShared: jest.fn(),
+        getShared: jest.fn(),
+        acceptShared: jest.fn(),
+        leaveShared: jest.fn()
+    }
+}));
+
+const express = require('express');
+const { entryService } = require('../../lib/services/entryService');
+const ApiToken = require('../../lib/apitoken');
+const v3 = require('../../routes/api/v3');
+
+const notes = { uid: 'c1', name: 'notes', public: false, created: 100, statements: 2 };
+const statement = { uid: 's1', text: 'Cats drink milk', name: '#cat #drink #milk ', timestamp: 100, contexts: ['notes'] };
+
+describe('API v3', () => {
+    let server;
+    let base;
+    let user;
+    let token;
+
+    beforeAll(done => {
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.user = user;
+            req.apitoken = token;
+            next();
+        });
+        app.use('/api/v3', v3);
+        server = app.listen(0, () => {
+            base = `http://127.0.0.1:${server.address().port}/api/v3`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        Object.values(entryService).forEach(fn => fn.mockReset());
+        user = { uid: 'u1', name: 'alice' };
+        token = undefined;
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    async function call(method, path, body) {
+        const response = await fetch(base + path, {
+            method,
+            headers: { 'content-type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    }
+
+    describe('contexts', () => {
+        test('should list the contexts', async () => {
+            entryService.listContexts.mockResolvedValue([notes]);
+
+            expect(await call('GET', '/contexts')).toEqual({ status: 200, body: [notes] });
+            expect(entryService.listContexts).toHaveBeenCalledWith('u1');
+        });
+
+        test('should create a context and refuse a duplicate', async () => {
+            entryService.createContext.mockResolvedValueOnce(notes).mockResolvedValueOnce(null);
+
+            expect(await call('POST', '/contexts', { name: '#notes' })).toEqual({ status: 201, body: notes });
+            expect(entryService.createContext).toHaveBeenCalledWith('u1', 'notes', { public: false });
+            expect((await call('POST', '/contexts', { name: 'notes' })).status).toBe(409);
+        });
+
+        test('should rename a context', async () => {
+            entryService.updateContext.mockResolvedValue({ ...notes, name: 'diary' });
+
+            expect((await call('PATCH', '/contexts/notes', { name: 'diary', public: true })).body.name).toBe('diary');
+            expect(entryService.updateContext).toHaveBeenCalledWith('u1', 'notes', { name: 'diary', public: true });
+        });
+
+        test('should delete a context', async () => {
+            entryService.deleteContext.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+            expect((await call('DELETE', '/contexts/notes')).status).toBe(204);
+            expect(await call('DELETE', '/contexts/notes')).toEqual({
+                status: 404,
+                body: { error: { code: 'not_found', message: 'We did not find this context.' } }
+            });
+        });
+    });
+
+    describe('graphs', () => {
+        test('should find the structural gaps of a context', async () => {
+            const gaps = { modularity: 0.5, gaps: [{ communities: [0, 1], gap: 1, score: 0.8, bridges: [] }] };
+
+            entryService.getContext.mockResolvedValue(notes);
+            entryService.getGaps.mockResolvedValue(gaps);
+
+            expect(await call('GET', '/contexts/notes/gaps?maxnodes=50')).toEqual({ status: 200, body: gaps });
+            expect(entryService.getGaps).toHaveBeenCalledWith('u1', 'notes', { maxnodes: 50 });
+            expect((await call('GET', '/contexts/notes/gaps?maxnodes=0')).status).toBe(400);
+        });
+
+        test('should not make a graph larger than the most nodes the API allows', async () => {
+            entryService.getContext.mockResolvedValue(notes);
+
+            for (const path of ['graph', 'gaps', 'comparison?with=diary', 'timeline', 'topics', 'sentiment']) {
+                const { status, body } = await call('GET', `/contexts/notes/${path}${path.includes('?') ? '&' : '?'}maxnodes=1001`);
+
+                expect(status).toBe(400);
+                expect(body.error.message).toBe('maxnodes should be an integer from 1 to 1000.');
+            }
+
+            expect(entryService.getGraph).not.toHaveBeenCalled();
+            expect(entryService.getTimeline).not.toHaveBeenCalled();
+        });
+
+        test('should compare a context with other contexts', async () => {
+            const comparison = { contexts: [], shared: [], sharedCount: 0, unique: {}, influence: [], pairs: [] };
+
+            entryService.getContext.mockImplementation(async (userId, name) => (['notes', 'diary', 'ideas'].includes(name) ? { ...notes, name } : null));
+            entryService.compareContexts.mockResolvedValue(comparison);
+
+            expect(await call('GET', '/contexts/notes/comparison?with=diary,%23ideas,notes,diary')).toEqual({ status: 200, body: comparison });
+            expect(entryService.compareContexts).toHaveBeenCalledWith('u1', ['notes', 'diary', 'ideas'], { maxnodes: undefined });
+
+            expect((await call('GET', '/contexts/notes/comparison')).status).toBe(400);
+            expect((await call('GET', '/contexts/notes/comparison?with=notes')).status).toBe(400);
+            expect((await call('GET', '/contexts/notes/comparison?with=a,b,c,d,e')).status).toBe(400);
+            expect((await call('GET', '/contexts/notes/comparison?with=work')).status).toBe(404);
+            expect(entryService.compareContexts).toHaveBeenCalledTimes(1);
+        });
+
+        test('should replay the graph of a context over time', async () => {
+            const timeline = { start: 1, end: 2, statements: [], snapshots: [] };
+
+            entryService.getContext.mockResolvedValue(notes);
+            entryService.getTimeline.mockResolvedValue(timeline);
+
+            expect(await call('GET', '/contexts/notes/timeline?at=2024-01-02,1704067200000&window=true')).toEqual({ status: 200, body: timeline });
+            expect(entryService.getTimeline).toHaveBeenCalledWith('u1', 'notes', {
+                points: [17041536000000000, 17040672000000000],
+                interval: undefined,
+                steps: undefined,
+                window: true,
+                graphs: false,
+                maxnodes: undefined
+            });
+
+            expect((await call('GET', '/contexts/notes/timeline?at=someday')).status).toBe(400);
+            expect((await call('GET', '/contexts/notes/timeline?interval=year')).status).toBe(400);
+            expect((await call('GET', '/contexts/notes/timeline?steps=25')).status).toBe(400);
+
+            entryService.getTimeline.mockRejectedValue(Object.assign(new Error('Too many snapshots'), { code: 'invalid_request' }));
+
+            expect(await call('GET', '/contexts/notes/timeline?interval=day')).toMatchObject({ status: 400, body: { error: { code: 'invalid_request' } } });
+        });
+
+        test('should find the topics of a context with the settings chosen', async () => {
+            const model = { settings: { topics: 3, terms: 5, iterations: 500, seed: 123 }, topics: [], statements: [], communities: null };
+
+            entryService.getContext.mockResolvedValue(notes);
+            entryService.getTopics.mockResolvedValue(model);
+
+            expect(await call('GET', '/contexts/notes/topics?topics=3&iterations=500')).toEqual({ status: 200, body: model });
+            expect(entryService.getTopics).toHaveBeenCalledWith('u1', 'notes', { topics: 3, terms: undefined, iterations: 500, maxnodes: undefined });
+
+            expect((await call('GET', '/contexts/notes/topics?topics=21')).status).toBe(400);
+            expect((await call('GET', '/contexts/notes/topics?terms=0')).status).toBe(400);
+            expect((await call('GET', '/contexts/notes/topics?iterations=5')).status).toBe(400);
+            expect(entryService.getTopics).toHaveBeenCalledTimes(1);
+        });
+
+        test('should sum up the sentiment of a context', async () => {
+            const sentiment = { sentiment: -0.4, statements: 2, scored: 2, positive: 0, negative: 2, emotions: {}, concepts: [], communities: [], negativeConcepts: [], positiveConcepts: [] };
+
+            entryService.getContext.mockResolvedValue(notes);
+            entryService.getSentiment.mockResolvedValue(sentiment);
+
+            expect(await call('GET', '/contexts/notes/sentiment?maxnodes=50')).toEqual({ status: 200, body: sentiment });
+            expect(entryService.getSentiment).toHaveBeenCalledWith('u1', 'notes', { maxnodes: 50 });
+
+            expect((await call('GET', '/contexts/notes/sentiment?maxnodes=0')).status).toBe(400);
+        });
+    });
+
+    describe('statements', () => {
+        test('should page through the statements', async () => {
+            entryService.listStatements.mockResolvedValue({ total: 1, limit: 5, next: null, statements: [statement] });
+
+            expect((await call('GET', '/contexts/notes/statements?limit=5')).body.total).toBe(1);
+            expect(entryService.listStatements).toHaveBeenCalledWith('u1', 'notes', { limit: 5, after: null, since: null, until: null });
+
+            const cursor = Buffer.from(JSON.stringify([100, 's1'])).toString('base64url');
+
+            await call('GET', `/contexts/notes/statements?cursor=${cursor}&since=2020-01-01T00:00:00Z`);
+            expect(entryService.listStatements).toHaveBeenLastCalledWith('u1', 'notes', {
+                limit: 20,
+                after: { timestamp: 100, uid: 's1' },
+                since: Date.UTC(2020, 0, 1) * 10000,
+                until: null
+            });
+
+            expect((await call('GET', '/contexts/notes/statements?limit=500')).body.error.code).toBe('invalid_request');
+            expect((await call('GET', '/contexts/notes/statements?cursor=nonsense')).body.error.code).toBe('invalid_request');
+        });
+
+        test('should add statements', async () => {
+            entryService.submit.mockResolvedValue({ context: 'notes', statements: [{ uid: 's1', name: '#cat ', text: 'Cats' }] });
+
+            const { status, body } = await call('POST', '/contexts/notes/statements', { text: 'Cats' });
+
+            expect(status).toBe(201);
+            expect(body).toEqual([{ uid: 's1', name: '#cat ', text: 'Cats', contexts: ['notes'] }]);
+            expect((await call('POST', '/contexts/notes/statements', {})).status).toBe(400);
+        });
+
+        test('should change and delete a statement', async () => {
+            entryService.getStatement.mockResolvedValue(statement);
+            entryService.updateStatement.mockResolvedValue({ ...statement, text: 'Dogs bark' });
+
+            expect((await call('PUT', '/statements/s1', { text: 'Dogs bark' })).body.text).toBe('Dogs bark');
+            expect((await call('DELETE', '/statements/s1')).status).toBe(204);
+            expect(entryService.deleteStatement).toHaveBeenCalledWith('u1', 's1');
+        });
+    });
+
+    describe('shared contexts', () => {
+        const shared = (role, accepted) => ({
+            context: { uid: 'c2', name: 'research', public: false },
+            owner: { uid: 'u2', name: 'bob' },
+            role,
+            accepted
+        });
+
+        test('should invite a user into a context and take them out', async () => {
+            entryService.inviteMember.mockResolvedValue({ uid: 'u3', name: 'carol', role: 'editor', invited: 100, accepted: null });
+
+            const { status, body } = await call('POST', '/contexts/notes/members', { user: 'carol', role: 'editor' });
+
+            expect(status).toBe(201);
+            expect(body.role).toBe('editor');
+            expect(entryService.inviteMember).toHaveBeenCalledWith('u1', 'notes', 'carol', 'editor');
+
+            expect((await call('POST', '/contexts/notes/members', { user: 'carol', role: 'admin' })).status).toBe(400);
+            expect((await call('POST', '/contexts/notes/members', { user: 'alice', role: 'viewer' })).status).toBe(400);
+
+            entryService.removeMember.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+            expect((await call('DELETE', '/contexts/notes/members/carol')).status).toBe(204);
+            expect((await call('DELETE', '/contexts/notes/members/carol')).status).toBe(404);
+        });
+
+        test('should let the members read the context once they accepted the invitation', async () => {
+            entryService.getShared.mockResolvedValue(shared('viewer', null));
+            entryService.listStatements.mockResolvedValue({ total: 0, limit: 20, next: null, statements: [] });
+
+            expect((await call('GET', '/shared/bob/research/statements')).body.error.message).toBe('Please, accept the invitation first.');
+
+            entryService.acceptShared.mockResolvedValue(shared('viewer', 200));
+            expect((await call('POST', '/shared/bob/research/accept')).body.accepted).toBe(200);
+
+            entryService.getShared.mockResolvedValue(shared('viewer', 200));
+            expect((await call('GET', '/shared/bob/research/statements')).status).toBe(200);
+            expect(entryService.listStatements).toHaveBeenCalledWith('u2', 'research', { limit: 20, after: null, since: null, until: null });
+        });
+
+        test('should only let the editors add statements', async () => {
+            entryService.getShared.mockResolvedValue(shared('viewer', 200));
+
+            expect((await call('POST', '/shared/bob/research/statements', { text: 'Cats' })).status).toBe(403);
+            expect(entryService.submit).not.toHaveBeenCalled();
+
+            entryService.getShared.mockResolvedValue(shared('editor', 200));
+            entryService.submit.mockResolvedValue({ context: 'research', statements: [{ uid: 's1', name: '#cat ', text: 'Cats', by: 'u1' }] });
+
+            const { status, body } = await call('POST', '/shared/bob/research/statements', { text: 'Cats' });
+
+            expect(status).toBe(201);
+            expect(body).toEqual([{ uid: 's1', name: '#cat ', text: 'Cats', by: 'u1', contexts: ['research'] }]);
+            expect(entryService.submit).toHaveBeenCalledWith('u1', 'Cats', { context: 'research', owner: 'bob' });
+        });
+
+        test('should not show a context the user is not in', async () => {
+            entryService.getShared.mockResolvedValue(null);
+
+            expect((await call('GET', '/shared/bob/research/graph')).status).toBe(404);
+            expect(entryService.getGraph).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('errors', () => {
+        test('should need a user', async () => {
+            user = undefined;
+
+            expect((await call('GET', '/contexts')).body.error.code).toBe('unauthorized');
+        });
+
+        test('should not show the error details', async () => {
+            entryService.listContexts.mockRejectedValue(new Error('Neo4j is down'));
+
+            expect(await call('GET', '/contexts')).toEqual({
+                status: 500,
+                body: { error: { code: 'internal', message: 'Internal Server Error' } }
+            });
+        });
+
+        test('should keep a limited token within its contexts', async () => {
+            token = new ApiToken({ scope: 'write', contexts: ['notes'] });
+            entryService.listContexts.mockResolvedValue([notes, { ...notes, name: 'diary' }]);
+            entryService.getStatement.mockResolvedValue({ ...statement, contexts: ['notes', 'diary'] });
+
+            expect((await call('GET', '/contexts')).body).toEqual([notes]);
+            expect((await call('GET', '/contexts/diary/statements')).status).toBe(403);
+            expect((await call('GET', '/statements/s1')).status).toBe(403);
+        });
+
+        test('should answer unknown routes in the same format', async () => {
+            expect((await call('GET', '/nothing')).body.error.code).toBe('not_found');
+        });
+    });
+
+    describe('openapi', () => {
+        test('should describe every route', async () => {
+            const { body } = await call('GET', '/openapi.json');
+
+            expect(body.openapi).toMatch(/^3\./);
+            expect(Object.keys(body.paths)).toEqual([
+                '/contexts',
+                '/contexts/{context}',
+                '/contexts/{context}/graph',
+                '/contexts/{context}/gaps',
+                '/contexts/{context}/comparison',
+                '/contexts/{context}/timeline',
+                '/contexts/{context}/topics',
+                '/contexts/{context}/sentiment',
+                '/contexts/{context}/statements',
+                '/contexts/{context}/members',
+                '/contexts/{context}/members/{member}',
+                '/shared',
+                '/shared/{owner}/{context}',
+                '/shared/{owner}/{context}/accept',
+                '/shared/{owner}/{context}/graph',
+                '/shared/{owner}/{context}/gaps',
+                '/shared/{owner}/{context}/timeline',
+                '/shared/{owner}/{context}/topics',
+                '/shared/{owner}/{context}/sentiment',
+                '/shared/{owner}/{context}/statements',
+                '/statements/{statement}'
+            ]);
+
+            const operations = [].concat(...Object.values(body.paths).map(Object.keys));
+            expect(operations).toHaveLength(v3.routes.length);
+
+            const list = body.paths['/contexts/{context}/statements'].get;
+            expect(list.parameters.map(param => param.name)).toEqual(['context', 'limit', 'cursor', 'since', 'until']);
+            expect(body.paths['/statements/{statement}'].put.requestBody.content['application/json'].schema.required).toEqual(['text']);
+
+            const maxnodes = body.paths['/shared/{owner}/{context}/timeline'].get.parameters.find(param => param.name === 'maxnodes');
+            expect(maxnodes.schema).toMatchObject({ type: 'integer', minimum: 1, maximum: 1000 });
+        });
+    });
+});
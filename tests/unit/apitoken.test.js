@@ -0,0 +1,164 @@
+/**
+ * Unit tests for the personal API tokens
+ */
+
+const mockCypherQuery = jest.fn();
+
+jest.mock('node-neo4j', () =>
+    jest.fn().mockImplementation(() => ({
+        cypherQuery: mockCypherQuery
+    }))
+);
+
+const ApiToken = require('../../lib/apitoken');
+const apiToken = require('../../lib/middleware/apitoken');
+const api2 = require('../../routes/api2');
+
+// A request through the token middleware, resolves with the status it ended with (200 if it went on)
+function request(method, headers, extra = {}, middleware = apiToken) {
+    const req = { method, headers, query: {}, body: {}, ...extra };
+
+    return new Promise(resolve => {
+        const res = {
+            locals: {},
+            status(code) {
+                this.code = code;
+                return this;
+            },
+            send(body) {
+                resolve({ status: this.code, body, req, res: this });
+            }
+        };
+
+        middleware(req, res, err => resolve({ status: err ? 500 : 200, req, res }));
+    });
+}
+
+describe('ApiToken', () => {
+    let stored;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        stored = null;
+        mockCypherQuery.mockReset();
+        mockCypherQuery.mockImplementation((query, params, cb) => {
+            if (query.indexOf('CREATE (t:ApiToken') >= 0) {
+                stored = params;
+                return cb(null, { data: [params.uid] });
+            }
+            if (query.indexOf('MATCH (t:ApiToken{hash:$hash})') === 0) {
+                if (stored && stored.hash === params.hash) {
+                    return cb(null, { data: [[stored, { uid: 'u1', name: 'alice' }]] });
+                }
+                return cb(null, { data: [] });
+            }
+            cb(null, { data: [] });
+        });
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    describe('create', () => {
+        test('should give the token once and only store its hash', done => {
+            ApiToken.create('u1', 'CI notes', 'write', '#notes, ci notes', (err, token) => {
+                expect(err).toBeNull();
+                expect(token.token).toMatch(/^inx_[0-9a-f]{48}$/);
+                expect(stored.hash).toBe(ApiToken.hash(token.token));
+                expect(JSON.stringify(stored)).not.toContain(token.token);
+                expect(stored.contexts).toEqual(['notes', 'ci']);
+                expect(JSON.stringify(token)).not.toContain(token.token);
+                done();
+            });
+        });
+
+        test('should only know the read and write scopes', done => {
+            ApiToken.create('u1', 'admin', 'admin', '', err => {
+                expect(err.message).toContain('scope');
+                expect(mockCypherQuery).not.toHaveBeenCalled();
+                done();
+            });
+        });
+    });
+
+    describe('middleware', () => {
+        function createToken(scope, contexts) {
+            return new Promise(resolve => ApiToken.create('u1', 'test', scope, contexts, (err, token) => resolve(token.token)));
+        }
+
+        test('should let the requests without a token go on', async () => {
+            const { status, req } = await request('GET', {});
+
+            expect(status).toBe(200);
+            expect(req.user).toBeUndefined();
+            expect(mockCypherQuery).not.toHaveBeenCalled();
+        });
+
+        test('should log in the owner of the token', async () => {
+            const token = await createToken('read');
+            const { status, req } = await request('GET', { authorization: 'Bearer ' + token });
+
+            expect(status).toBe(200);
+            expect(req.remoteUser.name).toBe('alice');
+            expect(req.apitoken.scope).toBe('read');
+        });
+
+        test('should refuse an unknown or revoked token', async () => {
+            await createToken('write');
+
+            expect((await request('GET', { authorization: 'Bearer inx_0000' })).status).toBe(401);
+            expect((await request('GET', { authorization: 'Bearer password' })).status).toBe(401);
+        });
+
+        test('should not let a read token change anything', async () => {
+            const token = await createToken('read');
+
+            expect((await request('POST', { authorization: 'Bearer ' + token })).status).toBe(403);
+            expect((await request('DELETE', { authorization: 'Bearer ' + token })).status).toBe(403);
+        });
+
+        test('should only let a token or a logged in user through the api2 routes', async () => {
+            const token = await createToken('read');
+
+            expect((await request('GET', {}, {}, api2.auth)).status).toBe(401);
+            expect((await request('GET', { authorization: 'Bearer inx_0000' }, {}, api2.auth)).status).toBe(401);
+            expect((await request('GET', { authorization: 'Bearer ' + token }, {}, api2.auth)).status).toBe(200);
+            expect((await request('GET', {}, { user: { uid: 'u1' } }, api2.auth)).status).toBe(200);
+        });
+
+        test('should keep a limited token within its contexts on the routes outside the API v3', async () => {
+            const token = await createToken('read', 'notes');
+            const { req } = await request('GET', { authorization: 'Bearer ' + token });
+            const res = { locals: {}, status: jest.fn().mockReturnThis(), send: jest.fn() };
+            const next = jest.fn();
+
+            mockCypherQuery.mockClear();
+            api2.nodes({ ...req, params: { context: 'diary' } }, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.send.mock.calls[0][0].errormsg).toBe('This API token cannot access this context.');
+            expect(mockCypherQuery).not.toHaveBeenCalled();
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        test('should keep a limited token within its contexts', async () => {
+            const token = await createToken('write', 'notes');
+            const headers = { authorization: 'Bearer ' + token };
+
+            expect((await request('POST', headers, { body: { context: 'notes' } })).status).toBe(200);
+            expect((await request('POST', headers, { body: { addedContexts: 'notes,diary' } })).status).toBe(403);
+            expect((await request('GET', headers, { query: { addcontext: 'diary' } })).status).toBe(403);
+
+            const { req } = await request('GET', headers);
+            const next = jest.fn();
+            const res = { status: jest.fn().mockReturnThis(), send: jest.fn() };
+
+            apiToken.context(req, res, next, 'diary');
+            expect(res.status).toHaveBeenCalledWith(403);
+
+            apiToken.context(req, res, next, 'notes');
+            expect(next).toHaveBeenCalled();
+        });
+    });
+});
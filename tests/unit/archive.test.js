@@ -0,0 +1,144 @@
+/**
+ * Unit tests for the portable context archive
+ */
+
+const mockCypherQuery = jest.fn();
+const mockTransaction = jest.fn();
+
+jest.mock('node-neo4j', () =>
+    jest.fn().mockImplementation(() => ({
+        cypherQuery: mockCypherQuery,
+        beginAndCommitTransaction: mockTransaction
+    }))
+);
+
+const Archive = require('../../lib/archive');
+
+// Answer the REST queries in turn with the given rows
+function answerWith(...answers) {
+    answers.forEach(data => {
+        mockCypherQuery.mockImplementationOnce((query, params, cb) => cb(null, { columns: [], data: data }));
+    });
+}
+
+// What a context with one statement "cats like dogs" looks like in the database
+function answerWithContext() {
+    answerWith(
+        [['ctx1', 'pets', '1', 150000]],
+        [['st1', '#cats #dogs ', 'cats like dogs', 150000]],
+        [['cats', 'st1', 150000], ['dogs', 'st1', 150000]],
+        [['cats', 'st1', 150000], ['dogs', 'st1', 150000]],
+        [['cats', 'dogs', 'st1', 150001, 3, '2']]
+    );
+}
+
+describe('Archive', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        mockCypherQuery.mockReset();
+        mockTransaction.mockReset();
+        mockTransaction.mockImplementation((body, cb) => cb(null, { results: [] }));
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    describe('export', () => {
+        test('should collect the statements, concepts and every edge of a context', done => {
+            answerWithContext();
+
+            Archive.export('u1', 'pets', (err, archive) => {
+                expect(err).toBeNull();
+                expect(archive).toMatchObject({
+                    format: 'infranodus-archive',
+                    version: 1,
+                    context: { name: 'pets', public: '1', timestamp: 150000 },
+                    statements: [{ uid: 'st1', name: '#cats #dogs ', text: 'cats like dogs', timestamp: 150000 }],
+                    concepts: [{ name: 'cats' }, { name: 'dogs' }]
+                });
+                expect(archive.edges.map(edge => edge.type)).toEqual(['AT', 'AT', 'OF', 'OF', 'TO']);
+                expect(archive.edges[4]).toEqual({
+                    type: 'TO',
+                    source: 'cats',
+                    target: 'dogs',
+                    statement: 'st1',
+                    timestamp: 150001,
+                    weight: 3,
+                    gapscan: '2'
+                });
+                expect(mockCypherQuery.mock.calls[4][1]).toEqual({ p0: 'ctx1' });
+                expect(Archive.validate(archive)).toBeNull();
+                done();
+            });
+        });
+
+        test('should not find contexts of other users', done => {
+            answerWith([]);
+
+            Archive.export('u2', 'pets', (err, archive) => {
+                expect(archive).toBeNull();
+                expect(mockCypherQuery).toHaveBeenCalledTimes(1);
+                done();
+            });
+        });
+    });
+
+    describe('validate', () => {
+        const archive = {
+            format: 'infranodus-archive',
+            version: 1,
+            context: { name: 'pets' },
+            statements: [{ uid: 'st1', text: 'cats like dogs' }],
+            concepts: [{ name: 'cats' }, { name: 'dogs' }],
+            edges: [{ type: 'TO', source: 'cats', target: 'dogs', statement: 'st1' }]
+        };
+
+        test('should explain what is wrong with an archive', () => {
+            expect(Archive.validate(archive)).toBeNull();
+            expect(Archive.validate({ nodes: [] })).toBe('This is not an InfraNodus archive.');
+            expect(Archive.validate({ ...archive, version: 2 })).toMatch('newer version');
+            expect(Archive.validate({ ...archive, edges: null })).toBe('The archive has no edges.');
+            expect(Archive.validate({ ...archive, edges: [{ type: 'IN', source: 'cats' }] })).toMatch('not a TO, AT or OF edge');
+            expect(Archive.validate({ ...archive, edges: [{ type: 'TO', source: 'cats', target: 'birds' }] })).toMatch('concept that is not there');
+            expect(Archive.validate({ ...archive, edges: [{ type: 'AT', source: 'cats', statement: 'st2' }] })).toMatch('statement that is not there');
+        });
+    });
+
+    describe('import', () => {
+        test('should recreate the context under new IDs', done => {
+            answerWithContext();
+
+            Archive.export('u1', 'pets', (err, archive) => {
+                answerWith([0]);
+
+                Archive.import('u2', archive, 'pets copy!', (err, imported) => {
+                    expect(imported).toMatchObject({ context: { name: 'petscopy' }, statements: 1, concepts: 2, edges: 5 });
+
+                    const statements = mockTransaction.mock.calls[0][0].statements;
+                    const newStatement = statements[1].parameters.statements[0];
+
+                    expect(statements).toHaveLength(6);
+                    expect(statements[0].parameters).toMatchObject({ userId: 'u2', name: 'petscopy', public: '1' });
+                    expect(newStatement.uid).not.toBe('st1');
+                    expect(newStatement.text).toBe('cats like dogs');
+                    expect(statements[2].parameters.concepts).toEqual(['cats', 'dogs']);
+                    expect(statements[5].parameters.edges).toEqual([
+                        { source: 'cats', target: 'dogs', statement: newStatement.uid, timestamp: 150001, weight: 3, gapscan: '2' }
+                    ]);
+                    done();
+                });
+            });
+        });
+
+        test('should not import into a context that already exists', done => {
+            answerWith([1]);
+
+            Archive.import('u1', { context: { name: 'pets' }, statements: [], concepts: [], edges: [] }, null, (err, imported) => {
+                expect(imported).toBeNull();
+                expect(mockTransaction).not.toHaveBeenCalled();
+                done();
+            });
+        });
+    });
+});
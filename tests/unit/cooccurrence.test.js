@@ -0,0 +1,131 @@
+/**
+ * Unit tests for the configurable co-occurrence scan
+ */
+
+jest.mock('node-neo4j', () => jest.fn().mockImplementation(() => ({})));
+
+const Cooccurrence = require('../../lib/tools/cooccurrence');
+const CypherQuery = require('../../lib/db/neo4j');
+
+// The TO edges CypherQuery.addStatement makes for the statement in the given contexts
+function scanEdges(text, concepts, contexts, user = {}, gapscan = 1) {
+    let edges;
+
+    CypherQuery.addStatement(
+        { uid: 'u1', ...user },
+        [{ uid: 'st1', text: text, concepts: concepts, mentions: [], timestamp: 100 }],
+        contexts,
+        '',
+        gapscan,
+        cypherQuery => {
+            edges = cypherQuery.params.statements[0].conceptsRelations.map(({ from, to, context, weight }) => ({
+                from,
+                to,
+                context,
+                weight
+            }));
+        }
+    );
+
+    return edges;
+}
+
+describe('Cooccurrence', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    describe('settings', () => {
+        test('should let the context override the user and the user override the defaults', () => {
+            expect(Cooccurrence.settings({}, {}, 1)).toEqual({ window: 4, weighting: 'linear', unit: 'paragraph' });
+            expect(Cooccurrence.settings({ scanwindow: 6, scanunit: 'sentence' }, {}, 1)).toEqual({
+                window: 6,
+                weighting: 'linear',
+                unit: 'sentence'
+            });
+            expect(Cooccurrence.settings({ scanwindow: 6 }, { scanwindow: 3, scanweighting: 'constant' }, 1)).toEqual({
+                window: 3,
+                weighting: 'constant',
+                unit: 'paragraph'
+            });
+        });
+
+        test('should only connect the words next to each other without the full scan', () => {
+            expect(Cooccurrence.settings({ scanwindow: 6 }, {}, null).window).toBe(2);
+            expect(Cooccurrence.settings({ scanwindow: 6 }, { scanwindow: 5 }, null).window).toBe(5);
+        });
+    });
+
+    describe('sanitize', () => {
+        test('should keep what we know and drop the rest', () => {
+            expect(Cooccurrence.sanitize('8', 'inverse', 'sentence')).toEqual({
+                scanwindow: 8,
+                scanweighting: 'inverse',
+                scanunit: 'sentence'
+            });
+            expect(Cooccurrence.sanitize('100', 'log', '')).toEqual({ scanwindow: 20, scanweighting: null, scanunit: null });
+            expect(Cooccurrence.sanitize('1', undefined, 'page').scanwindow).toBeNull();
+        });
+    });
+
+    describe('weight', () => {
+        test('should decrease with the distance as the weighting says', () => {
+            const linear = { window: 4, weighting: 'linear' };
+
+            expect([1, 2, 3].map(d => Cooccurrence.weight(d, linear, 3))).toEqual([3, 2, 1]);
+            expect([1, 2, 3].map(d => Cooccurrence.weight(d, { window: 4, weighting: 'inverse' }, 3))).toEqual([3, 1.5, 1]);
+            expect([1, 2, 3].map(d => Cooccurrence.weight(d, { window: 4, weighting: 'constant' }, 3))).toEqual([3, 3, 3]);
+            expect(Cooccurrence.weight(5, { window: 6, weighting: 'linear' }, 3)).toBe(0.6);
+        });
+    });
+
+    describe('sentences', () => {
+        test('should find the sentence of every concept in the order of the text', () => {
+            expect(Cooccurrence.sentences('Cats like milk. Dogs like cats! #social_network', ['cat', 'milk', 'dog', 'cat', 'social_network'])).toEqual([
+                0,
+                0,
+                1,
+                1,
+                2
+            ]);
+        });
+    });
+
+    describe('CypherQuery.addStatement', () => {
+        const contexts = [{ uid: 'c1', name: 'pets' }];
+
+        test('should make the same edges as before with the default settings', () => {
+            expect(scanEdges('a b c d', ['a', 'b', 'c', 'd'], contexts)).toEqual([
+                { from: 'a', to: 'b', context: 'c1', weight: 3 },
+                { from: 'b', to: 'c', context: 'c1', weight: 3 },
+                { from: 'a', to: 'c', context: 'c1', weight: 2 },
+                { from: 'c', to: 'd', context: 'c1', weight: 3 },
+                { from: 'a', to: 'd', context: 'c1', weight: 1 },
+                { from: 'b', to: 'd', context: 'c1', weight: 2 }
+            ]);
+            expect(scanEdges('a b c', ['a', 'b', 'c'], contexts, {}, null)).toHaveLength(2);
+        });
+
+        test('should scan every context with its own window and weighting', () => {
+            const edges = scanEdges('a b c', ['a', 'b', 'c'], [
+                { uid: 'c1', name: 'tweets', scanwindow: 2 },
+                { uid: 'c2', name: 'essays', scanweighting: 'constant' }
+            ]);
+
+            expect(edges.filter(edge => edge.context == 'c1')).toHaveLength(2);
+            expect(edges.filter(edge => edge.context == 'c2')).toContainEqual({ from: 'a', to: 'c', context: 'c2', weight: 3 });
+        });
+
+        test('should not connect the words across sentences in the sentence scan', () => {
+            const edges = scanEdges('Cats drink milk. Dogs bark.', ['cat', 'drink', 'milk', 'dog', 'bark'], contexts, {
+                scanunit: 'sentence'
+            });
+
+            expect(edges.map(edge => edge.from + '-' + edge.to)).toEqual(['cat-drink', 'drink-milk', 'cat-milk', 'dog-bark']);
+        });
+    });
+});
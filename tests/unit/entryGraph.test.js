@@ -0,0 +1,147 @@
+/**
+ * Unit tests for the top nodes of the graph in Entry.getNodes, with a benchmark on 100 000 edges
+ */
+
+const mockCypherQuery = jest.fn();
+
+jest.mock('node-neo4j', () => jest.fn().mockImplementation(() => ({ cypherQuery: mockCypherQuery })));
+
+const Entry = require('../../lib/entry');
+
+const contexts = [['notes', 'c1'], ['diary', 'c2']];
+
+// A graph of `edges` edges between `concepts` concepts where the first concepts have more edges
+function fixture(edges, concepts) {
+    const rows = [];
+    let seed = 42;
+
+    // The same pseudorandom graph every time
+    function random() {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+    }
+
+    function concept() {
+        return Math.floor(Math.pow(random(), 3) * concepts);
+    }
+
+    for (let i = 0; i < edges; i++) {
+        const source = concept();
+        const target = concept();
+
+        rows.push([
+            'n' + source,
+            'concept' + source,
+            'n' + target,
+            'concept' + target,
+            'e' + i,
+            i % 2 ? 'c1' : 'c2',
+            's' + Math.floor(i / 4),
+            String(1 + (i % 3))
+        ]);
+    }
+
+    return rows;
+}
+
+// The way the top nodes were selected before, with a lookup through all the nodes for every edge
+function naiveTopNodes(rows, stopwords, maxnodes) {
+    const sorted = [];
+
+    rows.forEach(row => {
+        [[row[0], row[1]], [row[2], row[3]]].forEach(([uid, name]) => {
+            const node = sorted.find(node => node.name == name);
+
+            if (!node) {
+                if (stopwords.indexOf(name) == -1) sorted.push({ val: uid, name, count: parseInt(row[7]) || 3 });
+            } else if (node.val == uid) {
+                node.count += parseInt(row[7]) || 3;
+            }
+        });
+    });
+
+    sorted.sort((a, b) => b.count - a.count);
+
+    return sorted.slice(0, maxnodes).map(node => node.val);
+}
+
+describe('Entry graph', () => {
+    describe('buildGraph', () => {
+        test('should keep the edges between the top nodes only', () => {
+            const rows = [
+                ['n1', 'cat', 'n2', 'milk', 'e1', 'c1', 's1', '3'],
+                ['n1', 'cat', 'n3', 'dog', 'e2', 'c2', 's2', '3'],
+                ['n1', 'cat', 'n2', 'milk', 'e3', 'c2', 's3', null],
+                ['n4', 'the', 'n1', 'cat', 'e4', 'c1', 's1', '3'],
+                ['n2', 'milk', 'n5', 'bowl', 'e5', 'c1', 's4', '1'],
+                ['n2', 'milk', 'n6', 'fridge', 'e6', 'c9', 's5', '3']
+            ];
+
+            const graph = Entry.buildGraph(rows, contexts, ['the'], 3);
+
+            expect(graph.nodes).toEqual([
+                { id: 'n1', label: 'cat' },
+                { id: 'n3', label: 'dog' },
+                { id: 'n2', label: 'milk' }
+            ]);
+            expect(graph.edges).toEqual([
+                {
+                    source: 'n1',
+                    target: 'n2',
+                    id: 'e1',
+                    context_matrix: { notes: { s1: '3' }, diary: { s3: 3 } },
+                    weight: 6
+                },
+                { source: 'n1', target: 'n3', id: 'e2', context_matrix: { diary: { s2: '3' } }, weight: 3 }
+            ]);
+        });
+
+        test('should select the same top nodes as the lookup through all the nodes', () => {
+            const rows = fixture(2000, 300);
+            const stopwords = ['concept0', 'concept5'];
+
+            const graph = Entry.buildGraph(rows, contexts, stopwords, 50);
+
+            expect(graph.nodes.map(node => node.id).sort()).toEqual(naiveTopNodes(rows, stopwords, 50).sort());
+        });
+
+        test('should build the graph of 100 000 edges in a few hundred milliseconds', () => {
+            const rows = fixture(100000, 20000);
+
+            const start = Date.now();
+            const graph = Entry.buildGraph(rows, contexts, ['concept1'], 150);
+            const elapsed = Date.now() - start;
+
+            expect(graph.nodes).toHaveLength(150);
+            expect(graph.nodes.find(node => node.label == 'concept1')).toBeUndefined();
+            expect(elapsed).toBeLessThan(2000);
+        });
+    });
+
+    describe('getNodes', () => {
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            mockCypherQuery.mockReset();
+            mockCypherQuery.mockImplementation((query, params, cb) => cb(null, { data: [] }));
+        });
+
+        afterEach(() => {
+            console.log.mockRestore();
+        });
+
+        test('should rank the nodes and filter the stopwords in the query', done => {
+            const res = { locals: { contextslist: contexts, user: { uid: 'u1', maxnodes: 40, stopwords: 'cat, -dog milk' } } };
+            const req = { query: {} };
+
+            Entry.getNodes('u1', 'u1', ['notes'], null, null, res, req, err => {
+                const [query, params] = mockCypherQuery.mock.calls[0];
+
+                expect(query).toContain("WHERE (rel.gapscan='2' OR rel.gapscan IS NULL)   AND NOT start.name IN $p0 AND NOT end.name IN $p0");
+                expect(query).toContain('UNWIND [start, end] AS node  WITH node, SUM(COALESCE(toInteger(rel.weight), 3)) AS degree');
+                expect(query).toContain('ORDER BY degree DESC LIMIT $p1');
+                expect(params).toMatchObject({ p0: ['cat', 'milk'], p1: 40 });
+                done(err);
+            });
+        });
+    });
+});
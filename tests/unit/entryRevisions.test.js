@@ -0,0 +1,101 @@
+/**
+ * Unit tests for the statement edit history
+ */
+
+const mockCypherQuery = jest.fn();
+const mockTransaction = jest.fn();
+
+jest.mock('node-neo4j', () =>
+    jest.fn().mockImplementation(() => ({
+        cypherQuery: mockCypherQuery,
+        beginAndCommitTransaction: mockTransaction
+    }))
+);
+
+const Entry = require('../../lib/entry');
+const validate = require('../../lib/middleware/validate');
+
+// Answer every REST query with the given rows
+function answerWith(data) {
+    mockCypherQuery.mockImplementation((query, params, cb) => cb(null, { columns: [], data: data }));
+}
+
+describe('Statement revisions', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        mockCypherQuery.mockReset();
+        mockTransaction.mockReset();
+        mockTransaction.mockImplementation((body, cb) => cb(null, { results: [] }));
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    describe('Entry.revision', () => {
+        test('should keep the old wording and detach the statement without deleting it', done => {
+            answerWith([['st1', 15000000000000000]]);
+
+            Entry.revision('u1', 'st1', (err, statement) => {
+                expect(err).toBeNull();
+                expect(statement).toMatchObject({ uid: 'st1', timestamp: 15000000000000000 });
+
+                const statements = statement.queries.map(query => query.build());
+
+                expect(statements).toHaveLength(6);
+                expect(statements[0].query).toContain('CREATE (s)-[:REVISION]->(r)');
+                expect(statements[0].params.statementId).toBe('st1');
+                statements.forEach(({ query }) => expect(query).not.toMatch(/DELETE .*\bs\b/));
+
+                // They run with the save of the new wording
+                expect(mockTransaction).not.toHaveBeenCalled();
+                done();
+            });
+        });
+
+        test('should not touch statements of other users', done => {
+            answerWith([]);
+
+            Entry.revision('u2', 'st1', (err, statement) => {
+                expect(statement).toBeNull();
+                expect(mockCypherQuery.mock.calls[0][1]).toEqual({ statementId: 'st1', userId: 'u2' });
+                expect(mockTransaction).not.toHaveBeenCalled();
+                done();
+            });
+        });
+    });
+
+    describe('Entry.getRevisions', () => {
+        test('should return the statement with its revisions', done => {
+            const revisions = [{ uid: 'r2', text: 'second' }, { uid: 'r1', text: 'first' }];
+            answerWith([[{ uid: 'st1', text: 'third' }, revisions]]);
+
+            Entry.getRevisions('u1', 'st1', (err, history) => {
+                expect(history).toEqual({ statement: { uid: 'st1', text: 'third' }, revisions: revisions });
+                expect(mockCypherQuery.mock.calls[0][0]).toContain('ORDER BY r.revised DESC');
+                done();
+            });
+        });
+    });
+
+    describe('validate.isToDelete', () => {
+        test('should pass an edit on to entries.submit under the same statement ID', done => {
+            mockCypherQuery.mockImplementation((query, params, cb) =>
+                cb(null, { columns: [], data: query.indexOf('RETURN o.uid') >= 0 ? [['u1', ['notes']]] : [['st1', 15000000000000000]] })
+            );
+
+            const req = { body: { edit: 'edit', statementid: 'st1' } };
+            const res = { locals: { user: { uid: 'u1' } }, send: jest.fn() };
+
+            validate.isToDelete()(req, res, () => {
+                expect(req.statementid).toBe('st1');
+                expect(req.body.timestamp).toBe(15000000000000000);
+                expect(req.revision).toHaveLength(6);
+                expect(req.owners).toEqual([{ uid: 'u1', contexts: ['notes'] }]);
+                expect(mockTransaction).not.toHaveBeenCalled();
+                expect(res.send).not.toHaveBeenCalled();
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,293 @@
+/**
+ * Unit tests for the promise-based Entry service
+ */
+
+const mockCypherQuery = jest.fn();
+const mockTransaction = jest.fn();
+
+jest.mock('node-neo4j', () =>
+    jest.fn().mockImplementation(() => ({
+        cypherQuery: mockCypherQuery,
+        beginAndCommitTransaction: mockTransaction
+    }))
+);
+
+const { EntryService } = require('../../lib/services/entryService');
+const { graphCache } = require('../../lib/services/graphCache');
+const options = require('../../options');
+
+// What the database answers to the queries the service makes
+function answer(query) {
+    if (query.indexOf('MATCH (u:User{uid:$uid}) RETURN u') === 0) {
+        return [{ uid: 'u1', name: 'alice', inlanguage: 'en', fullscan: '1' }];
+    }
+    if (query.indexOf('RETURN DISTINCT ctx.name, ctx.uid') >= 0) {
+        return [['notes', 'c1']];
+    }
+    if (query.indexOf("apoc.index.relationships('TO'") >= 0) {
+        return [
+            ['n1', 'cat', 'n2', 'milk', 'e1', 'c1', 's1', 3],
+            ['n2', 'milk', 'n3', 'dog', 'e2', 'c1', 's1', 2]
+        ];
+    }
+    if (query.indexOf('c.name IN $contexts') >= 0) {
+        return [{ uid: 'c1', name: 'notes', scanwindow: 2 }];
+    }
+    if (query.indexOf('RETURN DISTINCT ctx, o.uid') >= 0) {
+        return [[{ uid: 'c1', name: 'notes', scanwindow: 2 }, 'u1']];
+    }
+    return [];
+}
+
+function capturedQueries() {
+    return mockCypherQuery.mock.calls.map(call => ({ query: call[0], params: call[1] }));
+}
+
+describe('EntryService', () => {
+    let service;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        options.stopwords_en = ['the', 'a', 'and'];
+        mockCypherQuery.mockReset();
+        mockCypherQuery.mockImplementation((query, params, cb) => cb(null, { columns: [], data: answer(query) }));
+        mockTransaction.mockReset();
+        mockTransaction.mockImplementation((body, cb) => cb(null, { results: [] }));
+        service = new EntryService();
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    describe('getGraph', () => {
+        test('should get the graph of a context without the Express objects', async () => {
+            const graph = await service.getGraph('u1', '#notes');
+
+            expect(graph.nodes.map(node => node.label)).toEqual(['cat', 'dog', 'milk']);
+            expect(graph.edges).toHaveLength(2);
+            expect(graph.edges[0]).toMatchObject({ source: 'n1', target: 'n2', weight: 3 });
+        });
+
+        test('should reject a context the user does not have', async () => {
+            await expect(service.getGraph('u1', 'secrets')).rejects.toThrow('Context not found: secrets');
+        });
+
+        test('should reject an unknown user', async () => {
+            mockCypherQuery.mockImplementation((query, params, cb) => cb(null, { columns: [], data: [] }));
+
+            await expect(service.getGraph('nobody', 'notes')).rejects.toThrow('User not found: nobody');
+        });
+    });
+
+    describe('getSentiment', () => {
+        test('should score the statements saved before in the language the user has now', async () => {
+            let inlanguage = 'en';
+
+            graphCache.clear();
+            mockCypherQuery.mockImplementation((query, params, cb) => {
+                if (query.indexOf('MATCH (u:User{uid:$uid}) RETURN u') === 0) return cb(null, { data: [{ uid: 'u1', name: 'alice', inlanguage }] });
+                if (query.indexOf('s.emotions') >= 0) return cb(null, { data: [['s1', null, null, 'This is not good', 1]] });
+                cb(null, { columns: [], data: answer(query) });
+            });
+
+            expect((await service.getSentiment('u1', 'notes')).sentiment).toBeLessThan(0);
+
+            inlanguage = 'de';
+
+            expect((await service.getSentiment('u1', 'notes')).sentiment).toBeNull();
+        });
+    });
+
+    describe('submit', () => {
+        test('should save the statements with the concepts extracted with the user settings', async () => {
+            const result = await service.submit('u1', 'Cats drink the milk\nDogs bark', { context: '#notes' });
+
+            expect(result.context).toBe('notes');
+            expect(result.statements.map(statement => statement.name)).toEqual(['#cat #drink #milk ', '#dog #bark ']);
+
+            const saved = capturedQueries().find(({ params }) => params.statements);
+
+            expect(saved.params.statements).toHaveLength(2);
+            expect(saved.params.statements[0].conceptsRelations[0]).toMatchObject({ from: 'cat', to: 'drink', context: 'c1' });
+            expect(saved.params.statements[0].conceptsRelations.filter(edge => edge.from == 'cat' && edge.to == 'milk')).toHaveLength(0);
+        });
+
+        test('should reject a text without concepts', async () => {
+            await expect(service.submit('u1', '   ')).rejects.toThrow('There is no text to add');
+        });
+    });
+
+    describe('listStatements', () => {
+        // The count first, then the page, single column answers come back flattened
+        function answerPage(total, statements) {
+            mockCypherQuery.mockImplementation((query, params, cb) =>
+                cb(null, { data: query.indexOf('RETURN count(DISTINCT s)') >= 0 ? total : statements })
+            );
+        }
+
+        test('should get a page of the statements of a context with the cursor of the next one', async () => {
+            answerPage(
+                [3],
+                [
+                    { uid: 's2', text: 'Dogs bark', name: '#dog #bark ', timestamp: 200, by: 'u2', other: 1 },
+                    { uid: 's1', text: 'Cats drink milk', name: '#cat #drink #milk ', timestamp: 100 }
+                ]
+            );
+
+            const page = await service.listStatements('u1', 'notes', { limit: 1, after: { timestamp: 300, uid: 's3' }, since: 50 });
+
+            expect(page).toEqual({
+                total: 3,
+                limit: 1,
+                next: Buffer.from(JSON.stringify([200, 's2'])).toString('base64url'),
+                statements: [{ uid: 's2', text: 'Dogs bark', name: '#dog #bark ', timestamp: 200, by: 'u2' }]
+            });
+
+            const [count, list] = capturedQueries();
+
+            expect(count.query).toContain('WHERE s.trashed IS NULL AND s.timestamp >= $p0 RETURN count(DISTINCT s);');
+            expect(count.params).toMatchObject({ context: 'notes', p0: 50 });
+
+            // Only the page is read, not the whole context
+            expect(list.query).toContain('WHERE ctx.trashed IS NULL AND s.trashed IS NULL AND s.timestamp >= $p0 AND (s.timestamp < $p1 OR (s.timestamp = $p1 AND s.uid < $p2))');
+            expect(list.query).toContain('RETURN DISTINCT s ORDER BY s.timestamp DESC, s.uid DESC LIMIT $end;');
+            expect(list.query).not.toContain('collect(');
+            expect(list.params).toMatchObject({ context: 'notes', p0: 50, p1: 300, p2: 's3', end: 2 });
+        });
+
+        test('should end on the last page', async () => {
+            answerPage([1], [{ uid: 's1', timestamp: 100 }]);
+
+            expect((await service.listStatements('u1', 'notes', { limit: 5 })).next).toBeNull();
+            expect(capturedQueries()[1].query).toContain('WHERE ctx.trashed IS NULL AND s.trashed IS NULL RETURN DISTINCT s');
+        });
+
+        test('should tell when there is no such context', async () => {
+            mockCypherQuery.mockImplementation((query, params, cb) => cb(null, { data: [] }));
+
+            await expect(service.listStatements('u1', 'secrets')).resolves.toBeNull();
+            expect(mockCypherQuery).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('updateContext', () => {
+        test('should not rename a context into one that exists', async () => {
+            mockCypherQuery.mockImplementation((query, params, cb) =>
+                cb(null, { data: [[{ uid: 'c-' + params.context, name: params.context }, 0]] })
+            );
+
+            await expect(service.updateContext('u1', 'notes', { name: 'diary' })).rejects.toMatchObject({ code: 'conflict' });
+        });
+    });
+
+    describe('updateStatement', () => {
+        test('should keep the old text as a revision and save the new one under the same uid', async () => {
+            const saved = [];
+
+            mockCypherQuery.mockImplementation((query, params, cb) => {
+                if (query.indexOf('MATCH (s:Statement{uid:$statementId})-[:BY]->(u:User{uid:$userId}) WHERE s.trashed IS NULL RETURN') === 0) {
+                    return cb(null, { data: [['s1', 100]] });
+                }
+                if (query.indexOf('RETURN s, collect(DISTINCT ctx.name)') >= 0) {
+                    return cb(null, { data: [[{ uid: 's1', text: 'Cats drink milk', name: '#cat ', timestamp: 100 }, ['notes']]] });
+                }
+                if (params.statements) saved.push(params.statements);
+                cb(null, { columns: [], data: answer(query) });
+            });
+
+            const statement = await service.updateStatement('u1', 's1', 'Dogs bark\nloudly');
+            const transaction = mockTransaction.mock.calls[0][0].statements;
+
+            expect(statement.uid).toBe('s1');
+            expect(transaction[0].statement).toContain('CREATE (r:Revision');
+            expect(transaction).toHaveLength(7);
+            expect(transaction[6].parameters.statements).toHaveLength(1);
+            expect(transaction[6].parameters.statements[0]).toMatchObject({ uid: 's1', timestamp: 100, text: 'Dogs bark loudly' });
+            expect(saved).toEqual([]);
+        });
+
+        test('should leave the statement as it was when the new text is rejected', async () => {
+            mockCypherQuery.mockImplementation((query, params, cb) => {
+                if (query.indexOf('RETURN s, collect(DISTINCT ctx.name)') >= 0) {
+                    return cb(null, { data: [[{ uid: 's1', text: 'Cats drink milk', name: '#cat ', timestamp: 100 }, ['notes']]] });
+                }
+                cb(null, { columns: [], data: answer(query) });
+            });
+
+            await expect(service.updateStatement('u1', 's1', '')).rejects.toThrow('There is no text to add');
+            expect(mockTransaction).not.toHaveBeenCalled();
+        });
+
+        test('should save the statement of a member back into the context the owner shared with them', async () => {
+            mockCypherQuery.mockImplementation((query, params, cb) => {
+                if (query.indexOf('MATCH (s:Statement{uid:$statementId})-[:BY]->(u:User{uid:$userId}) WHERE s.trashed IS NULL RETURN') === 0) {
+                    return cb(null, { data: [['s1', 100]] });
+                }
+                if (query.indexOf('RETURN s, collect(DISTINCT ctx.name)') >= 0) {
+                    return cb(null, { data: [[{ uid: 's1', text: 'Cats drink milk', name: '#cat ', timestamp: 100 }, ['research']]] });
+                }
+                if (query.indexOf('RETURN DISTINCT ctx, o.uid') >= 0) return cb(null, { data: [[{ uid: 'c2', name: 'research' }, 'u2']] });
+                if (query.indexOf('RETURN o.uid') >= 0) return cb(null, { data: [['u2', ['research']]] });
+                cb(null, { columns: [], data: answer(query) });
+            });
+
+            await service.updateStatement('u1', 's1', 'Dogs bark');
+
+            const save = mockTransaction.mock.calls[0][0].statements.pop();
+
+            expect(save.parameters.contextNames).toEqual([expect.objectContaining({ uid: 'c2', name: 'research', by: 'u2' })]);
+
+            // No context of the member is looked up or made
+            expect(capturedQueries().some(({ query }) => query.indexOf('c.name IN $contexts') >= 0 || query.indexOf('MERGE (c:Context') >= 0)).toBe(false);
+        });
+
+        test('should invalidate the graphs of the owner of a shared context it is in', async () => {
+            const events = [];
+
+            mockCypherQuery.mockImplementation((query, params, cb) => {
+                if (query.indexOf('MATCH (s:Statement{uid:$statementId})-[:BY]->(u:User{uid:$userId}) WHERE s.trashed IS NULL RETURN') === 0) {
+                    return cb(null, { data: [['s1', 100]] });
+                }
+                if (query.indexOf('RETURN s, collect(DISTINCT ctx.name)') >= 0) {
+                    return cb(null, { data: [[{ uid: 's1', text: 'Cats drink milk', name: '#cat ', timestamp: 100 }, ['shared']]] });
+                }
+                if (query.indexOf('RETURN o.uid') >= 0) return cb(null, { data: [['u2', ['shared']]] });
+                cb(null, { columns: [], data: answer(query) });
+            });
+            graphCache.set('owner', { nodes: [], edges: [] }, { user: 'u2', contexts: ['shared'] });
+            service.events.on('change', event => events.push([event.userId, event.change]));
+
+            await service.updateStatement('u1', 's1', 'Dogs bark');
+
+            expect(graphCache.get('owner')).toBeUndefined();
+            expect(events).toContainEqual(['u2', 'edited']);
+        });
+    });
+
+    describe('deleteStatement', () => {
+        test('should move the statement into the trash', async () => {
+            mockCypherQuery.mockImplementation((query, params, cb) => cb(null, { columns: [], data: query.indexOf('RETURN DISTINCT s.uid') >= 0 ? ['s1'] : [] }));
+
+            await expect(service.deleteStatement('u1', 's1')).resolves.toBe(true);
+            expect(mockTransaction.mock.calls[0][0].statements.pop().statement).toContain('SET s.trashed');
+        });
+
+        test('should invalidate the graphs of the owner of a shared context it was in', async () => {
+            mockCypherQuery.mockImplementation((query, params, cb) => {
+                if (query.indexOf('RETURN DISTINCT s.uid') >= 0) return cb(null, { data: [['s1']] });
+                if (query.indexOf('RETURN o.uid') >= 0) return cb(null, { data: [['u1', ['notes']], ['u2', ['shared']]] });
+                cb(null, { columns: [], data: [] });
+            });
+            graphCache.set('owner', { nodes: [], edges: [] }, { user: 'u2', contexts: ['shared'] });
+
+            await expect(service.deleteStatement('u1', 's1')).resolves.toBe(true);
+            expect(graphCache.get('owner')).toBeUndefined();
+        });
+
+        test('should tell when there is nothing to delete', async () => {
+            await expect(service.deleteStatement('u1', 'missing')).resolves.toBe(false);
+            expect(mockTransaction).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,217 @@
+/**
+ * Unit tests for the server-side Graph Analytics engine
+ */
+
+const { GraphAnalytics, graphAnalytics, round } = require('../../lib/analytics/graphAnalytics');
+
+// Two triangles connected by a single bridge c -> d
+const bridgedTriangles = {
+    nodes: [
+        { id: 'a', label: 'alpha' },
+        { id: 'b', label: 'beta' },
+        { id: 'c', label: 'gamma' },
+        { id: 'd', label: 'delta' },
+        { id: 'e', label: 'epsilon' },
+        { id: 'f', label: 'zeta' }
+    ],
+    edges: [
+        { source: 'a', target: 'b', id: 'e1', weight: 3 },
+        { source: 'b', target: 'c', id: 'e2', weight: 3 },
+        { source: 'a', target: 'c', id: 'e3', weight: 3 },
+        { source: 'c', target: 'd', id: 'e4', weight: 3 },
+        { source: 'd', target: 'e', id: 'e5', weight: 3 },
+        { source: 'e', target: 'f', id: 'e6', weight: 3 },
+        { source: 'd', target: 'f', id: 'e7', weight: 3 }
+    ]
+};
+
+describe('GraphAnalytics', () => {
+    describe('buildNetwork', () => {
+        test('should merge edges in both directions and sum their weights', () => {
+            const network = graphAnalytics.buildNetwork({
+                nodes: [{ id: 'a', label: 'a' }, { id: 'b', label: 'b' }],
+                edges: [
+                    { source: 'a', target: 'b', weight: 3 },
+                    { source: 'b', target: 'a', weight: 2 },
+                    { source: 'a', target: 'a', weight: 3 }
+                ]
+            });
+
+            expect(network.edgesUndirected).toBe(1);
+            expect(network.edgesDirected).toBe(2);
+            expect(network.adjacency[0].get(1)).toBe(5);
+            expect(network.strength).toEqual([5, 5]);
+        });
+    });
+
+    describe('betweennessCentrality', () => {
+        test('should give the highest centrality to the bridge nodes', () => {
+            const network = graphAnalytics.buildNetwork(bridgedTriangles);
+            const bc = graphAnalytics.betweennessCentrality(network);
+
+            // c and d lie on all 9 shortest paths between the triangles: 9 * 2 / (5 * 4)
+            expect(bc[2]).toBeCloseTo(0.6);
+            expect(bc[3]).toBeCloseTo(0.6);
+            expect(bc[0]).toBe(0);
+            expect(bc[5]).toBe(0);
+        });
+
+        test('should prefer stronger connections as shorter paths', () => {
+            const network = graphAnalytics.buildNetwork({
+                nodes: [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }],
+                edges: [
+                    { source: 'a', target: 'b', weight: 10 },
+                    { source: 'b', target: 'd', weight: 10 },
+                    { source: 'a', target: 'c', weight: 1 },
+                    { source: 'c', target: 'd', weight: 1 }
+                ]
+            });
+            const bc = graphAnalytics.betweennessCentrality(network);
+
+            expect(bc[1]).toBeGreaterThan(0);
+            expect(bc[2]).toBe(0);
+        });
+    });
+
+    describe('louvain', () => {
+        test('should find the two triangles as communities', () => {
+            const network = graphAnalytics.buildNetwork(bridgedTriangles);
+            const { communities, modularity } = graphAnalytics.louvain(network);
+
+            expect(communities[0]).toBe(communities[1]);
+            expect(communities[1]).toBe(communities[2]);
+            expect(communities[3]).toBe(communities[4]);
+            expect(communities[4]).toBe(communities[5]);
+            expect(communities[0]).not.toBe(communities[3]);
+            expect(modularity).toBeCloseTo(5 / 14);
+        });
+
+        test('should be deterministic', () => {
+            const network = graphAnalytics.buildNetwork(bridgedTriangles);
+            const first = graphAnalytics.louvain(network);
+            const second = new GraphAnalytics().louvain(network);
+
+            expect(second.communities).toEqual(first.communities);
+        });
+
+        test('should handle an empty graph', () => {
+            const network = graphAnalytics.buildNetwork({ nodes: [], edges: [] });
+            expect(graphAnalytics.louvain(network)).toEqual({ communities: [], modularity: 0 });
+        });
+    });
+
+    describe('entropy', () => {
+        test('should compute Shannon entropy in bits', () => {
+            expect(graphAnalytics.entropy([])).toBe(0);
+            expect(graphAnalytics.entropy([1, 1, 1])).toBe(0);
+            expect(graphAnalytics.entropy([0, 1, 2, 3])).toBe(2);
+            expect(graphAnalytics.entropy([10, 11])).toBe(1);
+        });
+    });
+
+    describe('round', () => {
+        test('should round the negative scores like the positive ones', () => {
+            expect(round(0.125, 2)).toBe(0.13);
+            expect(round(-0.125, 2)).toBe(-0.13);
+            expect(round(2 / 3, 2)).toBe(0.67);
+        });
+    });
+
+    describe('polysingularity', () => {
+        test('should classify the discourse structure like the analytics pane', () => {
+            const base = { nodesInTopTopic: 30, bcEntropy: 1.5, topBC: 0.3, nodesInTopComponent: 100 };
+
+            expect(graphAnalytics.polysingularity({ ...base, modularity: 0.7 })).toBe('Dispersed');
+            expect(graphAnalytics.polysingularity({ ...base, modularity: 0.5 })).toBe('Diversified');
+            expect(graphAnalytics.polysingularity({ ...base, modularity: 0.3 })).toBe('Focused');
+            expect(graphAnalytics.polysingularity({ ...base, modularity: 0.1, bcEntropy: 0 })).toBe('Biased');
+        });
+    });
+
+    describe('analyze', () => {
+        test('should annotate nodes and return a stats block', () => {
+            const result = graphAnalytics.analyze(bridgedTriangles);
+
+            expect(result.nodes).toHaveLength(6);
+            expect(result.edges).toBe(bridgedTriangles.edges);
+
+            const gamma = result.nodes.find(node => node.id === 'c');
+            expect(gamma.label).toBe('gamma');
+            expect(gamma.degree).toBe(3);
+            expect(gamma.weightedDegree).toBe(9);
+            expect(gamma.bc).toBeCloseTo(0.6);
+            expect(typeof gamma.community).toBe('number');
+
+            expect(result.stats).toMatchObject({
+                nodes: 6,
+                edges: 7,
+                density: 0.233,
+                averageDegree: 1.17,
+                modularity: 0.36,
+                communities: 2,
+                components: 1,
+                nodesInTopTopic: 50,
+                nodesInTopComponent: 100,
+                bcEntropy: 1,
+                influenceDispersal: 50,
+                polysingularity: 'Focused'
+            });
+            expect(result.stats.topInfluence.map(node => node.id).slice(0, 2).sort()).toEqual(['c', 'd']);
+        });
+    });
+
+    describe('structuralGaps', () => {
+        // Three topics: pets and dogs are linked by cat -> dog, the sky is on its own
+        const edge = (source, target, weight = 3) => ({ source, target, weight });
+        const topics = {
+            nodes: ['cat', 'milk', 'bowl', 'fur', 'dog', 'bark', 'bone', 'walk', 'sun', 'moon', 'star', 'sky'].map(id => ({ id, label: id })),
+            edges: [
+                edge('cat', 'milk'),
+                edge('milk', 'bowl'),
+                edge('cat', 'bowl'),
+                edge('cat', 'fur'),
+                edge('fur', 'milk'),
+                edge('dog', 'bark'),
+                edge('bark', 'bone'),
+                edge('dog', 'bone'),
+                edge('dog', 'walk'),
+                edge('walk', 'bone'),
+                edge('sun', 'moon'),
+                edge('moon', 'star'),
+                edge('sun', 'star'),
+                edge('sky', 'sun'),
+                edge('sky', 'star'),
+                edge('cat', 'dog', 1)
+            ]
+        };
+        const ids = concepts => concepts.map(concept => concept.id);
+
+        test('should rank the topics that are not linked at all first', () => {
+            const { gaps } = graphAnalytics.structuralGaps(topics);
+
+            expect(gaps).toHaveLength(3);
+            expect(gaps.map(gap => gap.topics.map(ids).map(list => list[0]))).toEqual([
+                ['cat', 'sun'],
+                ['dog', 'sun'],
+                ['cat', 'dog']
+            ]);
+            expect(gaps[0]).toMatchObject({ sizes: [4, 4], links: 0, gap: 1, score: 0.667 });
+            expect(gaps[2]).toMatchObject({ links: 1, gap: 0.9 });
+        });
+
+        test('should suggest the central concepts that are not linked yet as bridges', () => {
+            const { gaps } = graphAnalytics.structuralGaps(topics, { maxBridges: 10 });
+            const bridges = gaps[2].bridges.map(bridge => bridge.source.id + ' ' + bridge.target.id);
+
+            expect(bridges[0]).toBe('cat bone');
+            expect(bridges).not.toContain('cat dog');
+            expect(gaps[2].bridges[0].source).toEqual({ id: 'cat', label: 'cat' });
+        });
+
+        test('should leave out the communities that are too small to be topics', () => {
+            expect(graphAnalytics.structuralGaps(bridgedTriangles).gaps).toHaveLength(1);
+            expect(graphAnalytics.structuralGaps(bridgedTriangles, { minGapCommunity: 4 }).gaps).toEqual([]);
+            expect(graphAnalytics.structuralGaps({ nodes: [], edges: [] }).gaps).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for the cache of the computed graphs
+ */
+
+const mockCypherQuery = jest.fn();
+
+jest.mock('node-neo4j', () => jest.fn().mockImplementation(() => ({ cypherQuery: mockCypherQuery })));
+
+const { graphCache, GraphCache } = require('../../lib/services/graphCache');
+const Entry = require('../../lib/entry');
+const validate = require('../../lib/middleware/validate');
+
+const graph = { nodes: [{ id: 'n1', label: 'cat' }], edges: [] };
+
+describe('GraphCache', () => {
+    let cache;
+
+    beforeEach(() => {
+        cache = new GraphCache({ maxEntries: 3, ttl: 1000 });
+    });
+
+    test('should tell the graphs apart by how they are made', () => {
+        const key = GraphCache.key({ receiver: 'u1', perceiver: 'u1', contexts: ['notes'], maxnodes: 150 });
+
+        expect(GraphCache.key({ receiver: 'u1', perceiver: 'u1', contexts: ['notes'], maxnodes: '150' })).toBe(key);
+        expect(GraphCache.key({ receiver: 'u1', perceiver: 'u1', contexts: ['notes'], maxnodes: 150, fullview: 1 })).not.toBe(key);
+        expect(GraphCache.key({ receiver: 'u2', perceiver: 'u1', contexts: ['notes'], maxnodes: 150 })).not.toBe(key);
+    });
+
+    test('should forget the expired and the least recently used graphs', () => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+
+        ['a', 'b', 'c'].forEach(key => cache.set(key, graph, { user: 'u1' }));
+        cache.get('a');
+        cache.set('d', graph, { user: 'u1' });
+
+        expect(cache.get('b')).toBeUndefined();
+        expect(cache.get('a')).toBe(graph);
+
+        now.mockReturnValue(1001);
+
+        expect(cache.get('a')).toBeUndefined();
+        expect(cache.getMemoryUsage()).toEqual({ entries: 2, hits: 2, misses: 2 });
+
+        now.mockRestore();
+    });
+
+    test('should invalidate the graphs of the contexts a user changed', () => {
+        cache = new GraphCache({ maxEntries: 10, ttl: 1000 });
+
+        cache.set('notes', graph, { user: 'u1', contexts: ['notes'] });
+        cache.set('diary', graph, { user: 'u1', contexts: ['diary'] });
+        cache.set('all', graph, { user: 'u1', contexts: [undefined] });
+        cache.set('other', graph, { user: 'u2', contexts: ['notes'] });
+
+        expect(cache.invalidate('u1', ['notes'])).toBe(2);
+        expect(cache.get('diary')).toBe(graph);
+        expect(cache.get('other')).toBe(graph);
+
+        expect(cache.invalidate('u1')).toBe(1);
+        expect(cache.get('diary')).toBeUndefined();
+    });
+
+    test('should compute what is derived from a graph once', () => {
+        const compute = jest.fn(() => ({ stats: {} }));
+
+        expect(cache.derive(graph, 'analytics', compute)).toBe(cache.derive(graph, 'analytics', compute));
+        expect(compute).toHaveBeenCalledTimes(1);
+    });
+
+    test('should let the memory go under pressure', () => {
+        cache = new GraphCache({ maxEntries: 10, ttl: 1000 });
+        ['a', 'b', 'c', 'd'].forEach(key => cache.set(key, graph, { user: 'u1' }));
+
+        cache.onMemoryPressure('high');
+        expect(cache.entries.size).toBe(2);
+
+        cache.onMemoryPressure('critical');
+        expect(cache.entries.size).toBe(0);
+    });
+});
+
+describe('Entry.getNodes with the cache', () => {
+    const res = { locals: { contextslist: [['notes', 'c1']], user: { uid: 'u1' } } };
+    const req = { query: {} };
+
+    function getNodes() {
+        return new Promise((resolve, reject) => {
+            Entry.getNodes('u1', 'u1', ['notes'], null, null, res, req, (err, graph) => (err ? reject(err) : resolve(graph)));
+        });
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        graphCache.clear();
+        mockCypherQuery.mockReset();
+        mockCypherQuery.mockImplementation((query, params, cb) =>
+            cb(null, { data: [['n1', 'cat', 'n2', 'milk', 'e1', 'c1', 's1', '3']] })
+        );
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    test('should query the graph once until its context changes', async () => {
+        const graph = await getNodes();
+
+        expect(await getNodes()).toBe(graph);
+        expect(mockCypherQuery).toHaveBeenCalledTimes(1);
+
+        graphCache.invalidate('u1', ['notes']);
+
+        expect(await getNodes()).toEqual(graph);
+        expect(mockCypherQuery).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('validate.changeContextPrivacy with the cache', () => {
+    beforeEach(() => {
+        graphCache.clear();
+        mockCypherQuery.mockReset();
+        mockCypherQuery.mockImplementation((query, params, cb) => cb(null, { data: [] }));
+    });
+
+    test('should invalidate the graphs of the context that is made public', async () => {
+        graphCache.set('notes', graph, { user: 'u1', contexts: ['notes'] });
+        graphCache.set('diary', graph, { user: 'u1', contexts: ['diary'] });
+
+        await new Promise((resolve, reject) => {
+            const res = { locals: { user: { uid: 'u1' } }, error: () => {}, redirect: resolve };
+            validate.changeContextPrivacy()({ body: { privacy: 'make public', context: 'notes' } }, res, reject);
+        });
+
+        expect(mockCypherQuery.mock.calls[0][0]).toContain('SET ctx.public = "1"');
+        expect(graphCache.get('notes')).toBeUndefined();
+        expect(graphCache.get('diary')).toBe(graph);
+    });
+});
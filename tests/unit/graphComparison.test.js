@@ -0,0 +1,102 @@
+/**
+ * Unit tests for the comparison of the graphs of several contexts
+ */
+
+const { graphComparison } = require('../../lib/analytics/graphComparison');
+
+// Two interviews: both talk about cats and dogs, only the first one about bowls and fur, only the second one about walks
+const edge = (source, target, statements) => ({
+    source,
+    target,
+    id: source + '-' + target,
+    context_matrix: statements,
+    weight: Object.values(statements).reduce((sum, weights) => sum + Object.values(weights).reduce((a, b) => a + b, 0), 0)
+});
+
+const interviews = {
+    nodes: ['bark', 'bone', 'bowl', 'cat', 'dog', 'fur', 'milk', 'walk'].map(id => ({ id, label: id })),
+    edges: [
+        edge('cat', 'milk', { first: { s1: 3 }, second: { s8: 3 } }),
+        edge('milk', 'bowl', { first: { s1: 3 } }),
+        edge('cat', 'bowl', { first: { s1: 3 } }),
+        edge('cat', 'fur', { first: { s2: 3 } }),
+        edge('cat', 'dog', { first: { s3: 3 }, second: { s9: 3 } }),
+        edge('dog', 'bark', { first: { s4: 3 }, second: { s10: 3 } }),
+        edge('dog', 'bone', { first: { s4: 3 }, second: { s10: 3 } }),
+        edge('bark', 'bone', { second: { s10: 3 } }),
+        edge('dog', 'walk', { second: { s11: 3 } })
+    ]
+};
+
+describe('GraphComparison', () => {
+    const contexts = graphComparison.split(interviews, ['first', 'second']);
+
+    test('should split a graph of several contexts into the graph of each one', () => {
+        expect(contexts.map(context => context.name)).toEqual(['first', 'second']);
+        expect(contexts[0].graph.nodes.map(node => node.id).sort()).toEqual(['bark', 'bone', 'bowl', 'cat', 'dog', 'fur', 'milk']);
+        expect(contexts[1].graph.edges.find(edge => edge.id === 'cat-milk')).toMatchObject({ weight: 3, context_matrix: { second: { s8: 3 } } });
+    });
+
+    test('should find the concepts the contexts share and the ones only one of them has', () => {
+        const comparison = graphComparison.compare(contexts);
+
+        expect(comparison.sharedCount).toBe(5);
+        expect(comparison.shared.map(concept => concept.id).slice(0, 2).sort()).toEqual(['cat', 'dog']);
+        expect(comparison.unique.first.map(concept => concept.id).sort()).toEqual(['bowl', 'fur']);
+        expect(comparison.unique.second.map(concept => concept.id)).toEqual(['walk']);
+        expect(comparison.contexts.map(context => [context.name, context.nodes])).toEqual([
+            ['first', 7],
+            ['second', 6]
+        ]);
+    });
+
+    test('should list the shared concepts whose influence changed the most', () => {
+        const { influence } = graphComparison.compare(contexts);
+
+        expect(influence.length).toBeGreaterThan(0);
+        influence.forEach(concept => {
+            expect(concept.change).toBe(Math.max(...concept.ranks) - Math.min(...concept.ranks));
+            expect(concept.change).toBeGreaterThan(0);
+        });
+        expect(influence[0].change).toBeGreaterThanOrEqual(influence[influence.length - 1].change);
+    });
+
+    test('should match the topics and score how similar the contexts are', () => {
+        const [pair] = graphComparison.compare(contexts).pairs;
+
+        expect(pair.contexts).toEqual(['first', 'second']);
+        expect(pair.concepts).toBe(0.625);
+        expect(pair.similarity).toBeCloseTo((pair.concepts + pair.edges) / 2, 2);
+
+        const dogs = pair.topics.find(topic => topic.concepts.some(concept => concept.id === 'bark'));
+
+        expect(dogs.match.concepts.map(concept => concept.id)).toContain('bark');
+        expect(dogs.jaccard).toBe(0.75);
+    });
+
+    test('should find a context the same as itself', () => {
+        const [pair] = graphComparison.compare([contexts[0], { ...contexts[0], name: 'copy' }]).pairs;
+
+        expect(pair).toMatchObject({ concepts: 1, edges: 1, similarity: 1 });
+        pair.topics.forEach(topic => expect(topic.jaccard).toBe(1));
+    });
+
+    test('should compare every two of three contexts', () => {
+        const third = {
+            name: 'third',
+            graph: {
+                nodes: [
+                    { id: 'sun', label: 'sun' },
+                    { id: 'moon', label: 'moon' }
+                ],
+                edges: [edge('sun', 'moon', { third: { s20: 3 } })]
+            }
+        };
+        const comparison = graphComparison.compare(contexts.concat(third));
+
+        expect(comparison.pairs.map(pair => pair.contexts.join(' '))).toEqual(['first second', 'first third', 'second third']);
+        expect(comparison.sharedCount).toBe(0);
+        expect(comparison.pairs[1].similarity).toBe(0);
+        expect(comparison.unique.third.map(concept => concept.id).sort()).toEqual(['moon', 'sun']);
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for the GraphML, Cytoscape and DOT exports
+ */
+
+const { graphFormats } = require('../../lib/analytics/graphFormats');
+
+// Two connected concepts from a statement in each of two contexts
+const graph = {
+    nodes: [
+        { id: 'cats', label: 'cats' },
+        { id: 'dogs', label: 'dogs' },
+        { id: 'r&b', label: 'r&b "music"' }
+    ],
+    edges: [
+        { source: 'cats', target: 'dogs', id: 'e1', weight: 5, context_matrix: { pets: { st1: 3 }, home: { st2: 2 } } },
+        { source: 'dogs', target: 'r&b', id: 'e2', weight: 3, context_matrix: { pets: { st1: 3 } } }
+    ]
+};
+
+describe('GraphFormats', () => {
+    describe('graphml', () => {
+        test('should declare the attributes and escape the labels', () => {
+            const xml = graphFormats.graphml(graph);
+
+            expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<graphml /);
+            expect(xml).toContain('<key id="n_bc" for="node" attr.name="bc" attr.type="double"/>');
+            expect(xml).toContain('<key id="e_context_matrix" for="edge" attr.name="context_matrix" attr.type="string"/>');
+            expect(xml).toContain('<node id="r&amp;b">');
+            expect(xml).toContain('<data key="n_label">r&amp;b &quot;music&quot;</data>');
+            expect(xml).toContain('<edge id="e1" source="cats" target="dogs">');
+            expect(xml).toContain('<data key="e_contexts">pets,home</data>');
+            expect(xml).toContain(
+                '<data key="e_context_matrix">{&quot;pets&quot;:{&quot;st1&quot;:3},&quot;home&quot;:{&quot;st2&quot;:2}}</data>'
+            );
+            expect(xml).toContain('<data key="n_degree">2</data>');
+            expect(xml).toMatch(/<\/graph>\n<\/graphml>\n$/);
+        });
+    });
+
+    describe('cytoscape', () => {
+        test('should put the metrics and the context matrix into the element data', () => {
+            const json = graphFormats.cytoscape(graph);
+
+            expect(json.elements.nodes).toHaveLength(3);
+            expect(json.elements.nodes[1].data).toMatchObject({ id: 'dogs', label: 'dogs', degree: 2 });
+            expect(json.elements.nodes[1].data).toHaveProperty('bc');
+            expect(json.elements.nodes[1].data).toHaveProperty('community');
+            expect(json.elements.edges[0].data).toEqual({
+                id: 'e1',
+                source: 'cats',
+                target: 'dogs',
+                weight: 5,
+                contexts: ['pets', 'home'],
+                context_matrix: { pets: { st1: 3 }, home: { st2: 2 } }
+            });
+            expect(json.data).toHaveProperty('modularity');
+        });
+    });
+
+    describe('dot', () => {
+        test('should quote every ID and attribute', () => {
+            const dot = graphFormats.dot(graph);
+
+            expect(dot).toMatch(/^digraph InfraNodus \{\n/);
+            expect(dot).toContain('"r&b" [label="r&b \\"music\\"", degree="1"');
+            expect(dot).toContain('"cats" -> "dogs" [id="e1", weight="5", contexts="pets,home", context_matrix=');
+            expect(dot).toMatch(/\}\n$/);
+        });
+    });
+});
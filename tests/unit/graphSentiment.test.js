@@ -0,0 +1,80 @@
+/**
+ * Unit tests for the sentiment of the concepts and topics of a graph
+ */
+
+const { graphSentiment, GraphSentiment } = require('../../lib/analytics/graphSentiment');
+
+const edge = (source, target, statements) => ({
+    source,
+    target,
+    id: source + '-' + target,
+    context_matrix: { feedback: statements },
+    weight: Object.values(statements).reduce((a, b) => a + b, 0)
+});
+
+// Complaints about the delivery, praise for the design
+const feedback = {
+    nodes: ['courier', 'delay', 'delivery', 'color', 'design', 'shape'].map(id => ({ id, label: id })),
+    edges: [
+        edge('delivery', 'delay', { s1: 3, s2: 3 }),
+        edge('delivery', 'courier', { s2: 3 }),
+        edge('delay', 'courier', { s2: 3 }),
+        edge('design', 'color', { s3: 3 }),
+        edge('design', 'shape', { s4: 3 }),
+        edge('color', 'shape', { s4: 3 }),
+        edge('delivery', 'design', { s5: 1 })
+    ]
+};
+
+const statements = [
+    { uid: 's1', sentiment: -0.6, emotions: ['anger'] },
+    { uid: 's2', sentiment: -0.2, emotions: ['anger', 'sadness'] },
+    { uid: 's3', sentiment: 0.8, emotions: ['joy'] },
+    { uid: 's4', sentiment: 0.4, emotions: [] },
+    { uid: 's5', sentiment: null, emotions: [] }
+];
+
+const concept = (summary, id) => summary.concepts.find(concept => concept.id === id);
+
+describe('GraphSentiment', () => {
+    test('should sum up the sentiment of all the statements', () => {
+        const summary = graphSentiment.summarize(feedback, statements);
+
+        expect(summary).toMatchObject({ sentiment: 0.1, statements: 5, scored: 4, positive: 2, negative: 2, emotions: { anger: 2, sadness: 1, joy: 1 } });
+    });
+
+    test('should give every concept the mean sentiment of its statements', () => {
+        const summary = graphSentiment.summarize(feedback, statements);
+
+        expect(concept(summary, 'delay')).toMatchObject({ sentiment: -0.4, statements: 2, scored: 2, negative: 2 });
+        expect(concept(summary, 'courier')).toMatchObject({ sentiment: -0.2, statements: 1 });
+        expect(concept(summary, 'design')).toMatchObject({ sentiment: 0.6, statements: 3, scored: 2 });
+    });
+
+    test('should tell which topics and concepts are the most negative', () => {
+        const summary = graphSentiment.summarize(feedback, statements);
+        const delivery = summary.communities.find(topic => topic.concepts.some(concept => concept.id === 'delay'));
+        const design = summary.communities.find(topic => topic.concepts.some(concept => concept.id === 'shape'));
+
+        expect(summary.communities).toHaveLength(2);
+        expect(delivery.sentiment).toBeLessThan(0);
+        expect(design.sentiment).toBeGreaterThan(0);
+        expect(summary.negativeConcepts.map(concept => concept.id)).toEqual(['delivery', 'delay', 'courier']);
+        expect(summary.positiveConcepts.map(concept => concept.id)).toEqual(['design', 'color', 'shape']);
+    });
+
+    test('should keep the lists to the most concepts allowed', () => {
+        const summary = new GraphSentiment(undefined, { maxConcepts: 1 }).summarize(feedback, statements);
+
+        expect(summary.negativeConcepts).toHaveLength(1);
+        expect(summary.positiveConcepts).toHaveLength(1);
+    });
+
+    test('should not score the concepts without any sentiment', () => {
+        const summary = graphSentiment.summarize(feedback, statements.map(statement => ({ ...statement, sentiment: null })));
+
+        expect(summary.sentiment).toBeNull();
+        expect(summary.negativeConcepts).toEqual([]);
+        expect(summary.positiveConcepts).toEqual([]);
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit tests for the snapshots of a graph over time
+ */
+
+const { graphTimeline, GraphTimeline } = require('../../lib/analytics/graphTimeline');
+
+// Statement timestamps are in milliseconds * 10000
+const at = date => Date.parse(date) * 10000;
+
+const edge = (source, target, statements) => ({
+    source,
+    target,
+    id: source + '-' + target,
+    context_matrix: { notes: statements },
+    weight: Object.values(statements).reduce((a, b) => a + b, 0)
+});
+
+// Cats on the first day, dogs on the third one, both of them a week later
+const notes = {
+    nodes: ['bark', 'bone', 'cat', 'dog', 'milk', 'walk'].map(id => ({ id, label: id })),
+    edges: [
+        edge('cat', 'milk', { s1: 3 }),
+        edge('dog', 'bark', { s2: 3 }),
+        edge('dog', 'bone', { s2: 3 }),
+        edge('bark', 'bone', { s2: 3 }),
+        edge('cat', 'dog', { s3: 3 }),
+        edge('dog', 'walk', { s3: 3 })
+    ]
+};
+
+const statements = [
+    { uid: 's3', timestamp: at('2024-01-10T12:00:00Z') },
+    { uid: 's1', timestamp: at('2024-01-01T12:00:00Z') },
+    { uid: 's2', timestamp: at('2024-01-03T12:00:00Z') }
+];
+
+describe('GraphTimeline', () => {
+    test('should build the graph as it was after every step', () => {
+        const timeline = graphTimeline.snapshots(notes, statements, { points: [at('2024-01-02'), at('2024-01-05'), at('2024-01-31')] });
+
+        expect(timeline.statements.map(statement => statement.uid)).toEqual(['s1', 's2', 's3']);
+        expect(timeline.snapshots.map(snapshot => [snapshot.statements, snapshot.nodes, snapshot.edges])).toEqual([
+            [1, 2, 1],
+            [2, 5, 4],
+            [3, 6, 6]
+        ]);
+        expect(timeline.snapshots[0].from).toBeNull();
+        expect(timeline.snapshots[1].communities).toBe(2);
+    });
+
+    test('should tell which concepts appeared in every snapshot', () => {
+        const { snapshots } = graphTimeline.snapshots(notes, statements, { points: [at('2024-01-02'), at('2024-01-05'), at('2024-01-31')] });
+
+        expect(snapshots.map(snapshot => snapshot.added.map(concept => concept.id).sort())).toEqual([['cat', 'milk'], ['bark', 'bone', 'dog'], ['walk']]);
+    });
+
+    test('should only keep the statements made since the snapshot before in a window', () => {
+        const { snapshots } = graphTimeline.snapshots(notes, statements, { points: [at('2024-01-05'), at('2024-01-31')], window: true, graphs: true });
+
+        expect(snapshots[1].from).toBe(at('2024-01-05'));
+        expect(snapshots[1].graph.nodes.map(node => node.id).sort()).toEqual(['cat', 'dog', 'walk']);
+        expect(snapshots[1].graph.edges.map(edge => edge.id)).toEqual(['cat-dog', 'dog-walk']);
+        expect(snapshots[0].graph).toBeDefined();
+    });
+
+    test('should end the snapshots at the boundaries of the interval', () => {
+        const start = at('2024-01-01T12:00:00Z');
+        const end = at('2024-01-10T12:00:00Z');
+
+        expect(graphTimeline.points(start, end, { interval: 'week' })).toEqual([at('2024-01-08') - 1, at('2024-01-15') - 1]);
+        expect(graphTimeline.points(start, end, { interval: 'month' })).toEqual([at('2024-02-01') - 1]);
+        expect(graphTimeline.points(start, end, { interval: 'day' })).toHaveLength(10);
+        expect(graphTimeline.points(start, end, { steps: 3 })).toHaveLength(3);
+        expect(graphTimeline.points(start, end, { steps: 3 })[2]).toBe(end);
+    });
+
+    test('should refuse more snapshots than it can make', () => {
+        const timeline = new GraphTimeline(undefined, { maxSnapshots: 5 });
+
+        expect(() => timeline.snapshots(notes, statements, { interval: 'day' })).toThrow(expect.objectContaining({ code: 'invalid_request' }));
+        expect(() => timeline.snapshots(notes, statements, { interval: 'year' })).toThrow(expect.objectContaining({ code: 'invalid_request' }));
+    });
+
+    test('should return an empty timeline when there are no statements', () => {
+        expect(graphTimeline.snapshots(notes, [])).toEqual({ start: null, end: null, statements: [], snapshots: [] });
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit tests for the GEXF and GraphML file import
+ */
+
+const GraphFile = require('../../lib/tools/graphfile');
+
+const gexfFile = `<?xml version="1.0" encoding="UTF-8"?>
+<gexf xmlns="http://www.gexf.net/1.2draft" version="1.2">
+    <graph defaultedgetype="directed">
+        <nodes>
+            <node id="0" label="Social Network"/>
+            <node id="1" label="graph"/>
+            <node id="2" label="lonely"/>
+        </nodes>
+        <edges>
+            <edge id="0" source="0" target="1" weight="3"/>
+            <edge id="1" source="1" target="0" weight="9"/>
+        </edges>
+    </graph>
+</gexf>`;
+
+const graphmlFile = `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:y="http://www.yworks.com/xml/graphml">
+    <key id="d0" for="node" attr.name="name" attr.type="string"/>
+    <key id="d1" for="edge" attr.name="weight" attr.type="double"/>
+    <key id="d2" for="node" yfiles.type="nodegraphics"/>
+    <graph edgedefault="undirected">
+        <node id="n0"><data key="d0">cats</data></node>
+        <node id="n1"><data key="d2"><y:ShapeNode><y:NodeLabel>Dogs</y:NodeLabel></y:ShapeNode></data></node>
+        <edge source="n0" target="n1"><data key="d1">2</data></edge>
+        <edge source="n1" target="n9"/>
+    </graph>
+</graphml>`;
+
+describe('GraphFile', () => {
+    describe('detect', () => {
+        test('should tell the format by the extension, the file type or the root element', () => {
+            expect(GraphFile.detect('graph.gexf', 'application/octet-stream')).toBe('gexf');
+            expect(GraphFile.detect('graph.GraphML', 'text/plain')).toBe('graphml');
+            expect(GraphFile.detect('export', 'application/graphml+xml')).toBe('graphml');
+            expect(GraphFile.detect('graph.xml', 'text/xml')).toBeNull();
+            expect(GraphFile.detect('graph.xml', 'text/xml', Buffer.from(gexfFile))).toBe('gexf');
+            expect(GraphFile.detect('graph.xml', 'application/xml', graphmlFile)).toBe('graphml');
+            expect(GraphFile.detect('notes.txt', 'text/plain', '<graphml>')).toBeNull();
+        });
+    });
+
+    describe('parse', () => {
+        test('should read the labels and weights of a GEXF file', () => {
+            expect(GraphFile.parse('gexf', gexfFile)).toEqual({
+                nodes: [
+                    { id: '0', label: 'Social Network' },
+                    { id: '1', label: 'graph' },
+                    { id: '2', label: 'lonely' }
+                ],
+                edges: [{ source: '0', target: '1', weight: 3 }, { source: '1', target: '0', weight: 9 }]
+            });
+        });
+
+        test('should read the labels and weights of a GraphML file, yEd labels included', () => {
+            expect(GraphFile.parse('graphml', graphmlFile)).toEqual({
+                nodes: [{ id: 'n0', label: 'cats' }, { id: 'n1', label: 'Dogs' }],
+                edges: [{ source: 'n0', target: 'n1', weight: 2 }, { source: 'n1', target: 'n9', weight: 1 }]
+            });
+        });
+
+        test('should refuse files that are not GraphML', () => {
+            expect(() => GraphFile.parse('graphml', '<gexf></gexf>')).toThrow('graphml');
+        });
+    });
+
+    describe('toStatements', () => {
+        test('should repeat the heavier edges to keep their relative weight', () => {
+            const statements = GraphFile.toStatements(GraphFile.parse('gexf', gexfFile), 20);
+
+            expect(statements).toEqual([
+                '#social_network #graph',
+                '#graph #social_network',
+                '#graph #social_network',
+                '#graph #social_network',
+                '#lonely'
+            ]);
+        });
+
+        test('should cap the repeats and skip edges to nodes that are not there', () => {
+            const graph = {
+                nodes: [{ id: 'a', label: 'a' }, { id: 'b', label: 'b' }],
+                edges: [{ source: 'a', target: 'b', weight: 1 }, { source: 'b', target: 'a', weight: 100 }, { source: 'a', target: 'c' }]
+            };
+
+            const statements = GraphFile.toStatements(graph, 5);
+
+            expect(statements.filter(statement => statement == '#b #a')).toHaveLength(5);
+            expect(statements).not.toContain('#a #c');
+        });
+    });
+});
@@ -0,0 +1,197 @@
+/**
+ * Unit tests for the background import jobs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockCypherQuery = jest.fn();
+
+jest.mock('node-neo4j', () => jest.fn().mockImplementation(() => ({ cypherQuery: mockCypherQuery })));
+
+jest.mock('../../lib/services/entryService', () => ({
+    entryService: {
+        getUser: jest.fn(),
+        prepareStatements: jest.fn(),
+        save: jest.fn()
+    }
+}));
+
+const { entryService } = require('../../lib/services/entryService');
+const { ImportQueue } = require('../../lib/services/importQueue');
+
+const user = { uid: 'u1', name: 'alice' };
+
+// Resolves with the status of the job when it's over
+function over(queue) {
+    return new Promise(resolve => {
+        ['completed', 'partially_completed', 'failed', 'cancelled'].forEach(status => queue.events.on(status, resolve));
+    });
+}
+
+// An import that submits these statements into notes the way routes/imports.js does
+function importing(texts) {
+    return (req, res) => {
+        setImmediate(() => {
+            res.locals.importjob.collect({
+                body: { entry: { body: texts }, context: '' },
+                contextids: [{ name: 'notes', uid: 'c1' }],
+                internal: 1,
+                multiple: 1
+            });
+        });
+    };
+}
+
+describe('ImportQueue', () => {
+    let dir;
+    let queue;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'importqueue-'));
+        queue = new ImportQueue({ dir, batchSize: 2, concurrency: 1, fetchTimeout: 1000 });
+
+        mockCypherQuery.mockReset();
+        mockCypherQuery.mockImplementation((query, params, cb) => cb(null, { data: [] }));
+
+        entryService.getUser.mockReset();
+        entryService.getUser.mockResolvedValue(user);
+        entryService.prepareStatements.mockReset();
+        entryService.prepareStatements.mockImplementation((user, text) => text.split('\n').map(text => ({ text })));
+        entryService.save.mockReset();
+        entryService.save.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('statements', () => {
+        test('should read the statements an import submits', () => {
+            expect(
+                ImportQueue.statements({ body: { entry: { body: ['one\r\ntwo', 'three'] } }, contextids: [{ name: 'notes' }], multiple: 1 })
+            ).toEqual([
+                { text: 'one two', contexts: ['notes'] },
+                { text: 'three', contexts: ['notes'] }
+            ]);
+
+            expect(ImportQueue.statements({ body: { entry: { body: 'one\ntwo' }, context: 'diary' } })).toEqual([
+                { text: 'one', contexts: ['diary'] },
+                { text: 'two', contexts: ['diary'] }
+            ]);
+        });
+    });
+
+    test('should fetch the statements and save them in batches', async () => {
+        const progress = [];
+
+        queue.setImporter(importing(['cats drink milk', 'dogs bark', 'birds sing']));
+        queue.events.on('progress', status => progress.push(status.progress));
+
+        const job = await queue.start(user, { source: 'url', context: 'notes', search: 'http://example.com' });
+        const status = await over(queue);
+
+        expect(job.status).toBe('queued');
+        expect(status).toMatchObject({ id: job.id, status: 'completed', progress: 100, total: 3, saved: 3, contexts: ['notes'] });
+        expect(entryService.save.mock.calls.map(call => call[1].length)).toEqual([2, 1]);
+        expect(entryService.save).toHaveBeenCalledWith(user, expect.any(Array), ['notes']);
+        expect(progress).toEqual([5, 10, 70, 100, 100]);
+
+        const persisted = mockCypherQuery.mock.calls.pop()[1];
+
+        expect(persisted).toMatchObject({ userId: 'u1', uid: job.id, job: { status: 'completed', saved: 3 } });
+        expect(JSON.parse(persisted.job.params)).toEqual({ source: 'url', context: 'notes', search: 'http://example.com' });
+        expect(fs.readdirSync(dir)).toEqual([]);
+    });
+
+    test('should save the final status before it deletes the files of the job', async () => {
+        const upload = path.join(dir, 'upload.txt');
+        const files = [];
+
+        fs.writeFileSync(upload, 'cats drink milk');
+        mockCypherQuery.mockImplementation((query, params, cb) => {
+            if (params.job && params.job.status === 'completed') files.push(...fs.readdirSync(dir).sort());
+            cb(null, { data: [] });
+        });
+        queue.setImporter(importing(['cats drink milk']));
+
+        const job = await queue.start(user, { source: 'file' }, { file: { path: upload } });
+
+        await over(queue);
+
+        expect(files).toEqual([job.id + '.json', 'upload.txt']);
+        expect(fs.readdirSync(dir)).toEqual([]);
+    });
+
+    test('should fail with the message the import shows', async () => {
+        queue.setImporter((req, res) => {
+            res.error('Please, enter the @username or a #hashtag');
+            res.redirect('back');
+        });
+
+        await queue.start(user, { source: 'twitter' });
+
+        expect(await over(queue)).toMatchObject({ status: 'failed', error: 'Please, enter the @username or a #hashtag' });
+    });
+
+    test('should keep the saved statements when it is cancelled', async () => {
+        queue.setImporter(importing(['one', 'two', 'three', 'four']));
+
+        const job = await queue.start(user, { source: 'url' });
+
+        entryService.save.mockImplementationOnce(async () => {
+            await queue.cancel('u1', job.id);
+        });
+
+        expect(await over(queue)).toMatchObject({ status: 'cancelled', saved: 2, total: 4 });
+        expect(entryService.save).toHaveBeenCalledTimes(1);
+        expect(await queue.cancel('u2', job.id)).toBeNull();
+    });
+
+    test('should tell a partial import from a failed one', async () => {
+        queue.setImporter(importing(['one', 'two', 'three']));
+        entryService.save.mockResolvedValueOnce().mockRejectedValueOnce(new Error('Neo4j is down'));
+
+        await queue.start(user, { source: 'url' });
+
+        expect(await over(queue)).toMatchObject({ status: 'partially_completed', saved: 2, error: 'Neo4j is down' });
+    });
+
+    test('should go on where it stopped after a restart', async () => {
+        const statements = ['one', 'two', 'three'].map(text => ({ text, contexts: ['notes'] }));
+
+        fs.writeFileSync(path.join(dir, 'import-12345678.json'), JSON.stringify(statements));
+
+        mockCypherQuery.mockImplementationOnce((query, params, cb) =>
+            cb(null, {
+                data: [[{ uid: 'import-12345678', source: 'file', params: '{}', status: 'saving', total: 3, saved: 2, created: 1 }, 'u1']]
+            })
+        );
+
+        const importer = jest.fn();
+        queue.setImporter(importer);
+
+        expect(await queue.resume()).toBe(1);
+        expect(await over(queue)).toMatchObject({ id: 'import-12345678', userId: 'u1', status: 'completed', saved: 3 });
+        expect(importer).not.toHaveBeenCalled();
+        expect(entryService.save.mock.calls[0][1]).toEqual([{ text: 'three' }]);
+    });
+
+    test('should fail the Evernote imports that lost their token in a restart', async () => {
+        mockCypherQuery.mockImplementationOnce((query, params, cb) =>
+            cb(null, { data: [[{ uid: 'import-87654321', source: 'evernote', params: '{}', status: 'fetching', created: 1 }, 'u1']] })
+        );
+
+        const importer = jest.fn();
+        queue.setImporter(importer);
+
+        const failed = over(queue);
+
+        expect(await queue.resume()).toBe(0);
+        expect(await failed).toMatchObject({ id: 'import-87654321', status: 'failed', error: expect.stringMatching(/restart/) });
+        expect(importer).not.toHaveBeenCalled();
+    });
+});
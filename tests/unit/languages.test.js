@@ -0,0 +1,82 @@
+/**
+ * Unit tests for the language pipelines
+ */
+
+jest.mock('node-neo4j', () => jest.fn().mockImplementation(() => ({})));
+
+const Languages = require('../../lib/languages');
+const options = require('../../options');
+const validate = require('../../lib/middleware/validate');
+
+describe('Languages', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        options.stopwords_en = ['we', 'the', 'a'];
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    describe('register', () => {
+        test('should load every language in the folder', () => {
+            expect(Languages.names()).toEqual(
+                expect.arrayContaining(['none', 'english', 'russian', 'german', 'french', 'italian', 'ukrainian', 'chinese', 'japanese', 'korean'])
+            );
+        });
+
+        test('should need a name', () => {
+            expect(() => Languages.register({ codes: ['xx'] })).toThrow();
+        });
+    });
+
+    describe('detect', () => {
+        test('should use the language from the settings', () => {
+            expect(Languages.detect('whatever the text is', 'de').name).toBe('german');
+            expect(Languages.detect('whatever the text is', 'zz').name).toBe('none');
+            expect(Languages.detect('whatever the text is', 'xx').name).toBe('none');
+        });
+
+        test('should tell the languages apart by their writing system', () => {
+            expect(Languages.detect('我喜欢机器学习', 'auto').name).toBe('chinese');
+            expect(Languages.detect('私は機械学習が好きです', 'auto').name).toBe('japanese');
+            expect(Languages.detect('나는 기계 학습을 좋아한다', 'auto').name).toBe('korean');
+            expect(Languages.detect('Їжак їсть яблука', 'auto').name).toBe('ukrainian');
+        });
+
+        test('should detect the languages written in latin', () => {
+            expect(Languages.detect('The quick brown fox jumps over the lazy dog and runs into the forest', 'auto').name).toBe(
+                'english'
+            );
+        });
+    });
+
+    describe('tokenize', () => {
+        test('should split the Chinese text into words', () => {
+            const tokens = Languages.tokenize(Languages.get('chinese'), [{ value: '我喜欢机器学习。', tag: 'alien' }]);
+
+            expect(tokens.filter(token => token.tag == 'word').map(token => token.value)).toEqual(['我', '喜欢', '机器', '学习']);
+        });
+    });
+
+    describe('validate.getHashtags', () => {
+        test('should make concepts of the CJK words', () => {
+            const res = { locals: { user: { inlanguage: 'zh' } } };
+
+            expect(validate.getHashtags('我喜欢机器学习', res)).toEqual(expect.arrayContaining(['喜欢', '机器', '学习']));
+        });
+
+        test('should use a language registered later', () => {
+            Languages.register({
+                name: 'plainenglish',
+                codes: ['xs'],
+                stopwords: () => ['and'],
+                lemmatize: word => word.replace(/s$/, '')
+            });
+
+            const res = { locals: { user: { inlanguage: 'xs' } } };
+
+            expect(validate.getHashtags('cats and dogs', res)).toEqual(['cat', 'dog']);
+        });
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * Unit tests for the contexts shared with other users
+ */
+
+const mockCypherQuery = jest.fn();
+
+jest.mock('node-neo4j', () =>
+    jest.fn().mockImplementation(() => ({
+        cypherQuery: mockCypherQuery
+    }))
+);
+
+const Membership = require('../../lib/membership');
+const Entry = require('../../lib/entry');
+const { EntryService } = require('../../lib/services/entryService');
+const options = require('../../options');
+
+const research = { uid: 'c2', name: 'research', public: null, scanwindow: 2 };
+const bob = { uid: 'u2', name: 'bob' };
+const alice = { uid: 'u1', name: 'alice', inlanguage: 'en' };
+
+function capturedQueries() {
+    return mockCypherQuery.mock.calls.map(call => ({ query: call[0], params: call[1] }));
+}
+
+describe('Membership', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        mockCypherQuery.mockReset();
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    test('should only invite as an editor or a viewer', done => {
+        Membership.invite('u2', 'research', 'alice', 'owner', err => {
+            expect(err.message).toContain('role');
+            expect(mockCypherQuery).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+    test('should invite a user into a context of the owner', done => {
+        mockCypherQuery.mockImplementation((query, params, cb) => cb(null, { data: [[alice, { role: 'editor', invited: 100 }]] }));
+
+        Membership.invite('u2', 'research', 'alice', 'editor', (err, member) => {
+            expect(err).toBeNull();
+            expect(member).toEqual({ uid: 'u1', name: 'alice', role: 'editor', invited: 100, accepted: null });
+
+            const { query, params } = capturedQueries()[0];
+
+            expect(query).toContain('MERGE (m)-[r:MEMBER]->(ctx) ON CREATE SET r.invited = $timestamp SET r.role = $role');
+            expect(params).toMatchObject({ context: 'research', ownerId: 'u2', member: 'alice', role: 'editor' });
+            done();
+        });
+    });
+
+    test('should find the role of the user in a context', done => {
+        mockCypherQuery.mockImplementation((query, params, cb) =>
+            cb(null, { data: params.userId == 'u3' ? [[research, bob, null]] : [[research, bob, { role: 'viewer', accepted: 200 }]] })
+        );
+
+        Membership.find('u1', 'bob', 'research', (err, shared) => {
+            expect(shared).toEqual({
+                context: { uid: 'c2', name: 'research', public: false, scanwindow: 2, scanweighting: undefined, scanunit: undefined },
+                owner: bob,
+                role: 'viewer',
+                accepted: 200
+            });
+
+            Membership.find('u2', 'bob', 'research', (err, own) => {
+                expect(own.role).toBe('owner');
+
+                Membership.find('u3', 'bob', 'research', (err, none) => {
+                    expect(none).toBeNull();
+                    done();
+                });
+            });
+        });
+    });
+
+    test('should let the editors write and the members read once they accepted', () => {
+        expect(Membership.allows({ role: 'owner' }, 'write')).toBe(true);
+        expect(Membership.allows({ role: 'editor', accepted: 200 }, 'write')).toBe(true);
+        expect(Membership.allows({ role: 'editor', accepted: null }, 'read')).toBe(false);
+        expect(Membership.allows({ role: 'viewer', accepted: 200 }, 'read')).toBe(true);
+        expect(Membership.allows({ role: 'viewer', accepted: 200 }, 'write')).toBe(false);
+        expect(Membership.allows(null, 'read')).toBe(false);
+    });
+
+    describe('Entry.getRange', () => {
+        beforeEach(() => {
+            mockCypherQuery.mockImplementation((query, params, cb) => cb(null, { data: [] }));
+        });
+
+        test('should show somebody else the public contexts and the ones shared with them', done => {
+            Entry.getRange('u1', 'u2', [], () => {
+                const { query, params } = capturedQueries()[0];
+
+                expect(query).toContain("(ctx.public = '1' OR ANY(membership IN [(ctx)<-[membership:MEMBER]-(:User{uid:$p0})");
+                expect(query).toContain('WHERE membership.accepted IS NOT NULL)');
+                expect(params).toMatchObject({ p0: 'u1', p1: 'u2' });
+                done();
+            });
+        });
+
+        test('should show the statements of all the members in a context', done => {
+            Entry.getRange('u2', 'u2', ['research'], () => {
+                const { query } = capturedQueries()[0];
+
+                expect(query).toContain('(s:Statement), (ctx:Context), (ctx)-[:BY]->(u), (s)-[:IN]->(ctx) WHERE');
+                expect(query).not.toContain('(s)-[:BY]->(u)');
+                done();
+            });
+        });
+
+        test('should leave out of the graph of a member the statements they made in a context shared with them', done => {
+            // alice (u1) writes in research, the context bob shared with her, so her statements are in his graph only
+            Entry.getRange('u1', 'u1', [], () => {
+                const { query, params } = capturedQueries()[0];
+
+                expect(query).toContain('MATCH (u:User{uid:$p0}), (s:Statement), (ctx:Context), (ctx)-[:BY]->(u), (s)-[:IN]->(ctx) WHERE');
+                expect(query).toContain('s.trashed IS NULL AND ctx.trashed IS NULL');
+                expect(query).not.toContain('(s)-[:BY]->(u)');
+                expect(params).toEqual({ p0: 'u1' });
+                done();
+            });
+        });
+    });
+
+    describe('EntryService.submit', () => {
+        let service;
+
+        beforeEach(() => {
+            options.stopwords_en = ['the', 'a', 'and'];
+            service = new EntryService();
+        });
+
+        function membership(role, accepted) {
+            mockCypherQuery.mockImplementation((query, params, cb) => {
+                if (query.indexOf('MATCH (u:User{uid:$uid}) RETURN u') === 0) return cb(null, { data: [alice] });
+                if (query.indexOf('OPTIONAL MATCH (m:User{uid:$userId})-[r:MEMBER]->(ctx)') >= 0) {
+                    return cb(null, { data: [[research, bob, { role, accepted }]] });
+                }
+                cb(null, { data: [] });
+            });
+        }
+
+        test('should save the statements of an editor by them into the context of the owner', async () => {
+            const changes = [];
+
+            membership('editor', 200);
+            service.events.on('change', change => changes.push(change));
+
+            const result = await service.submit('u1', 'Cats drink milk', { context: 'research', owner: 'bob' });
+
+            expect(result.statements[0].by).toBe('u1');
+
+            const saved = capturedQueries().find(({ params }) => params.statements);
+
+            expect(saved.params.userId).toBe('u1');
+            expect(saved.params.contextNames).toEqual([expect.objectContaining({ uid: 'c2', name: 'research', by: 'u2' })]);
+            expect(saved.query).toContain('MATCH (owner:User {uid: coalesce(contextName.by, u.uid)})');
+            expect(saved.query).toContain('s.by = u.uid');
+
+            // Nothing is created in the contexts of the editor
+            expect(capturedQueries().some(({ query }) => query.indexOf('c.name IN $contexts') >= 0)).toBe(false);
+
+            expect(changes).toEqual([expect.objectContaining({ userId: 'u2', contexts: ['research'], change: 'added' })]);
+        });
+
+        test('should not let a viewer add statements', async () => {
+            membership('viewer', 200);
+
+            await expect(service.submit('u1', 'Cats drink milk', { context: 'research', owner: 'bob' })).rejects.toMatchObject({
+                code: 'forbidden'
+            });
+            expect(capturedQueries().some(({ params }) => params.statements)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for the cursor pagination of the statements
+ */
+
+const mockCypherQuery = jest.fn();
+
+jest.mock('node-neo4j', () => jest.fn().mockImplementation(() => ({ cypherQuery: mockCypherQuery })));
+
+const Page = require('../../lib/middleware/page');
+const Entry = require('../../lib/entry');
+const options = require('../../options');
+
+describe('page', () => {
+    describe('parse', () => {
+        test('should give the default page', () => {
+            expect(Page.parse({})).toEqual({
+                limit: options.settings.statements_per_page,
+                after: null,
+                since: null,
+                until: null
+            });
+            expect(Page.parse({}, 10).limit).toBe(10);
+        });
+
+        test('should read the limit, the cursor and the time range', () => {
+            const cursor = Page.cursor({ timestamp: 15000000000000000, uid: 'abc' });
+
+            expect(Page.parse({ limit: '50', cursor, since: '2020-01-01', until: '1600000000000' })).toEqual({
+                limit: 50,
+                after: { timestamp: 15000000000000000, uid: 'abc' },
+                since: Date.UTC(2020, 0, 1) * 10000,
+                until: 1600000000000 * 10000
+            });
+        });
+
+        test('should not accept what it does not understand', () => {
+            expect(Page.parse({ limit: '0' }).error).toMatch(/limit/);
+            expect(Page.parse({ limit: String(options.settings.max_statements_page + 1) }).error).toMatch(/limit/);
+            expect(Page.parse({ cursor: 'abc' }).error).toMatch(/cursor/);
+            expect(Page.parse({ since: 'yesterday' }).error).toMatch(/since/);
+        });
+
+        test('should tell when a page is asked for', () => {
+            expect(Page.requested({})).toBe(false);
+            expect(Page.requested({ textonly: '1' })).toBe(false);
+            expect(Page.requested({ until: '2020-01-01' })).toBe(true);
+        });
+    });
+
+    describe('middleware', () => {
+        test('should answer 400 to a wrong page', () => {
+            const res = { status: jest.fn().mockReturnThis(), send: jest.fn(), locals: {} };
+            const next = jest.fn();
+
+            Page(20)({ query: { limit: 'ten' } }, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(next).not.toHaveBeenCalled();
+
+            Page(20)({ query: {} }, res, next);
+
+            expect(res.locals.page.limit).toBe(20);
+            expect(next).toHaveBeenCalled();
+        });
+    });
+
+    describe('Entry.getRangePage', () => {
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            mockCypherQuery.mockReset();
+        });
+
+        afterEach(() => {
+            console.log.mockRestore();
+        });
+
+        test('should push the page down into the query', done => {
+            mockCypherQuery.mockImplementation((query, params, cb) =>
+                cb(null, { data: [{ uid: 's1', timestamp: 1 }, { uid: 's2', timestamp: 2 }, { uid: 's3', timestamp: 3 }] })
+            );
+
+            const page = { limit: 2, after: { timestamp: 0, uid: 's0' }, since: 1, until: 9 };
+
+            Entry.getRangePage('u1', 'u1', ['notes'], page, (err, entries, last) => {
+                const [query, params] = mockCypherQuery.mock.calls[0];
+
+                expect(query).toMatch(/s\.timestamp >= \$p\d+ AND s\.timestamp < \$p\d+ AND \(s\.timestamp > \$p\d+ OR/);
+                expect(query).toMatch(/ORDER BY s\.timestamp ASC, s\.uid ASC LIMIT \$p\d+/);
+                expect(Object.values(params)).toEqual(expect.arrayContaining([3, 's0', 1, 9]));
+                expect(entries.map(entry => entry.uid)).toEqual(['s1', 's2']);
+                expect(last.uid).toBe('s2');
+                done();
+            });
+        });
+
+        test('should tell when it is the last page', done => {
+            mockCypherQuery.mockImplementation((query, params, cb) => cb(null, { data: [{ uid: 's1', timestamp: 1 }] }));
+
+            Entry.getRangePage('u1', 'u1', ['notes'], Page.parse({ limit: '2' }), (err, entries, last) => {
+                expect(entries).toHaveLength(1);
+                expect(last).toBeNull();
+                done();
+            });
+        });
+    });
+});
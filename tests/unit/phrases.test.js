@@ -0,0 +1,102 @@
+/**
+ * Unit tests for the multi-word phrase concepts
+ */
+
+jest.mock('node-neo4j', () => jest.fn().mockImplementation(() => ({})));
+
+const Phrases = require('../../lib/tools/phrases');
+const options = require('../../options');
+const validate = require('../../lib/middleware/validate');
+
+// A text about machine learning and neural networks, the way an essay repeats its terms
+const essay = [
+    'We use machine learning to read the text.',
+    'Neural networks are a kind of machine learning.',
+    'The machine learning models we train are neural networks.',
+    'Every model reads the text word by word, like we do.',
+    'Our neural networks learn from the text.'
+];
+
+describe('Phrases', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        options.stopwords_en = ['we', 'to', 'the', 'are', 'a', 'of', 'by', 'like', 'do', 'our', 'from', 'every', 'kind'];
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    describe('parse', () => {
+        test('should read one phrase per line or comma and skip the single words', () => {
+            expect(Phrases.parse('Machine  Learning, neural networks\nstate of the art;data')).toEqual([
+                'machine learning',
+                'neural networks',
+                'state of the art'
+            ]);
+            expect(Phrases.parse(undefined)).toEqual([]);
+        });
+    });
+
+    describe('detect', () => {
+        test('should find the frequent collocations without stopwords at their ends', () => {
+            const phrases = Phrases.detect(essay, 3, 2);
+
+            expect(phrases).toContain('machine learning');
+            expect(phrases).toContain('neural networks');
+            expect(phrases).not.toContain('the text');
+        });
+
+        test('should not go across sentences', () => {
+            expect(Phrases.detect(['Big data. Models learn', 'Big data. Models learn', 'Big data. Models learn'], 3, 1)).not.toContain(
+                'data models'
+            );
+        });
+    });
+
+    describe('forUser', () => {
+        test('should only detect the collocations if the user wants it', () => {
+            expect(Phrases.forUser({ phrases: 'deep learning' }, essay)).toEqual(['deep learning']);
+            expect(Phrases.forUser({ phrases: 'deep learning', phrasedetect: 1 }, essay)).toEqual(
+                expect.arrayContaining(['deep learning', 'machine learning', 'neural networks'])
+            );
+        });
+    });
+
+    describe('mergeTokens', () => {
+        test('should merge the longest phrase into one token', () => {
+            const tokens = [
+                { value: 'Deep', tag: 'word' },
+                { value: 'neural', tag: 'word' },
+                { value: 'networks', tag: 'word' },
+                { value: ',', tag: 'punctuation' },
+                { value: 'neural', tag: 'word' },
+                { value: '.', tag: 'punctuation' },
+                { value: 'networks', tag: 'word' }
+            ];
+
+            expect(Phrases.mergeTokens(tokens, ['neural networks', 'deep neural networks'])).toEqual([
+                { value: 'deep_neural_networks', tag: 'phrase' },
+                { value: ',', tag: 'punctuation' },
+                { value: 'neural', tag: 'word' },
+                { value: '.', tag: 'punctuation' },
+                { value: 'networks', tag: 'word' }
+            ]);
+        });
+    });
+
+    describe('validate.getHashtags', () => {
+        test('should make one concept of a phrase from the dictionary', () => {
+            const res = { locals: { user: { inlanguage: 'en', phrases: 'machine learning' } } };
+
+            expect(validate.getHashtags('Machine learning reads texts', res)).toEqual(['machine_learning', 'read', 'text']);
+        });
+
+        test('should use the phrases found in the whole text', () => {
+            const res = { locals: { user: { inlanguage: 'en' } } };
+
+            expect(validate.getHashtags('Neural networks read', res, ['neural networks'])).toEqual(['neural_networks', 'read']);
+            expect(validate.getHashtags('Neural networks read', res)).toEqual(['neural', 'network', 'read']);
+        });
+    });
+});
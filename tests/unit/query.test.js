@@ -0,0 +1,176 @@
+/**
+ * Unit tests for the parameterized Cypher query builder
+ */
+
+const mockCypherQuery = jest.fn();
+const mockTransaction = jest.fn();
+
+jest.mock('node-neo4j', () =>
+    jest.fn().mockImplementation(() => ({
+        cypherQuery: mockCypherQuery,
+        beginAndCommitTransaction: mockTransaction
+    }))
+);
+
+const Query = require('../../lib/db/query');
+const Entry = require('../../lib/entry');
+const User = require('../../lib/user');
+const validate = require('../../lib/middleware/validate');
+
+const injection = 'foo" OR 1=1';
+
+// Every query the REST driver received, as { query, params }
+function capturedQueries() {
+    return mockCypherQuery.mock.calls.map(call => ({ query: call[0], params: call[1] }));
+}
+
+describe('Query', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        mockCypherQuery.mockReset();
+        mockCypherQuery.mockImplementation((query, params, cb) => cb(null, { columns: [], data: [] }));
+        mockTransaction.mockReset();
+        mockTransaction.mockImplementation((body, cb) => cb(null, { results: [] }));
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    describe('build', () => {
+        test('should join fragments and number generated parameters', () => {
+            const query = new Query('MATCH (u:User{uid:$uid}) ', { uid: 'u1' });
+            query.add('WHERE u.maxnodes > ' + query.param(100) + ' AND u.name = ' + query.param('bob'));
+
+            expect(query.build()).toEqual({
+                query: 'MATCH (u:User{uid:$uid}) WHERE u.maxnodes > $p0 AND u.name = $p1',
+                params: { uid: 'u1', p0: 100, p1: 'bob' }
+            });
+        });
+
+        test('should pass Lucene terms as parameters', () => {
+            const query = new Query();
+
+            expect(query.lucene('context', 'a-b')).toBe("'context:' + $p0");
+            expect(query.lucene('context', ['a', 'b c'])).toBe("'context:(' + $p1 + ')'");
+            expect(query.params).toEqual({ p0: 'a\\-b', p1: 'a b\\ c' });
+        });
+    });
+
+    describe('escapeLucene', () => {
+        test('should escape the Lucene query syntax', () => {
+            expect(Query.escapeLucene('34b4a5b0-0dfa')).toBe('34b4a5b0\\-0dfa');
+            expect(Query.escapeLucene('x OR context:*')).toBe('x\\ OR\\ context\\:\\*');
+            expect(Query.escapeLucene("a') DELETE n //")).toBe("a'\\)\\ DELETE\\ n\\ \\/\\/");
+        });
+    });
+
+    describe('run', () => {
+        test('should tag database errors', done => {
+            mockCypherQuery.mockImplementation((query, params, cb) => cb(new Error('down')));
+
+            Query.run(new Query('RETURN 1'), err => {
+                expect(err.type).toBe('neo4j');
+                done();
+            });
+        });
+
+        test('should send every statement of a transaction with its parameters', done => {
+            Query.transaction([new Query('RETURN $a', { a: 1 }), { query: 'RETURN 2', params: {} }], () => {
+                const statements = mockTransaction.mock.calls[0][0].statements;
+
+                expect(statements).toHaveLength(2);
+                expect(statements[0]).toMatchObject({ statement: 'RETURN $a', parameters: { a: 1 } });
+                done();
+            });
+        });
+
+        test('should fail a transaction one of its statements rolled back', done => {
+            mockTransaction.mockImplementation((body, cb) => cb(null, { results: [], errors: [{ code: 'Neo.ClientError', message: 'Invalid input' }] }));
+
+            Query.transaction([new Query('RETURN 1')], err => {
+                expect(err).toMatchObject({ type: 'neo4j', message: 'Invalid input' });
+                done();
+            });
+        });
+    });
+
+    describe('user input', () => {
+        test('should stay out of the Entry.getRange query', done => {
+            Entry.getRange('u1', 'u1', [injection], () => {
+                const [{ query, params }] = capturedQueries();
+
+                expect(query).not.toContain(injection);
+                expect(query).toContain('ctx.name IN $p');
+                expect(Object.values(params)).toContainEqual([injection]);
+                done();
+            });
+        });
+
+        test('should stay out of the User queries', done => {
+            User.getId(injection, () => {
+                const [{ query, params }] = capturedQueries();
+
+                expect(query).toBe('MATCH (u:User{substance:$name}) RETURN u.uid;');
+                expect(params.name).toBe(validate.sanitize(injection));
+                done();
+            });
+        });
+
+        test('should keep numeric settings as numbers', done => {
+            const settings = {
+                fullscan: '1',
+                fullview: '0',
+                morphemes: '2',
+                hashnodes: '1',
+                maxnodes: '150',
+                inlanguage: 'english',
+                palette: 'default',
+                background: 'white',
+                stopwords: injection,
+                scanwindow: '6',
+                scanweighting: 'inverse',
+                scanunit: injection,
+                phrases: 'machine learning',
+                phrasedetect: '1'
+            };
+
+            User.modifySettings('u1', settings, () => {
+                const [{ query, params }] = capturedQueries();
+
+                expect(query).not.toContain(injection);
+                expect(params).toMatchObject({ userId: 'u1', fullscan: 1, maxnodes: 150, inlanguage: 'english' });
+                expect(params).toMatchObject({ scanwindow: 6, scanweighting: 'inverse', scanunit: null, phrasedetect: 1 });
+                done();
+            });
+        });
+
+        test('should stay out of the context list query', done => {
+            const req = { params: { user: injection } };
+            const res = { locals: {} };
+
+            validate.getContextsList()(req, res, () => {
+                const [{ query, params }] = capturedQueries();
+
+                expect(query).not.toContain(injection);
+                expect(params.user).toBe(injection);
+                done();
+            });
+        });
+
+        test('should only reach the Lucene index as an escaped term when deleting', done => {
+            mockCypherQuery.mockImplementation((query, params, cb) => cb(null, { columns: [], data: [['1 OR statement:*']] }));
+
+            const req = { body: { delete: 'delete', statementid: '1 OR statement:*' } };
+            const res = { locals: { user: { uid: 'u1' } }, send: () => {
+                const statements = mockTransaction.mock.calls[0][0].statements;
+
+                statements.forEach(({ statement }) => expect(statement).not.toContain('statement:*'));
+                expect(statements[0].parameters.p0).toBe('1\\ OR\\ statement\\:\\*');
+                done();
+            } };
+
+            validate.isToDelete()(req, res, () => {});
+        });
+    });
+});
@@ -0,0 +1,190 @@
+/**
+ * Unit tests for the changes pushed to the open views of a context
+ */
+
+const http = require('http');
+const EventEmitter = require('events');
+
+const ioClient = require('socket.io-client');
+
+jest.mock('../../lib/user', () => ({ getId: jest.fn() }));
+
+jest.mock('../../lib/services/entryService', () => {
+    const EventEmitter = require('events');
+
+    return {
+        entryService: {
+            events: new EventEmitter(),
+            getContext: jest.fn(),
+            getGraph: jest.fn(),
+            getShared: jest.fn()
+        }
+    };
+});
+
+const User = require('../../lib/user');
+const { entryService } = require('../../lib/services/entryService');
+const { Realtime } = require('../../lib/services/realtime');
+
+const before = {
+    nodes: [
+        { id: 'n1', label: 'cat' },
+        { id: 'n2', label: 'milk' },
+        { id: 'n3', label: 'dog' }
+    ],
+    edges: [
+        { source: 'n1', target: 'n2', id: 'e1', context_matrix: { notes: { s1: 3 } }, weight: 3 },
+        { source: 'n1', target: 'n3', id: 'e2', context_matrix: { notes: { s2: 3 } }, weight: 3 }
+    ]
+};
+
+const after = {
+    nodes: [
+        { id: 'n1', label: 'cat' },
+        { id: 'n2', label: 'milk' },
+        { id: 'n4', label: 'bowl' }
+    ],
+    edges: [
+        { source: 'n1', target: 'n2', id: 'e1', context_matrix: { notes: { s1: 3, s3: 3 } }, weight: 6 },
+        { source: 'n2', target: 'n4', id: 'e3', context_matrix: { notes: { s3: 3 } }, weight: 3 }
+    ]
+};
+
+// The events a socket gets until it has this many
+function receive(socket, events, count) {
+    const received = [];
+
+    return new Promise(resolve => {
+        events.forEach(event =>
+            socket.on(event, data => {
+                received.push([event, data]);
+                if (received.length === count) resolve(received);
+            })
+        );
+    });
+}
+
+describe('Realtime', () => {
+    beforeEach(() => {
+        User.getId.mockReset();
+        User.getId.mockImplementation((name, fn) => fn(null, name === 'alice' ? 'u1' : undefined));
+
+        entryService.getContext.mockReset();
+        entryService.getContext.mockImplementation(async (userId, name) =>
+            ['notes', 'diary'].includes(name) ? { name, public: name === 'notes' } : null
+        );
+
+        entryService.getGraph.mockReset();
+        entryService.getGraph.mockResolvedValueOnce(before).mockResolvedValue(after);
+    });
+
+    test('should tell what changed in the graph', () => {
+        expect(Realtime.delta(before, after)).toEqual({
+            nodes: { added: [after.nodes[2]], removed: [before.nodes[2]] },
+            edges: { added: [after.edges[1]], changed: [after.edges[0]], removed: [before.edges[1]] }
+        });
+
+        expect(Realtime.delta(after, after)).toBeNull();
+    });
+
+    test('should let only the owner follow a private context', async () => {
+        const realtime = new Realtime({ delay: 0 });
+        const socket = id => ({ id, request: {}, join: jest.fn(), leave: jest.fn() });
+        const owner = { ...socket('s1'), request: { session: { passport: { user: 'u1' } } } };
+
+        await expect(realtime.subscribe(socket('s2'), { user: 'alice', context: 'diary' })).rejects.toThrow('This context is private.');
+        await expect(realtime.subscribe(socket('s2'), { user: 'bob', context: 'notes' })).rejects.toThrow('We did not find this context.');
+        await expect(realtime.subscribe(owner, { user: 'alice', context: 'diary' })).resolves.toBe('diary');
+
+        expect(owner.join).toHaveBeenCalledWith('u1/diary');
+
+        realtime.unsubscribe(owner);
+
+        expect(owner.leave).toHaveBeenCalledWith('u1/diary');
+        expect(realtime.rooms.size).toBe(0);
+    });
+
+    test('should leave the room when the graph of the context cannot be built', async () => {
+        const realtime = new Realtime({ delay: 0 });
+        const socket = { id: 's1', request: {}, join: jest.fn(), leave: jest.fn() };
+
+        entryService.getGraph.mockReset();
+        entryService.getGraph.mockRejectedValue(new Error('The database is down.'));
+
+        await expect(realtime.subscribe(socket, { user: 'alice', context: 'notes' })).rejects.toThrow('The database is down.');
+
+        expect(socket.leave).toHaveBeenCalledWith('u1/notes');
+        expect(realtime.sockets.size).toBe(0);
+        expect(realtime.rooms.size).toBe(0);
+    });
+
+    test('should let the members follow a private context shared with them', async () => {
+        const realtime = new Realtime({ delay: 0 });
+        const socket = (id, user) => ({ id, request: { session: { passport: { user } } }, join: jest.fn(), leave: jest.fn() });
+
+        entryService.getShared.mockImplementation(async userId =>
+            userId === 'u2' ? { role: 'viewer', accepted: 200 } : { role: 'editor', accepted: null }
+        );
+
+        await expect(realtime.subscribe(socket('s1', 'u2'), { user: 'alice', context: 'diary' })).resolves.toBe('diary');
+        await expect(realtime.subscribe(socket('s2', 'u3'), { user: 'alice', context: 'diary' })).rejects.toThrow('This context is private.');
+
+        expect(entryService.getShared).toHaveBeenCalledWith('u2', 'alice', 'diary');
+    });
+
+    describe('over socket.io', () => {
+        let server;
+        let realtime;
+        let client;
+
+        beforeEach(done => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            entryService.events = new EventEmitter();
+
+            server = http.createServer();
+            realtime = new Realtime({ delay: 10 });
+            realtime.attach(server);
+            server.listen(0, done);
+        });
+
+        afterEach(done => {
+            console.log.mockRestore();
+            client.close();
+            server.close(() => done());
+        });
+
+        function connect(context) {
+            client = ioClient(`http://localhost:${server.address().port}/contexts`, { transports: ['websocket'] });
+
+            return new Promise(resolve => {
+                client.on('connect', () => client.emit('subscribe', { user: 'alice', context }, resolve));
+            });
+        }
+
+        test('should push the statements and the graph delta to the views of the context', async () => {
+            expect(await connect('notes')).toEqual({ context: 'notes' });
+
+            const received = receive(client, ['statements added', 'statements deleted', 'graph delta'], 2);
+
+            // The Entry service saves statements into the context, then into another one of the user
+            entryService.events.emit('change', {
+                userId: 'u1',
+                contexts: ['notes'],
+                change: 'added',
+                statements: [{ uid: 's3', text: 'cats drink milk from a bowl' }]
+            });
+            entryService.events.emit('change', { userId: 'u1', contexts: ['diary'], change: 'added', statements: [{ uid: 's4' }] });
+
+            expect(await received).toEqual([
+                ['statements added', { context: 'notes', statements: [{ uid: 's3', text: 'cats drink milk from a bowl' }] }],
+                ['graph delta', { context: 'notes', ...Realtime.delta(before, after) }]
+            ]);
+            expect(entryService.getGraph).toHaveBeenCalledTimes(2);
+        });
+
+        test('should not let a visitor follow a private context', async () => {
+            expect(await connect('diary')).toEqual({ error: 'This context is private.' });
+            expect(realtime.rooms.size).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,27 @@
+/**
+ * Unit tests for the sentiment and the emotions of the statements
+ */
+
+const Sentiment = require('../../lib/tools/sentiment');
+
+describe('Sentiment', () => {
+    test('should score the opinion words of a statement from -1 to 1', () => {
+        expect(Sentiment.score('The support was terrible and I am angry', 'en').sentiment).toBeLessThan(0);
+        expect(Sentiment.score('The new design is great, I love it', 'en').sentiment).toBeGreaterThan(0);
+        expect(Sentiment.score('The meeting is on Tuesday', 'en').sentiment).toBeNull();
+    });
+
+    test('should flip the words after a negation until the punctuation', () => {
+        expect(Sentiment.score('not good.', 'en').sentiment).toBe(-0.6);
+        expect(Sentiment.score("It isn't good, but the price is good", 'en').sentiment).toBe(0);
+    });
+
+    test('should find the emotions of an English statement', () => {
+        expect(Sentiment.score('The support was terrible and I am angry', 'en').emotions).toEqual(['anger']);
+        expect(Sentiment.score('I was scared and sad', 'en').emotions).toEqual(['fear', 'sadness']);
+    });
+
+    test('should not score a language without a lexicon', () => {
+        expect(Sentiment.score('Der Kundendienst war schrecklich', 'de')).toEqual({ sentiment: null, emotions: [] });
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * Unit tests for the state store and the Maps the services keep in it
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'statestore-'));
+
+// The services keep their state in files here instead of Neo4j
+process.env.STATE_STORE = 'file';
+process.env.STATE_STORE_DIR = dir;
+
+const mockCypherQuery = jest.fn();
+
+jest.mock('node-neo4j', () => jest.fn().mockImplementation(() => ({ cypherQuery: mockCypherQuery })));
+jest.mock('../../lib/log/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), {
+    virtual: true
+});
+
+const { stateStore, FileStateStore, Neo4jStateStore } = require('../../lib/db/stateStore');
+const PersistentMap = require('../../lib/db/persistentMap');
+const { CollaborativeScaling } = require('../../lib/exponential/collaborativeScaling');
+
+afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('State store', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    test('should use the store the settings ask for', () => {
+        expect(stateStore).toBeInstanceOf(FileStateStore);
+        expect(stateStore.dir).toBe(dir);
+    });
+
+    test('should keep the values of a collection in a file', async () => {
+        const store = new FileStateStore(path.join(dir, 'file'));
+
+        await Promise.all([store.set('jobs', 'a', '1'), store.set('jobs', 'b', '2'), store.set('other', 'a', '3')]);
+        await store.delete('jobs', 'b');
+
+        expect(await store.all('jobs')).toEqual([['a', '1']]);
+        expect(await store.get('other', 'a')).toBe('3');
+        expect(await new FileStateStore(path.join(dir, 'file')).all('other')).toEqual([['a', '3']]);
+        expect(await store.all('none')).toEqual([]);
+    });
+
+    test('should keep the values as State nodes in Neo4j', async () => {
+        const store = new Neo4jStateStore();
+
+        mockCypherQuery.mockReset();
+        mockCypherQuery.mockImplementation((query, params, cb) => cb(null, { data: [['a', '1']] }));
+
+        await store.set('jobs', 'a', '1');
+        expect(await store.all('jobs')).toEqual([['a', '1']]);
+
+        expect(mockCypherQuery.mock.calls[0][0]).toContain('MERGE (s:State{collection:$collection, key:$key}) SET s.value = $value');
+        expect(mockCypherQuery.mock.calls[0][1]).toMatchObject({ collection: 'jobs', key: 'a', value: '1' });
+        expect(mockCypherQuery.mock.calls[1][1]).toEqual({ collection: 'jobs' });
+    });
+});
+
+describe('PersistentMap', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new FileStateStore(fs.mkdtempSync(path.join(dir, 'map-')));
+    });
+
+    test('should keep the Maps, Sets and Dates of the values', () => {
+        const value = {
+            created: new Date('2026-01-01T00:00:00Z'),
+            members: new Map([['u1', { role: 'owner', joined: new Date('2026-01-02T00:00:00Z') }]]),
+            tags: new Set(['a', 'b']),
+            intervalId: 12
+        };
+
+        const json = PersistentMap.encode(value, ['intervalId']);
+
+        expect(PersistentMap.decode(json)).toEqual({ ...value, intervalId: undefined });
+        expect(JSON.parse(json)).not.toHaveProperty('intervalId');
+    });
+
+    test('should write the changes through and get them back', async () => {
+        const jobs = new PersistentMap('jobs', { store });
+
+        jobs.set('a', { status: 'queued' });
+        jobs.set('b', { status: 'queued' });
+        jobs.get('a').status = 'completed';
+        jobs.save('a');
+        jobs.delete('b');
+        await jobs.flush();
+
+        const restarted = new PersistentMap('jobs', { store });
+
+        expect(await restarted.load()).toBe(1);
+        expect(restarted.get('a')).toEqual({ status: 'completed' });
+    });
+
+    test('should write the latest value once after a write in progress', async () => {
+        const set = jest.spyOn(store, 'set');
+        const jobs = new PersistentMap('jobs', { store });
+
+        jobs.set('a', { progress: 0 });
+        jobs.set('a', { progress: 10 });
+        jobs.set('a', { progress: 20 });
+        await jobs.flush();
+
+        expect(set).toHaveBeenCalledTimes(2);
+        expect(await store.get('jobs', 'a')).toBe('{"progress":20}');
+    });
+
+    test('should go on when the store fails', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(store, 'set').mockRejectedValue(new Error('Neo4j is down'));
+
+        const jobs = new PersistentMap('jobs', { store });
+
+        jobs.set('a', 1);
+        await jobs.flush();
+
+        expect(jobs.get('a')).toBe(1);
+        expect(console.error).toHaveBeenCalledWith('Could not save a of jobs:', 'Neo4j is down');
+
+        console.error.mockRestore();
+    });
+});
+
+describe('CollaborativeScaling after a restart', () => {
+    test('should keep the members and the submissions waiting for approval', async () => {
+        const collaborations = new CollaborativeScaling();
+        const collaborationId = collaborations.createCollaboration('research', { createdBy: 'u1' });
+
+        collaborations.addMember(collaborationId, 'u1', 'owner');
+        collaborations.addMember(collaborationId, 'u2');
+        const submissionId = collaborations.submit(collaborationId, 'u2', 'node', { name: 'cat' });
+        await collaborations.activeCollaborations.flush();
+
+        const restarted = new CollaborativeScaling();
+
+        expect(await restarted.restore()).toBe(1);
+
+        const collaboration = restarted.activeCollaborations.get(collaborationId);
+
+        expect(Array.from(collaboration.members.keys())).toEqual(['u1', 'u2']);
+        expect(collaboration.pendingApprovals.get(submissionId)).toMatchObject({ type: 'node', submittedBy: 'u2', status: 'pending' });
+
+        expect(restarted.approveSubmission(collaborationId, submissionId, 'u1')).toBe(true);
+        expect(collaboration.changeHistory).toEqual([expect.objectContaining({ type: 'node', data: { name: 'cat' }, userId: 'u2' })]);
+
+        await restarted.activeCollaborations.flush();
+    });
+});
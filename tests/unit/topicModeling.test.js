@@ -0,0 +1,85 @@
+/**
+ * Unit tests for the LDA topics of the statements
+ */
+
+const { topicModeling } = require('../../lib/analytics/topicModeling');
+
+// Ten statements about cats and ten about dogs
+const statements = [];
+
+for (let i = 0; i < 10; i++) {
+    statements.push({ uid: 'cat' + i, concepts: ['cat', 'milk', 'fur', i % 2 ? 'bowl' : 'purr'] });
+    statements.push({ uid: 'dog' + i, concepts: ['dog', 'bark', 'bone', i % 2 ? 'walk' : 'leash'] });
+}
+
+const edge = (source, target) => ({ id: source + '-' + target, source, target, weight: 3, context_matrix: {} });
+
+const pets = {
+    nodes: ['bark', 'bone', 'bowl', 'cat', 'dog', 'fur', 'leash', 'milk', 'purr', 'walk'].map(id => ({ id: 'n_' + id, label: id })),
+    edges: [
+        ['cat', 'milk'],
+        ['cat', 'fur'],
+        ['milk', 'fur'],
+        ['cat', 'bowl'],
+        ['cat', 'purr'],
+        ['dog', 'bark'],
+        ['dog', 'bone'],
+        ['bark', 'bone'],
+        ['dog', 'walk'],
+        ['dog', 'leash']
+    ].map(([source, target]) => edge('n_' + source, 'n_' + target))
+};
+
+const terms = topic => topic.terms.map(term => term.term).sort();
+
+describe('TopicModeling', () => {
+    test('should find the topics of the statements', () => {
+        const model = topicModeling.model(statements, { topics: 2, terms: 3 });
+
+        expect(model.settings).toEqual({ topics: 2, terms: 3, iterations: 1000, seed: 123 });
+        expect(model.topics.map(terms).sort()).toEqual([
+            ['bark', 'bone', 'dog'],
+            ['cat', 'fur', 'milk']
+        ]);
+        expect(model.topics.map(topic => topic.statements)).toEqual([10, 10]);
+        expect(model.communities).toBeNull();
+    });
+
+    test('should give every statement its most likely topic', () => {
+        const model = topicModeling.model(statements, { topics: 2, terms: 3 });
+        const cats = model.topics.findIndex(topic => terms(topic).includes('cat'));
+
+        model.statements.forEach(statement => {
+            expect(statement.topic === cats).toBe(statement.uid.startsWith('cat'));
+            expect(statement.probability).toBeGreaterThan(0.9);
+        });
+    });
+
+    test('should give the same topics for the same statements and settings', () => {
+        const settings = { topics: 3, terms: 4, iterations: 200 };
+
+        expect(topicModeling.model(statements, settings)).toEqual(topicModeling.model(statements, settings));
+    });
+
+    test('should compare the topics with the communities of the graph', () => {
+        const { communities } = topicModeling.model(statements, { topics: 2, terms: 3 }, pets);
+
+        expect(communities.agreement).toBe(1);
+        expect(communities.concepts).toBe(10);
+        expect(communities.topics.map(topic => topic.overlap)).toEqual([1, 1]);
+        expect(communities.topics[0].community).not.toBe(communities.topics[1].community);
+    });
+
+    test('should refuse settings out of their range', () => {
+        expect(() => topicModeling.model(statements, { topics: 0 })).toThrow(expect.objectContaining({ code: 'invalid_request' }));
+        expect(() => topicModeling.model(statements, { terms: 21 })).toThrow(expect.objectContaining({ code: 'invalid_request' }));
+        expect(() => topicModeling.model(statements, { iterations: 1.5 })).toThrow(expect.objectContaining({ code: 'invalid_request' }));
+    });
+
+    test('should skip the statements without concepts', () => {
+        const model = topicModeling.model([{ uid: 's1', concepts: [] }, { uid: 's2' }]);
+
+        expect(model.topics).toEqual([]);
+        expect(model.statements).toEqual([]);
+    });
+});
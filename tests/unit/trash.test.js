@@ -0,0 +1,193 @@
+/**
+ * Unit tests for the trash of deleted contexts and statements
+ */
+
+const mockCypherQuery = jest.fn();
+const mockTransaction = jest.fn();
+
+jest.mock('node-neo4j', () =>
+    jest.fn().mockImplementation(() => ({
+        cypherQuery: mockCypherQuery,
+        beginAndCommitTransaction: mockTransaction
+    }))
+);
+
+const Entry = require('../../lib/entry');
+const entries = require('../../routes/entries');
+const options = require('../../options');
+
+const day = 24 * 60 * 60 * 1000 * 10000;
+
+// Answer the REST queries in turn with the given rows
+function answerWith(...answers) {
+    answers.forEach(data => {
+        mockCypherQuery.mockImplementationOnce((query, params, cb) => cb(null, { columns: [], data: data }));
+    });
+}
+
+describe('Trash', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        mockCypherQuery.mockReset();
+        mockTransaction.mockReset();
+        mockTransaction.mockImplementation((body, cb) => cb(null, { results: [] }));
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    describe('Entry.trashStatement', () => {
+        test('should take the concepts out of the graph but keep the statement', done => {
+            answerWith(['st1']);
+
+            Entry.trashStatement('u1', 'st1', (err, uid) => {
+                expect(uid).toBe('st1');
+
+                const statements = mockTransaction.mock.calls[0][0].statements.map(s => s.statement);
+
+                expect(statements[statements.length - 1]).toContain('SET s.trashed = $trashed');
+                statements.forEach(statement => {
+                    expect(statement).not.toMatch(/DELETE .*\bs\b/);
+                    expect(statement).not.toContain('[rel:BY|IN]');
+                });
+                done();
+            });
+        });
+
+        test('should leave statements of other users alone', done => {
+            answerWith([]);
+
+            Entry.trashStatement('u2', 'st1', (err, uid) => {
+                expect(uid).toBeNull();
+                expect(mockTransaction).not.toHaveBeenCalled();
+                done();
+            });
+        });
+    });
+
+    describe('Entry.getRange', () => {
+        test('should not show what is in the trash', done => {
+            answerWith([]);
+
+            Entry.getRange('u1', 'u1', [], () => {
+                const query = mockCypherQuery.mock.calls[0][0];
+
+                expect(query).toContain('s.trashed IS NULL');
+                expect(query).toContain('ctx.trashed IS NULL');
+                done();
+            });
+        });
+    });
+
+    describe('Entry.getTrash', () => {
+        test('should list the latest items first with their expiry', done => {
+            answerWith([
+                ['ctx1', 'context', 'imported', null, 10 * day],
+                ['st1', 'statement', '#note ', 'a #note', 20 * day]
+            ]);
+
+            Entry.getTrash('u1', (err, items) => {
+                expect(items.map(item => item.uid)).toEqual(['st1', 'ctx1']);
+                expect(items[1]).toEqual({
+                    uid: 'ctx1',
+                    type: 'context',
+                    name: 'imported',
+                    text: null,
+                    trashed: 10 * day,
+                    expires: (10 + options.settings.trash_retention_days) * day
+                });
+                done();
+            });
+        });
+    });
+
+    describe('Entry.getTrashItem', () => {
+        test('should report a context whose name was taken again', done => {
+            answerWith([[{ uid: 'ctx1', name: 'imported', trashed: day }, 'context', 1, []]]);
+
+            Entry.getTrashItem('u1', 'ctx1', (err, item) => {
+                expect(item).toMatchObject({ uid: 'ctx1', type: 'context', conflict: true });
+                done();
+            });
+        });
+    });
+
+    describe('entries.restoreTrash', () => {
+        const user = { uid: 'u1', name: 'alice', inlanguage: 'en', fullscan: '1' };
+        const statement = { uid: 'st1', name: '#cat #milk ', text: 'Cats drink milk', timestamp: 100, trashed: day };
+
+        function restore(contexts, live = [[{ uid: 'c1', name: 'notes' }, 'u1']]) {
+            options.stopwords_en = ['the', 'a', 'and'];
+            mockCypherQuery.mockImplementation((query, params, cb) => {
+                if (query.indexOf('CASE WHEN n:Context') >= 0) return cb(null, { data: [[statement, 'statement', 0, contexts]] });
+                if (query.indexOf('RETURN DISTINCT ctx, o.uid') >= 0) return cb(null, { data: live });
+                cb(null, { columns: [], data: [] });
+            });
+
+            return new Promise(resolve => {
+                const res = {
+                    locals: { user },
+                    status: code => ({ send: body => resolve({ code, body }) }),
+                    send: body => resolve({ code: 200, body })
+                };
+
+                entries.restoreTrash({ body: { uid: 'st1' }, query: {} }, res, err => resolve({ err }));
+            });
+        }
+
+        test('should take a statement out of the trash in the same transaction as its save', async () => {
+            mockTransaction.mockImplementation((body, cb) => cb(null, { results: [], errors: [{ message: 'Neo.TransientError' }] }));
+
+            const { err } = await restore(['notes']);
+            const transaction = mockTransaction.mock.calls[0][0].statements;
+
+            expect(err.message).toBe('Neo.TransientError');
+            expect(mockTransaction).toHaveBeenCalledTimes(1);
+            expect(transaction[0].statement).toContain('DELETE rel');
+            expect(transaction[1].statement).toContain('REMOVE s.trashed');
+            expect(transaction[2].parameters.statements[0]).toMatchObject({ uid: 'st1', text: 'Cats drink milk' });
+
+            // Nothing ran on its own, so the statement is still in the trash
+            expect(mockCypherQuery.mock.calls.some(([query]) => /DELETE rel|REMOVE s\.trashed/.test(query))).toBe(false);
+        });
+
+        test('should restore the statement of a member into the context the owner shared with them', async () => {
+            const { code } = await restore(['research'], [[{ uid: 'c2', name: 'research' }, 'u2']]);
+
+            const save = mockTransaction.mock.calls[0][0].statements[2];
+
+            expect(code).toBe(200);
+            expect(save.parameters.contextNames).toEqual([expect.objectContaining({ uid: 'c2', name: 'research', by: 'u2' })]);
+            expect(mockCypherQuery.mock.calls.some(([query]) => query.indexOf('MERGE (c:Context') >= 0)).toBe(false);
+        });
+
+        test('should only restore a statement into the contexts that are not in the trash', async () => {
+            const { code } = await restore([]);
+
+            expect(code).toBe(409);
+            expect(mockCypherQuery.mock.calls[0][0]).toContain('OPTIONAL MATCH (n)-[:IN]->(ctx:Context) WHERE ctx.trashed IS NULL');
+            expect(mockTransaction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Entry.purgeTrash', () => {
+        test('should delete the expired contexts one by one and then the statements', done => {
+            // Single column answers come back flattened
+            answerWith(['ctx1', 'ctx2'], [3]);
+
+            Entry.purgeTrash((err, purged) => {
+                expect(purged).toEqual({ contexts: 2, statements: 3 });
+                expect(mockTransaction).toHaveBeenCalledTimes(2);
+                expect(mockTransaction.mock.calls[1][0].statements[5].parameters.contextId).toBe('ctx2');
+
+                const before = mockCypherQuery.mock.calls[0][1].before;
+                const retention = options.settings.trash_retention_days * day;
+
+                expect(Math.abs(before - (Date.now() * 10000 - retention))).toBeLessThan(day);
+                expect(mockCypherQuery.mock.calls[1][0]).toContain('DETACH DELETE r, s');
+                done();
+            });
+        });
+    });
+});